@@ -1,171 +1,68 @@
-const Queue = require("bull");
-const axios = require("axios");
-const { parseLifelabs } = require("./lab-results/src/services/lifelabs-parser");
-const { logToCloudWatch, initializeCloudWatchLogs } = require("./lib/cloudwatch-logger");
-
-const BASE_LIFELABS_ENDPOINT = "http://172.31.21.126:8000/lifelabs";
-const AUTH_ENDPOINT = `${BASE_LIFELABS_ENDPOINT}/auth`;
-const FETCH_ENDPOINT = `${BASE_LIFELABS_ENDPOINT}/fetch-results`;
-const LOGOUT_ENDPOINT = `${BASE_LIFELABS_ENDPOINT}/logout`;
-const ACK_ENDPOINT = `${BASE_LIFELABS_ENDPOINT}/acknowledge`;
-
-const LOG_STREAM_NAME = "scheduled-tasks-lifelabs";
-
-const requestQueue = new Queue("requestQueue", {
-  redis: { host: "127.0.0.1", port: 6379 }
-});
-
-const MINUTES_COUNT = 10;
-const INTERVAL = 1000 * 60 * MINUTES_COUNT;
-const HUMAN_READABLE_INTERVAL = INTERVAL / (1000 * 60) + " minutes";
+const { getConfig } = require("./lib/config");
+const { ConfigError } = require("./lib/errors");
+
+// Validate settings before any module connects to Redis, S3 or CloudWatch
+let config;
+try {
+    config = getConfig();
+} catch (error) {
+    if (error instanceof ConfigError) {
+        console.error(`🛑 ${error.message}`);
+        process.exit(1);
+    }
 
-// generateTimestamp function like: MMM DD, HH:MM
-function generateTimestamp() {
-    const options = { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false };
-    return new Date().toLocaleString('en-US', options);
+    throw error;
 }
 
-async function authenticate() {
-    const response = await axios.post(AUTH_ENDPOINT);
-
-    await logToCloudWatch("⚪️ Authentication response", "INFO", { 
-      step: "authentication_response",
-      status: response?.status,
-      statusText: response?.statusText,
-      dataStatus: response?.data?.status,
-      responseData: response?.data,
-      hasSessionCookie: !!response?.data?.session_cookie,
-      hasAspxAuth: !!response?.data?.aspx_auth,
-      hasLp30Session: !!response?.data?.lp30_session
-    }, LOG_STREAM_NAME);
-    
-    if (response?.data?.status === "failed" || response?.data?.status !== 200 || response.data?.error) {
-        await logToCloudWatch(`🛑 Authentication failed`, "ERROR", { 
-          step: "authentication_failed", 
-          status: response?.status,
-          statusText: response?.statusText,
-          responseData: response?.data
-        }, LOG_STREAM_NAME);
-        
-        throw new Error("Authentication failed");
-    }
-    
-    return response.data; // Contains session cookies
+const { registerProvider, getProviders } = require("./lab-results/src/providers");
+const { createLifelabsProvider } = require("./lab-results/src/providers/lifelabs");
+const { setupQueues } = require("./lib/scheduler");
+const { startHttpServer } = require("./lib/http-server");
+const { startCriticalAlertWorker } = require("./lab-results/lib/critical-alerts");
+const { startWebhookWorker } = require("./lab-results/lib/webhooks");
+const { metrics } = require("./lib/metrics");
+const { logToCloudWatch, initializeCloudWatchLogs, flushLogs } = require("./lib/cloudwatch-logger");
+
+const STARTUP_LOG_STREAM_NAME = "startup";
+
+/**
+ * Logs why a component failed to start and exits, so the process is restarted instead of
+ * running without it.
+ * @param {String} component - Component that failed to start.
+ * @returns {(error: Error) => Promise<void>} Rejection handler.
+ */
+function exitOnStartupFailure(component) {
+    return async (error) => {
+        await initializeCloudWatchLogs(STARTUP_LOG_STREAM_NAME);
+        await logToCloudWatch(`🛑 Failed to start ${component}`, "ERROR", {
+          step: "startup_failed",
+          component,
+          error: error.message
+        }, STARTUP_LOG_STREAM_NAME);
+        await flushLogs();
+
+        process.exit(1);
+    };
 }
 
-async function setupQueue() {
-    await initializeCloudWatchLogs(LOG_STREAM_NAME, HUMAN_READABLE_INTERVAL, generateTimestamp());
-    
-    await logToCloudWatch("Setting up queue", "INFO", { 
-      step: "queue_setup_start", 
-      int: HUMAN_READABLE_INTERVAL 
-    }, LOG_STREAM_NAME);
-
-    // Drop existing jobs before adding a new one
-    // TODO: Improve this
-  const repeatableJobs = await requestQueue.getRepeatableJobs();
-    for (const job of repeatableJobs) {
-        
-        await requestQueue.removeRepeatableByKey(job.key);
-    }
-
-    await logToCloudWatch("⚪️ Removed existing repeatable jobs", "INFO", { 
-      step: "queue_cleanup", 
-      removedJobsCount: repeatableJobs.length 
-    }, LOG_STREAM_NAME);
-
-    requestQueue.add(
-        {},
-        { repeat: { every: INTERVAL } }
-    );
+console.log(`✅ Configuration loaded for environment "${config.environment}"`);
 
-    await logToCloudWatch(`🟢 Queue setup completed`, "INFO", { 
-      step: "queue_setup_complete", 
-      int: HUMAN_READABLE_INTERVAL 
-    }, LOG_STREAM_NAME);
+// Register every lab integration the scheduler should poll
+registerProvider(createLifelabsProvider(config.lifelabs));
 
-    requestQueue.process(async (job) => {
-        const jobId = job.id || 'unknown';
-        
-        await logToCloudWatch("⚪️ Starting polling cycle", "INFO", { 
-          step: "cycle_start", 
-          jobId,
-          int: HUMAN_READABLE_INTERVAL 
-        }, LOG_STREAM_NAME);
-        
-        try {
-            const { session_cookie, aspx_auth, lp30_session } = await authenticate();
+// Job counts of every queue are exposed on /metrics
+setupQueues(getProviders())
+    .then((queues) => queues.forEach(metrics.registerQueue))
+    .catch(exitOnStartupFailure("lab result queues"));
 
-            await logToCloudWatch("Fetching lab results", "INFO", { 
-              step: "fetch_start", 
-              jobId 
-            }, LOG_STREAM_NAME);
-
-            const response = await axios.post(FETCH_ENDPOINT, {
-                session_cookie,
-                aspx_auth,
-                lp30_session
-            });
-
-            if (response.data.status !== "success") {
-                await logToCloudWatch("🟥 Fetch request failed", "ERROR", { 
-                  step: "fetch_failed", 
-                  jobId,
-                  status: response.data.status,
-                  response: response.data 
-                }, LOG_STREAM_NAME);
-
-                return; // Exit early on fetch failure
-            }
-
-            await logToCloudWatch("⚪️ Fetch successful.", "INFO", { 
-              step: "fetch_success", 
-              jobId,
-              s3Key: response.data.s3_key 
-            }, LOG_STREAM_NAME);
-            
-            parseLifelabs(response.data.s3_key);
-
-            await logToCloudWatch("⚪️ Parsing completed, acknowledging results", "INFO", { 
-              step: "parsing_complete", 
-              jobId,
-              s3Key: response.data.s3_key 
-            }, LOG_STREAM_NAME);
-
-            const ack = await axios.post(ACK_ENDPOINT, {
-              session_cookie,
-              aspx_auth,
-              lp30_session,
-              status: 'Positive',
-            });
-
-            await logToCloudWatch("🟢 Results acknowledged", "INFO", { 
-              step: "acknowledge_success", 
-              jobId,
-              ackStatus: ack.data?.status 
-            }, LOG_STREAM_NAME);
-
-            await axios.post(LOGOUT_ENDPOINT, {
-                session_cookie,
-                aspx_auth,
-                lp30_session
-            });
-
-            await logToCloudWatch("🏁🏁🏁 Polling cycle completed successfully", "INFO", { 
-              step: "cycle_complete", 
-              jobId 
-            }, LOG_STREAM_NAME);
-        } catch (error) {
-            await logToCloudWatch("🟥 Integration error occurred", "ERROR", { 
-              step: "integration_error", 
-              jobId,
-              error: error.message,
-              stack: error.stack,
-              responseData: error.response?.data 
-            }, LOG_STREAM_NAME);
-        }
-    });
-}
+// Deliver result notifications queued by the parsers
+startWebhookWorker()
+    .then((queues) => queues.forEach(metrics.registerQueue))
+    .catch(exitOnStartupFailure("webhook worker"));
 
-setupQueue();
+// Deliver urgent alerts for critical results found by any lab integration
+startCriticalAlertWorker()
+    .then(metrics.registerQueue)
+    .catch(exitOnStartupFailure("critical alert worker"));
 
+startHttpServer(config.http.port);
@@ -0,0 +1,16 @@
+const { HeadBucketCommand } = require('@aws-sdk/client-s3');
+const { s3Client, bucket } = require('./s3-client');
+
+async function checkBucketAccess({ timeoutMs = 1000 * 5 } = {}) {
+  try {
+    const command = new HeadBucketCommand({ Bucket: bucket });
+
+    await s3Client.send(command, { abortSignal: AbortSignal.timeout(timeoutMs) });
+
+    return { data: { bucket }, error: null };
+  } catch (error) {
+    return { data: null, error: error.message || error.name };
+  }
+}
+
+module.exports = { checkBucketAccess };
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const Queue = require('bull');
+
+const { REDIS_CONFIG, getRedisClient } = require('../../lib/redis');
+const { logToCloudWatch, initializeCloudWatchLogs } = require('../../lib/cloudwatch-logger');
+const { getConfig } = require('../../lib/config');
+const { createWebhookEvent, postWebhook } = require('./webhooks');
+
+const CRITICAL_ALERTS_QUEUE_NAME = 'critical-result-alerts';
+const LOG_STREAM_NAME = 'critical-result-alerts';
+
+const ALERT_KEY_PREFIX = 'lab-results:alerts';
+// Keep delivery records long enough to answer "was the physician alerted?" after the fact
+const ALERT_TTL_SECONDS = 60 * 60 * 24 * 90;
+
+// Alerts are urgent, so retries start sooner than polling cycle retries
+const DELIVERY_RETRY = { attempts: 8, backoffDelay: 1000 * 5 };
+
+const ALERT_EVENT_TYPE = 'lab-results.critical-result';
+
+const ALERT_STATUS = {
+  QUEUED: 'queued',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+/**
+ * @typedef {Object} AlertDelivery
+ * @property {String} alertId - Stable alert ID; the same critical result in the same message gets the same ID.
+ * @property {String} source - Lab the result came from, e.g. `lifelabs`.
+ * @property {String} msgId - Message carrying the result.
+ * @property {String} status - queued, delivered or failed.
+ * @property {Number} attempts - Delivery attempts made so far.
+ * @property {String} queuedAt - When the alert was queued.
+ * @property {String|null} deliveredAt - When the webhook accepted the alert.
+ * @property {String|null} lastError - Error of the last failed attempt.
+ */
+
+let alertQueue = null;
+
+/**
+ * Returns the critical result alert queue, creating it on first use.
+ * @returns {Queue} Bull queue.
+ */
+function getAlertQueue() {
+  if (!alertQueue) {
+    alertQueue = new Queue(CRITICAL_ALERTS_QUEUE_NAME, { redis: REDIS_CONFIG });
+  }
+
+  return alertQueue;
+}
+
+function getAlertKey(alertId) {
+  return `${ALERT_KEY_PREFIX}:${alertId}`;
+}
+
+/**
+ * Derives an alert ID from the result it reports, so reprocessing a message doesn't alert twice.
+ * @param {String} source - Lab the result came from.
+ * @param {String} msgId - Message carrying the result.
+ * @param {import('../src/utils/detectCriticalResults').CriticalResult} criticalResult - Detected critical result.
+ * @returns {String} SHA-256 hex digest.
+ */
+function getAlertId(source, msgId, criticalResult) {
+  return crypto
+    .createHash('sha256')
+    .update(
+      [
+        source,
+        msgId,
+        criticalResult.fillerOrderNumber,
+        criticalResult.test.code,
+        criticalResult.value,
+        criticalResult.abnormalFlag
+      ].join('|')
+    )
+    .digest('hex');
+}
+
+/**
+ * Returns the delivery record of an alert.
+ * @param {String} alertId - Alert ID.
+ * @returns {Promise<{data: AlertDelivery|null, error: string|null}>} Delivery record, null when unknown.
+ */
+async function getAlertDeliveryStatus(alertId) {
+  try {
+    const stored = await getRedisClient().get(getAlertKey(alertId));
+
+    return { data: stored ? JSON.parse(stored) : null, error: null };
+  } catch (error) {
+    return { data: null, error: error.message };
+  }
+}
+
+async function updateDeliveryRecord(alertId, changes) {
+  const { data: delivery, error } = await getAlertDeliveryStatus(alertId);
+
+  if (error) throw new Error(error);
+
+  const updated = { ...delivery, ...changes };
+
+  await getRedisClient().set(
+    getAlertKey(alertId),
+    JSON.stringify(updated),
+    'EX',
+    ALERT_TTL_SECONDS
+  );
+
+  return updated;
+}
+
+/**
+ * Queues an urgent alert for each critical result of a message. Alerts already queued or
+ * delivered are not queued again.
+ * @param {String} source - Lab the results came from, e.g. `lifelabs`.
+ * @param {String} msgId - Message carrying the results.
+ * @param {Array<import('../src/utils/detectCriticalResults').CriticalResult>} criticalResults - Detected critical results.
+ * @returns {Promise<{data: Array<{alertId: String, status: String}>|null, error: string|null}>}
+ * Alert ID and delivery status per critical result.
+ */
+async function enqueueCriticalAlerts(source, msgId, criticalResults = []) {
+  if (criticalResults.length === 0) {
+    return { data: [], error: null };
+  }
+
+  try {
+    const queue = getAlertQueue();
+    const alerts = [];
+
+    for (const criticalResult of criticalResults) {
+      const alertId = getAlertId(source, msgId, criticalResult);
+      const { data: existing, error } = await getAlertDeliveryStatus(alertId);
+
+      if (error) throw new Error(error);
+
+      if (existing && existing.status !== ALERT_STATUS.FAILED) {
+        alerts.push({ alertId, status: existing.status });
+        continue;
+      }
+
+      const queuedAt = new Date().toISOString();
+
+      await updateDeliveryRecord(alertId, {
+        alertId,
+        source,
+        msgId,
+        status: ALERT_STATUS.QUEUED,
+        attempts: 0,
+        queuedAt,
+        deliveredAt: null,
+        lastError: null
+      });
+
+      await queue.add(
+        { alertId, source, msgId, queuedAt, criticalResult },
+        {
+          // Failed jobs are kept for inspection, so a re-queued alert needs a new job ID
+          jobId: `${alertId}:${queuedAt}`,
+          attempts: DELIVERY_RETRY.attempts,
+          backoff: { type: 'exponential', delay: DELIVERY_RETRY.backoffDelay },
+          removeOnComplete: true,
+          removeOnFail: false
+        }
+      );
+
+      alerts.push({ alertId, status: ALERT_STATUS.QUEUED });
+    }
+
+    return { data: alerts, error: null };
+  } catch (error) {
+    return { data: null, error: error.message };
+  }
+}
+
+/**
+ * Posts one alert to the critical results webhook as a signed event and records the delivery.
+ * The alert ID is the event's idempotency key.
+ * @param {Object} job - Bull job queued by `enqueueCriticalAlerts`.
+ */
+async function deliverAlert(job) {
+  const { alertId, source, msgId, queuedAt, criticalResult } = job.data;
+  const { webhookUrl } = getConfig().criticalResults;
+
+  if (!webhookUrl) {
+    throw new Error('CRITICAL_RESULTS_WEBHOOK_URL is not configured');
+  }
+
+  const event = createWebhookEvent(
+    ALERT_EVENT_TYPE,
+    { alertId, source, msgId, queuedAt, ...criticalResult },
+    { idempotencyKey: alertId }
+  );
+  const response = await postWebhook(webhookUrl, event);
+
+  await updateDeliveryRecord(alertId, {
+    status: ALERT_STATUS.DELIVERED,
+    attempts: job.attemptsMade + 1,
+    deliveredAt: new Date().toISOString(),
+    lastError: null
+  });
+
+  // Only IDs and the test code are logged; the alert itself carries PHI
+  await logToCloudWatch("🟢 Critical result alert delivered", "INFO", {
+    step: "critical_alert_delivered",
+    alertId,
+    source,
+    msgId,
+    testCode: criticalResult.test.code,
+    status: response.status,
+    attempt: job.attemptsMade + 1,
+    service: "critical-alerts"
+  }, LOG_STREAM_NAME);
+
+  return { alertId, status: ALERT_STATUS.DELIVERED };
+}
+
+/**
+ * Records a failed delivery attempt; the alert is failed once its retries are exhausted.
+ * @param {Object} job - Failed Bull job.
+ * @param {Error} error - Error the attempt failed with.
+ */
+async function handleFailedDelivery(job, error) {
+  const { alertId, source, msgId, criticalResult } = job.data;
+  const exhausted = job.attemptsMade >= (job.opts.attempts || 1);
+
+  await updateDeliveryRecord(alertId, {
+    status: exhausted ? ALERT_STATUS.FAILED : ALERT_STATUS.QUEUED,
+    attempts: job.attemptsMade,
+    lastError: error.message
+  });
+
+  await logToCloudWatch(
+    exhausted ? "🟥 Critical result alert not delivered" : "🟠 Critical result alert delivery failed, retrying",
+    "ERROR",
+    {
+      step: exhausted ? "critical_alert_undelivered" : "critical_alert_retry",
+      alertId,
+      source,
+      msgId,
+      testCode: criticalResult.test.code,
+      attempt: job.attemptsMade,
+      error: error.message,
+      status: error.response?.status,
+      service: "critical-alerts"
+    },
+    LOG_STREAM_NAME
+  );
+}
+
+/**
+ * Starts delivering queued critical result alerts to the configured `criticalResults.webhookUrl`.
+ * @returns {Promise<Queue>} The alert queue.
+ */
+async function startCriticalAlertWorker() {
+  const queue = getAlertQueue();
+
+  await initializeCloudWatchLogs(LOG_STREAM_NAME);
+
+  queue.on("failed", (job, error) => {
+    handleFailedDelivery(job, error).catch((recordError) => {
+      console.error("Failed to record critical result alert failure:", recordError.message);
+    });
+  });
+
+  queue.process(deliverAlert);
+
+  return queue;
+}
+
+module.exports = {
+  enqueueCriticalAlerts,
+  getAlertDeliveryStatus,
+  startCriticalAlertWorker,
+  ALERT_STATUS
+};
@@ -0,0 +1,31 @@
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+const { s3Client, bucket } = require('./s3-client');
+
+/**
+ * Opens an S3 object as a stream so large files never have to fit in memory.
+ * @param {String} fileKey - S3 key of the object.
+ * @returns {Promise<{data: {body: import('stream').Readable, contentLength: Number}|null, error: string|null}>}
+ */
+async function getFileStream(fileKey) {
+  if (!fileKey) {
+    return { data: null, error: 'File key is required' };
+  }
+
+  try {
+    const response = await s3Client.send(
+      new GetObjectCommand({
+        Bucket: bucket,
+        Key: fileKey
+      })
+    );
+
+    return {
+      data: { body: response.Body, contentLength: response.ContentLength },
+      error: null
+    };
+  } catch (error) {
+    return { data: null, error: error.message };
+  }
+}
+
+module.exports = { getFileStream };
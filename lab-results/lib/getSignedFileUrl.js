@@ -1,7 +1,6 @@
 const { GetObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
-const { s3Client } = require('./s3-client');
-const { AWS_BUCKET } = process.env;
+const { s3Client, bucket } = require('./s3-client');
 
 async function getSignedFileUrl(fileKey) {
   if (!fileKey) {
@@ -10,7 +9,7 @@ async function getSignedFileUrl(fileKey) {
 
   try {
     const command = new GetObjectCommand({
-      Bucket: AWS_BUCKET,
+      Bucket: bucket,
       Key: fileKey
     });
 
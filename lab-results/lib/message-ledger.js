@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../../lib/redis');
+
+const LEDGER_KEY_PREFIX = 'lab-results:ledger';
+// Quarantined messages are kept apart from delivered ones, so a re-send is processed again
+const QUARANTINE_KEY_PREFIX = 'lab-results:quarantine';
+// Keep delivered message hashes long enough to cover any re-send window
+const LEDGER_TTL_SECONDS = 60 * 60 * 24 * 180;
+
+const MESSAGE_STATUS = {
+  NEW: 'new',
+  DUPLICATE: 'duplicate',
+  UPDATED: 'updated'
+};
+
+/**
+ * Hashes HL7 content, ignoring line-ending differences between re-sends.
+ * @param {String} content - Raw HL7 message.
+ * @returns {String} SHA-256 hex digest.
+ */
+function hashMessageContent(content) {
+  const normalized = String(content || '')
+    .replace(/\r\n|\n/g, '\r')
+    .trim();
+
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function getLedgerKey(source, messageId) {
+  return `${LEDGER_KEY_PREFIX}:${source}:${messageId}`;
+}
+
+function getQuarantineKey(source, messageId) {
+  return `${QUARANTINE_KEY_PREFIX}:${source}:${messageId}`;
+}
+
+/**
+ * Classifies extracted messages against the processed-message ledger.
+ * Messages without a MsgID are keyed by their content hash. Only delivered messages count as
+ * duplicates; a message quarantined earlier is new (or updated) again and carries `quarantined`.
+ * @param {String} source - Lab the messages came from, e.g. `lifelabs`.
+ * @param {Array<{id: string, content: string}>} messages - Extracted HL7 messages.
+ * @returns {Promise<{data: Array<{id: string, content: string, hash: string, status: string, quarantined: {hash: string, quarantineKey: string, quarantinedAt: string}|null}>|null, error: string|null}>}
+ */
+async function classifyMessages(source, messages) {
+  if (messages.length === 0) {
+    return { data: [], error: null };
+  }
+
+  try {
+    const hashedMessages = messages.map((message) => {
+      const hash = hashMessageContent(message.content);
+
+      return { ...message, id: message.id || hash, hash };
+    });
+
+    const stored = await getRedisClient().mget([
+      ...hashedMessages.map((message) => getLedgerKey(source, message.id)),
+      ...hashedMessages.map((message) => getQuarantineKey(source, message.id))
+    ]);
+
+    const data = hashedMessages.map((message, index) => {
+      const deliveredHash = stored[index];
+      const quarantined = stored[hashedMessages.length + index];
+      let status = MESSAGE_STATUS.NEW;
+
+      if (deliveredHash === message.hash) {
+        status = MESSAGE_STATUS.DUPLICATE;
+      } else if (deliveredHash) {
+        status = MESSAGE_STATUS.UPDATED;
+      }
+
+      return { ...message, status, quarantined: quarantined ? JSON.parse(quarantined) : null };
+    });
+
+    return { data, error: null };
+  } catch (error) {
+    return { data: null, error: error.message };
+  }
+}
+
+/**
+ * Records messages as delivered so later re-sends are recognized, clearing any earlier quarantine.
+ * @param {String} source - Lab the messages came from, e.g. `lifelabs`.
+ * @param {Array<{id: string, hash: string}>} messages - Classified messages that were delivered.
+ * @returns {Promise<{data: Number|null, error: string|null}>} Number of recorded messages.
+ */
+async function recordDeliveredMessages(source, messages) {
+  if (messages.length === 0) {
+    return { data: 0, error: null };
+  }
+
+  try {
+    const pipeline = getRedisClient().pipeline();
+
+    messages.forEach((message) => {
+      pipeline.set(
+        getLedgerKey(source, message.id),
+        message.hash,
+        'EX',
+        LEDGER_TTL_SECONDS
+      );
+      pipeline.del(getQuarantineKey(source, message.id));
+    });
+
+    const results = await pipeline.exec();
+    const failedResult = results.find(([error]) => error);
+
+    if (failedResult) {
+      throw failedResult[0];
+    }
+
+    return { data: messages.length, error: null };
+  } catch (error) {
+    return { data: null, error: error.message };
+  }
+}
+
+/**
+ * Records messages that failed to parse and were quarantined. They are not marked as delivered,
+ * so an unchanged re-send is parsed again rather than skipped as a duplicate.
+ * @param {String} source - Lab the messages came from, e.g. `lifelabs`.
+ * @param {Array<{id: string, hash: string, quarantineKey: string}>} messages - Quarantined messages and their S3 keys.
+ * @returns {Promise<{data: Number|null, error: string|null}>} Number of recorded messages.
+ */
+async function recordQuarantinedMessages(source, messages) {
+  if (messages.length === 0) {
+    return { data: 0, error: null };
+  }
+
+  try {
+    const quarantinedAt = new Date().toISOString();
+    const pipeline = getRedisClient().pipeline();
+
+    messages.forEach((message) => {
+      pipeline.set(
+        getQuarantineKey(source, message.id),
+        JSON.stringify({ hash: message.hash, quarantineKey: message.quarantineKey, quarantinedAt }),
+        'EX',
+        LEDGER_TTL_SECONDS
+      );
+    });
+
+    const results = await pipeline.exec();
+    const failedResult = results.find(([error]) => error);
+
+    if (failedResult) {
+      throw failedResult[0];
+    }
+
+    return { data: messages.length, error: null };
+  } catch (error) {
+    return { data: null, error: error.message };
+  }
+}
+
+module.exports = {
+  classifyMessages,
+  recordDeliveredMessages,
+  recordQuarantinedMessages,
+  hashMessageContent,
+  MESSAGE_STATUS
+};
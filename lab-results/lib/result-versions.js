@@ -0,0 +1,272 @@
+const { getRedisClient } = require('../../lib/redis');
+
+const RESULTS_KEY_PREFIX = 'lab-results:results';
+// Corrections can arrive months after the original result
+const RESULTS_TTL_SECONDS = 60 * 60 * 24 * 365;
+
+// Observation fields compared between revisions
+const TRACKED_FIELDS = ['value', 'units', 'abnormalFlag', 'referenceRange', 'status'];
+
+// OBR-25 / OBX-11 result status of a correction
+const CORRECTED_STATUS = 'C';
+const FINAL_STATUS = 'F';
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {String} field - One of value, units, abnormalFlag, referenceRange, status.
+ * @property {String} previous - Value in the previous revision.
+ * @property {String} current - Value in this revision.
+ */
+
+/**
+ * @typedef {Object} ResultRevision
+ * @property {String} msgId - Message carrying the revision.
+ * @property {String} fillerOrderNumber - OBR-3 accession.
+ * @property {String} observationKey - Observation identifier, with sub-ID and occurrence when repeated.
+ * @property {Number} revision - Revision number, 1 for the first result received.
+ * @property {Boolean} corrected - The revision corrects a final or corrected result.
+ * @property {Array<FieldChange>} changes - Fields that differ from the previous revision.
+ * @property {Object} snapshot - Tracked fields of this revision.
+ */
+
+function getResultsKey(source, fillerOrderNumber) {
+  return `${RESULTS_KEY_PREFIX}:${source}:${fillerOrderNumber}`;
+}
+
+function getRevisionsKey(source, fillerOrderNumber) {
+  return `${getResultsKey(source, fillerOrderNumber)}:revisions`;
+}
+
+/**
+ * Reads a field that either parser may split into components, e.g. OBR-3 or OBX-3.1.
+ * @param {any} value - Field value.
+ * @returns {String} First component as text.
+ */
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return toText(value.id ?? Object.values(value)[0]);
+  return String(value).trim();
+}
+
+/**
+ * Captures the tracked fields of an observation.
+ * @param {Object} observation - Parsed OBX.
+ * @returns {Object} Snapshot of the tracked fields.
+ */
+function toSnapshot(observation) {
+  return {
+    // Documents are compared by content rather than by their S3 location
+    value: observation.document
+      ? `document:${observation.document.checksum}`
+      : [].concat(observation.observationResults ?? []).map(String).join('\n'),
+    units: toText(observation.units),
+    abnormalFlag: toText(observation.abnormalFlag || observation.abnormalFlags),
+    referenceRange: toText(observation.referenceRange?.text ?? observation.referenceRange),
+    status: toText(observation.observationResultStatus)
+  };
+}
+
+/**
+ * Lists the result groups (OBR with its OBX) of a parsed message with their observation keys.
+ * Labs repeat an identifier for multi-line text results, so repeats are numbered.
+ * @param {Object} parsedMessage - Output of parseHL7Message or parseEMRHL7Message.
+ * @returns {Array<{fillerOrderNumber: String, labResult: Object, observations: Array<{key: String, observation: Object}>}>}
+ */
+function getResultGroups(parsedMessage) {
+  const groups = [];
+
+  (parsedMessage.patients || []).forEach((patient) =>
+    (patient.orders || []).forEach((order) =>
+      (order.labResults || []).forEach((labResult) => {
+        const fillerOrderNumber = toText(labResult.fillerOrderNumber);
+        if (!fillerOrderNumber) return;
+
+        const occurrences = new Map();
+        const observations = (labResult.observations || []).map((observation) => {
+          const identifier = observation.observationIdentifier || {};
+          const subId = toText(observation.observationSubId);
+          const baseKey = [toText(identifier.gdmlTestCode ?? identifier.identifier), subId]
+            .filter(Boolean)
+            .join('.');
+          const occurrence = (occurrences.get(baseKey) || 0) + 1;
+          occurrences.set(baseKey, occurrence);
+
+          return {
+            key: occurrence > 1 ? `${baseKey}#${occurrence}` : baseKey,
+            observation
+          };
+        });
+
+        groups.push({ fillerOrderNumber, labResult, observations });
+      })
+    )
+  );
+
+  return groups;
+}
+
+/**
+ * Tracks result revisions per accession (OBR-3) and observation across messages and cycles.
+ * `compare` marks changed observations in a parsed message; `markDelivered` accepts a message's
+ * revisions once it is delivered; `record` stores the accepted revisions. Revisions of messages
+ * that were compared but never delivered are dropped, so later results aren't compared with them.
+ * @param {String} source - Lab the results came from, e.g. `lifelabs`.
+ * @returns {{compare: (msgId: String, parsedMessage: Object) => Promise<{data: Array<ResultRevision>|null, error: string|null}>, markDelivered: (msgId: String) => void, record: () => Promise<{data: Number|null, error: string|null}>}}
+ */
+function createResultVersionTracker(source) {
+  // Latest revision per accession and observation, including delivered revisions not yet recorded
+  const latestRevisions = new Map();
+  // Revisions per compared message, until the message is delivered
+  const comparedRevisions = new Map();
+  const pendingRevisions = [];
+
+  const loadRevisions = async (fillerOrderNumbers) => {
+    const missing = [...new Set(fillerOrderNumbers)].filter(
+      (fillerOrderNumber) => !latestRevisions.has(fillerOrderNumber)
+    );
+
+    if (missing.length === 0) return;
+
+    const pipeline = getRedisClient().pipeline();
+    missing.forEach((fillerOrderNumber) => pipeline.hgetall(getResultsKey(source, fillerOrderNumber)));
+
+    const results = await pipeline.exec();
+
+    results.forEach(([error, stored], index) => {
+      if (error) throw error;
+
+      const revisions = new Map(
+        Object.entries(stored || {}).map(([key, value]) => [key, JSON.parse(value)])
+      );
+      latestRevisions.set(missing[index], revisions);
+    });
+  };
+
+  /**
+   * Compares a parsed message with earlier delivered revisions of its results. Changed observations
+   * get a `revision` property with the revision number, a `corrected` flag and the field changes.
+   * @param {String} msgId - Message ID.
+   * @param {Object} parsedMessage - Parsed message; annotated in place.
+   * @returns {Promise<{data: Array<ResultRevision>|null, error: string|null}>} Revisions of results seen before.
+   */
+  const compare = async (msgId, parsedMessage) => {
+    try {
+      const groups = getResultGroups(parsedMessage);
+      await loadRevisions(groups.map((group) => group.fillerOrderNumber));
+
+      const revisions = [];
+      const candidates = [];
+
+      groups.forEach(({ fillerOrderNumber, labResult, observations }) => {
+        const stored = latestRevisions.get(fillerOrderNumber);
+
+        observations.forEach(({ key, observation }) => {
+          const snapshot = toSnapshot(observation);
+          const previous = stored.get(key);
+
+          const changes = previous
+            ? TRACKED_FIELDS.filter((field) => previous.snapshot[field] !== snapshot[field]).map(
+                (field) => ({
+                  field,
+                  previous: previous.snapshot[field],
+                  current: snapshot[field]
+                })
+              )
+            : [];
+
+          // A re-sent result is not a new revision
+          if (previous && changes.length === 0) return;
+
+          const status = snapshot.status || toText(labResult.resultStatus);
+          const revision = {
+            msgId,
+            fillerOrderNumber,
+            observationKey: key,
+            revision: previous ? previous.revision + 1 : 1,
+            corrected:
+              Boolean(previous) &&
+              (status === CORRECTED_STATUS ||
+                [FINAL_STATUS, CORRECTED_STATUS].includes(previous.snapshot.status)),
+            changes,
+            snapshot
+          };
+
+          candidates.push(revision);
+
+          if (previous) {
+            observation.revision = {
+              number: revision.revision,
+              corrected: revision.corrected,
+              changes
+            };
+            revisions.push(revision);
+          }
+        });
+      });
+
+      comparedRevisions.set(msgId, candidates);
+
+      return { data: revisions, error: null };
+    } catch (error) {
+      return { data: null, error: error.message };
+    }
+  };
+
+  /**
+   * Accepts the revisions of a compared message once it is delivered: later messages are compared
+   * with them, and `record` stores them.
+   * @param {String} msgId - Message ID passed to `compare`.
+   */
+  const markDelivered = (msgId) => {
+    (comparedRevisions.get(msgId) || []).forEach((revision) => {
+      latestRevisions.get(revision.fillerOrderNumber).set(revision.observationKey, revision);
+      pendingRevisions.push(revision);
+    });
+
+    comparedRevisions.delete(msgId);
+  };
+
+  /**
+   * Stores the revisions of delivered messages as the latest ones, with a history per accession.
+   * @returns {Promise<{data: Number|null, error: string|null}>} Number of recorded revisions.
+   */
+  const record = async () => {
+    if (pendingRevisions.length === 0) {
+      return { data: 0, error: null };
+    }
+
+    try {
+      const recordedAt = new Date().toISOString();
+      const pipeline = getRedisClient().pipeline();
+
+      pendingRevisions.forEach(({ fillerOrderNumber, observationKey, ...revision }) => {
+        const resultsKey = getResultsKey(source, fillerOrderNumber);
+        const revisionsKey = getRevisionsKey(source, fillerOrderNumber);
+        const entry = { ...revision, observationKey, recordedAt };
+
+        pipeline.hset(resultsKey, observationKey, JSON.stringify(entry));
+        pipeline.rpush(revisionsKey, JSON.stringify(entry));
+        pipeline.expire(resultsKey, RESULTS_TTL_SECONDS);
+        pipeline.expire(revisionsKey, RESULTS_TTL_SECONDS);
+      });
+
+      const results = await pipeline.exec();
+      const failedResult = results.find(([error]) => error);
+
+      if (failedResult) {
+        throw failedResult[0];
+      }
+
+      const recorded = pendingRevisions.length;
+      pendingRevisions.length = 0;
+
+      return { data: recorded, error: null };
+    } catch (error) {
+      return { data: null, error: error.message };
+    }
+  };
+
+  return { compare, markDelivered, record };
+}
+
+module.exports = { createResultVersionTracker };
@@ -1,35 +1,15 @@
-// Load env variables from .env file
-require('dotenv').config();
 const { S3Client } = require('@aws-sdk/client-s3');
+const { getConfig } = require('../../lib/config');
 
-const { AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_REGION, AWS_BUCKET } =
-  process.env;
+// Region and bucket are required settings, validated when the config loads
+const { accessKeyId, secretAccessKey, region, bucket } = getConfig().aws;
 
-console.log(`⚪️ AWS AWS_BUCKET: ${AWS_BUCKET} :: AWS_ACCESS_KEY_ID: ${AWS_ACCESS_KEY_ID}`);
-
-const missingVars = Object.entries({
-  AWS_ACCESS_KEY_ID,
-  AWS_SECRET_ACCESS_KEY,
-  AWS_REGION,
-  AWS_BUCKET,
-})
-  .filter(([_key, value]) => !value)
-  .map(([key]) => key);
-
-if (missingVars.length > 0) {
-  const error = new Error(
-    `Missing environment variables: ${missingVars.join(', ')}`,
-  );
-
-  throw error;
-}
+console.log(`⚪️ AWS AWS_BUCKET: ${bucket}`);
 
+// Static keys when configured, otherwise the SDK's default credential provider chain
 const s3Client = new S3Client({
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-  region: AWS_REGION,
+  ...(accessKeyId ? { credentials: { accessKeyId, secretAccessKey } } : {}),
+  region,
 });
 
-module.exports = { s3Client };
\ No newline at end of file
+module.exports = { s3Client, bucket };
\ No newline at end of file
@@ -1,10 +1,8 @@
-const { s3Client } = require('./s3-client');
+const { s3Client, bucket: defaultBucket } = require('./s3-client');
 const { Upload } = require('@aws-sdk/lib-storage');
 
-const { AWS_BUCKET } = process.env;
-
 async function uploadFileToS3({
-  bucket = AWS_BUCKET,
+  bucket = defaultBucket,
   file,
   fileKey,
   fileType,
@@ -0,0 +1,67 @@
+const { once } = require('events');
+const { PassThrough } = require('stream');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { s3Client, bucket: defaultBucket } = require('./s3-client');
+
+/**
+ * Starts a multipart upload whose body is written piece by piece.
+ * Writes wait for the upload to drain, so memory stays bounded by the part size.
+ * Call `end` to finish the upload, or `abort` to discard it.
+ * @returns {{write: (chunk: String) => Promise<void>, end: () => Promise<{data: Object|null, error: Object|null}>, abort: () => Promise<void>}}
+ */
+function uploadStreamToS3({
+  bucket = defaultBucket,
+  fileKey,
+  fileType,
+}) {
+  const body = new PassThrough();
+
+  const upload = new Upload({
+    client: s3Client,
+    params: {
+      Body: body,
+      Bucket: bucket,
+      ContentType: fileType,
+      Key: fileKey,
+    },
+  });
+
+  const done = upload.done().then(
+    (data) => ({ data, error: null }),
+    (error) => ({
+      data: null,
+      error: {
+        message: 'Error uploading file to S3',
+        originalError: error,
+      },
+    })
+  );
+
+  const write = async (chunk) => {
+    if (!body.write(chunk)) {
+      // A failed upload stops reading, so don't wait for a drain that never comes
+      const result = await Promise.race([once(body, 'drain'), done]);
+
+      if (result?.error) {
+        throw result.error.originalError;
+      }
+    }
+  };
+
+  const end = async () => {
+    body.end();
+    return done;
+  };
+
+  const abort = async () => {
+    try {
+      await upload.abort();
+    } finally {
+      body.destroy();
+    }
+  };
+
+  return { write, end, abort };
+}
+
+module.exports = { uploadStreamToS3 };
@@ -0,0 +1,443 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Queue = require('bull');
+
+const { REDIS_CONFIG, getRedisClient } = require('../../lib/redis');
+const { logToCloudWatch, initializeCloudWatchLogs } = require('../../lib/cloudwatch-logger');
+const { getConfig } = require('../../lib/config');
+
+const WEBHOOK_QUEUE_NAME = 'webhook-deliveries';
+const WEBHOOK_DEAD_LETTER_QUEUE_NAME = `${WEBHOOK_QUEUE_NAME}-dead-letter`;
+const LOG_STREAM_NAME = 'webhook-deliveries';
+
+// Bumped whenever an event's envelope or data changes incompatibly
+const WEBHOOK_EVENT_VERSION = 1;
+
+const WEBHOOK_KEY_PREFIX = 'lab-results:webhooks';
+const WEBHOOK_TTL_SECONDS = 60 * 60 * 24 * 30;
+
+const DELIVERY_RETRY = { attempts: 10, backoffDelay: 1000 * 30 };
+const DELIVERY_TIMEOUT_MS = 1000 * 10;
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const DELIVERY_STATUS = {
+  QUEUED: 'queued',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+/**
+ * @typedef {Object} WebhookEvent
+ * @property {String} id - Event ID, also sent as the idempotency key; the same when an event is sent again.
+ * @property {String} type - Event type, e.g. `lab-results.received`.
+ * @property {Number} version - Event schema version.
+ * @property {String} createdAt - When the event was created.
+ * @property {Object} data - Event data, shaped by `type` and `version`.
+ */
+
+/**
+ * @typedef {Object} WebhookDelivery
+ * @property {String} eventId - Event ID.
+ * @property {String} type - Event type.
+ * @property {String} url - Endpoint the event is posted to.
+ * @property {String} status - queued, delivered or failed.
+ * @property {Number} attempts - Delivery attempts made so far.
+ * @property {String} queuedAt - When the event was queued.
+ * @property {String|null} deliveredAt - When the endpoint accepted the event.
+ * @property {String|null} lastError - Error of the last failed attempt.
+ */
+
+/**
+ * @typedef {Object} DeliveryAttempt
+ * @property {Number} attempt - Attempt number, from 1.
+ * @property {String} attemptedAt - When the attempt started.
+ * @property {Number} durationMs - How long the attempt took.
+ * @property {Number|null} status - HTTP status of the response, if any.
+ * @property {String|null} error - Why the attempt failed.
+ */
+
+let webhookQueue = null;
+let deadLetterQueue = null;
+
+/**
+ * Returns the webhook delivery queue, creating it on first use.
+ * @returns {Queue} Bull queue.
+ */
+function getWebhookQueue() {
+  if (!webhookQueue) {
+    webhookQueue = new Queue(WEBHOOK_QUEUE_NAME, { redis: REDIS_CONFIG });
+  }
+
+  return webhookQueue;
+}
+
+/**
+ * Returns the queue holding events whose retries ran out, creating it on first use.
+ * Nothing processes it; events wait there until `redeliverDeadLetteredWebhook` re-queues them.
+ * @returns {Queue} Bull queue.
+ */
+function getWebhookDeadLetterQueue() {
+  if (!deadLetterQueue) {
+    deadLetterQueue = new Queue(WEBHOOK_DEAD_LETTER_QUEUE_NAME, { redis: REDIS_CONFIG });
+  }
+
+  return deadLetterQueue;
+}
+
+function getDeliveryKey(eventId) {
+  return `${WEBHOOK_KEY_PREFIX}:${eventId}`;
+}
+
+function getAttemptsKey(eventId) {
+  return `${getDeliveryKey(eventId)}:attempts`;
+}
+
+/**
+ * Creates a versioned webhook event.
+ * @param {String} type - Event type, e.g. `lab-results.received`.
+ * @param {Object} data - Event data.
+ * @param {Object} [options]
+ * @param {String} [options.idempotencyKey] - Stable event ID, so the receiver can drop an event sent twice. Random by default.
+ * @returns {WebhookEvent} Event.
+ */
+function createWebhookEvent(type, data, { idempotencyKey } = {}) {
+  return {
+    id: idempotencyKey || crypto.randomUUID(),
+    type,
+    version: WEBHOOK_EVENT_VERSION,
+    createdAt: new Date().toISOString(),
+    data
+  };
+}
+
+/**
+ * Signs a webhook body. Receivers recompute the HMAC over `<timestamp>.<body>` with the shared
+ * secret and compare it with the signature header; the timestamp lets them reject replays.
+ * @param {String} body - Serialized event.
+ * @param {String} timestamp - Unix time in seconds, as sent in the timestamp header.
+ * @param {String} secret - Shared signing secret.
+ * @returns {String} Signature header value, e.g. `sha256=…`.
+ */
+function signWebhookPayload(body, timestamp, secret) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+  return `sha256=${digest}`;
+}
+
+/**
+ * Posts a signed event to an endpoint.
+ * @param {String} url - Endpoint to post to.
+ * @param {WebhookEvent} event - Event to post.
+ * @param {Object} [options]
+ * @param {String} [options.secret] - Signing secret. Defaults to the configured `webhooks.signingSecret`.
+ * @returns {Promise<Object>} Axios response.
+ * @throws {Error} When no signing secret is configured, or the endpoint doesn't accept the event.
+ */
+async function postWebhook(url, event, { secret = getConfig().webhooks.signingSecret } = {}) {
+  if (!secret) {
+    throw new Error('WEBHOOK_SIGNING_SECRET is not configured');
+  }
+
+  const body = JSON.stringify(event);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  return axios.post(url, body, {
+    timeout: DELIVERY_TIMEOUT_MS,
+    headers: {
+      'Content-Type': 'application/json',
+      [IDEMPOTENCY_HEADER]: event.id,
+      [TIMESTAMP_HEADER]: timestamp,
+      [SIGNATURE_HEADER]: signWebhookPayload(body, timestamp, secret)
+    }
+  });
+}
+
+/**
+ * Returns the delivery record of an event and its delivery attempts.
+ * @param {String} eventId - Event ID.
+ * @returns {Promise<{data: {delivery: WebhookDelivery, attempts: Array<DeliveryAttempt>}|null, error: string|null}>}
+ * Delivery log, null when the event is unknown.
+ */
+async function getWebhookDeliveryLog(eventId) {
+  try {
+    const [[deliveryError, delivery], [attemptsError, attempts]] = await getRedisClient()
+      .pipeline()
+      .get(getDeliveryKey(eventId))
+      .lrange(getAttemptsKey(eventId), 0, -1)
+      .exec();
+
+    if (deliveryError || attemptsError) throw deliveryError || attemptsError;
+
+    if (!delivery) {
+      return { data: null, error: null };
+    }
+
+    return {
+      data: {
+        delivery: JSON.parse(delivery),
+        attempts: (attempts || []).map((attempt) => JSON.parse(attempt))
+      },
+      error: null
+    };
+  } catch (error) {
+    return { data: null, error: error.message };
+  }
+}
+
+async function updateDeliveryRecord(eventId, changes, attempt) {
+  const stored = await getRedisClient().get(getDeliveryKey(eventId));
+  const updated = { ...(stored ? JSON.parse(stored) : {}), ...changes };
+
+  const pipeline = getRedisClient()
+    .pipeline()
+    .set(getDeliveryKey(eventId), JSON.stringify(updated), 'EX', WEBHOOK_TTL_SECONDS);
+
+  if (attempt) {
+    pipeline
+      .rpush(getAttemptsKey(eventId), JSON.stringify(attempt))
+      .expire(getAttemptsKey(eventId), WEBHOOK_TTL_SECONDS);
+  }
+
+  const results = await pipeline.exec();
+  const failedResult = results.find(([error]) => error);
+
+  if (failedResult) {
+    throw failedResult[0];
+  }
+
+  return updated;
+}
+
+/**
+ * Queues an event for delivery. An event already queued or delivered is not queued again,
+ * so a retried polling cycle doesn't notify twice.
+ * @param {String} url - Endpoint to post to.
+ * @param {WebhookEvent} event - Event to deliver.
+ * @returns {Promise<{data: {eventId: String, status: String}|null, error: string|null}>} Delivery status.
+ */
+async function enqueueWebhook(url, event) {
+  try {
+    const stored = await getRedisClient().get(getDeliveryKey(event.id));
+    const existing = stored ? JSON.parse(stored) : null;
+
+    if (existing && existing.status !== DELIVERY_STATUS.FAILED) {
+      return { data: { eventId: event.id, status: existing.status }, error: null };
+    }
+
+    const queuedAt = new Date().toISOString();
+
+    await updateDeliveryRecord(event.id, {
+      eventId: event.id,
+      type: event.type,
+      url,
+      status: DELIVERY_STATUS.QUEUED,
+      attempts: 0,
+      queuedAt,
+      deliveredAt: null,
+      lastError: null
+    });
+
+    await getWebhookQueue().add(
+      { url, event },
+      {
+        // Failed jobs are kept for inspection, so a re-queued event needs a new job ID
+        jobId: `${event.id}:${queuedAt}`,
+        attempts: DELIVERY_RETRY.attempts,
+        backoff: { type: 'exponential', delay: DELIVERY_RETRY.backoffDelay },
+        removeOnComplete: true,
+        removeOnFail: false
+      }
+    );
+
+    return { data: { eventId: event.id, status: DELIVERY_STATUS.QUEUED }, error: null };
+  } catch (error) {
+    return { data: null, error: error.message };
+  }
+}
+
+/**
+ * Posts one queued event and logs the attempt.
+ * @param {Object} job - Bull job queued by `enqueueWebhook`.
+ */
+async function deliverWebhook(job) {
+  const { url, event } = job.data;
+  const attempt = job.attemptsMade + 1;
+  const attemptedAt = new Date().toISOString();
+  const startedAt = Date.now();
+
+  let response;
+  try {
+    response = await postWebhook(url, event);
+  } catch (error) {
+    // Kept on the job so the failed handler can log the attempt
+    error.attempt = {
+      attempt,
+      attemptedAt,
+      durationMs: Date.now() - startedAt,
+      status: error.response?.status || null,
+      error: error.message
+    };
+    throw error;
+  }
+
+  await updateDeliveryRecord(
+    event.id,
+    {
+      status: DELIVERY_STATUS.DELIVERED,
+      attempts: attempt,
+      deliveredAt: new Date().toISOString(),
+      lastError: null
+    },
+    { attempt, attemptedAt, durationMs: Date.now() - startedAt, status: response.status, error: null }
+  );
+
+  await logToCloudWatch("🟢 Webhook delivered", "INFO", {
+    step: "webhook_delivered",
+    eventId: event.id,
+    type: event.type,
+    url,
+    status: response.status,
+    attempt,
+    service: "webhooks"
+  }, LOG_STREAM_NAME);
+
+  return { eventId: event.id, status: DELIVERY_STATUS.DELIVERED };
+}
+
+/**
+ * Records a failed delivery attempt. Once its retries are exhausted the event is failed and moved
+ * to the dead-letter queue, and an error is logged for alerting: the results it announces were
+ * already acknowledged to the lab, so the receiver only learns of them once it's redelivered.
+ * @param {Object} job - Failed Bull job.
+ * @param {Error} error - Error the attempt failed with.
+ */
+async function handleFailedDelivery(job, error) {
+  const { url, event } = job.data;
+  const exhausted = job.attemptsMade >= (job.opts.attempts || 1);
+
+  await updateDeliveryRecord(
+    event.id,
+    {
+      status: exhausted ? DELIVERY_STATUS.FAILED : DELIVERY_STATUS.QUEUED,
+      attempts: job.attemptsMade,
+      lastError: error.message
+    },
+    error.attempt || {
+      attempt: job.attemptsMade,
+      attemptedAt: new Date().toISOString(),
+      durationMs: 0,
+      status: null,
+      error: error.message
+    }
+  );
+
+  if (!exhausted) {
+    await logToCloudWatch("🟠 Webhook delivery failed, retrying", "ERROR", {
+      step: "webhook_retry",
+      eventId: event.id,
+      type: event.type,
+      url,
+      attempt: job.attemptsMade,
+      error: error.message,
+      status: error.response?.status,
+      service: "webhooks"
+    }, LOG_STREAM_NAME);
+    return;
+  }
+
+  const deadLetter = await getWebhookDeadLetterQueue().add(
+    {
+      url,
+      event,
+      originalJobId: job.id,
+      error: error.message,
+      attemptsMade: job.attemptsMade,
+      failedAt: new Date().toISOString()
+    },
+    { removeOnComplete: false, removeOnFail: false }
+  );
+
+  await logToCloudWatch("🟥 Webhook not delivered, moved to dead-letter queue", "ERROR", {
+    step: "webhook_undelivered",
+    eventId: event.id,
+    type: event.type,
+    url,
+    deadLetterJobId: deadLetter.id,
+    attempt: job.attemptsMade,
+    error: error.message,
+    status: error.response?.status,
+    service: "webhooks"
+  }, LOG_STREAM_NAME);
+}
+
+/**
+ * Queues a dead-lettered event for delivery again, with a fresh set of retries, and removes it
+ * from the dead-letter queue.
+ * @param {String} deadLetterJobId - Dead-letter job ID, as logged with `webhook_undelivered`.
+ * @returns {Promise<{data: {eventId: String, status: String}|null, error: string|null}>} Delivery status.
+ */
+async function redeliverDeadLetteredWebhook(deadLetterJobId) {
+  try {
+    const deadLetter = await getWebhookDeadLetterQueue().getJob(deadLetterJobId);
+
+    if (!deadLetter) {
+      return { data: null, error: `Dead-lettered webhook ${deadLetterJobId} not found` };
+    }
+
+    const { data, error } = await enqueueWebhook(deadLetter.data.url, deadLetter.data.event);
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    await deadLetter.remove();
+
+    await logToCloudWatch("⚪️ Dead-lettered webhook queued again", "INFO", {
+      step: "webhook_redelivery_queued",
+      eventId: data.eventId,
+      type: deadLetter.data.event.type,
+      url: deadLetter.data.url,
+      deadLetterJobId,
+      service: "webhooks"
+    }, LOG_STREAM_NAME);
+
+    return { data, error: null };
+  } catch (error) {
+    return { data: null, error: error.message };
+  }
+}
+
+/**
+ * Starts delivering queued webhook events.
+ * @returns {Promise<Array<Queue>>} The webhook queue and its dead-letter queue.
+ */
+async function startWebhookWorker() {
+  const queue = getWebhookQueue();
+
+  await initializeCloudWatchLogs(LOG_STREAM_NAME);
+
+  queue.on("failed", (job, error) => {
+    handleFailedDelivery(job, error).catch((recordError) => {
+      console.error("Failed to record webhook delivery failure:", recordError.message);
+    });
+  });
+
+  queue.process(deliverWebhook);
+
+  return [queue, getWebhookDeadLetterQueue()];
+}
+
+module.exports = {
+  createWebhookEvent,
+  signWebhookPayload,
+  postWebhook,
+  enqueueWebhook,
+  getWebhookDeliveryLog,
+  redeliverDeadLetteredWebhook,
+  startWebhookWorker,
+  DELIVERY_STATUS,
+  WEBHOOK_EVENT_VERSION
+};
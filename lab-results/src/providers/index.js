@@ -0,0 +1,78 @@
+/**
+ * Registry of lab integrations polled by the scheduler.
+ *
+ * Each provider declares how to talk to its lab (authenticate, fetch, acknowledge, logout),
+ * how to parse what it fetched, how often to poll and where to log. The scheduler creates
+ * one Bull queue and one repeatable job per registered provider.
+ *
+ * @typedef {Object} Provider
+ * @property {String} name - Unique provider name, e.g. `lifelabs`.
+ * @property {String} queueName - Name of the Bull queue the provider's jobs run on.
+ * @property {Number} interval - Polling interval in milliseconds.
+ * @property {String} logStreamName - CloudWatch log stream for the provider's cycles.
+ * @property {() => Promise<Object>} authenticate - Opens a session with the lab.
+ * @property {(session: Object) => Promise<{success: Boolean, s3Key?: String, response?: Object}>} fetchResults - Fetches new results.
+ * @property {(session: Object, status: String) => Promise<Object>} acknowledge - Acknowledges fetched results.
+ * @property {(session: Object) => Promise<void>} logout - Closes the session.
+ * @property {(s3Key: String) => Promise<{parsedMessageCount?: Number, outputFileKey?: String, error?: String, retryable?: Boolean}>} parse - Parses, stores and delivers the fetched file. Returns `error` (and `retryable: false` for permanent failures) when any of those steps failed. Delivery counts as done once the notification is queued; the Positive ack doesn't wait for the webhook.
+ * @property {{attempts?: Number, backoffDelay?: Number}} [retry] - Attempts per cycle and base exponential backoff delay in milliseconds.
+ * @property {String|null} [negativeAckStatus] - Ack status sent when `parse` fails. When unset the ack is skipped so the lab re-sends.
+ */
+
+const REQUIRED_PROVIDER_FIELDS = [
+  'name',
+  'queueName',
+  'interval',
+  'logStreamName',
+  'authenticate',
+  'fetchResults',
+  'acknowledge',
+  'logout',
+  'parse'
+];
+
+const providers = new Map();
+
+/**
+ * Registers a provider with the scheduler.
+ * @param {Provider} provider - Provider definition.
+ * @returns {Provider} The registered provider.
+ */
+function registerProvider(provider) {
+  const missingFields = REQUIRED_PROVIDER_FIELDS.filter(
+    (field) => provider?.[field] === undefined || provider?.[field] === null
+  );
+
+  if (missingFields.length > 0) {
+    throw new Error(
+      `Provider "${provider?.name || 'unknown'}" is missing: ${missingFields.join(', ')}`
+    );
+  }
+
+  if (providers.has(provider.name)) {
+    throw new Error(`Provider "${provider.name}" is already registered`);
+  }
+
+  providers.set(provider.name, provider);
+
+  return provider;
+}
+
+/**
+ * Returns a registered provider by name.
+ * @param {String} name - Provider name.
+ * @returns {Provider|undefined} The provider, if registered.
+ */
+function getProvider(name) {
+  return providers.get(name);
+}
+
+/**
+ * Returns all registered providers in registration order.
+ * @returns {Array<Provider>} Registered providers.
+ */
+function getProviders() {
+  return Array.from(providers.values());
+}
+
+module.exports = { registerProvider, getProvider, getProviders };
@@ -0,0 +1,104 @@
+const axios = require("axios");
+const { parseLifelabs } = require("../services/lifelabs-parser");
+const { logToCloudWatch } = require("../../../lib/cloudwatch-logger");
+const { IntegrationError } = require("../../../lib/errors");
+
+const LOG_STREAM_NAME = "scheduled-tasks-lifelabs";
+
+/**
+ * Builds the LifeLabs gateway endpoints from its base URL.
+ * @param {String} baseUrl - Gateway base URL, e.g. `http://localhost:8000/lifelabs`.
+ */
+function getEndpoints(baseUrl) {
+    const base = baseUrl.replace(/\/+$/, "");
+
+    return {
+      auth: `${base}/auth`,
+      fetch: `${base}/fetch-results`,
+      logout: `${base}/logout`,
+      acknowledge: `${base}/acknowledge`
+    };
+}
+
+async function authenticate(endpoints) {
+    const response = await axios.post(endpoints.auth);
+
+    await logToCloudWatch("⚪️ Authentication response", "INFO", { 
+      step: "authentication_response",
+      status: response?.status,
+      statusText: response?.statusText,
+      dataStatus: response?.data?.status,
+      responseData: response?.data,
+      hasSessionCookie: !!response?.data?.session_cookie,
+      hasAspxAuth: !!response?.data?.aspx_auth,
+      hasLp30Session: !!response?.data?.lp30_session
+    }, LOG_STREAM_NAME);
+    
+    if (response?.data?.status === "failed" || response?.data?.status !== 200 || response.data?.error) {
+        await logToCloudWatch(`🛑 Authentication failed`, "ERROR", { 
+          step: "authentication_failed", 
+          status: response?.status,
+          statusText: response?.statusText,
+          responseData: response?.data
+        }, LOG_STREAM_NAME);
+        
+        // Rejected credentials will not succeed on retry
+        throw new IntegrationError("Authentication failed", { retryable: false });
+    }
+    
+    const { session_cookie, aspx_auth, lp30_session } = response.data;
+
+    return { session_cookie, aspx_auth, lp30_session };
+}
+
+async function fetchResults(endpoints, session) {
+    const response = await axios.post(endpoints.fetch, session);
+
+    return {
+      success: response.data.status === "success",
+      s3Key: response.data.s3_key,
+      response: response.data
+    };
+}
+
+async function acknowledge(endpoints, session, status) {
+    const response = await axios.post(endpoints.acknowledge, {
+      ...session,
+      status,
+    });
+
+    return response.data;
+}
+
+async function logout(endpoints, session) {
+    await axios.post(endpoints.logout, session);
+}
+
+/**
+ * Creates the LifeLabs provider from its configuration.
+ * @param {Object} options
+ * @param {String} options.baseUrl - LifeLabs gateway base URL.
+ * @param {Number} options.pollIntervalMinutes - Minutes between polling cycles.
+ * @param {String} options.receivedResultsUrl - Endpoint notified of processed files.
+ * @param {Array<String>} options.outputFormats - Output formats to store, e.g. `['json', 'fhir']`.
+ * @returns {import("./index").Provider} LifeLabs provider.
+ */
+function createLifelabsProvider({ baseUrl, pollIntervalMinutes, receivedResultsUrl, outputFormats }) {
+    const endpoints = getEndpoints(baseUrl);
+
+    return {
+      name: "lifelabs",
+      queueName: "requestQueue",
+      interval: 1000 * 60 * pollIntervalMinutes,
+      logStreamName: LOG_STREAM_NAME,
+      authenticate: () => authenticate(endpoints),
+      fetchResults: (session) => fetchResults(endpoints, session),
+      acknowledge: (session, status) => acknowledge(endpoints, session, status),
+      logout: (session) => logout(endpoints, session),
+      parse: (s3Key) => parseLifelabs(s3Key, { receivedResultsUrl, outputFormats }),
+      negativeAckStatus: "Negative",
+      retry: { attempts: 3, backoffDelay: 1000 * 30 }
+    };
+}
+
+module.exports = { createLifelabsProvider };
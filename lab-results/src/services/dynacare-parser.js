@@ -1,7 +1,81 @@
-const parseHL7Message = require('../utils/parseHL7Message');
+const { parseLabMessage } = require('../utils/parseLabMessage');
 const extractHL7MessagesFromXML = require('../utils/extractHL7FromXML');
+const { acknowledgeHL7Messages, parseRawMSH } = require('../utils/buildHL7Ack');
+const { enqueueCriticalAlerts } = require('../../lib/critical-alerts');
+const { hashMessageContent } = require('../../lib/message-ledger');
+const { logToCloudWatch, redact } = require('../../../lib/cloudwatch-logger');
 
+const ALERT_SOURCE = 'dynacare';
+
+// Dynacare results only arrive over HTTP, so the HTTP server creates this stream
+const LOG_STREAM_NAME = 'dynacare-parser';
+
+// Messages that don't identify their lab are assumed to follow the GDML spec
+const parseDynacareMessage = (msg) => {
+  const { profile, result } = parseLabMessage(msg, { fallbackProfile: 'gdml' });
+  return { profile: profile.name, ...result };
+};
+
+/**
+ * Parses raw messages one at a time, so one malformed message can't fail the others.
+ * Messages are identified by MSH-10, read from the raw MSH when parsing failed; messages
+ * without MSH-10 are identified by their content hash, so their alerts can't collide.
+ * @param {Array<String>} rawMessages - Raw HL7 messages.
+ * @returns {Array<{msgId: String, parsedMessage?: Object, error?: Error}>} Outcome per message, in order.
+ */
+const parseEachMessage = (rawMessages) =>
+  rawMessages.map((rawHL7String) => {
+    try {
+      const parsedMessage = parseDynacareMessage(rawHL7String);
+      const msgId = parsedMessage.messageHeader?.messageControlId || hashMessageContent(rawHL7String);
+
+      return { msgId, parsedMessage };
+    } catch (error) {
+      const msgId = parseRawMSH(rawHL7String).messageControlId || hashMessageContent(rawHL7String);
+
+      return { msgId, error };
+    }
+  });
+
+/**
+ * Queues urgent alerts for a parsed message's critical results, keyed by its message ID.
+ * Alerting failures are logged and reported on the message instead of failing the request.
+ * @param {String} msgId - MSH-10, or the content hash of a message without one.
+ * @param {Object} parsedMessage - Parsed message with `criticalResults`.
+ * @returns {Promise<Object>} The parsed message with `criticalAlerts` (`{data, error}`, as returned by
+ * enqueueCriticalAlerts) when it has critical results.
+ */
+const alertCriticalResults = async (msgId, parsedMessage) => {
+  const { criticalResults = [] } = parsedMessage;
+
+  if (criticalResults.length === 0) return parsedMessage;
+
+  const { data: alerts, error } = await enqueueCriticalAlerts(ALERT_SOURCE, msgId, criticalResults);
+
+  if (error) {
+    await logToCloudWatch('🟥 Failed to queue critical result alerts', 'ERROR', {
+      step: 'critical_alert_failed',
+      msgId,
+      criticalResultCount: criticalResults.length,
+      error,
+      service: 'dynacare-parser'
+    }, LOG_STREAM_NAME);
+  }
+
+  return { ...parsedMessage, criticalAlerts: { data: alerts || null, error: error || null } };
+};
+
+/**
+ * Express handler that parses a Dynacare `.hl7`/`.xml` upload or a `rawHL7String` field.
+ * Each message is parsed on its own: parsed messages are returned in `result` (an array for
+ * XML uploads, null for a single message that failed), and messages that failed to parse are
+ * listed in `failed` without affecting the rest of the batch.
+ * With `?ack=hl7` the response also carries an HL7 ACK per message, AE for the failed ones.
+ * Critical results are alerted on, and each message reports the alerts in `criticalAlerts`.
+ */
 const handleDynacare = async (req, res) => {
+  let acks;
+
   try {
     const { rawHL7String } = req.body;
     const file = req.file;
@@ -21,7 +95,14 @@ const handleDynacare = async (req, res) => {
       ) {
         // Use buffer directly instead of reading from path
         const xmlData = file.buffer.toString('utf8');
-        const messages = await extractHL7MessagesFromXML(xmlData);
+        const messages = await extractHL7MessagesFromXML(xmlData, {
+          onWarning: (warning) =>
+            logToCloudWatch('🟠 XML parser warning', 'WARN', {
+              step: 'xml_parse_warning',
+              warning,
+              service: 'dynacare-parser'
+            }, LOG_STREAM_NAME)
+        });
         hl7StringOrArray = messages.map((msg) => msg.content);
       } else if (
         file.mimetype === 'application/octet-stream' ||
@@ -39,16 +120,42 @@ const handleDynacare = async (req, res) => {
       hl7StringOrArray = rawHL7String;
     }
 
-    // Parse the HL7 message(s)
+    const rawMessages = [].concat(hl7StringOrArray);
+    const outcomes = parseEachMessage(rawMessages);
+
+    if (req.query?.ack === 'hl7') {
+      acks = acknowledgeHL7Messages(rawMessages, (_, index) => {
+        if (outcomes[index].error) throw outcomes[index].error;
+        return outcomes[index].parsedMessage;
+      });
+    }
+
+    const parsedMessages = await Promise.all(
+      outcomes.map(({ msgId, parsedMessage }) =>
+        parsedMessage ? alertCriticalResults(msgId, parsedMessage) : null
+      )
+    );
     const result = Array.isArray(hl7StringOrArray)
-      ? hl7StringOrArray.map((msg) => parseHL7Message(msg))
-      : parseHL7Message(hl7StringOrArray);
+      ? parsedMessages.filter(Boolean)
+      : parsedMessages[0];
+    const failed = outcomes
+      .filter((outcome) => outcome.error)
+      .map((outcome) => ({ msgId: outcome.msgId, error: outcome.error.message }));
+
+    if (failed.length > 0) {
+      await logToCloudWatch(`🟠 Rejected ${failed.length} msgs`, 'ERROR', {
+        step: 'messages_rejected',
+        messageCount: outcomes.length,
+        failed,
+        service: 'dynacare-parser'
+      }, LOG_STREAM_NAME);
+    }
 
-    return res.status(200).json({ result });
+    return res.status(200).json({ result, failed, acks });
   } catch (error) {
-    console.error(error);
-    return res.status(500).json({ error: error.message });
+    console.error(redact(error.stack || error.message));
+    return res.status(500).json({ error: error.message, acks });
   }
 };
 
-module.exports = { handleDynacare };
+module.exports = { handleDynacare, LOG_STREAM_NAME };
@@ -1,17 +1,420 @@
-const axios = require('axios');
+const crypto = require('crypto');
 
-const parseEMRHL7Message = require('../utils/parseEMRHL7Message');
+const { parseLabMessage } = require('../utils/parseLabMessage');
 const extractHL7MessagesFromXML = require('../utils/extractHL7FromXML');
+const streamHL7MessagesFromXML = require('../utils/streamHL7FromXML');
+const { acknowledgeHL7Messages } = require('../utils/buildHL7Ack');
+const { convertToFHIR, convertMessageToEntries } = require('../utils/convertToFHIR');
+const { getFileExtension } = require('../utils/decodeEncapsulatedData');
 
-const { getSignedFileUrl } = require('../../lib/getSignedFileUrl');
+const { getFileStream } = require('../../lib/getFileStream');
 const { uploadFileToS3 } = require('../../lib/uploadFileToS3');
-const { logToCloudWatch } = require('../../../lib/cloudwatch-logger');
+const { uploadStreamToS3 } = require('../../lib/uploadStreamToS3');
+const {
+  classifyMessages,
+  recordDeliveredMessages,
+  recordQuarantinedMessages,
+  hashMessageContent,
+  MESSAGE_STATUS
+} = require('../../lib/message-ledger');
+const { createResultVersionTracker } = require('../../lib/result-versions');
+const { enqueueCriticalAlerts } = require('../../lib/critical-alerts');
+const { createWebhookEvent, enqueueWebhook } = require('../../lib/webhooks');
+const { logToCloudWatch, redact } = require('../../../lib/cloudwatch-logger');
+const { getConfig } = require('../../../lib/config');
+const { IntegrationError, isRetryableError } = require('../../../lib/errors');
 
-const RECEIVED_RESULTS_URL = "http://172.31.7.125:80/rest/v1/lab-results/lifelabs";
+const RESULTS_RECEIVED_EVENT = "lab-results.received";
 
 const LOG_STREAM_NAME = "scheduled-tasks-lifelabs";
 
-const parseLifelabs = async (fileKey) => {
+const LEDGER_SOURCE = "lifelabs";
+
+// Messages held in memory at once while checking the ledger
+const LEDGER_BATCH_SIZE = 50;
+
+// Parsed JSON is always stored; other formats are uploaded in addition to it
+const OUTPUT_FORMATS = {
+  JSON: 'json',
+  FHIR: 'fhir'
+};
+
+// Messages that don't identify their lab are assumed to follow the LifeLabs EMR guide
+const parseLifelabsMessage = (msg) => {
+  const { profile, result } = parseLabMessage(msg, { fallbackProfile: 'lifelabs-bc' });
+  return { profile: profile.name, ...result };
+};
+
+const getFileBaseKey = (fileKey) => fileKey.replace(/\.xml$/, '');
+
+/**
+ * Stores a message that failed to parse under the `quarantine/` prefix with its raw HL7 and error.
+ * @param {String} fileKey - S3 key of the XML file the message came from.
+ * @param {{id: string, content: string}} message - Extracted HL7 message.
+ * @param {Error} parseError - Error thrown while parsing the message.
+ * @returns {Promise<{data: String|null, error: String|null}>} Quarantine S3 key.
+ */
+const quarantineMessage = async (fileKey, message, parseError) => {
+  const quarantineKey = `quarantine/${getFileBaseKey(fileKey)}/${message.id}.json`;
+
+  const { data, error } = await uploadFileToS3({
+    file: JSON.stringify({
+      msgId: message.id,
+      sourceFileKey: fileKey,
+      error: parseError.message,
+      stack: parseError.stack,
+      rawHL7: message.content,
+      quarantinedAt: new Date().toISOString()
+    }, null, 2),
+    fileKey: quarantineKey,
+    fileType: 'application/json'
+  });
+
+  if (error) {
+    return { data: null, error: error.message };
+  }
+
+  return { data: data.Key || quarantineKey, error: null };
+};
+
+/**
+ * Uploads a message's embedded report documents (PDF, RTF) next to the parsed JSON and replaces
+ * each observation's decoded data with the document's S3 key.
+ * @param {String} fileKey - S3 key of the XML file the message came from.
+ * @param {Object} parsedMessage - Parsed message with `msgId`.
+ * @returns {Promise<{data: Array<String>|null, error: String|null}>} Keys of the stored documents.
+ */
+const storeDocuments = async (fileKey, parsedMessage) => {
+  const observations = (parsedMessage.patients || []).flatMap((patient) =>
+    (patient.orders || []).flatMap((order) =>
+      (order.labResults || []).flatMap((labResult) => labResult.observations || [])
+    )
+  );
+  const documentKeys = [];
+
+  for (const observation of observations.filter((obs) => obs.document?.data)) {
+    const { data, ...metadata } = observation.document;
+    const documentKey = `parsed/${getFileBaseKey(fileKey)}/${parsedMessage.msgId}/${
+      documentKeys.length + 1
+    }.${getFileExtension(metadata.mimeType)}`;
+
+    const { error } = await uploadFileToS3({
+      file: Buffer.from(data, 'base64'),
+      fileKey: documentKey,
+      fileType: metadata.mimeType
+    });
+
+    if (error) {
+      return { data: null, error: error.message };
+    }
+
+    observation.document = { s3Key: documentKey, ...metadata };
+    documentKeys.push(documentKey);
+  }
+
+  return { data: documentKeys, error: null };
+};
+
+/**
+ * Queues urgent alerts for a message's critical results. Alerts don't hold up delivery of the
+ * results themselves, so failures to queue are logged and reported rather than returned.
+ * @param {String|null} fileKey - S3 key of the XML file the message came from; null when received over HTTP.
+ * @param {Object} parsedMessage - Parsed message with `msgId` and `criticalResults`.
+ * @returns {Promise<Array<Object>>} Report entry per critical result, without patient details.
+ */
+const alertCriticalResults = async (fileKey, parsedMessage) => {
+  const criticalResults = parsedMessage.criticalResults || [];
+
+  if (criticalResults.length === 0) return [];
+
+  const { data: alerts, error } =
+    await enqueueCriticalAlerts(LEDGER_SOURCE, parsedMessage.msgId, criticalResults);
+
+  if (error) {
+    await logToCloudWatch("🟥 Failed to queue critical result alerts", "ERROR", { 
+      step: "critical_alert_failed",
+      fileKey,
+      msgId: parsedMessage.msgId,
+      criticalResultCount: criticalResults.length,
+      error,
+      service: "lifelabs-parser" 
+    }, LOG_STREAM_NAME);
+  }
+
+  return criticalResults.map((criticalResult, index) => ({
+    msgId: parsedMessage.msgId,
+    alertId: alerts?.[index]?.alertId || null,
+    alertStatus: alerts?.[index]?.status || 'not_queued',
+    reason: criticalResult.reason,
+    ruleId: criticalResult.ruleId,
+    testCode: criticalResult.test.code,
+    abnormalFlag: criticalResult.abnormalFlag
+  }));
+};
+
+const getReportFileKey = (fileKey) => `reports/${getFileBaseKey(fileKey)}.json`;
+
+/**
+ * Builds the event announcing a processed file to the received results endpoint.
+ * The event ID is derived from the output file, so a retried cycle re-sends the same event.
+ * @param {String} fileKey - S3 key of the processed XML file.
+ * @param {Object} processingReport - Processing report with its message counts.
+ * @param {Object} outputs
+ * @param {String} outputs.bucket - Bucket the outputs are stored in.
+ * @param {String} outputs.outputFileKey - Parsed JSON key.
+ * @param {String} [outputs.fhirFileKey] - FHIR bundle key.
+ * @returns {import('../../lib/webhooks').WebhookEvent} `lab-results.received` event.
+ */
+const createResultsReceivedEvent = (fileKey, processingReport, { bucket, outputFileKey, fhirFileKey }) => {
+  const { succeeded, failed, revisedResults, criticalResults } = processingReport;
+  const distinct = (values) => [...new Set(values)];
+
+  return createWebhookEvent(RESULTS_RECEIVED_EVENT, {
+    source: LEDGER_SOURCE,
+    profiles: distinct(succeeded.map((message) => message.profile)),
+    bucket,
+    sourceFileKey: fileKey,
+    outputFileKey,
+    fhirFileKey: fhirFileKey || null,
+    reportFileKey: getReportFileKey(fileKey),
+    messageCounts: processingReport.messageCounts,
+    msgIds: {
+      parsed: succeeded.map((message) => message.msgId),
+      updated: succeeded.filter((message) => message.isUpdate).map((message) => message.msgId),
+      quarantined: failed.map((message) => message.msgId),
+      corrected: distinct(
+        revisedResults.filter((revision) => revision.corrected).map((revision) => revision.msgId)
+      ),
+      critical: distinct(criticalResults.map((criticalResult) => criticalResult.msgId))
+    }
+  }, {
+    idempotencyKey: crypto
+      .createHash('sha256')
+      .update(`${LEDGER_SOURCE}|${bucket}|${outputFileKey}`)
+      .digest('hex')
+  });
+};
+
+/**
+ * Stores the per-file processing report under the `reports/` prefix.
+ * A missing report doesn't affect delivered results, so failures are only logged.
+ * @param {String} fileKey - S3 key of the processed XML file.
+ * @param {Object} processingReport - Successes and failures for the file.
+ */
+const storeProcessingReport = async (fileKey, processingReport) => {
+  const reportFileKey = getReportFileKey(fileKey);
+
+  const { error } = await uploadFileToS3({
+    file: JSON.stringify(processingReport, null, 2),
+    fileKey: reportFileKey,
+    fileType: 'application/json'
+  });
+
+  if (error) {
+    await logToCloudWatch("🟠 Failed to store processing report", "ERROR", { 
+      step: "report_upload_failed",
+      fileKey,
+      reportFileKey,
+      error: error.message,
+      service: "lifelabs-parser" 
+    }, LOG_STREAM_NAME);
+    return;
+  }
+
+  await logToCloudWatch("⚪️ Processing report stored", "INFO", { 
+    step: "report_upload_success",
+    fileKey,
+    reportFileKey,
+    messageCounts: processingReport.messageCounts,
+    service: "lifelabs-parser" 
+  }, LOG_STREAM_NAME);
+};
+
+/**
+ * Records delivered messages in the ledger so re-sends are skipped.
+ * @param {String} fileKey - S3 key of the processed XML file.
+ * @param {Array<Object>} messages - Classified messages that were delivered.
+ */
+const recordProcessedMessages = async (fileKey, messages) => {
+  const { error } = await recordDeliveredMessages(LEDGER_SOURCE, messages);
+
+  if (error) {
+    // Results are already delivered; a later re-send will be processed again
+    await logToCloudWatch("🟠 Failed to record delivered messages", "ERROR", { 
+      step: "ledger_record_failed",
+      fileKey,
+      error,
+      service: "lifelabs-parser" 
+    }, LOG_STREAM_NAME);
+  }
+};
+
+/**
+ * Records quarantined messages in the ledger, apart from delivered ones, so a re-send is parsed again.
+ * @param {String} fileKey - S3 key of the processed XML file.
+ * @param {Array<Object>} messages - Classified messages with their `quarantineKey`.
+ */
+const recordQuarantine = async (fileKey, messages) => {
+  const { error } = await recordQuarantinedMessages(LEDGER_SOURCE, messages);
+
+  if (error) {
+    // The quarantined copies in S3 are still there; only the ledger lookup is lost
+    await logToCloudWatch("🟠 Failed to record quarantined messages", "ERROR", { 
+      step: "quarantine_record_failed",
+      fileKey,
+      error,
+      service: "lifelabs-parser" 
+    }, LOG_STREAM_NAME);
+  }
+};
+
+/**
+ * Records the result revisions of delivered messages so later corrections are compared with them.
+ * @param {String} fileKey - S3 key of the processed XML file.
+ * @param {ReturnType<typeof createResultVersionTracker>} resultVersions - Tracker used for the file.
+ */
+const recordResultVersions = async (fileKey, resultVersions) => {
+  const { error } = await resultVersions.record();
+
+  if (error) {
+    // Results are already delivered; a later correction will look like a first result
+    await logToCloudWatch("🟠 Failed to record result versions", "ERROR", { 
+      step: "result_versions_record_failed",
+      fileKey,
+      error,
+      service: "lifelabs-parser" 
+    }, LOG_STREAM_NAME);
+  }
+};
+
+/**
+ * Groups streamed messages so ledger lookups take one round trip per batch instead of per message.
+ * @param {AsyncIterable<{id: string, content: string}>} messages - Streamed HL7 messages.
+ * @param {Number} size - Maximum messages per batch.
+ * @returns {AsyncGenerator<Array<{id: string, content: string}>>}
+ */
+async function* inBatches(messages, size) {
+  let batch = [];
+
+  for await (const message of messages) {
+    batch.push(message);
+
+    if (batch.length >= size) {
+      yield batch;
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+/**
+ * Streams a JSON document to S3 whose array property is written one item at a time.
+ * @param {Object} options
+ * @param {String} options.fileKey - S3 key to upload to.
+ * @param {String} options.fileType - Content type of the document.
+ * @param {String} options.arrayProperty - Property holding the streamed items.
+ * @param {Object} [options.head] - Properties written before the array.
+ */
+const createJSONArrayUpload = ({ fileKey, fileType, arrayProperty, head = {} }) => {
+  const upload = uploadStreamToS3({ fileKey, fileType });
+  let itemCount = 0;
+
+  const opening = Object.entries(head)
+    .map(([key, value]) => `  ${JSON.stringify(key)}: ${JSON.stringify(value)},\n`)
+    .join('');
+  const prefix = `{\n${opening}  ${JSON.stringify(arrayProperty)}: [`;
+
+  return {
+    write: async (item) => {
+      await upload.write(`${itemCount === 0 ? prefix : ','}\n    ${JSON.stringify(item)}`);
+      itemCount += 1;
+    },
+    end: async () => {
+      await upload.write(`${itemCount === 0 ? prefix : ''}\n  ]\n}\n`);
+      return upload.end();
+    },
+    abort: () => upload.abort()
+  };
+};
+
+/**
+ * Starts the parsed JSON upload and, when requested, the FHIR bundle upload.
+ * @param {String} fileKey - S3 key of the XML file being processed.
+ * @param {Array<String>} outputFormats - Requested output formats.
+ */
+const startOutputUploads = (fileKey, outputFormats) => {
+  const outputKey = `parsed/${fileKey.replace('.xml', '.json')}`;
+  const fhirKey = `fhir/${fileKey.replace('.xml', '.json')}`;
+
+  const json = createJSONArrayUpload({
+    fileKey: outputKey,
+    fileType: 'application/json',
+    arrayProperty: 'HL7Messages'
+  });
+
+  let fhir = null;
+
+  if (outputFormats.includes(OUTPUT_FORMATS.FHIR)) {
+    // An empty conversion gives the bundle's id, type and timestamp
+    const { entry, ...bundleHead } = convertToFHIR([]);
+
+    fhir = createJSONArrayUpload({
+      fileKey: fhirKey,
+      fileType: 'application/fhir+json',
+      arrayProperty: 'entry',
+      head: bundleHead
+    });
+  }
+
+  return {
+    outputKey,
+    fhirKey,
+    write: async (parsedMessage) => {
+      await json.write(parsedMessage);
+
+      if (fhir) {
+        for (const bundleEntry of convertMessageToEntries(parsedMessage)) {
+          await fhir.write(bundleEntry);
+        }
+      }
+    },
+    json,
+    fhir,
+    abort: async () => {
+      await Promise.allSettled([json.abort(), fhir?.abort()]);
+    }
+  };
+};
+
+/**
+ * Streams a LifeLabs XML batch from S3, parses its HL7 messages, stores the parsed JSON
+ * and queues a signed `lab-results.received` webhook to the received results endpoint.
+ * Messages are read, parsed and uploaded one at a time, so memory stays bounded however large the batch is.
+ * Messages already delivered in an earlier cycle are skipped; changed re-sends are flagged with `isUpdate`.
+ * Messages that fail to parse are quarantined without affecting the rest of the file; they are not
+ * recorded as delivered, so an unchanged re-send is parsed again.
+ * Embedded PDF and RTF report documents are stored as their own S3 objects under `parsed/<file>/<msgId>/`.
+ * Critical results get an urgent alert queued as soon as their message is parsed.
+ * @param {String} fileKey - S3 key of the fetched XML file.
+ * @param {Object} [options]
+ * @param {Array<String>} [options.outputFormats] - Output formats to store, e.g. `['json', 'fhir']`.
+ * Defaults to the configured `lifelabs.outputFormats`.
+ * @param {String} [options.receivedResultsUrl] - Endpoint notified of the processed file.
+ * Defaults to the configured `lifelabs.receivedResultsUrl`.
+ * @returns {Promise<{parsedMessageCount?: Number, outputFileKey?: String, fhirFileKey?: String, messageCounts?: Object, processingReport?: Object, error?: String, retryable?: Boolean}>}
+ * Number of parsed messages, the stored JSON key, new/duplicate/updated counts and the processing report,
+ * or `error` when parsing, storing or notifying failed.
+ */
+const parseLifelabs = async (
+  fileKey,
+  {
+    outputFormats = getConfig().lifelabs.outputFormats,
+    receivedResultsUrl = getConfig().lifelabs.receivedResultsUrl
+  } = {}
+) => {
   await logToCloudWatch(`🟡 Starting Lifelabs parsing`, "INFO", {
     step: "parsing_start",
     fileKey,
@@ -28,103 +431,319 @@ const parseLifelabs = async (fileKey) => {
     }, LOG_STREAM_NAME);
 
     return {
-      error: 'Invalid file key. Only .xml files are accepted.'
+      error: 'Invalid file key. Only .xml files are accepted.',
+      retryable: false
     };
   }
 
+  // Uploads start with the first parsed message
+  let outputs = null;
+
   try {
-    await logToCloudWatch(`⚪️ Getting signed S3 URL`, "INFO", {
-      step: "s3_url_start",
+    await logToCloudWatch(`⚪️ Opening S3 stream`, "INFO", {
+      step: "s3_stream_start",
       fileKey,
       service: "lifelabs-parser" 
     }, LOG_STREAM_NAME);
 
-    const { data: signedXmlUrl, error: signedXmlUrlError } = 
-      await getSignedFileUrl(fileKey);
+    const { data: xmlFile, error: xmlFileError } = await getFileStream(fileKey);
 
-    if (signedXmlUrlError || !signedXmlUrl) {
-      await logToCloudWatch(`🟥 Failed to get signed S3 URL`, "ERROR", {
-        step: "s3_url_failed",
+    if (xmlFileError || !xmlFile) {
+      await logToCloudWatch(`🟥 Failed to open S3 stream`, "ERROR", {
+        step: "s3_stream_failed",
         fileKey,
-        error: signedXmlUrlError,
+        error: xmlFileError,
         service: "lifelabs-parser" 
       }, LOG_STREAM_NAME);
-      
-      console.error('Error getting signed URL:', signedXmlUrlError);
+
       return { 
-        error: signedXmlUrlError || 'Failed to get signed URL'
+        error: xmlFileError || 'Failed to open XML file from S3'
       };
     }
 
-    await logToCloudWatch(`⚪️ Got S3 URL 2-DOWNLOAD`, "INFO", { 
-      step: "s3_url_success",
+    await logToCloudWatch(`⚪️ S3 stream opened - 2-PROCESS`, "INFO", { 
+      step: "s3_stream_success",
       fileKey,
-      hasUrl: !!signedXmlUrl,
+      xmlSize: xmlFile.contentLength || 0,
       service: "lifelabs-parser" 
     }, LOG_STREAM_NAME);
 
-    // Download XML from S3 using signed URL
-    const response = await axios.get(signedXmlUrl, {
-      responseType: 'text',
-      timeout: 10000 // 10-second timeout
-    });
-    
-    if (response.status !== 200) {
-      await logToCloudWatch(`🟥 XML download failed`, "ERROR", {
-        step: "xml_download_failed",
-        fileKey,
-        status: response.status,
-        service: "lifelabs-parser" 
-      }, LOG_STREAM_NAME);
-      
-      console.log(`🚀 ~ parseLifelabs ~ response:`, response)
-      return { 
-        error: 'Failed to download XML file from S3'
-      };
+    const messageCounts = {
+      [MESSAGE_STATUS.NEW]: 0,
+      [MESSAGE_STATUS.DUPLICATE]: 0,
+      [MESSAGE_STATUS.UPDATED]: 0
+    };
+    const updatedMsgIds = [];
+    // Only IDs and hashes are kept per message; contents are dropped once uploaded
+    const deliveredMessages = [];
+    const quarantinedMessages = [];
+
+    const processingReport = {
+      sourceFileKey: fileKey,
+      processedAt: new Date().toISOString(),
+      messageCounts: {},
+      succeeded: [],
+      failed: [],
+      // Delivered, but missing fields their spec requires
+      nonConformant: [],
+      // Delivered, with dates that couldn't be parsed and were left out
+      parseWarnings: [],
+      // Lab test codes missing from the LOINC mapping tables, with how many messages used them
+      unmappedCodes: [],
+      // Results that replace an earlier revision of the same accession and observation
+      revisedResults: [],
+      // Critical (panic) results and whether their urgent alert was queued
+      criticalResults: []
+    };
+    const unmappedCodes = new Map();
+    const resultVersions = createResultVersionTracker(LEDGER_SOURCE);
+
+    const messages = streamHL7MessagesFromXML(xmlFile.body);
+
+    for await (const batch of inBatches(messages, LEDGER_BATCH_SIZE)) {
+      // Skip messages already delivered in a previous cycle
+      const { data: classifiedMessages, error: ledgerError } =
+        await classifyMessages(LEDGER_SOURCE, batch);
+
+      if (ledgerError) {
+        await logToCloudWatch("🟥 Message ledger lookup failed", "ERROR", { 
+          step: "ledger_lookup_failed",
+          fileKey,
+          error: ledgerError,
+          service: "lifelabs-parser" 
+        }, LOG_STREAM_NAME);
+
+        await outputs?.abort();
+        return {
+          error: `Failed to check message ledger: ${ledgerError}`
+        };
+      }
+
+      for (const msg of classifiedMessages) {
+        messageCounts[msg.status] += 1;
+
+        if (msg.status === MESSAGE_STATUS.DUPLICATE) continue;
+
+        const isUpdate = msg.status === MESSAGE_STATUS.UPDATED;
+        if (isUpdate) updatedMsgIds.push(msg.id);
+
+        // Parse each message on its own so one malformed message can't drop the whole file
+        let parsedMessage;
+        try {
+          parsedMessage = {
+            msgId: msg.id,
+            isUpdate,
+            ...parseLifelabsMessage(msg.content)
+          };
+        } catch (parseError) {
+          const { data: quarantineKey, error: quarantineError } =
+            await quarantineMessage(fileKey, msg, parseError);
+
+          if (quarantineError) {
+            await logToCloudWatch("🟥 Failed to quarantine message", "ERROR", { 
+              step: "quarantine_failed",
+              fileKey,
+              msgId: msg.id,
+              error: quarantineError,
+              service: "lifelabs-parser" 
+            }, LOG_STREAM_NAME);
+
+            await outputs?.abort();
+            return {
+              error: `Failed to quarantine message ${msg.id}: ${quarantineError}`
+            };
+          }
+
+          processingReport.failed.push({
+            msgId: msg.id,
+            error: parseError.message,
+            quarantineKey,
+            previousQuarantineKey: msg.quarantined?.quarantineKey || null
+          });
+          quarantinedMessages.push({ id: msg.id, hash: msg.hash, quarantineKey });
+          continue;
+        }
+
+        const { data: documentKeys, error: documentError } =
+          await storeDocuments(fileKey, parsedMessage);
+
+        if (documentError) {
+          await logToCloudWatch("🟥 Failed to store report document", "ERROR", { 
+            step: "document_upload_failed",
+            fileKey,
+            msgId: msg.id,
+            error: documentError,
+            service: "lifelabs-parser" 
+          }, LOG_STREAM_NAME);
+
+          await outputs?.abort();
+          return {
+            error: `Failed to store report documents of message ${msg.id}: ${documentError}`
+          };
+        }
+
+        if (documentKeys.length > 0) {
+          await logToCloudWatch(`⚪️ Stored ${documentKeys.length} report documents`, "INFO", { 
+            step: "document_upload_success",
+            fileKey,
+            msgId: msg.id,
+            documentKeys,
+            service: "lifelabs-parser" 
+          }, LOG_STREAM_NAME);
+        }
+
+        const { data: revisions, error: revisionError } =
+          await resultVersions.compare(msg.id, parsedMessage);
+
+        if (revisionError) {
+          await logToCloudWatch("🟥 Result version lookup failed", "ERROR", { 
+            step: "result_versions_failed",
+            fileKey,
+            msgId: msg.id,
+            error: revisionError,
+            service: "lifelabs-parser" 
+          }, LOG_STREAM_NAME);
+
+          await outputs?.abort();
+          return {
+            error: `Failed to compare result versions of message ${msg.id}: ${revisionError}`
+          };
+        }
+
+        processingReport.criticalResults.push(...(await alertCriticalResults(fileKey, parsedMessage)));
+
+        if (!outputs) {
+          outputs = startOutputUploads(fileKey, outputFormats);
+
+          await logToCloudWatch(`🟡 Parsing. Streaming msgs to S3`, "INFO", { 
+            step: "s3_upload_start",
+            fileKey,
+            outputFileKey: outputs.outputKey,
+            service: "lifelabs-parser" 
+          }, LOG_STREAM_NAME);
+        }
+
+        await outputs.write(parsedMessage);
+        deliveredMessages.push({ id: msg.id, hash: msg.hash });
+        resultVersions.markDelivered(msg.id);
+        revisions.forEach(({ snapshot, ...revision }) => processingReport.revisedResults.push(revision));
+        processingReport.succeeded.push({ msgId: msg.id, isUpdate, profile: parsedMessage.profile });
+
+        if (parsedMessage.conformance && !parsedMessage.conformance.conformant) {
+          processingReport.nonConformant.push({
+            msgId: msg.id,
+            profile: parsedMessage.conformance.profile,
+            issues: parsedMessage.conformance.issues
+          });
+        }
+
+        (parsedMessage.codeMapping?.unmapped || []).forEach((unmappedCode) => {
+          const { table, version } = parsedMessage.codeMapping;
+          const key = `${table}|${unmappedCode.code}`;
+          const entry = unmappedCodes.get(key) || { table, version, ...unmappedCode, messageCount: 0 };
+
+          entry.messageCount += 1;
+          unmappedCodes.set(key, entry);
+        });
+
+        if (parsedMessage.parseWarnings?.length > 0) {
+          processingReport.parseWarnings.push({
+            msgId: msg.id,
+            warnings: parsedMessage.parseWarnings
+          });
+        }
+      }
     }
 
-    await logToCloudWatch(`⚪️ XML downloaded - 2-PROCESS`, "INFO", { 
-      step: "xml_download_success",
+    const parsedMessageCount = processingReport.succeeded.length;
+
+    await logToCloudWatch(`⚪️ Deduplicated ${deliveredMessages.length + quarantinedMessages.length + messageCounts.duplicate} msgs`, "INFO", { 
+      step: "deduplication_complete",
       fileKey,
-      xmlSize: response.data?.length || 0,
+      messageCounts,
+      updatedMsgIds,
       service: "lifelabs-parser" 
     }, LOG_STREAM_NAME);
 
-    // Process XML content
-    const xmlData = response.data;
-    const messages = await extractHL7MessagesFromXML(xmlData);
-    const hl7StringOrArray = messages.map((msg) => msg.content);
+    processingReport.unmappedCodes = [...unmappedCodes.values()];
+    processingReport.messageCounts = {
+      ...messageCounts,
+      parsed: parsedMessageCount,
+      quarantined: processingReport.failed.length,
+      nonConformant: processingReport.nonConformant.length,
+      revisedResults: processingReport.revisedResults.length,
+      correctedResults: processingReport.revisedResults.filter((revision) => revision.corrected).length,
+      criticalResults: processingReport.criticalResults.length,
+      withParseWarnings: processingReport.parseWarnings.length
+    };
 
-    const parsedMessagesArray = Array.isArray(hl7StringOrArray)
-    ? hl7StringOrArray.map((msg) => parseEMRHL7Message(msg))
-    : parseEMRHL7Message(hl7StringOrArray);
+    if (processingReport.failed.length > 0) {
+      await logToCloudWatch(`🟠 Quarantined ${processingReport.failed.length} msgs`, "ERROR", { 
+        step: "messages_quarantined",
+        fileKey,
+        failed: processingReport.failed,
+        service: "lifelabs-parser" 
+      }, LOG_STREAM_NAME);
+    }
 
-    if (parsedMessagesArray.length > 0) {
-      await logToCloudWatch(`🟡 Parsed. Uploading ${parsedMessagesArray.length} msgs to S3`, "INFO", { 
-        step: "s3_upload_start",
+    if (processingReport.nonConformant.length > 0) {
+      await logToCloudWatch(`🟠 ${processingReport.nonConformant.length} msgs missing required fields`, "WARN", { 
+        step: "conformance_issues",
         fileKey,
-        parsedMessageCount: parsedMessagesArray.length,
+        nonConformant: processingReport.nonConformant,
         service: "lifelabs-parser" 
       }, LOG_STREAM_NAME);
+    }
 
-      const jsonData = JSON.stringify({ HL7Messages: parsedMessagesArray }, null, 2);
-      const outputFileKey = `parsed/${fileKey.replace('.xml', '.json')}`;
+    if (processingReport.revisedResults.length > 0) {
+      await logToCloudWatch(`⚪️ ${processingReport.revisedResults.length} results revised`, "INFO", { 
+        step: "results_revised",
+        fileKey,
+        revisedResults: processingReport.revisedResults,
+        service: "lifelabs-parser" 
+      }, LOG_STREAM_NAME);
+    }
 
-      const uploadResult = await uploadFileToS3({
-        file: jsonData,
-        fileKey: outputFileKey,
-        contentType: 'application/json'
-      });
+    if (processingReport.criticalResults.length > 0) {
+      await logToCloudWatch(`🔴 ${processingReport.criticalResults.length} critical results`, "WARN", { 
+        step: "critical_results",
+        fileKey,
+        criticalResults: processingReport.criticalResults,
+        service: "lifelabs-parser" 
+      }, LOG_STREAM_NAME);
+    }
+
+    if (processingReport.unmappedCodes.length > 0) {
+      await logToCloudWatch(`🟠 ${processingReport.unmappedCodes.length} test codes without a LOINC mapping`, "WARN", { 
+        step: "unmapped_codes",
+        fileKey,
+        unmappedCodes: processingReport.unmappedCodes,
+        service: "lifelabs-parser" 
+      }, LOG_STREAM_NAME);
+    }
+
+    if (processingReport.parseWarnings.length > 0) {
+      await logToCloudWatch(`🟠 ${processingReport.parseWarnings.length} msgs with invalid dates`, "WARN", { 
+        step: "parse_warnings",
+        fileKey,
+        parseWarnings: processingReport.parseWarnings,
+        service: "lifelabs-parser" 
+      }, LOG_STREAM_NAME);
+    }
+
+    if (outputs) {
+      const uploadResult = await outputs.json.end();
 
       if (uploadResult.error) {
         await logToCloudWatch("🟥 S3 upload failed", "ERROR", { 
           step: "s3_upload_failed",
           fileKey,
-          outputFileKey,
+          outputFileKey: outputs.outputKey,
           error: uploadResult.error.message,
           service: "lifelabs-parser" 
         }, LOG_STREAM_NAME);
 
+        await outputs.fhir?.abort();
         return {
           error: uploadResult.error.message || 'Failed to upload file to S3'
         };
@@ -132,74 +751,258 @@ const parseLifelabs = async (fileKey) => {
 
       const { Key: uploadKey, Bucket } = uploadResult.data;
       
-      await logToCloudWatch("⚪️ S3 upload completed", "INFO", { 
+      await logToCloudWatch("🟢 S3 upload completed", "INFO", { 
         step: "s3_upload_success",
         fileKey,
         outputFileKey: uploadKey,
         bucket: Bucket,
+        parsedMessageCount,
         service: "lifelabs-parser" 
       }, LOG_STREAM_NAME);
+
+      let fhirFileKey;
+
+      if (outputs.fhir) {
+        const fhirUploadResult = await outputs.fhir.end();
+
+        if (fhirUploadResult.error) {
+          await logToCloudWatch("🟥 FHIR S3 upload failed", "ERROR", { 
+            step: "fhir_upload_failed",
+            fileKey,
+            fhirFileKey: outputs.fhirKey,
+            error: fhirUploadResult.error.message,
+            service: "lifelabs-parser" 
+          }, LOG_STREAM_NAME);
+
+          return {
+            error: fhirUploadResult.error.message || 'Failed to upload FHIR bundle to S3'
+          };
+        }
+
+        fhirFileKey = fhirUploadResult.data.Key;
+
+        await logToCloudWatch("⚪️ FHIR S3 upload completed", "INFO", { 
+          step: "fhir_upload_success",
+          fileKey,
+          fhirFileKey,
+          service: "lifelabs-parser" 
+        }, LOG_STREAM_NAME);
+      }
       
-      console.log(`🟢 S3 Upload complete.`)
-      
-      await logToCloudWatch("🚀 Sending notification to received results endpoint", "INFO", { 
+      const event = createResultsReceivedEvent(fileKey, processingReport, {
+        bucket: Bucket,
+        outputFileKey: uploadKey,
+        fhirFileKey
+      });
+
+      await logToCloudWatch("🚀 Queueing notification to received results endpoint", "INFO", { 
         step: "notification_start",
         fileKey,
         outputFileKey: uploadKey,
         bucket: Bucket,
-        endpoint: RECEIVED_RESULTS_URL,
+        endpoint: receivedResultsUrl,
+        eventId: event.id,
         service: "lifelabs-parser" 
       }, LOG_STREAM_NAME);
 
-      await axios.get(
-        RECEIVED_RESULTS_URL,
-        {
-          params: {
-            bucket: Bucket,
-            fileKey: uploadKey,
-          }
-        }
-      )
+      // Acknowledging the lab rests on this: the webhook queue retries delivery, and events whose
+      // retries run out are dead-lettered and logged as errors until they are redelivered
+      // (see handleFailedDelivery in lib/webhooks.js). Failing to queue fails the cycle.
+      const { data: notification, error: notificationError } =
+        await enqueueWebhook(receivedResultsUrl, event);
 
-      await logToCloudWatch("⚪️ Notification sent successfully", "INFO", { 
+      if (notificationError) {
+        await logToCloudWatch("🟥 Notification failed", "ERROR", { 
+          step: "notification_failed",
+          fileKey,
+          outputFileKey: uploadKey,
+          endpoint: receivedResultsUrl,
+          eventId: event.id,
+          error: notificationError,
+          service: "lifelabs-parser" 
+        }, LOG_STREAM_NAME);
+
+        return {
+          error: `Failed to queue notification to received results endpoint: ${notificationError}`,
+          outputFileKey: uploadKey
+        };
+      }
+
+      await logToCloudWatch("⚪️ Notification queued", "INFO", { 
         step: "notification_success",
         fileKey,
         outputFileKey: uploadKey,
-        endpoint: RECEIVED_RESULTS_URL,
+        endpoint: receivedResultsUrl,
+        eventId: notification.eventId,
+        deliveryStatus: notification.status,
         service: "lifelabs-parser" 
       }, LOG_STREAM_NAME);
 
+      await recordProcessedMessages(fileKey, deliveredMessages);
+      await recordQuarantine(fileKey, quarantinedMessages);
+      await recordResultVersions(fileKey, resultVersions);
+
+      processingReport.outputFileKey = uploadKey;
+      processingReport.fhirFileKey = fhirFileKey;
+      processingReport.notification = notification;
+      await storeProcessingReport(fileKey, processingReport);
+
       await logToCloudWatch("🏁🏁🏁 Lifelabs parsing completed successfully", "INFO", { 
         step: "parsing_complete",
         fileKey,
         outputFileKey: uploadKey,
-        parsedMessageCount: parsedMessagesArray.length,
+        parsedMessageCount,
+        messageCounts,
         service: "lifelabs-parser" 
       }, LOG_STREAM_NAME);
 
-      return { result: parsedMessagesArray };
+      return {
+        parsedMessageCount,
+        outputFileKey: uploadKey,
+        fhirFileKey,
+        messageCounts,
+        processingReport
+      };
     } else {
-      await logToCloudWatch("⚠️ No HL7 messages found to process", "INFO", { 
+      await logToCloudWatch("⚠️ No new HL7 messages found to process", "INFO", { 
         step: "no_messages_found",
         fileKey,
+        messageCounts,
+        quarantinedCount: processingReport.failed.length,
         service: "lifelabs-parser" 
       }, LOG_STREAM_NAME);
 
-      return { result: [] };
+      if (processingReport.failed.length > 0) {
+        await recordQuarantine(fileKey, quarantinedMessages);
+        await storeProcessingReport(fileKey, processingReport);
+      }
+
+      return { parsedMessageCount, messageCounts, processingReport };
     }
 
   } catch (error) {
+    await outputs?.abort();
+
     await logToCloudWatch("🟥 Lifelabs parsing error", "ERROR", { 
       step: "parsing_error",
       fileKey,
       error: error.message,
       stack: error.stack,
       service: "lifelabs-parser" 
-    }, "parser");
+    }, LOG_STREAM_NAME);
+
+    console.error('Error processing request:', redact(error.stack || error.message));
+    throw new IntegrationError('Failed to process HL7 messages', {
+      retryable: isRetryableError(error),
+      cause: error
+    });
+  }
+};
+
+/**
+ * Parses extracted messages one at a time, so one malformed message can't fail the others.
+ * Messages without a MsgID are identified by their content hash, as in the ledger.
+ * @param {Array<{id: string, content: string}>} messages - Extracted HL7 messages.
+ * @returns {Array<{msgId: String, parsedMessage?: Object, error?: Error}>} Outcome per message, in order.
+ */
+const parseEachMessage = (messages) =>
+  messages.map((msg) => {
+    const msgId = msg.id || hashMessageContent(msg.content);
+
+    try {
+      return { msgId, parsedMessage: { msgId, ...parseLifelabsMessage(msg.content) } };
+    } catch (error) {
+      return { msgId, error };
+    }
+  });
 
-    console.error('Error processing request:', error);
-    throw new Error('Failed to process HL7 messages');
+/**
+ * Express handler that parses LifeLabs-style XML sent directly to the ingestion API,
+ * either as an uploaded `.xml` file, a `rawXMLString` JSON field or a raw XML body.
+ * Each message is parsed once and on its own: parsed messages are returned in `result`, and
+ * messages that failed to parse are listed in `failed` without affecting the rest of the batch.
+ * With `?ack=hl7` the response also carries an HL7 ACK per message, AE for the failed ones.
+ * Critical results are alerted on as in the polled path, and each message reports the alerts in `criticalAlerts`.
+ */
+const handleLifelabs = async (req, res) => {
+  let acks;
+
+  try {
+    const file = req.file;
+    const rawXMLString =
+      typeof req.body === 'string' ? req.body : req.body?.rawXMLString;
+
+    if (!file && !rawXMLString) {
+      return res
+        .status(400)
+        .json({ error: 'Either file upload or rawXMLString is required.' });
+    }
+
+    let xmlData;
+
+    if (file) {
+      if (
+        file.mimetype === 'application/xml' ||
+        file.mimetype === 'text/xml' ||
+        file.originalname.endsWith('.xml')
+      ) {
+        xmlData = file.buffer.toString('utf8');
+      } else {
+        return res.status(400).json({
+          error: 'Invalid file type. Only .xml files are accepted.'
+        });
+      }
+    } else {
+      xmlData = rawXMLString;
+    }
+
+    const messages = await extractHL7MessagesFromXML(xmlData, {
+      onWarning: (warning) =>
+        logToCloudWatch('🟠 XML parser warning', 'WARN', {
+          step: 'xml_parse_warning',
+          warning,
+          service: 'lifelabs-parser'
+        }, LOG_STREAM_NAME)
+    });
+    const outcomes = parseEachMessage(messages);
+
+    if (req.query?.ack === 'hl7') {
+      acks = acknowledgeHL7Messages(
+        messages.map((msg) => msg.content),
+        (msg, index) => {
+          if (outcomes[index].error) throw outcomes[index].error;
+          return outcomes[index].parsedMessage;
+        }
+      );
+    }
+
+    const result = await Promise.all(
+      outcomes
+        .filter((outcome) => !outcome.error)
+        .map(async ({ parsedMessage }) => {
+          const criticalAlerts = await alertCriticalResults(null, parsedMessage);
+          return criticalAlerts.length > 0 ? { ...parsedMessage, criticalAlerts } : parsedMessage;
+        })
+    );
+    const failed = outcomes
+      .filter((outcome) => outcome.error)
+      .map((outcome) => ({ msgId: outcome.msgId, error: outcome.error.message }));
+
+    if (failed.length > 0) {
+      await logToCloudWatch(`🟠 Rejected ${failed.length} msgs`, "ERROR", { 
+        step: "messages_rejected",
+        messageCount: messages.length,
+        failed,
+        service: "lifelabs-parser" 
+      }, LOG_STREAM_NAME);
+    }
+
+    return res.status(200).json({ result, failed, acks });
+  } catch (error) {
+    console.error(redact(error.stack || error.message));
+    const status = error instanceof IntegrationError && !error.retryable ? 400 : 500;
+    return res.status(status).json({ error: error.message, acks });
   }
 };
 
-module.exports = { parseLifelabs };
+module.exports = { parseLifelabs, handleLifelabs };
@@ -0,0 +1,250 @@
+// @ts-check
+const crypto = require('crypto');
+
+const ACK_CODES = ['AA', 'AE', 'AR'];
+
+// HL7 table 0357 (message error condition codes)
+const ERROR_CODES = {
+  SEGMENT_SEQUENCE_ERROR: '100',
+  REQUIRED_FIELD_MISSING: '101',
+  DATA_TYPE_ERROR: '102',
+  APPLICATION_INTERNAL_ERROR: '207'
+};
+
+/**
+ * Escapes HL7 delimiters in a field value.
+ * @param {any} value - Value to escape.
+ * @returns {String} Escaped value.
+ */
+function escapeHL7(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  return String(value)
+    .replace(/\\/g, '\\E\\')
+    .replace(/\|/g, '\\F\\')
+    .replace(/\^/g, '\\S\\')
+    .replace(/&/g, '\\T\\')
+    .replace(/~/g, '\\R\\')
+    .replace(/\r|\n/g, ' ');
+}
+
+/**
+ * Formats a parsed field back into HL7 components.
+ * Handles plain strings, `{namespaceID, universalID}` from parseEMRHL7Message and
+ * raw hl7-standard component objects (`{'MSH.4.1': ..., 'MSH.4.2': ...}`).
+ * @param {any} value - Parsed field value.
+ * @returns {String} Field with components joined by `^`.
+ */
+function formatField(value) {
+  if (!value) {
+    return '';
+  }
+
+  if (typeof value !== 'object') {
+    return escapeHL7(value);
+  }
+
+  const components =
+    'namespaceID' in value || 'universalID' in value
+      ? [value.namespaceID, value.universalID]
+      : Object.values(value);
+
+  return components
+    .map((component) => (typeof component === 'object' ? '' : escapeHL7(component)))
+    .join('^')
+    .replace(/\^+$/, '');
+}
+
+/**
+ * Formats a date as an HL7 TS value in UTC.
+ * @param {Date} date - Date to format.
+ * @returns {String} Timestamp like `20240101120000+0000`.
+ */
+function formatTimestamp(date) {
+  return `${date.toISOString().replace(/[-:T]/g, '').substring(0, 14)}+0000`;
+}
+
+/**
+ * Builds an ERR segment (HL7 v2.3 ERR-1 error code and location).
+ * @param {Error|{message: String, segment?: String, sequence?: Number, field?: Number, code?: String}} error - Error to report.
+ * @returns {String} ERR segment.
+ */
+function buildERR(error) {
+  // @ts-ignore
+  const { segment = '', sequence = '', field = '', code } = error;
+  const errorCode = code || ERROR_CODES.APPLICATION_INTERNAL_ERROR;
+
+  const codeIdentifier = [errorCode, error.message, 'HL70357']
+    .map(escapeHL7)
+    .join('&');
+
+  return `ERR|${[segment, sequence, field, codeIdentifier].map(String).join('^')}`;
+}
+
+/**
+ * Reads the MSH fields needed for an acknowledgement straight from a raw HL7 string.
+ * Used when the message failed to parse and no `messageHeader` is available.
+ * Application and facility fields with several components are split as hl7-standard splits them,
+ * so the ACK rebuilds them with its own delimiters instead of escaping the sender's.
+ * @param {String} rawHL7String - Raw HL7 message.
+ * @returns {Object} Partial messageHeader.
+ */
+function parseRawMSH(rawHL7String) {
+  const mshLine =
+    String(rawHL7String || '')
+      .split(/\r\n|\r|\n/)
+      .find((line) => line.startsWith('MSH')) || '';
+
+  const fieldSeparator = mshLine.charAt(3) || '|';
+  // MSH-1 is the separator itself, so field N sits at index N - 1
+  const fields = mshLine.split(fieldSeparator);
+  const componentSeparator = fields[1]?.charAt(0) || '^';
+  const getField = (position) => fields[position - 1] || '';
+  const getComponents = (position) => {
+    const components = getField(position).split(componentSeparator);
+
+    return components.length > 1
+      ? Object.fromEntries(components.map((component, index) => [`MSH.${position}.${index + 1}`, component]))
+      : components[0];
+  };
+
+  return {
+    sendingApplication: getComponents(3),
+    sendingFacility: getComponents(4),
+    receivingApplication: getComponents(5),
+    receivingFacility: getComponents(6),
+    messageType: {
+      messageCode: getField(9).split(componentSeparator)[0] || '',
+      triggerEvent: getField(9).split(componentSeparator)[1] || ''
+    },
+    messageControlId: getField(10),
+    processingId: getField(11),
+    versionId: getField(12),
+    acceptAcknowledgementType: getField(15) || null,
+    applicationAcknowledgementType: getField(16) || null
+  };
+}
+
+/**
+ * Decides whether the sender asked for an application acknowledgement with the given code (MSH-16).
+ * Messages without MSH-16 follow original acknowledgement mode and are always acknowledged.
+ * @param {Object} messageHeader - Parsed MSH of the original message.
+ * @param {String} acknowledgementCode - AA, AE or AR.
+ * @returns {Boolean} True if an ACK should be sent.
+ */
+function isAckRequested(messageHeader, acknowledgementCode) {
+  switch (messageHeader?.applicationAcknowledgementType) {
+    case 'NE':
+      return false;
+    case 'ER':
+      return acknowledgementCode !== 'AA';
+    case 'SU':
+      return acknowledgementCode === 'AA';
+    default:
+      return true;
+  }
+}
+
+/**
+ * Builds an HL7 ACK (MSH/MSA and optional ERR segments) replying to a parsed message.
+ * @param {Object} messageHeader - `messageHeader` from parseHL7Message, parseEMRHL7Message or parseRawMSH.
+ * @param {Object} [options]
+ * @param {String} [options.acknowledgementCode='AA'] - AA (accept), AE (error) or AR (reject).
+ * @param {String} [options.textMessage] - MSA-3 text message.
+ * @param {Array<Error|Object>} [options.errors] - Errors reported as ERR segments.
+ * @param {String} [options.controlId] - MSH-10 of the ACK itself. Generated when omitted.
+ * @param {Date} [options.dateTime] - MSH-7 of the ACK. Defaults to now.
+ * @returns {String} ACK message with segments separated by `\r`.
+ *
+ * @example
+ * buildHL7Ack(parsed.messageHeader, { acknowledgementCode: 'AE', errors: [error] });
+ */
+function buildHL7Ack(
+  messageHeader,
+  {
+    acknowledgementCode = 'AA',
+    textMessage = '',
+    errors = [],
+    controlId = crypto.randomBytes(6).toString('hex').toUpperCase(),
+    dateTime = new Date()
+  } = {}
+) {
+  if (!ACK_CODES.includes(acknowledgementCode)) {
+    throw new Error(
+      `Invalid acknowledgement code "${acknowledgementCode}". Expected one of: ${ACK_CODES.join(', ')}`
+    );
+  }
+
+  const header = messageHeader || {};
+  const triggerEvent = header.messageType?.triggerEvent || 'R01';
+
+  const msh = [
+    'MSH',
+    '^~\\&',
+    // Reply goes back to the sender, so sending and receiving swap
+    formatField(header.receivingApplication),
+    formatField(header.receivingFacility),
+    formatField(header.sendingApplication),
+    formatField(header.sendingFacility),
+    formatTimestamp(dateTime),
+    '',
+    `ACK^${escapeHL7(triggerEvent)}`,
+    escapeHL7(controlId),
+    escapeHL7(header.processingId || 'P'),
+    escapeHL7(header.versionId || '2.3')
+  ].join('|');
+
+  const msa = [
+    'MSA',
+    acknowledgementCode,
+    escapeHL7(header.messageControlId),
+    escapeHL7(textMessage || errors[0]?.message || '')
+  ]
+    .join('|')
+    .replace(/\|+$/, '');
+
+  return [msh, msa, ...errors.map(buildERR)].join('\r');
+}
+
+/**
+ * Parses raw HL7 messages one by one and builds an ACK for each:
+ * AA when the message parsed, AE with an ERR segment when it didn't.
+ * @param {Array<String>} rawMessages - Raw HL7 messages.
+ * @param {(rawHL7String: String, index: Number) => Object} parse - Parser producing `messageHeader`;
+ * callers that already parsed the messages can return the result for `index` instead.
+ * @returns {Array<{messageControlId: String, acknowledgementCode: String, ack: String|null}>}
+ * One entry per message; `ack` is null when MSH-16 says no ACK is wanted.
+ */
+function acknowledgeHL7Messages(rawMessages, parse) {
+  return rawMessages.map((rawHL7String, index) => {
+    let messageHeader;
+    let acknowledgementCode = 'AA';
+    const errors = [];
+
+    try {
+      messageHeader = parse(rawHL7String, index).messageHeader;
+    } catch (error) {
+      messageHeader = parseRawMSH(rawHL7String);
+      acknowledgementCode = 'AE';
+      errors.push(error);
+    }
+
+    return {
+      messageControlId: messageHeader?.messageControlId || '',
+      acknowledgementCode,
+      ack: isAckRequested(messageHeader, acknowledgementCode)
+        ? buildHL7Ack(messageHeader, { acknowledgementCode, errors })
+        : null
+    };
+  });
+}
+
+module.exports = {
+  buildHL7Ack,
+  acknowledgeHL7Messages,
+  parseRawMSH,
+  isAckRequested,
+  ERROR_CODES
+};
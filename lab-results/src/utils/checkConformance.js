@@ -0,0 +1,86 @@
+// @ts-check
+const Ajv = require('ajv').default;
+
+// Report every missing field in one pass; `verbose` exposes the schema behind each error
+const ajv = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true });
+
+// Schemas annotate fields with the HL7 field they come from, e.g. "PID-5"
+ajv.addKeyword({ keyword: 'hl7Field', schemaType: 'string' });
+
+/** @type {WeakMap<Object, import('ajv').ValidateFunction>} */
+const validators = new WeakMap();
+
+/**
+ * @typedef {Object} ConformanceIssue
+ * @property {String} path - JSON pointer to the offending field in the parsed message.
+ * @property {String|null} hl7Field - HL7 field the value comes from, e.g. `PID-5`.
+ * @property {String} message - What is wrong with the field.
+ */
+
+/**
+ * @typedef {Object} ConformanceReport
+ * @property {String} profile - Spec profile the message was checked against.
+ * @property {Boolean} conformant - True when every required field is present.
+ * @property {Array<ConformanceIssue>} issues - Missing or invalid fields.
+ */
+
+function getValidator(schema) {
+  let validate = validators.get(schema);
+
+  if (!validate) {
+    validate = ajv.compile(schema);
+    validators.set(schema, validate);
+  }
+
+  return validate;
+}
+
+/**
+ * Converts an Ajv error into an issue naming the HL7 field.
+ * @param {import('ajv').ErrorObject} error - Validation error.
+ * @returns {ConformanceIssue} Conformance issue.
+ */
+function toIssue(error) {
+  if (error.keyword === 'required') {
+    const field = error.params.missingProperty;
+
+    return {
+      path: `${error.instancePath}/${field}`,
+      hl7Field: error.parentSchema?.properties?.[field]?.hl7Field || null,
+      message: 'Required field is missing'
+    };
+  }
+
+  const isEmpty = error.keyword === 'minLength' || error.keyword === 'minItems';
+
+  return {
+    path: error.instancePath,
+    hl7Field: error.parentSchema?.hl7Field || null,
+    message: isEmpty ? 'Required field is empty' : `Field ${error.message}`
+  };
+}
+
+/**
+ * Checks a parsed message against the JSON Schema of its spec profile.
+ * Parsers default missing fields to `''` and then drop them, so a missing required
+ * field only shows up here.
+ * @param {Object} parsedMessage - Output of parseHL7Message or parseEMRHL7Message.
+ * @param {{name: String, schema: Object}} profile - Profile name and its JSON Schema.
+ * @returns {ConformanceReport} Conformance report.
+ *
+ * @example
+ * checkConformance(parsed, { name: 'gdml', schema: require('../schemas/gdml.schema.json') });
+ * // { profile: 'gdml', conformant: false, issues: [{ path: '/patients/0/names', hl7Field: 'PID-5', message: 'Required field is missing' }] }
+ */
+function checkConformance(parsedMessage, { name, schema }) {
+  const validate = getValidator(schema);
+  const conformant = /** @type {Boolean} */ (validate(parsedMessage));
+
+  return {
+    profile: name,
+    conformant,
+    issues: conformant ? [] : (validate.errors || []).map(toIssue)
+  };
+}
+
+module.exports = { checkConformance };
@@ -0,0 +1,407 @@
+// @ts-check
+
+// Groups whose content is metadata, not report text
+const IGNORED_DESTINATIONS = new Set([
+  'fonttbl',
+  'colortbl',
+  'stylesheet',
+  'info',
+  'pict',
+  'object',
+  'header',
+  'headerl',
+  'headerr',
+  'headerf',
+  'footer',
+  'footerl',
+  'footerr',
+  'footerf',
+  'listtable',
+  'listoverridetable',
+  'rsidtbl',
+  'generator',
+  'xmlnstbl',
+  'themedata',
+  'colorschememapping',
+  'datastore',
+  'latentstyles',
+  'pgdsctbl',
+  'fldinst'
+]);
+
+const SYMBOLS = {
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  emspace: ' ',
+  enspace: ' ',
+  qmspace: ' '
+};
+
+// Control words the converter understands; unknown ones after `\*` start an ignorable group
+const KNOWN_WORDS = new Set([
+  'par', 'page', 'line', 'pard', 'intbl', 'cell', 'row', 'b', 'i', 'ul', 'ulnone',
+  'plain', 'uc', 'u', ...Object.keys(SYMBOLS)
+]);
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * @typedef {Object} RTFState
+ * @property {Boolean} skip - Inside an ignored destination.
+ * @property {Boolean} bold
+ * @property {Boolean} italic
+ * @property {Boolean} underline
+ * @property {Boolean} inTable - Current paragraph is a table cell (`\intbl`).
+ * @property {Number} unicodeSkip - Fallback characters following `\u` (`\uc`).
+ */
+
+/**
+ * @typedef {{text: String, bold: Boolean, italic: Boolean, underline: Boolean}|{lineBreak: true}} Run
+ */
+
+/**
+ * @typedef {Object} Narrative
+ * @property {String} text - Plain text: one line per paragraph, table cells separated by tabs.
+ * @property {String} html - HTML with `<p>`, `<table>`, `<strong>`, `<em>` and `<u>`.
+ */
+
+// Windows-1252 characters for bytes 0x80-0x9F; the rest of the code page matches Latin-1
+const WINDOWS_1252_HIGH = [
+  '\u20AC', '', '\u201A', '\u0192', '\u201E', '\u2026', '\u2020', '\u2021',
+  '\u02C6', '\u2030', '\u0160', '\u2039', '\u0152', '', '\u017D', '',
+  '', '\u2018', '\u2019', '\u201C', '\u201D', '\u2022', '\u2013', '\u2014',
+  '\u02DC', '\u2122', '\u0161', '\u203A', '\u0153', '', '\u017E', '\u0178'
+];
+
+/**
+ * Decodes `\'hh` bytes. BC reports use the Windows-1252 code page (`\ansicpg1252`).
+ * @param {Number} byte - Byte value.
+ * @returns {String} Character.
+ */
+function decodeCodePageByte(byte) {
+  if (byte >= 0x80 && byte <= 0x9f) {
+    return WINDOWS_1252_HIGH[byte - 0x80];
+  }
+
+  return String.fromCharCode(byte);
+}
+
+function escapeHTML(value) {
+  return value.replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+}
+
+/**
+ * Renders runs as HTML, wrapping formatted text in `<strong>`, `<em>` and `<u>`.
+ * @param {Array<Run>} runs - Paragraph content.
+ * @returns {String} HTML.
+ */
+function runsToHTML(runs) {
+  return runs
+    .map((run) => {
+      if ('lineBreak' in run) return '<br>';
+
+      let html = escapeHTML(run.text).replace(/\t/g, '&emsp;');
+      if (run.underline) html = `<u>${html}</u>`;
+      if (run.italic) html = `<em>${html}</em>`;
+      if (run.bold) html = `<strong>${html}</strong>`;
+      return html;
+    })
+    .join('');
+}
+
+function runsToText(runs) {
+  return runs.map((run) => ('lineBreak' in run ? '\n' : run.text)).join('');
+}
+
+/**
+ * Converts an RTF document into a readable narrative.
+ * Keeps paragraphs, line breaks, tables and bold/italic/underline; drops font tables,
+ * pictures, headers/footers and other metadata.
+ * @param {String} rtf - RTF document, already unescaped from HL7 (`{\rtf1...`).
+ * @returns {Narrative} Plain text and HTML renderings.
+ *
+ * @example
+ * convertRTF('{\\rtf1\\ansi {\\b Result:} normal\\par Second line}');
+ * // { text: 'Result: normal\nSecond line', html: '<p><strong>Result:</strong> normal</p><p>Second line</p>' }
+ */
+function convertRTF(rtf) {
+  const source = String(rtf || '');
+
+  /** @type {RTFState} */
+  let state = {
+    skip: false,
+    bold: false,
+    italic: false,
+    underline: false,
+    inTable: false,
+    unicodeSkip: 1
+  };
+  const stack = [];
+
+  /** @type {Array<{paragraph: Array<Run>}|{table: Array<Array<Array<Array<Run>>>>}>} */
+  const blocks = [];
+  /** @type {Array<Run>} */
+  let runs = [];
+  let cellParagraphs = [];
+  let row = [];
+  let tableRows = [];
+  // Fallback characters still to drop after a `\u` character
+  let pendingSkip = 0;
+  // `\*` marks the next control word's group as ignorable when it isn't understood
+  let ignorableDestination = false;
+
+  const emit = (text) => {
+    if (state.skip || !text) return;
+
+    if (pendingSkip > 0) {
+      const dropped = Math.min(pendingSkip, text.length);
+      pendingSkip -= dropped;
+      text = text.substring(dropped);
+      if (!text) return;
+    }
+
+    const last = runs[runs.length - 1];
+    if (
+      last &&
+      !('lineBreak' in last) &&
+      last.bold === state.bold &&
+      last.italic === state.italic &&
+      last.underline === state.underline
+    ) {
+      last.text += text;
+    } else {
+      runs.push({
+        text,
+        bold: state.bold,
+        italic: state.italic,
+        underline: state.underline
+      });
+    }
+  };
+
+  const flushTable = () => {
+    if (row.length > 0) {
+      tableRows.push(row);
+      row = [];
+    }
+
+    if (tableRows.length > 0) {
+      blocks.push({ table: tableRows });
+      tableRows = [];
+    }
+  };
+
+  const endParagraph = () => {
+    if (state.inTable) {
+      cellParagraphs.push(runs);
+    } else {
+      flushTable();
+      blocks.push({ paragraph: runs });
+    }
+
+    runs = [];
+  };
+
+  const handleControlWord = (word, parameter) => {
+    const hasParameter = parameter !== null;
+    const enabled = !hasParameter || parameter !== 0;
+
+    const ignorable = ignorableDestination && !KNOWN_WORDS.has(word);
+    ignorableDestination = false;
+
+    if (ignorable || IGNORED_DESTINATIONS.has(word)) {
+      state.skip = true;
+      return;
+    }
+
+    if (state.skip) return;
+
+    switch (word) {
+      case 'par':
+      case 'page':
+        endParagraph();
+        break;
+      case 'line':
+        runs.push({ lineBreak: true });
+        break;
+      case 'pard':
+        state.inTable = false;
+        break;
+      case 'intbl':
+        state.inTable = true;
+        break;
+      case 'cell':
+        cellParagraphs.push(runs);
+        runs = [];
+        row.push(cellParagraphs);
+        cellParagraphs = [];
+        break;
+      case 'row':
+        tableRows.push(row);
+        row = [];
+        break;
+      case 'b':
+        state.bold = enabled;
+        break;
+      case 'i':
+        state.italic = enabled;
+        break;
+      case 'ul':
+        state.underline = enabled;
+        break;
+      case 'ulnone':
+        state.underline = false;
+        break;
+      case 'plain':
+        state.bold = false;
+        state.italic = false;
+        state.underline = false;
+        break;
+      case 'uc':
+        state.unicodeSkip = hasParameter ? parameter : 1;
+        break;
+      case 'u':
+        if (hasParameter) {
+          emit(String.fromCharCode(parameter < 0 ? parameter + 65536 : parameter));
+          pendingSkip = state.unicodeSkip;
+        }
+        break;
+      default:
+        if (SYMBOLS[word]) emit(SYMBOLS[word]);
+        break;
+    }
+  };
+
+  let position = 0;
+
+  while (position < source.length) {
+    const char = source[position];
+
+    if (char === '{') {
+      stack.push(state);
+      state = { ...state };
+      position += 1;
+      continue;
+    }
+
+    if (char === '}') {
+      state = stack.pop() || state;
+      ignorableDestination = false;
+      position += 1;
+      continue;
+    }
+
+    if (char === '\r' || char === '\n') {
+      position += 1;
+      continue;
+    }
+
+    if (char !== '\\') {
+      emit(char);
+      position += 1;
+      continue;
+    }
+
+    const next = source[position + 1];
+
+    if (next === undefined) break;
+
+    if (/[a-zA-Z]/.test(next)) {
+      const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(source.substring(position + 1, position + 64));
+      // @ts-ignore - the first character is a letter, so this always matches
+      const [token, word, parameter] = match;
+      handleControlWord(word, parameter === undefined ? null : parseInt(parameter, 10));
+      position += 1 + token.length;
+      continue;
+    }
+
+    if (next === "'") {
+      const byte = parseInt(source.substring(position + 2, position + 4), 16);
+      if (!Number.isNaN(byte)) emit(decodeCodePageByte(byte));
+      position += 4;
+      continue;
+    }
+
+    switch (next) {
+      case '\\':
+      case '{':
+      case '}':
+        emit(next);
+        break;
+      case '~':
+        emit(' ');
+        break;
+      case '_':
+        emit('-');
+        break;
+      case '*':
+        ignorableDestination = true;
+        break;
+      case '\r':
+      case '\n':
+        if (!state.skip) endParagraph();
+        break;
+      default:
+        // `\-` (optional hyphen) and unknown control symbols have no text
+        break;
+    }
+
+    position += 2;
+  }
+
+  if (runs.length > 0 || cellParagraphs.length > 0) {
+    if (cellParagraphs.length > 0) {
+      cellParagraphs.push(runs);
+      row.push(cellParagraphs);
+    } else {
+      blocks.push({ paragraph: runs });
+    }
+  }
+
+  flushTable();
+
+  const text = blocks
+    .map((block) =>
+      'table' in block
+        ? block.table
+            .map((cells) =>
+              cells.map((cell) => cell.map(runsToText).join(' ').trim()).join('\t')
+            )
+            .join('\n')
+        : runsToText(block.paragraph)
+    )
+    .join('\n')
+    .replace(/[ \t]+$/gm, '')
+    .trim();
+
+  const html = blocks
+    .map((block) =>
+      'table' in block
+        ? `<table>${block.table
+            .map(
+              (cells) =>
+                `<tr>${cells
+                  .map((cell) => `<td>${cell.map(runsToHTML).filter(Boolean).join('<br>')}</td>`)
+                  .join('')}</tr>`
+            )
+            .join('')}</table>`
+        : `<p>${runsToHTML(block.paragraph)}</p>`
+    )
+    .join('');
+
+  return { text, html };
+}
+
+module.exports = convertRTF;
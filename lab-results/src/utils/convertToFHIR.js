@@ -0,0 +1,523 @@
+// @ts-check
+const crypto = require('crypto');
+
+const LOINC_SYSTEM = 'http://loinc.org';
+const OBSERVATION_CATEGORY_SYSTEM =
+  'http://terminology.hl7.org/CodeSystem/observation-category';
+const INTERPRETATION_SYSTEM =
+  'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+const DIAGNOSTIC_SERVICE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v2-0074';
+
+// HL7 v2 result status (OBR-25 / OBX-11) to FHIR status
+const REPORT_STATUS_MAP = {
+  O: 'registered',
+  I: 'registered',
+  S: 'registered',
+  A: 'partial',
+  P: 'preliminary',
+  R: 'preliminary',
+  F: 'final',
+  C: 'corrected',
+  X: 'cancelled'
+};
+
+const OBSERVATION_STATUS_MAP = {
+  I: 'registered',
+  P: 'preliminary',
+  R: 'preliminary',
+  F: 'final',
+  C: 'corrected',
+  D: 'entered-in-error',
+  W: 'entered-in-error',
+  X: 'cancelled'
+};
+
+const GENDER_MAP = {
+  M: 'male',
+  F: 'female',
+  O: 'other',
+  U: 'unknown',
+  X: 'other'
+};
+
+// HL7 v2 abnormal flags (OBX-8) that exist in v3-ObservationInterpretation
+const INTERPRETATION_CODES = ['L', 'H', 'LL', 'HH', '<', '>', 'N', 'A', 'AA', 'S', 'R', 'I'];
+
+// Lab comparators to the FHIR Quantity.comparator value set; `=` is an exact value and has none
+const QUANTITY_COMPARATORS = {
+  '<': '<',
+  '<=': '<=',
+  '>=': '>=',
+  '>': '>',
+  '≤': '<=',
+  '≥': '>=',
+  '=': null
+};
+
+// Interpretations the parsers compute from the reference range when OBX-8 is empty
+const COMPUTED_INTERPRETATION_CODES = {
+  low: 'L',
+  normal: 'N',
+  high: 'H',
+  abnormal: 'A'
+};
+
+/**
+ * Converts parsed HL7 output into a FHIR R4 collection Bundle of Patient, Practitioner,
+ * ServiceRequest, DiagnosticReport and Observation resources.
+ * Accepts output from both parseHL7Message (GDML) and parseEMRHL7Message (LifeLabs EMR).
+ * @param {Object|Array<Object>} parsedMessages - One parsed message or an array of them.
+ * @returns {Object} FHIR R4 Bundle.
+ */
+function convertToFHIR(parsedMessages) {
+  const messages = Array.isArray(parsedMessages) ? parsedMessages : [parsedMessages];
+
+  return {
+    resourceType: 'Bundle',
+    id: crypto.randomUUID(),
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: messages.flatMap((message) => convertMessageToEntries(message))
+  };
+}
+
+/**
+ * Converts a single parsed message into Bundle entries, so large batches can be written entry by entry.
+ * @param {Object} message - Parsed message with `messageHeader` and `patients`.
+ * @returns {Array<Object>} Bundle entries.
+ */
+function convertMessageToEntries(message) {
+  const entries = [];
+  const practitionerRefs = new Map();
+
+  const addEntry = (resource) => {
+    const fullUrl = `urn:uuid:${resource.id}`;
+    entries.push({ fullUrl, resource });
+    return { reference: fullUrl };
+  };
+
+  const getPractitionerRef = (physician) => {
+    const practitioner = toPractitioner(physician);
+    if (!practitioner) return undefined;
+
+    const key = practitioner.identifier?.[0]?.value || JSON.stringify(practitioner.name);
+    if (!practitionerRefs.has(key)) {
+      practitionerRefs.set(key, addEntry(practitioner));
+    }
+
+    return practitionerRefs.get(key);
+  };
+
+  (message?.patients || []).forEach((patient) => {
+    const patientRef = addEntry(toPatient(patient));
+
+    (patient.orders || []).forEach((order) => {
+      (order.labResults || []).forEach((labResult) => {
+        const requesterRef = getPractitionerRef(
+          labResult.orderingPhysician || order.orderingPhysician
+        );
+
+        const serviceRequestRef = addEntry(
+          toServiceRequest(labResult, order, patientRef, requesterRef)
+        );
+
+        const observationRefs = (labResult.observations || []).map((observation) =>
+          addEntry(toObservation(observation, labResult, patientRef))
+        );
+
+        addEntry(
+          toDiagnosticReport(
+            labResult,
+            message.messageHeader,
+            patientRef,
+            serviceRequestRef,
+            observationRefs
+          )
+        );
+      });
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Converts an HL7-derived date into a FHIR dateTime.
+ * FHIR only allows a time when it carries a timezone, so times without an offset are reduced to the date.
+ * @param {String} value - Date string from the parsers.
+ * @returns {String|undefined} FHIR dateTime.
+ */
+function toFHIRDateTime(value) {
+  if (!value || !/^\d{4}/.test(value)) {
+    return undefined;
+  }
+
+  if (/T.*(Z|[+-]\d{2}:\d{2})$/.test(value)) {
+    // FHIR requires seconds; the parsers keep minute precision when the lab sends no seconds
+    return value.replace(/T(\d{2}:\d{2})(?=Z|[+-])/, 'T$1:00');
+  }
+
+  return value.split('T')[0];
+}
+
+/**
+ * Converts an HL7-derived date into a FHIR instant, which requires a full time with a timezone.
+ * @param {String} value - Date string from the parsers.
+ * @returns {String|undefined} FHIR instant.
+ */
+function toFHIRInstant(value) {
+  const dateTime = toFHIRDateTime(value);
+  return dateTime && dateTime.includes('T') ? dateTime : undefined;
+}
+
+/**
+ * Builds a CodeableConcept from a lab code, display text and HL7 coding system.
+ * @param {String} code - Lab code.
+ * @param {String} display - Display text.
+ * @param {String} [codingSystem] - HL7 coding system (e.g. `LN`).
+ * @returns {Object} CodeableConcept.
+ */
+function toCodeableConcept(code, display, codingSystem) {
+  const coding = code
+    ? [
+        {
+          system: codingSystem === 'LN' ? LOINC_SYSTEM : undefined,
+          code: String(code),
+          display: display || undefined
+        }
+      ]
+    : undefined;
+
+  return { coding, text: display || (code ? String(code) : undefined) };
+}
+
+/**
+ * Reads a value that parsers keep either as a string or as a raw hl7-standard component object.
+ * @param {any} value - Parsed value.
+ * @returns {String} First component as a string.
+ */
+function firstComponent(value) {
+  if (!value) return '';
+  if (typeof value !== 'object') return String(value);
+  if ('id' in value) return String(value.id || '');
+
+  const [first] = Object.values(value);
+  return typeof first === 'object' ? '' : String(first || '');
+}
+
+/**
+ * Converts a parsed patient into a FHIR Patient.
+ * @param {Object} patient - Parsed PID data.
+ * @returns {Object} Patient resource.
+ */
+function toPatient(patient) {
+  const identifiers = [];
+
+  if (patient.patientIdInternal?.uniqueIdentifier) {
+    identifiers.push({
+      type: { text: 'Health card number' },
+      value: patient.patientIdInternal.uniqueIdentifier,
+      assigner: patient.patientIdInternal.provinceCode
+        ? { display: patient.patientIdInternal.provinceCode }
+        : undefined
+    });
+  }
+
+  (patient.patientIdExternal || []).forEach((id) => {
+    const value = typeof id === 'object' ? id.uniqueIdentifier || firstComponent(id) : id;
+    if (!value) return;
+
+    identifiers.push({
+      type: id.identifierTypeCode ? { text: id.identifierTypeCode } : undefined,
+      value: String(value),
+      assigner:
+        id.assigningJurisdiction || id.assigningAuthority
+          ? { display: String(id.assigningJurisdiction || id.assigningAuthority) }
+          : undefined
+    });
+  });
+
+  return removeUndefined({
+    resourceType: 'Patient',
+    id: crypto.randomUUID(),
+    identifier: identifiers.length > 0 ? identifiers : undefined,
+    name: (patient.names || [])
+      .filter((name) => name.familyName || name.givenName)
+      .map((name) => ({
+        use: 'official',
+        family: name.familyName || undefined,
+        given: [name.givenName, name.middleName].filter(Boolean)
+      })),
+    gender: GENDER_MAP[patient.sex] || (patient.sex ? 'unknown' : undefined),
+    birthDate: toFHIRDateTime(patient.dateOfBirth)?.split('T')[0],
+    address: (patient.addresses || []).map((address) => ({
+      line: [address.street, address.apt || address.otherDesignation].filter(Boolean),
+      city: address.city || undefined,
+      state: address.province || undefined,
+      postalCode: address.postalCode || undefined,
+      country: address.country || undefined
+    })),
+    telecom: (patient.phoneNumbers || [])
+      .filter((phone) => typeof phone === 'string' && phone)
+      .map((phone) => ({ system: 'phone', value: phone }))
+  });
+}
+
+/**
+ * Converts an ordering physician into a FHIR Practitioner.
+ * @param {Object} physician - Parsed ordering physician.
+ * @returns {Object|null} Practitioner resource, or null when there is no physician.
+ */
+function toPractitioner(physician) {
+  if (!physician || (!physician.physician && !physician.physicianName)) {
+    return null;
+  }
+
+  const given = [physician.firstInitial].filter(Boolean);
+
+  return removeUndefined({
+    resourceType: 'Practitioner',
+    id: crypto.randomUUID(),
+    identifier: physician.physician
+      ? [{ value: String(physician.physician) }]
+      : undefined,
+    name: [
+      {
+        family: physician.familyName || physician.physicianName || undefined,
+        given: given.length > 0 ? given : undefined
+      }
+    ]
+  });
+}
+
+/**
+ * Converts an OBR into a FHIR ServiceRequest.
+ * @returns {Object} ServiceRequest resource.
+ */
+function toServiceRequest(labResult, order, patientRef, requesterRef) {
+  const identifiers = [];
+  const placerOrderNumber = firstComponent(labResult.placerOrderNumber);
+  const fillerOrderNumber = firstComponent(labResult.fillerOrderNumber);
+
+  if (placerOrderNumber) {
+    identifiers.push({ type: { text: 'Placer order number' }, value: placerOrderNumber });
+  }
+  if (fillerOrderNumber) {
+    identifiers.push({ type: { text: 'Filler order number' }, value: fillerOrderNumber });
+  }
+
+  return removeUndefined({
+    resourceType: 'ServiceRequest',
+    id: crypto.randomUUID(),
+    identifier: identifiers.length > 0 ? identifiers : undefined,
+    status: labResult.resultStatus === 'X' ? 'revoked' : 'completed',
+    intent: 'order',
+    code: toCodeableConcept(
+      labResult.universalServiceId?.gdmlTestCode,
+      labResult.universalServiceId?.testName
+    ),
+    priority: labResult.priority === 'S' ? 'stat' : undefined,
+    subject: patientRef,
+    authoredOn: toFHIRDateTime(labResult.requestedDateTime || order?.transactionDateTime),
+    requester: requesterRef
+  });
+}
+
+/**
+ * Converts an OBR and its observations into a FHIR DiagnosticReport.
+ * @returns {Object} DiagnosticReport resource.
+ */
+function toDiagnosticReport(labResult, messageHeader, patientRef, serviceRequestRef, observationRefs) {
+  const fillerOrderNumber = firstComponent(labResult.fillerOrderNumber);
+
+  return removeUndefined({
+    resourceType: 'DiagnosticReport',
+    id: crypto.randomUUID(),
+    identifier: fillerOrderNumber ? [{ value: fillerOrderNumber }] : undefined,
+    basedOn: [serviceRequestRef],
+    status: REPORT_STATUS_MAP[labResult.resultStatus] || 'unknown',
+    category: [
+      labResult.diagnosticServiceSectionId
+        ? {
+            coding: [
+              {
+                system: DIAGNOSTIC_SERVICE_SYSTEM,
+                code: String(labResult.diagnosticServiceSectionId)
+              }
+            ]
+          }
+        : { coding: [{ system: DIAGNOSTIC_SERVICE_SYSTEM, code: 'LAB' }] }
+    ],
+    code: toCodeableConcept(
+      labResult.universalServiceId?.gdmlTestCode,
+      labResult.universalServiceId?.testName
+    ),
+    subject: patientRef,
+    effectiveDateTime: toFHIRDateTime(labResult.collectionDateTime),
+    issued: toFHIRInstant(labResult.reportedDateTime || messageHeader?.messageDateTime),
+    result: observationRefs.length > 0 ? observationRefs : undefined,
+    conclusion: (labResult.notes || [])
+      .map((note) => note.comment)
+      .filter(Boolean)
+      .join('\n') || undefined
+  });
+}
+
+/**
+ * Converts an OBX into a FHIR Observation.
+ * @returns {Object} Observation resource.
+ */
+function toObservation(observation, labResult, patientRef) {
+  const identifier = observation.observationIdentifier || {};
+  const results = [].concat(observation.observationResults || []).map(String);
+  const abnormalFlag = observation.abnormalFlag || observation.abnormalFlags;
+  const numericResult = toFHIRNumericResult(observation.numericResult);
+  const interpretationCode =
+    abnormalFlag && INTERPRETATION_CODES.includes(abnormalFlag)
+      ? abnormalFlag
+      : COMPUTED_INTERPRETATION_CODES[observation.interpretation?.value];
+
+  return removeUndefined({
+    resourceType: 'Observation',
+    id: crypto.randomUUID(),
+    status: toObservationStatus(observation),
+    category: [
+      {
+        coding: [{ system: OBSERVATION_CATEGORY_SYSTEM, code: 'laboratory' }]
+      }
+    ],
+    code: withLOINCCoding(
+      toCodeableConcept(
+        identifier.gdmlTestCode || identifier.identifier,
+        identifier.testName || identifier.text,
+        identifier.codingSystem
+      ),
+      observation.loinc
+    ),
+    subject: patientRef,
+    effectiveDateTime: toFHIRDateTime(
+      observation.dateTimeOfObservation || labResult.collectionDateTime
+    ),
+    valueQuantity: numericResult
+      ? {
+          value: numericResult.value,
+          comparator: numericResult.comparator,
+          unit: observation.units || undefined
+        }
+      : undefined,
+    valueString: !numericResult && results.length > 0 ? results.join('\n') : undefined,
+    interpretation: interpretationCode
+      ? [{ coding: [{ system: INTERPRETATION_SYSTEM, code: interpretationCode }] }]
+      : undefined,
+    referenceRange: toReferenceRange(observation.referenceRange, observation.units),
+    note: (observation.notes || [])
+      .map((note) => note.comment)
+      .filter(Boolean)
+      .map((text) => ({ text }))
+  });
+}
+
+/**
+ * Maps a parsed numeric result's comparator into the FHIR Quantity.comparator value set.
+ * A result whose comparator has no FHIR equivalent isn't a quantity FHIR can express, so it is
+ * left to valueString instead of dropping the comparator and overstating the value.
+ * @param {import('./interpretResult').NumericResult|null} numericResult - Parsed OBX-5.
+ * @returns {{value: Number, comparator: String|undefined}|null} Value and FHIR comparator.
+ */
+function toFHIRNumericResult(numericResult) {
+  if (!numericResult) return null;
+
+  const { value, comparator } = numericResult;
+
+  if (!comparator) return { value, comparator: undefined };
+  if (!(comparator in QUANTITY_COMPARATORS)) return null;
+
+  return { value, comparator: QUANTITY_COMPARATORS[comparator] || undefined };
+}
+
+/**
+ * Maps OBX-11 to a FHIR Observation status. A final result that replaces an earlier final one
+ * without being flagged `C` is still a change to a released result, so it becomes `amended`.
+ * @param {Object} observation - Parsed OBX, with `revision` when it revises an earlier result.
+ * @returns {String} FHIR Observation status.
+ */
+function toObservationStatus(observation) {
+  const status = OBSERVATION_STATUS_MAP[observation.observationResultStatus] || 'unknown';
+
+  return status === 'final' && observation.revision?.corrected ? 'amended' : status;
+}
+
+/**
+ * Adds the LOINC code from the code mapping to a lab-coded CodeableConcept, so the same test
+ * can be trended across labs.
+ * @param {Object} concept - CodeableConcept with the lab's code.
+ * @param {{code: String, display?: String}} [loinc] - LOINC annotation of the observation.
+ * @returns {Object} CodeableConcept.
+ */
+function withLOINCCoding(concept, loinc) {
+  if (!loinc || concept.coding?.some((coding) => coding.system === LOINC_SYSTEM)) {
+    return concept;
+  }
+
+  return {
+    ...concept,
+    coding: [
+      { system: LOINC_SYSTEM, code: loinc.code, display: loinc.display || undefined },
+      ...(concept.coding || [])
+    ]
+  };
+}
+
+/**
+ * Converts a parsed reference range into FHIR referenceRange.
+ * @param {import('./interpretResult').ReferenceRange} referenceRange - Structured OBX-7 from either parser.
+ * @param {String} units - Observation units.
+ * @returns {Array<Object>|undefined} FHIR referenceRange.
+ */
+function toReferenceRange(referenceRange, units) {
+  if (!referenceRange) return undefined;
+
+  const toQuantity = (value) =>
+    typeof value === 'number' ? { value, unit: units || undefined } : undefined;
+
+  const range = removeUndefined({
+    low: toQuantity(referenceRange.low),
+    high: toQuantity(referenceRange.high),
+    text: referenceRange.text || undefined
+  });
+
+  return Object.keys(range).length > 0 ? [range] : undefined;
+}
+
+/**
+ * Removes undefined values and empty arrays so resources only carry populated elements.
+ * @param {any} value - Resource or element.
+ * @returns {any} Cleaned copy.
+ */
+function removeUndefined(value) {
+  if (Array.isArray(value)) {
+    return value.map(removeUndefined).filter((item) => item !== undefined);
+  }
+
+  if (value && typeof value === 'object') {
+    const cleaned = {};
+    Object.entries(value).forEach(([key, item]) => {
+      const cleanedItem = removeUndefined(item);
+      if (
+        cleanedItem === undefined ||
+        (Array.isArray(cleanedItem) && cleanedItem.length === 0) ||
+        (typeof cleanedItem === 'object' &&
+          !Array.isArray(cleanedItem) &&
+          Object.keys(cleanedItem).length === 0)
+      ) {
+        return;
+      }
+      cleaned[key] = cleanedItem;
+    });
+    return cleaned;
+  }
+
+  return value;
+}
+
+module.exports = { convertToFHIR, convertMessageToEntries };
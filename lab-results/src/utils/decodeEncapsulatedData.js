@@ -0,0 +1,128 @@
+// @ts-check
+const crypto = require('crypto');
+const { decodeHL7Text } = require('./decodeHL7Text');
+
+// ED-3 data subtypes (HL7 table 0291) and common variants
+const MIME_TYPES = {
+  PDF: 'application/pdf',
+  RTF: 'application/rtf',
+  HTML: 'text/html',
+  XML: 'application/xml',
+  JPEG: 'image/jpeg',
+  JPG: 'image/jpeg',
+  PNG: 'image/png',
+  GIF: 'image/gif',
+  TIFF: 'image/tiff',
+  'OCTET-STREAM': 'application/octet-stream'
+};
+
+const FILE_EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'application/rtf': 'rtf',
+  'text/html': 'html',
+  'application/xml': 'xml',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/tiff': 'tiff',
+  'text/plain': 'txt',
+  'application/octet-stream': 'bin'
+};
+
+/**
+ * @typedef {Object} EncapsulatedDocument
+ * @property {String} mimeType - MIME type from ED-3, or sniffed from the content.
+ * @property {String} typeOfData - ED-2, e.g. `AP` or `TEXT`.
+ * @property {String} dataSubtype - ED-3, e.g. `PDF` or `RTF`.
+ * @property {String} encoding - ED-4, `Base64`, `Hex` or `A` (escaped text).
+ * @property {Number} size - Size of the decoded document in bytes.
+ * @property {String} checksum - SHA-256 hex digest of the decoded document.
+ * @property {String} data - Decoded document, Base64 encoded so it survives JSON.
+ */
+
+/**
+ * Reads a component of an ED value as split by hl7-standard.
+ * @param {any} value - OBX-5 value.
+ * @param {Number} index - 1-based component number.
+ * @returns {String} Component value.
+ */
+function getComponent(value, index) {
+  const component = value?.[`OBX.5.${index}`];
+  return typeof component === 'string' ? component : '';
+}
+
+/**
+ * Picks a MIME type from ED-2/ED-3, falling back to the document's signature.
+ * @param {String} typeOfData - ED-2.
+ * @param {String} dataSubtype - ED-3.
+ * @param {Buffer} content - Decoded document.
+ * @returns {String} MIME type.
+ */
+function getMimeType(typeOfData, dataSubtype, content) {
+  const subtype = dataSubtype.toUpperCase();
+
+  if (MIME_TYPES[subtype]) return MIME_TYPES[subtype];
+  if (content.subarray(0, 5).toString('latin1') === '%PDF-') return MIME_TYPES.PDF;
+  if (content.subarray(0, 5).toString('latin1') === '{\\rtf') return MIME_TYPES.RTF;
+  if (typeOfData.toUpperCase() === 'TEXT') return 'text/plain';
+
+  return MIME_TYPES['OCTET-STREAM'];
+}
+
+/**
+ * Decodes the payload of an OBX-5 encapsulated data (ED) value.
+ * Base64 and hex payloads are decoded as-is; `A` (ASCII) payloads carry HL7 escape sequences,
+ * which are decoded first. Values without ED components, such as BC RTF reports sent as a
+ * single escaped string, are treated as ASCII.
+ * @param {any} value - OBX-5 value from hl7-standard.
+ * @param {import('./decodeHL7Text').HL7Delimiters} [delimiters] - Delimiters from MSH-1 and MSH-2.
+ * @returns {EncapsulatedDocument|null} Decoded document, or null when there is no payload.
+ */
+function decodeEncapsulatedData(value, delimiters) {
+  // Document reports carry a single ED value; further repetitions aren't part of the document
+  const edValue = Array.isArray(value) ? value[0] : value;
+  if (!edValue) return null;
+
+  const hasComponents = typeof edValue === 'object';
+  const typeOfData = hasComponents ? getComponent(edValue, 2) : '';
+  const dataSubtype = hasComponents ? getComponent(edValue, 3) : '';
+  const encoding = hasComponents ? getComponent(edValue, 4) || 'A' : 'A';
+  const payload = hasComponents ? getComponent(edValue, 5) : String(edValue);
+
+  if (!payload) return null;
+
+  let content;
+
+  switch (encoding.toUpperCase()) {
+    case 'BASE64':
+      content = Buffer.from(payload.replace(/\s+/g, ''), 'base64');
+      break;
+    case 'HEX':
+      content = Buffer.from(payload.replace(/\s+/g, ''), 'hex');
+      break;
+    default:
+      content = Buffer.from(decodeHL7Text(payload, delimiters).text, 'utf8');
+      break;
+  }
+
+  return {
+    mimeType: getMimeType(typeOfData, dataSubtype, content),
+    typeOfData,
+    dataSubtype,
+    encoding,
+    size: content.length,
+    checksum: crypto.createHash('sha256').update(content).digest('hex'),
+    data: content.toString('base64')
+  };
+}
+
+/**
+ * Returns the usual file extension for a MIME type.
+ * @param {String} mimeType - MIME type.
+ * @returns {String} Extension without the dot.
+ */
+function getFileExtension(mimeType) {
+  return FILE_EXTENSIONS[mimeType] || 'bin';
+}
+
+module.exports = { decodeEncapsulatedData, getFileExtension };
@@ -0,0 +1,269 @@
+// @ts-check
+
+const DEFAULT_FIELD_SEPARATOR = '|';
+const DEFAULT_ENCODING_CHARACTERS = '^~\\&';
+
+// Value types whose content may carry formatting commands
+const FORMATTED_TEXT_TYPES = ['FT', 'TX'];
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * @typedef {Object} HL7Delimiters
+ * @property {String} [fieldSeparator] - MSH-1, `|` by default.
+ * @property {String} [encodingCharacters] - MSH-2, `^~\&` by default.
+ */
+
+/**
+ * @typedef {Object} DecodedText
+ * @property {String} text - Plain text with line breaks as `\n`.
+ * @property {String} html - HTML rendering with `<br>`, indentation and `<strong>` highlighting.
+ */
+
+/**
+ * Escapes text for use in HTML.
+ * @param {String} value - Text to escape.
+ * @returns {String} Escaped text.
+ */
+function escapeHTML(value) {
+  return value.replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+}
+
+/**
+ * Decodes `\Xhh...\` hex data. HL7 leaves the character set to MSH-18, so UTF-8 is tried
+ * first and Latin-1 is used for bytes that aren't valid UTF-8.
+ * @param {String} hex - Hex digits between `\X` and `\`.
+ * @returns {String} Decoded characters.
+ */
+function decodeHex(hex) {
+  if (!/^([0-9A-Fa-f]{2})+$/.test(hex)) {
+    return '';
+  }
+
+  const bytes = Buffer.from(hex, 'hex');
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (error) {
+    return bytes.toString('latin1');
+  }
+}
+
+/**
+ * Reads the numeric argument of a formatting command such as `.sp2` or `.in+4`.
+ * @param {String} argument - Text after the command name.
+ * @param {Number} defaultValue - Value when no number is given.
+ * @returns {Number} Parsed number.
+ */
+function toCount(argument, defaultValue) {
+  const count = parseInt(argument, 10);
+  return Number.isNaN(count) ? defaultValue : count;
+}
+
+/**
+ * Turns a field value back into text. Text containing an unescaped component or subcomponent
+ * separator arrives split into objects keyed like `OBX.5.1`, so those parts are joined again.
+ * @param {any} value - Field value from hl7-standard.
+ * @param {String} component - Component separator.
+ * @param {String} subcomponent - Subcomponent separator.
+ * @returns {String} Raw text.
+ */
+function toRawText(value, component, subcomponent) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value);
+
+  return Object.values(value)
+    .map((part) =>
+      typeof part === 'object' && part !== null
+        ? Object.values(part).join(subcomponent)
+        : String(part ?? '')
+    )
+    .join(component)
+    .replace(new RegExp(`[${escapeRegExp(component + subcomponent)}]+$`), '');
+}
+
+/**
+ * Escapes characters with a special meaning in regular expressions.
+ * @param {String} value - Text to escape.
+ * @returns {String} Escaped text.
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&');
+}
+
+/**
+ * Splits a value into literal text and escape sequences.
+ * @param {String} value - Raw HL7 text.
+ * @param {String} escapeCharacter - MSH-2 escape character.
+ * @returns {Array<{literal?: String, sequence?: String}>} Tokens in order.
+ */
+function tokenize(value, escapeCharacter) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < value.length) {
+    const start = value.indexOf(escapeCharacter, position);
+    const end = start === -1 ? -1 : value.indexOf(escapeCharacter, start + 1);
+
+    // An unterminated escape character is kept as literal text
+    if (start === -1 || end === -1) {
+      tokens.push({ literal: value.substring(position) });
+      break;
+    }
+
+    if (start > position) {
+      tokens.push({ literal: value.substring(position, start) });
+    }
+
+    tokens.push({ sequence: value.substring(start + 1, end) });
+    position = end + 1;
+  }
+
+  return tokens;
+}
+
+/**
+ * Decodes HL7 escape sequences and formatted-text commands (FT/TX values, NTE comments).
+ *
+ * Delimiter escapes `\F\`, `\S\`, `\T\`, `\R\`, `\E\` and hex data `\Xhh..\` become the characters
+ * they stand for. Formatting commands `\.br\`, `\.sp n\`, `\.in n\`, `\.ti n\`, `\.sk n\` become line
+ * breaks and spaces, and `\H\`/`\N\` become `<strong>` highlighting in the HTML rendering.
+ * Unknown escape sequences are dropped, as HL7 allows.
+ * @param {any} value - Raw HL7 text, or a field value hl7-standard split into components.
+ * @param {HL7Delimiters} [delimiters] - Message delimiters from MSH-1 and MSH-2.
+ * @returns {DecodedText} Plain text and HTML renderings.
+ *
+ * @example
+ * decodeHL7Text('Result\\.br\\\\H\\HIGH\\N\\ 5\\S\\10');
+ * // { text: 'Result\nHIGH 5^10', html: 'Result<br><strong>HIGH</strong> 5^10' }
+ */
+function decodeHL7Text(value, { fieldSeparator, encodingCharacters } = {}) {
+  if (value === null || value === undefined || value === '') {
+    return { text: '', html: '' };
+  }
+
+  const separator = fieldSeparator || DEFAULT_FIELD_SEPARATOR;
+  const [component, repetition, escape, subcomponent] =
+    (encodingCharacters || DEFAULT_ENCODING_CHARACTERS).split('');
+
+  const delimiterEscapes = {
+    F: separator,
+    S: component,
+    T: subcomponent,
+    R: repetition,
+    E: escape
+  };
+
+  const text = [];
+  const html = [];
+  let highlighted = false;
+  // Indentation applies from the start of each following line; `.ti` only to the next one
+  let indent = 0;
+  let temporaryIndent = null;
+  let atLineStart = true;
+
+  const append = (plain) => {
+    if (!plain) return;
+
+    if (atLineStart) {
+      const spaces = temporaryIndent ?? indent;
+      text.push(' '.repeat(spaces));
+      html.push('&nbsp;'.repeat(spaces));
+      temporaryIndent = null;
+      atLineStart = false;
+    }
+
+    text.push(plain);
+    html.push(escapeHTML(plain));
+  };
+
+  const breakLines = (count) => {
+    text.push('\n'.repeat(count));
+    html.push('<br>'.repeat(count));
+    atLineStart = true;
+  };
+
+  const setHighlight = (on) => {
+    if (on === highlighted) return;
+    html.push(on ? '<strong>' : '</strong>');
+    highlighted = on;
+  };
+
+  tokenize(toRawText(value, component, subcomponent), escape || '\\').forEach(({ literal, sequence }) => {
+    if (literal !== undefined) {
+      append(literal);
+      return;
+    }
+
+    if (sequence in delimiterEscapes) {
+      append(delimiterEscapes[sequence]);
+      return;
+    }
+
+    if (sequence === 'H' || sequence === 'N') {
+      setHighlight(sequence === 'H');
+      return;
+    }
+
+    if (sequence.startsWith('X')) {
+      append(decodeHex(sequence.substring(1)));
+      return;
+    }
+
+    const command = /^\.([a-z]{2})(.*)$/.exec(sequence);
+    if (!command) return;
+
+    const [, name, argument] = command;
+
+    switch (name) {
+      case 'br':
+        breakLines(1);
+        break;
+      case 'sp':
+        // Ends the current line, then skips `n` lines
+        breakLines(Math.max(0, toCount(argument, 1)) + (atLineStart ? 0 : 1));
+        break;
+      case 'in':
+        indent = Math.max(0, toCount(argument, 0));
+        break;
+      case 'ti':
+        temporaryIndent = Math.max(0, toCount(argument, 0));
+        break;
+      case 'sk':
+        append(' '.repeat(Math.max(0, toCount(argument, 1))));
+        break;
+      default:
+        // `.fi`, `.nf` and `.ce` only affect word wrapping and centering
+        break;
+    }
+  });
+
+  setHighlight(false);
+
+  return { text: text.join(''), html: html.join('') };
+}
+
+/**
+ * Decodes every repetition of a text value and joins them as separate lines.
+ * @param {any} values - Repetitions of an FT or TX value, or a single value.
+ * @param {HL7Delimiters} [delimiters] - Message delimiters from MSH-1 and MSH-2.
+ * @returns {DecodedText} Plain text and HTML renderings.
+ */
+function decodeHL7TextLines(values, delimiters) {
+  const decoded = (Array.isArray(values) ? values : [values])
+    .filter((value) => value !== null && value !== undefined && value !== '')
+    .map((value) => decodeHL7Text(value, delimiters));
+
+  return {
+    text: decoded.map((line) => line.text).join('\n'),
+    html: decoded.map((line) => line.html).join('<br>')
+  };
+}
+
+module.exports = { decodeHL7Text, decodeHL7TextLines, FORMATTED_TEXT_TYPES };
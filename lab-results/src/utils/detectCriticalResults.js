@@ -0,0 +1,199 @@
+// @ts-check
+const defaultRuleSet = require('../rules/critical-results.json');
+
+/**
+ * @typedef {Object} CriticalResultRule
+ * @property {String} id - Rule ID, reported with every alert it raises.
+ * @property {String} [profile] - Lab profile the rule applies to; all profiles when omitted.
+ * @property {String} [testCode] - Lab test code (OBX-3.1) the rule applies to.
+ * @property {String} [loinc] - LOINC code the rule applies to, from the code mapping.
+ * @property {Array<String>} [flags] - Abnormal flags (OBX-8) that are critical for the test; replaces the default flags.
+ * @property {Number} [low] - Results below this value are critical.
+ * @property {Number} [high] - Results above this value are critical.
+ */
+
+/**
+ * @typedef {Object} CriticalResultRuleSet
+ * @property {String} version - Rule set version, reported with every alert.
+ * @property {Array<String>} defaultFlags - Abnormal flags that are critical for any test.
+ * @property {Array<CriticalResultRule>} rules - Per-test rules.
+ */
+
+/**
+ * @typedef {Object} CriticalResult
+ * @property {String} reason - `flag` or `threshold`.
+ * @property {String|null} ruleId - Rule that matched, null for a default flag.
+ * @property {String} ruleSetVersion - Version of the rule set.
+ * @property {Object} patient - Patient identifiers, names, date of birth and sex.
+ * @property {Object} test - Lab code, name and LOINC code of the test.
+ * @property {String} value - Result as reported.
+ * @property {String} units - OBX-6.
+ * @property {String} abnormalFlag - OBX-8.
+ * @property {String} referenceRange - OBX-7 as reported.
+ * @property {String} observationResultStatus - OBX-11.
+ * @property {String} fillerOrderNumber - OBR-3 accession.
+ * @property {String} collectionDateTime - OBR-7.
+ * @property {Object} orderingPhysician - OBR-16.
+ */
+
+/** @type {CriticalResultRuleSet} */
+let activeRuleSet;
+
+/**
+ * Replaces the rules critical results are detected with, so updated rules can be loaded at runtime.
+ * @param {CriticalResultRuleSet} ruleSet - Rules to use.
+ * @returns {CriticalResultRuleSet} The active rule set.
+ */
+function setCriticalResultRules(ruleSet) {
+  if (!ruleSet?.version || !Array.isArray(ruleSet.defaultFlags) || !Array.isArray(ruleSet.rules)) {
+    throw new Error('A critical result rule set requires a version, default flags and rules');
+  }
+
+  const invalidRule = ruleSet.rules.find(
+    (rule) =>
+      !rule?.id ||
+      (!rule.testCode && !rule.loinc) ||
+      (rule.flags !== undefined && !Array.isArray(rule.flags)) ||
+      (rule.low !== undefined && typeof rule.low !== 'number') ||
+      (rule.high !== undefined && typeof rule.high !== 'number')
+  );
+
+  if (invalidRule) {
+    throw new Error(
+      `Critical result rule "${invalidRule?.id || '(no id)'}" needs an id, a test or LOINC code, and numeric thresholds`
+    );
+  }
+
+  activeRuleSet = ruleSet;
+
+  return ruleSet;
+}
+
+// Fields either parser may split into components, e.g. OBR-3 or OBX-3.1
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return toText(value.id ?? Object.values(value)[0]);
+  return String(value).trim();
+}
+
+/**
+ * Finds the most specific rule for a test: a profile-specific rule before a general one.
+ * @param {Array<CriticalResultRule>} rules - Rules to search.
+ * @param {String} profile - Lab profile of the message.
+ * @param {String} testCode - Lab test code.
+ * @param {String} loinc - LOINC code, if mapped.
+ * @returns {CriticalResultRule|undefined} Matching rule.
+ */
+function findRule(rules, profile, testCode, loinc) {
+  const matches = rules.filter(
+    (rule) =>
+      (!rule.profile || rule.profile === profile) &&
+      ((rule.testCode && rule.testCode === testCode) || (rule.loinc && rule.loinc === loinc))
+  );
+
+  return matches.find((rule) => rule.profile) || matches[0];
+}
+
+/**
+ * Checks a numeric result against a rule's thresholds. Results reported as a limit (`<0.1`)
+ * only count when every value they stand for is beyond the threshold.
+ * @param {import('./interpretResult').NumericResult|null} numericResult - Parsed OBX-5.
+ * @param {CriticalResultRule} rule - Rule with `low` and/or `high`.
+ * @returns {Boolean} True when the result is beyond a threshold.
+ */
+function isBeyondThreshold(numericResult, rule) {
+  if (!numericResult) return false;
+
+  const { value, comparator } = numericResult;
+  const isUpperLimit = comparator?.startsWith('<');
+  const isLowerLimit = comparator?.startsWith('>');
+
+  const isBelow =
+    typeof rule.low === 'number' &&
+    !isLowerLimit &&
+    (value < rule.low || (comparator === '<' && value <= rule.low));
+  const isAbove =
+    typeof rule.high === 'number' &&
+    !isUpperLimit &&
+    (value > rule.high || (comparator === '>' && value >= rule.high));
+
+  return isBelow || isAbove;
+}
+
+/**
+ * Finds critical (panic) results in a parsed message and marks them with `critical`.
+ * A result is critical when its abnormal flag is one of the rule's flags (or the default flags
+ * when no rule matches the test), or when its numeric value is beyond the rule's thresholds.
+ * @param {Object} parsedMessage - Output of parseHL7Message or parseEMRHL7Message, after code mapping.
+ * @param {Object} options
+ * @param {String} options.profile - Lab profile of the message.
+ * @param {CriticalResultRuleSet} [options.ruleSet] - Rules to apply; the active rules by default.
+ * @returns {Array<CriticalResult>} Critical results, one per observation.
+ *
+ * @example
+ * detectCriticalResults(parsed, { profile: 'lifelabs-bc' });
+ * // [{ reason: 'flag', abnormalFlag: 'HH', test: { code: 'K', name: 'Potassium' }, value: '7.1', … }]
+ */
+function detectCriticalResults(parsedMessage, { profile, ruleSet = activeRuleSet }) {
+  const criticalResults = [];
+
+  (parsedMessage.patients || []).forEach((patient) =>
+    (patient.orders || []).forEach((order) =>
+      (order.labResults || []).forEach((labResult) =>
+        (labResult.observations || []).forEach((observation) => {
+          const identifier = observation.observationIdentifier || {};
+          const testCode = toText(identifier.gdmlTestCode ?? identifier.identifier);
+          const loinc = observation.loinc?.code || '';
+          const abnormalFlag = [].concat(observation.abnormalFlag || observation.abnormalFlags || [])
+            .map((flag) => toText(flag).toUpperCase())
+            .find(Boolean) || '';
+
+          const rule = findRule(ruleSet.rules, profile, testCode, loinc);
+          const flags = rule?.flags || ruleSet.defaultFlags;
+
+          let reason = null;
+          if (abnormalFlag && flags.includes(abnormalFlag)) {
+            reason = 'flag';
+          } else if (rule && isBeyondThreshold(observation.numericResult, rule)) {
+            reason = 'threshold';
+          }
+
+          if (!reason) return;
+
+          observation.critical = { reason, ruleId: rule?.id || null };
+
+          criticalResults.push({
+            reason,
+            ruleId: rule?.id || null,
+            ruleSetVersion: ruleSet.version,
+            patient: {
+              ids: patient.patientIdExternal || [],
+              names: patient.names || [],
+              dateOfBirth: patient.dateOfBirth || '',
+              sex: patient.sex || ''
+            },
+            test: {
+              code: testCode,
+              name: toText(identifier.testName || identifier.text),
+              loinc
+            },
+            value: [].concat(observation.observationResults ?? []).map(String).join('\n'),
+            units: toText(observation.units),
+            abnormalFlag,
+            referenceRange: toText(observation.referenceRange?.text ?? observation.referenceRange),
+            observationResultStatus: toText(observation.observationResultStatus),
+            fillerOrderNumber: toText(labResult.fillerOrderNumber),
+            collectionDateTime: labResult.collectionDateTime || '',
+            orderingPhysician: labResult.orderingPhysician || {}
+          });
+        })
+      )
+    )
+  );
+
+  return criticalResults;
+}
+
+setCriticalResultRules(defaultRuleSet);
+
+module.exports = { detectCriticalResults, setCriticalResultRules };
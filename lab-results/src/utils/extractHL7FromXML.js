@@ -1,16 +1,36 @@
 const { DOMParser } = require('xmldom');
+const { IntegrationError } = require('../../../lib/errors');
 
 /**
  * Extract HL7 messages from XML string
  * @param {string} xmlData - XML data as a string
+ * @param {Object} [options]
+ * @param {(message: string) => void} [options.onWarning] - Called with each parser warning. Warnings
+ * can quote the document, so callers log them through the logger, which redacts them.
  * @returns {Promise<Array<{id: string, content: string}>>} Array of HL7 messages with their IDs
+ * @throws {IntegrationError} Non-retryable error when the XML is malformed
  */
-function extractHL7MessagesFromXML(xmlData) {
+function extractHL7MessagesFromXML(xmlData, { onWarning = () => {} } = {}) {
   return new Promise((resolve, reject) => {
     try {
-      const parser = new DOMParser();
+      const parseErrors = [];
+      const parser = new DOMParser({
+        errorHandler: {
+          warning: (message) => onWarning(message),
+          error: (message) => parseErrors.push(message),
+          fatalError: (message) => parseErrors.push(message)
+        }
+      });
       const xmlDoc = parser.parseFromString(xmlData, 'text/xml');
 
+      if (parseErrors.length > 0 || !xmlDoc?.documentElement) {
+        // The same file will be malformed on every retry
+        throw new IntegrationError(
+          `Malformed XML: ${parseErrors.join('; ') || 'no root element'}`,
+          { retryable: false }
+        );
+      }
+
       // Get all Message elements
       const messageElements = xmlDoc.getElementsByTagName('Message');
 
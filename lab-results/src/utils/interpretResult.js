@@ -0,0 +1,222 @@
+// @ts-check
+
+const NUMBER = '[-+]?(?:\\d+(?:\\.\\d*)?|\\.\\d+)';
+const COMPARATOR = '<=|>=|<|>';
+
+const RANGE_PATTERN = new RegExp(`^(${NUMBER})\\s*(?:-|–|to)\\s*(${NUMBER})$`, 'i');
+const COMPARATOR_PATTERN = new RegExp(`^(${COMPARATOR})\\s*(${NUMBER})$`);
+const NUMBER_PATTERN = new RegExp(`^${NUMBER}$`);
+
+// Value types that can carry a number; text and documents are never interpreted
+const NUMERIC_VALUE_TYPES = ['NM', 'SN', 'ST'];
+
+// HL7 v2 abnormal flags (table 0078) that say which side of the range a result is on
+const ABNORMAL_FLAGS = {
+  L: 'low',
+  LL: 'low',
+  '<': 'low',
+  H: 'high',
+  HH: 'high',
+  '>': 'high',
+  N: 'normal',
+  A: 'abnormal',
+  AA: 'abnormal'
+};
+
+/**
+ * @typedef {'<'|'<='|'>'|'>='} Comparator
+ */
+
+/**
+ * @typedef {Object} ReferenceRange
+ * @property {Number|null} low - Lower limit; for `>`/`>=` ranges, the limit itself.
+ * @property {Number|null} high - Upper limit; for `<`/`<=` ranges, the limit itself.
+ * @property {Comparator|null} comparator - Set for one-sided ranges such as `<5` or `>=60`.
+ * @property {String} text - Range as sent by the lab.
+ */
+
+/**
+ * @typedef {Object} NumericResult
+ * @property {Number} value - Numeric value.
+ * @property {Comparator|null} comparator - Set when the lab reports a limit, e.g. `<0.1`.
+ */
+
+/**
+ * @typedef {Object} Interpretation
+ * @property {'low'|'normal'|'high'|'abnormal'} value - Where the result falls.
+ * @property {'OBX-8'|'computed'} source - Abnormal flag from the lab, or computed from the range.
+ */
+
+/**
+ * Normalizes comparators written with Unicode signs and strips enclosing brackets.
+ * @param {String} text - Range or result text.
+ * @returns {String} Normalized text.
+ */
+function normalize(text) {
+  return text
+    .trim()
+    .replace(/^\((.*)\)$|^\[(.*)\]$/, '$1$2')
+    .replace(/≤/g, '<=')
+    .replace(/≥/g, '>=')
+    .trim();
+}
+
+/**
+ * Parses a reference range. Only ranges that are nothing but a range are parsed; text with
+ * age, sex or other conditions (`Male: 13.5-17.5`, `Adult 3.5-5.0`) keeps low/high empty so a
+ * conditional limit is never applied to the wrong patient.
+ * @param {String} text - Reference range text, e.g. OBX-7.
+ * @returns {ReferenceRange} Parsed range.
+ *
+ * @example
+ * parseReferenceRange('3.5-5.0'); // { low: 3.5, high: 5, comparator: null, text: '3.5-5.0' }
+ * parseReferenceRange('>=60'); // { low: 60, high: null, comparator: '>=', text: '>=60' }
+ * parseReferenceRange('F: 12-16'); // { low: null, high: null, comparator: null, text: 'F: 12-16' }
+ */
+function parseReferenceRange(text) {
+  const rangeText = String(text ?? '').trim();
+  const normalized = normalize(rangeText);
+
+  const range = RANGE_PATTERN.exec(normalized);
+  if (range) {
+    const low = Number(range[1]);
+    const high = Number(range[2]);
+
+    if (low <= high) {
+      return { low, high, comparator: null, text: rangeText };
+    }
+  }
+
+  const oneSided = COMPARATOR_PATTERN.exec(normalized);
+  if (oneSided) {
+    const comparator = /** @type {Comparator} */ (oneSided[1]);
+    const limit = Number(oneSided[2]);
+    const isUpperLimit = comparator.startsWith('<');
+
+    return {
+      low: isUpperLimit ? null : limit,
+      high: isUpperLimit ? limit : null,
+      comparator,
+      text: rangeText
+    };
+  }
+
+  return { low: null, high: null, comparator: null, text: rangeText };
+}
+
+/**
+ * Parses a numeric result from OBX-5. Handles plain numbers, limits such as `<0.1`, and
+ * structured numeric (SN) values split into comparator and number components.
+ * @param {any} value - OBX-5 value from hl7-standard.
+ * @param {String} valueType - OBX-2.
+ * @returns {NumericResult|null} Numeric result, or null when the result isn't a single number.
+ *
+ * @example
+ * parseNumericResult('<0.1', 'ST'); // { value: 0.1, comparator: '<' }
+ * parseNumericResult({ 'OBX.5.1': '>', 'OBX.5.2': '100' }, 'SN'); // { value: 100, comparator: '>' }
+ */
+function parseNumericResult(value, valueType) {
+  if (!NUMERIC_VALUE_TYPES.includes(valueType) || Array.isArray(value) || !value) {
+    return null;
+  }
+
+  let text = value;
+
+  if (typeof value === 'object') {
+    // SN: comparator ^ number ^ separator ^ number; ratios and ranges aren't a single number
+    if (valueType !== 'SN' || value['OBX.5.3'] || value['OBX.5.4']) return null;
+    text = `${value['OBX.5.1'] || ''}${value['OBX.5.2'] || ''}`;
+  }
+
+  const normalized = normalize(String(text));
+
+  if (NUMBER_PATTERN.test(normalized)) {
+    return { value: Number(normalized), comparator: null };
+  }
+
+  const limit = COMPARATOR_PATTERN.exec(normalized);
+  if (limit) {
+    return { value: Number(limit[2]), comparator: /** @type {Comparator} */ (limit[1]) };
+  }
+
+  return null;
+}
+
+/**
+ * Turns a result or range into an interval, with flags for excluded bounds.
+ * @param {{low: Number|null, high: Number|null, comparator: Comparator|null}} bounds
+ * @returns {{low: Number, high: Number, lowOpen: Boolean, highOpen: Boolean}} Interval.
+ */
+function toInterval({ low, high, comparator }) {
+  return {
+    low: low ?? -Infinity,
+    high: high ?? Infinity,
+    lowOpen: comparator === '>',
+    highOpen: comparator === '<'
+  };
+}
+
+/**
+ * Computes where a numeric result falls against its reference range. A result reported as a
+ * limit (`<0.1`) is only interpreted when every value it stands for falls on the same side.
+ * @param {NumericResult} result - Numeric result.
+ * @param {ReferenceRange} range - Reference range.
+ * @returns {'low'|'normal'|'high'|null} Interpretation, or null when it can't be decided.
+ */
+function compareToRange(result, range) {
+  if (range.low === null && range.high === null) return null;
+
+  const { comparator } = result;
+  const value = toInterval({
+    low: comparator?.startsWith('<') ? null : result.value,
+    high: comparator?.startsWith('>') ? null : result.value,
+    comparator
+  });
+  const limits = toInterval(range);
+
+  const isBelow =
+    value.high < limits.low ||
+    (value.high === limits.low && (value.highOpen || limits.lowOpen));
+  const isAbove =
+    value.low > limits.high ||
+    (value.low === limits.high && (value.lowOpen || limits.highOpen));
+
+  if (isBelow) return 'low';
+  if (isAbove) return 'high';
+
+  // A bound on a limit is within it unless only the limit excludes it
+  const isWithin =
+    (value.low > limits.low || (value.low === limits.low && (value.lowOpen || !limits.lowOpen))) &&
+    (value.high < limits.high || (value.high === limits.high && (value.highOpen || !limits.highOpen)));
+
+  return isWithin ? 'normal' : null;
+}
+
+/**
+ * Interprets a result. The lab's abnormal flag (OBX-8) wins; without one, the interpretation is
+ * computed from the numeric result and reference range.
+ * @param {Object} observation
+ * @param {NumericResult|null} observation.numericResult - Parsed OBX-5.
+ * @param {ReferenceRange|null} observation.referenceRange - Parsed OBX-7.
+ * @param {any} observation.abnormalFlag - OBX-8.
+ * @returns {Interpretation|null} Interpretation, or null when there is nothing to go on.
+ *
+ * @example
+ * interpretResult({ numericResult: { value: 6.1, comparator: null }, referenceRange: parseReferenceRange('3.5-5.0'), abnormalFlag: '' });
+ * // { value: 'high', source: 'computed' }
+ */
+function interpretResult({ numericResult, referenceRange, abnormalFlag }) {
+  const flag = typeof abnormalFlag === 'string' ? abnormalFlag.trim().toUpperCase() : '';
+
+  if (flag) {
+    return ABNORMAL_FLAGS[flag] ? { value: ABNORMAL_FLAGS[flag], source: 'OBX-8' } : null;
+  }
+
+  if (!numericResult || !referenceRange) return null;
+
+  const value = compareToRange(numericResult, referenceRange);
+
+  return value ? { value, source: 'computed' } : null;
+}
+
+module.exports = { parseReferenceRange, parseNumericResult, interpretResult };
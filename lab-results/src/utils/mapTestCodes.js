@@ -0,0 +1,191 @@
+// @ts-check
+const gdmlMappings = require('../mappings/gdml.loinc.json');
+const lifelabsOntarioMappings = require('../mappings/lifelabs-ontario.loinc.json');
+const lifelabsBCMappings = require('../mappings/lifelabs-bc.loinc.json');
+
+// Observations the lab already codes in LOINC (OBX-3.3, or OBX-3.6 for the alternate code) need no table
+const LOINC_CODING_SYSTEMS = ['LN', 'LOINC'];
+
+/**
+ * @typedef {Object} LOINCMapping
+ * @property {String} code - LOINC code, e.g. `2345-7`.
+ * @property {String} [display] - LOINC display name.
+ * @property {String} [units] - Units the LOINC code expects, e.g. `mmol/L`.
+ */
+
+/**
+ * @typedef {Object} MappingTable
+ * @property {String} name - Table name, usually the lab profile's name.
+ * @property {String} version - Table version, recorded on every mapped observation.
+ * @property {String} [description] - Human readable description.
+ * @property {Object<String, LOINCMapping>} mappings - LOINC mapping per lab test code.
+ */
+
+/**
+ * @typedef {Object} UnmappedCode
+ * @property {String} code - Lab test code.
+ * @property {String} text - Test name sent with the code.
+ * @property {String} codingSystem - Coding system sent with the code, if any.
+ */
+
+/**
+ * @typedef {Object} CodeMappingReport
+ * @property {String} table - Mapping table name.
+ * @property {String} version - Mapping table version.
+ * @property {Number} mapped - Observations annotated with a LOINC code.
+ * @property {Array<UnmappedCode>} unmapped - Distinct lab codes the table has no entry for.
+ */
+
+/** @type {Map<String, MappingTable>} */
+const tables = new Map();
+
+/**
+ * Registers a mapping table, replacing any table with the same name so updated tables
+ * can be loaded at runtime.
+ * @param {MappingTable} table - Table to register.
+ * @returns {MappingTable} The registered table.
+ */
+function registerMappingTable(table) {
+  if (!table?.name || !table.version || typeof table.mappings !== 'object' || !table.mappings) {
+    throw new Error('A mapping table requires a name, a version and a mappings object');
+  }
+
+  const invalidCode = Object.keys(table.mappings).find(
+    (labCode) => !table.mappings[labCode]?.code
+  );
+
+  if (invalidCode) {
+    throw new Error(`Mapping table "${table.name}" has no LOINC code for "${invalidCode}"`);
+  }
+
+  tables.set(table.name, table);
+
+  return table;
+}
+
+/**
+ * Returns a registered mapping table.
+ * @param {String} name - Table name.
+ * @returns {MappingTable|undefined} Mapping table.
+ */
+function getMappingTable(name) {
+  return tables.get(name);
+}
+
+/**
+ * Reads the lab code, name and coding system of an observation from either parser's output.
+ * GDML codes with a test component ID arrive split into subcomponents; the code is the first.
+ * @param {Object} observation - Parsed OBX.
+ * @returns {UnmappedCode} Lab code of the observation.
+ */
+function getLabCode(observation) {
+  const identifier = observation.observationIdentifier || {};
+  const code = identifier.gdmlTestCode ?? identifier.identifier ?? '';
+
+  return {
+    code: String(typeof code === 'object' ? Object.values(code)[0] || '' : code).trim(),
+    text: identifier.testName || identifier.text || '',
+    codingSystem: identifier.codingSystem || ''
+  };
+}
+
+/**
+ * Returns the LOINC code the lab itself sent, as the identifier or the alternate identifier.
+ * @param {Object} observation - Parsed OBX.
+ * @returns {{code: String, display: String}|null} LOINC code from OBX-3.
+ */
+function getSentLOINC(observation) {
+  const identifier = observation.observationIdentifier || {};
+  const isLOINC = (codingSystem) =>
+    typeof codingSystem === 'string' && LOINC_CODING_SYSTEMS.includes(codingSystem.toUpperCase());
+
+  if (isLOINC(identifier.codingSystem) && identifier.identifier) {
+    return { code: identifier.identifier, display: identifier.text || '' };
+  }
+
+  if (isLOINC(identifier.altIdentCoding) && identifier.altIdentCode) {
+    return { code: identifier.altIdentCode, display: identifier.altIdentTxt || '' };
+  }
+
+  return null;
+}
+
+// Parsed messages have their empty fields removed before mapping runs
+function withoutEmptyFields(value) {
+  return Object.fromEntries(Object.entries(value).filter(([, field]) => field));
+}
+
+/**
+ * Annotates every observation of a parsed message with its LOINC code (`loinc`) and reports
+ * the lab codes the table doesn't cover.
+ * @param {Object} parsedMessage - Output of parseHL7Message or parseEMRHL7Message.
+ * @param {String} tableName - Mapping table to use.
+ * @returns {CodeMappingReport} Mapping report.
+ * @throws {Error} When the table isn't registered.
+ *
+ * @example
+ * const report = mapTestCodes(parsed, 'gdml');
+ * // parsed.patients[0].orders[0].labResults[0].observations[0].loinc ===
+ * //   { code: '2345-7', display: 'Glucose [Moles/volume] in Serum or Plasma', units: 'mmol/L', source: 'gdml@2026-10-01' }
+ * // report === { table: 'gdml', version: '2026-10-01', mapped: 1, unmapped: [] }
+ */
+function mapTestCodes(parsedMessage, tableName) {
+  const table = tables.get(tableName);
+
+  if (!table) {
+    throw new Error(`Mapping table "${tableName}" is not registered`);
+  }
+
+  const unmapped = new Map();
+  let mapped = 0;
+
+  (parsedMessage.patients || []).forEach((patient) =>
+    (patient.orders || []).forEach((order) =>
+      (order.labResults || []).forEach((labResult) =>
+        (labResult.observations || []).forEach((observation) => {
+          const sentLOINC = getSentLOINC(observation);
+
+          if (sentLOINC) {
+            observation.loinc = withoutEmptyFields({ ...sentLOINC, source: 'OBX-3' });
+            mapped += 1;
+            return;
+          }
+
+          const labCode = getLabCode(observation);
+
+          if (!labCode.code) return;
+
+          const mapping = Object.prototype.hasOwnProperty.call(table.mappings, labCode.code)
+            ? table.mappings[labCode.code]
+            : null;
+
+          if (!mapping) {
+            unmapped.set(labCode.code, labCode);
+            return;
+          }
+
+          observation.loinc = withoutEmptyFields({
+            code: mapping.code,
+            display: mapping.display,
+            units: mapping.units,
+            source: `${table.name}@${table.version}`
+          });
+          mapped += 1;
+        })
+      )
+    )
+  );
+
+  return {
+    table: table.name,
+    version: table.version,
+    mapped,
+    unmapped: [...unmapped.values()]
+  };
+}
+
+registerMappingTable(gdmlMappings);
+registerMappingTable(lifelabsOntarioMappings);
+registerMappingTable(lifelabsBCMappings);
+
+module.exports = { mapTestCodes, registerMappingTable, getMappingTable };
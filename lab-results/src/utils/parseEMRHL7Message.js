@@ -1,18 +1,37 @@
 // @ts-check
 
 const HL7 = require('hl7-standard/src/api');
+const {
+  decodeHL7Text,
+  decodeHL7TextLines,
+  FORMATTED_TEXT_TYPES
+} = require('./decodeHL7Text');
+const { createDateFormatter } = require('./parseHL7Date');
+const { decodeEncapsulatedData } = require('./decodeEncapsulatedData');
+const convertRTF = require('./convertRTF');
+const {
+  parseReferenceRange,
+  parseNumericResult,
+  interpretResult
+} = require('./interpretResult');
 /**
  * Parses a HL7 raw string into a structured JSON object based on the EMR Interface Guide specifications.
  * Supports both British Columbia (HL7 v2.3) and Ontario (HL7 v2.3.1) formats.
  * @param {String} rawHL7String - Raw HL7 string to parse.
  * @param {Boolean} shouldRemoveEmptyFields - Flag to remove empty fields from the parsed object.
  * @param {Boolean} includeRTFContent - Flag to include RTF content in the result (for BC messages).
- * @returns {Object} Structured object with messageHeader and patients array.
+ * @param {Object} [options]
+ * @param {String} [options.timeZone] - Time zone of dates sent without an offset; Ontario or
+ * Pacific time by default, depending on the format.
+ * @returns {Object} Structured object with messageHeader, patients array and parseWarnings for invalid dates.
+ * Each PID starts a new patient; the ORC/OBR/OBX segments after it belong to that patient only.
+ * @throws {Error} When an ORC or OBR comes before any PID, or an OBX has no OBR in its patient group.
  */
 function parseEMRHL7Message(
   rawHL7String,
   shouldRemoveEmptyFields = true,
-  includeRTFContent = false
+  includeRTFContent = false,
+  { timeZone } = {}
 ) {
   const hl7 = new HL7(rawHL7String);
   // @ts-ignore
@@ -31,7 +50,13 @@ function parseEMRHL7Message(
     mshSegment.data['MSH.12'].includes('2.3.1');
 
   let messageHeader = null;
-  let patient = null;
+  // Escape sequences are decoded with the message's own delimiters
+  let delimiters = {};
+  const dates = createDateFormatter({
+    timeZone: timeZone || (isOntarioFormat ? 'America/Toronto' : 'America/Vancouver')
+  });
+  const patients = [];
+  let currentPatient = null;
   let currentOrder = null;
   let currentResult = null;
   let currentNTEContext = null;
@@ -54,63 +79,69 @@ function parseEMRHL7Message(
   segments.forEach((segment) => {
     switch (segment.type) {
       case 'MSH':
-        messageHeader = parseMSH(segment, isOntarioFormat);
+        messageHeader = parseMSH(segment, isOntarioFormat, dates);
+        delimiters = {
+          fieldSeparator: messageHeader.fieldSeparator,
+          encodingCharacters: messageHeader.encodingCharacters
+        };
         break;
       case 'PID':
-        patient = parsePID(segment, isOntarioFormat);
+        currentPatient = parsePID(segment, isOntarioFormat, dates);
         // Add metadata as properties on the patient object
-        patient.sourceFormat = isOntarioFormat ? 'Ontario' : 'BC';
+        currentPatient.sourceFormat = isOntarioFormat ? 'Ontario' : 'BC';
         if (isRTFReport || isPDFReport) {
-          patient.isReportDocument = true;
-          patient.documentType = isRTFReport ? 'RTF' : 'PDF';
-          patient.reportType = reportType;
+          currentPatient.isReportDocument = true;
+          currentPatient.documentType = isRTFReport ? 'RTF' : 'PDF';
+          currentPatient.reportType = reportType;
         }
-        currentNTEContext = patient.notes;
+        patients.push(currentPatient);
+        // Orders and results never carry over to the next patient
+        currentOrder = null;
+        currentResult = null;
+        currentNTEContext = currentPatient.notes;
         break;
       case 'PV1':
-        if (patient && isOntarioFormat) {
-          patient.location = parsePV1(segment);
+        if (currentPatient && isOntarioFormat) {
+          currentPatient.location = parsePV1(segment);
         }
         break;
       case 'ORC':
-        if (patient) {
-          currentOrder = parseORC(segment, isOntarioFormat);
-          patient.orders = patient.orders || [];
-          patient.orders.push(currentOrder);
-          currentResult = null;
-          currentNTEContext = null;
-        }
+        assertHierarchy(segment, currentPatient, 'PID');
+        currentOrder = parseORC(segment, isOntarioFormat);
+        currentPatient.orders = currentPatient.orders || [];
+        currentPatient.orders.push(currentOrder);
+        currentResult = null;
+        currentNTEContext = null;
         break;
       case 'OBR':
-        if (patient) {
-          if (!currentOrder) {
-            currentOrder = { labResults: [] };
-            patient.orders = patient.orders || [];
-            patient.orders.push(currentOrder);
-          }
-          currentResult = parseOBR(segment, isOntarioFormat);
-          currentOrder.labResults = currentOrder.labResults || [];
-          currentOrder.labResults.push(currentResult);
-          currentNTEContext = currentResult.notes;
+        assertHierarchy(segment, currentPatient, 'PID');
+        if (!currentOrder) {
+          currentOrder = { labResults: [] };
+          currentPatient.orders = currentPatient.orders || [];
+          currentPatient.orders.push(currentOrder);
         }
+        currentResult = parseOBR(segment, isOntarioFormat, dates);
+        currentOrder.labResults = currentOrder.labResults || [];
+        currentOrder.labResults.push(currentResult);
+        currentNTEContext = currentResult.notes;
         break;
-      case 'OBX':
-        if (currentResult) {
-          const obx = parseOBX(
-            segment,
-            isOntarioFormat,
-            isRTFReport,
-            isPDFReport,
-            includeRTFContent
-          );
-          currentResult.observations = currentResult.observations || [];
-          currentResult.observations.push(obx);
-          currentNTEContext = obx.notes;
-        }
+      case 'OBX': {
+        assertHierarchy(segment, currentResult, 'OBR');
+        const obx = parseOBX(
+          segment,
+          isOntarioFormat,
+          includeRTFContent,
+          delimiters,
+          dates
+        );
+        currentResult.observations = currentResult.observations || [];
+        currentResult.observations.push(obx);
+        currentNTEContext = obx.notes;
         break;
+      }
       case 'NTE':
         if (currentNTEContext) {
-          currentNTEContext.push(parseNTE(segment));
+          currentNTEContext.push(parseNTE(segment, delimiters));
         }
         break;
       default:
@@ -119,14 +150,15 @@ function parseEMRHL7Message(
     }
   });
 
-  // Create result with patients array (for compatibility with parseHL7Message)
+  // Same shape as parseHL7Message
   const result = {
     messageHeader: messageHeader || {},
-    patients: patient ? [patient] : [],
+    patients,
     // Keep original metadata properties at the top level for backward compatibility
     isOntarioFormat: isOntarioFormat,
     isDocumentReport: isRTFReport || isPDFReport,
-    reportType: reportType
+    reportType: reportType,
+    parseWarnings: dates.warnings
   };
 
   if (shouldRemoveEmptyFields) {
@@ -136,6 +168,22 @@ function parseEMRHL7Message(
   return result;
 }
 
+/**
+ * Ensures a segment has the parent segment it belongs to within the current patient.
+ * Attaching it to an earlier patient's order or result would put results on the wrong chart.
+ * @param {Object} segment - ORC, OBR or OBX segment.
+ * @param {Object|null} parent - Current patient (for ORC/OBR) or result (for OBX).
+ * @param {String} parentType - Segment type the parent comes from.
+ * @throws {Error} When the parent is missing.
+ */
+function assertHierarchy(segment, parent, parentType) {
+  if (!parent) {
+    throw new Error(
+      `Unexpected ${segment.type} at segment ${segment.index + 1}: no ${parentType} for the same patient precedes it`
+    );
+  }
+}
+
 // Rest of the file remains unchanged
 /**
  * Determines the report type based on the Diagnostic Service Section ID.
@@ -199,33 +247,14 @@ function checkIfPDFReport(segments, reportType) {
   return false;
 }
 
-/**
- * Formats a date string from HL7 format to ISO 8601.
- * @param {String} date - Date string to format.
- * @returns {String} Formatted date string in ISO 8601 format.
- */
-function formatDate(date) {
-  if (!date) {
-    return '';
-  }
-
-  const year = date.substring(0, 4);
-  const month = date.substring(4, 6);
-  const day = date.substring(6, 8);
-  const hour = date.substring(8, 10) || '00';
-  const minute = date.substring(10, 12) || '00';
-  const second = date.substring(12, 14) || '00';
-
-  return `${year}-${month}-${day}T${hour}:${minute}:${second}`;
-}
-
 /**
  * Parses the MSH segment.
  * @param {Object} segment - MSH segment object.
  * @param {Boolean} isOntarioFormat - Whether this is an Ontario format message.
+ * @param {import('./parseHL7Date').DateFormatter} dates - Formats dates and collects warnings.
  * @returns {Object} Parsed MSH data.
  */
-function parseMSH(segment, isOntarioFormat) {
+function parseMSH(segment, isOntarioFormat, dates) {
   return {
     fieldSeparator: segment.data['MSH.1'] || '|',
     encodingCharacters: segment.data['MSH.2'] || '^~\\&',
@@ -236,14 +265,16 @@ function parseMSH(segment, isOntarioFormat) {
     },
     receivingApplication: segment.data['MSH.5'] || '',
     receivingFacility: segment.data['MSH.6'] || '',
-    messageDateTime: formatDate(segment.data['MSH.7'] || ''),
+    messageDateTime: dates.format(segment.data['MSH.7'], 'MSH-7'),
     messageType: {
       messageCode: segment.data['MSH.9']?.['MSH.9.1'] || 'ORU',
       triggerEvent: segment.data['MSH.9']?.['MSH.9.2'] || 'R01'
     },
     messageControlId: segment.data['MSH.10'] || '',
     processingId: segment.data['MSH.11'] || 'P',
-    versionId: segment.data['MSH.12'] || (isOntarioFormat ? '2.3.1' : '2.3')
+    versionId: segment.data['MSH.12'] || (isOntarioFormat ? '2.3.1' : '2.3'),
+    acceptAcknowledgementType: segment.data['MSH.15'] || null,
+    applicationAcknowledgementType: segment.data['MSH.16'] || null
   };
 }
 
@@ -251,9 +282,10 @@ function parseMSH(segment, isOntarioFormat) {
  * Parses the PID segment with field names harmonized with parseHL7Message.js.
  * @param {Object} segment - PID segment object.
  * @param {Boolean} isOntarioFormat - Whether this is an Ontario format message.
+ * @param {import('./parseHL7Date').DateFormatter} dates - Formats dates and collects warnings.
  * @returns {Object} Parsed PID data.
  */
-function parsePID(segment, isOntarioFormat) {
+function parsePID(segment, isOntarioFormat, dates) {
   if (isOntarioFormat) {
     return {
       patientIdExternal: Array.isArray(segment.data['PID.3'])
@@ -289,7 +321,7 @@ function parsePID(segment, isOntarioFormat) {
               nameType: 'L'
             }
           ],
-      dateOfBirth: formatDate(segment.data['PID.7'] || ''),
+      dateOfBirth: dates.format(segment.data['PID.7'], 'PID-7'),
       sex: segment.data['PID.8'] || '',
       addresses: Array.isArray(segment.data['PID.11'])
         ? segment.data['PID.11'].map((addr) => ({
@@ -322,7 +354,7 @@ function parsePID(segment, isOntarioFormat) {
           middleName: segment.data['PID.5']?.['PID.5.3'] || ''
         }
       ],
-      dateOfBirth: formatDate(segment.data['PID.7'] || ''),
+      dateOfBirth: dates.format(segment.data['PID.7'], 'PID-7'),
       sex: segment.data['PID.8'] || '',
       addresses: segment.data['PID.11']
         ? [
@@ -412,9 +444,10 @@ function parseORC(segment, isOntarioFormat) {
  * Parses the OBR segment.
  * @param {Object} segment - OBR segment object.
  * @param {Boolean} isOntarioFormat - Whether this is an Ontario format message.
+ * @param {import('./parseHL7Date').DateFormatter} dates - Formats dates and collects warnings.
  * @returns {Object} Parsed OBR data.
  */
-function parseOBR(segment, isOntarioFormat) {
+function parseOBR(segment, isOntarioFormat, dates) {
   const baseObj = {
     placerOrderNumber: segment.data['OBR.2'] || '',
     fillerOrderNumber: segment.data['OBR.3'] || '',
@@ -422,9 +455,9 @@ function parseOBR(segment, isOntarioFormat) {
       gdmlTestCode: segment.data['OBR.4']?.['OBR.4.1'] || '',
       testName: segment.data['OBR.4']?.['OBR.4.2'] || ''
     },
-    requestedDateTime: formatDate(segment.data['OBR.6'] || ''),
-    collectionDateTime: formatDate(segment.data['OBR.7'] || ''),
-    specimenReceivedDateTime: formatDate(segment.data['OBR.14'] || ''),
+    requestedDateTime: dates.format(segment.data['OBR.6'], 'OBR-6'),
+    collectionDateTime: dates.format(segment.data['OBR.7'], 'OBR-7'),
+    specimenReceivedDateTime: dates.format(segment.data['OBR.14'], 'OBR-14'),
     orderingPhysician: segment.data['OBR.16']
       ? {
           physician: segment.data['OBR.16']?.['OBR.16.1'] || '',
@@ -433,7 +466,7 @@ function parseOBR(segment, isOntarioFormat) {
           firstInitial: segment.data['OBR.16']?.['OBR.16.3'] || ''
         }
       : {},
-    reportedDateTime: formatDate(segment.data['OBR.22'] || ''),
+    reportedDateTime: dates.format(segment.data['OBR.22'], 'OBR-22'),
     diagnosticServiceSectionId: segment.data['OBR.24'] || '',
     resultStatus: segment.data['OBR.25'] || '',
     resultCopiesTo: segment.data['OBR.28']
@@ -468,38 +501,64 @@ function parseOBR(segment, isOntarioFormat) {
  * Parses the OBX segment.
  * @param {Object} segment - OBX segment object.
  * @param {Boolean} isOntarioFormat - Whether this is an Ontario format message.
- * @param {Boolean} isRTFReport - Whether this is an RTF report.
- * @param {Boolean} isPDFReport - Whether this is a PDF report.
- * @param {Boolean} includeRTFContent - Whether to include the RTF content.
- * @returns {Object} Parsed OBX data.
+ * @param {Boolean} includeRTFContent - Whether to include the raw RTF content.
+ * @param {import('./decodeHL7Text').HL7Delimiters} [delimiters] - Delimiters from MSH-1 and MSH-2.
+ * @param {import('./parseHL7Date').DateFormatter} dates - Formats dates and collects warnings.
+ * @returns {Object} Parsed OBX data. Encapsulated (ED) report documents are decoded into `document`;
+ * RTF documents also get a readable `narrative`.
  */
 function parseOBX(
   segment,
   isOntarioFormat,
-  isRTFReport,
-  isPDFReport,
-  includeRTFContent
+  includeRTFContent,
+  delimiters,
+  dates
 ) {
+  const valueType = segment.data['OBX.2'] || '';
+  const isFormattedText = FORMATTED_TEXT_TYPES.includes(valueType);
+  // PDF and RTF reports; the lab results pipeline moves the data to S3
+  const document =
+    valueType === 'ED' ? decodeEncapsulatedData(segment.data['OBX.5'], delimiters) : null;
+  const narrative =
+    document?.mimeType === 'application/rtf'
+      ? convertRTF(Buffer.from(document.data, 'base64').toString('utf8'))
+      : null;
+  const numericResult = parseNumericResult(segment.data['OBX.5'], valueType);
+  const referenceRange = segment.data['OBX.7']
+    ? parseReferenceRange(decodeHL7Text(segment.data['OBX.7'], delimiters).text)
+    : null;
+
   const baseObj = {
     setId: segment.data['OBX.1'] || '',
-    valueType: segment.data['OBX.2'] || '',
+    valueType,
     observationIdentifier: {
       identifier: segment.data['OBX.3']?.['OBX.3.1'] || '',
       text: segment.data['OBX.3']?.['OBX.3.2'] || '',
       codingSystem: segment.data['OBX.3']?.['OBX.3.3'] || ''
     },
     observationSubId: segment.data['OBX.4'] || '',
-    observationResults: processObservationValue(
-      segment.data['OBX.5'],
-      isRTFReport,
-      isPDFReport,
-      includeRTFContent
-    ),
+    observationResults: document
+      ? includeRTFContent && document.mimeType === 'application/rtf'
+        ? segment.data['OBX.5']
+        : ''
+      : processObservationValue(segment.data['OBX.5'], { delimiters, isFormattedText }),
+    document,
+    narrative,
+    // Formatted rendering of FT and TX results, one line per repetition
+    observationResultsHtml: isFormattedText
+      ? decodeHL7TextLines(segment.data['OBX.5'], delimiters).html
+      : null,
     units: segment.data['OBX.6'] || '',
-    referenceRange: segment.data['OBX.7'] || '',
+    referenceRange,
+    numericResult,
     abnormalFlags: segment.data['OBX.8'] || '',
+    interpretation: interpretResult({
+      numericResult,
+      referenceRange,
+      abnormalFlag: segment.data['OBX.8']
+    }),
     observationResultStatus: segment.data['OBX.11'] || '',
-    dateTimeOfObservation: formatDate(segment.data['OBX.14'] || ''),
+    dateTimeOfObservation: dates.format(segment.data['OBX.14'], 'OBX-14'),
     notes: []
   };
 
@@ -526,63 +585,46 @@ function parseOBX(
 }
 
 /**
- * Processes the observation value based on the type of report
+ * Processes a non-document observation value
  * @param {any} value - The raw OBX.5 value
- * @param {Boolean} isRTFReport - Whether this is an RTF report
- * @param {Boolean} isPDFReport - Whether this is a PDF report
- * @param {Boolean} includeRTFContent - Whether to include RTF content
+ * @param {Object} [textOptions]
+ * @param {import('./decodeHL7Text').HL7Delimiters} [textOptions.delimiters] - Delimiters from MSH-1 and MSH-2
+ * @param {Boolean} [textOptions.isFormattedText] - Whether the value is FT or TX
  * @returns {any} Processed observation value
  */
-function processObservationValue(
-  value,
-  isRTFReport,
-  isPDFReport,
-  includeRTFContent
-) {
+function processObservationValue(value, { delimiters, isFormattedText } = {}) {
   if (!value) return '';
 
-  if (isRTFReport) {
-    // For RTF reports
-    // @ts-ignore
-    if (typeof value === 'string' && value.includes('\\E\\rtf1\\E')) {
-      return includeRTFContent ? value : 'RTF_CONTENT_AVAILABLE';
-    }
-  }
-
-  if (isPDFReport) {
-    // For PDF reports
-    // @ts-ignore
-    if (typeof value === 'string' && value.includes('ED')) {
-      return 'PDF_CONTENT_AVAILABLE';
-    }
-  }
+  // Handle regular values; coded values keep their first component, text keeps all of it
+  const decode = (item) =>
+    decodeHL7Text(
+      typeof item === 'object' && !isFormattedText
+        ? item['OBX.5.1'] || item['OBX.5.2'] || ''
+        : item,
+      delimiters
+    ).text;
 
-  // Handle regular values
   if (Array.isArray(value)) {
-    return value
-      .map((item) => {
-        return typeof item === 'object'
-          ? item['OBX.5.1'] || item['OBX.5.2'] || ''
-          : item || '';
-      })
-      .filter(Boolean);
+    return value.map(decode).filter(Boolean);
   }
 
-  return typeof value === 'object'
-    ? value['OBX.5.1'] || value['OBX.5.2'] || ''
-    : value || '';
+  return decode(value);
 }
 
 /**
  * Parses the NTE segment.
  * @param {Object} segment - NTE segment object.
+ * @param {import('./decodeHL7Text').HL7Delimiters} [delimiters] - Delimiters from MSH-1 and MSH-2.
  * @returns {Object} Parsed NTE data.
  */
-function parseNTE(segment) {
+function parseNTE(segment, delimiters) {
+  const comment = decodeHL7TextLines(segment.data['NTE.3'] || '', delimiters);
+
   return {
     setId: segment.data['NTE.1'] || '',
     sourceOfComment: segment.data['NTE.2'] || '',
-    comment: segment.data['NTE.3'] || ''
+    comment: comment.text,
+    commentHtml: comment.html
   };
 }
 
@@ -0,0 +1,237 @@
+// @ts-check
+
+// Lab feeds send local times without an offset; the default zone comes from the lab's profile
+const DEFAULT_TIME_ZONE = 'America/Toronto';
+
+// YYYY[MM[DD[HH[MM[SS[.S[S[S[S]]]]]]]]][+/-ZZZZ]
+const HL7_DATE_PATTERN =
+  /^(\d{4})(?:(\d{2})(?:(\d{2})(?:(\d{2})(?:(\d{2})(?:(\d{2})(?:\.(\d{1,4}))?)?)?)?)?)?([+-]\d{4})?$/;
+
+const PRECISIONS = ['year', 'month', 'day', 'hour', 'minute', 'second', 'fraction'];
+
+// Patient dates (birth, death) are PHI; warnings about them leave out the raw value
+const PATIENT_DATE_FIELDS = ['PID-7', 'PID-29'];
+
+/** @type {Map<String, Intl.DateTimeFormat>} */
+const formatters = new Map();
+
+/**
+ * @typedef {'year'|'month'|'day'|'hour'|'minute'|'second'|'fraction'} DatePrecision
+ */
+
+/**
+ * @typedef {Object} ParsedHL7Date
+ * @property {String} value - ISO 8601 date, or date-time with offset; `''` when missing or invalid.
+ * @property {DatePrecision|null} precision - Finest component present in the HL7 value.
+ * @property {String|null} warning - Why the value couldn't be parsed.
+ */
+
+/**
+ * @typedef {Object} ParseWarning
+ * @property {String} field - HL7 field, e.g. `OBR-7`.
+ * @property {String|null} value - Raw value as received; null for patient dates such as PID-7.
+ * @property {String} message - What is wrong with the value.
+ */
+
+/**
+ * @typedef {Object} DateFormatter
+ * @property {(value: any, field: String) => String} format - Parses a value, recording a warning when it's invalid.
+ * @property {Array<ParseWarning>} warnings - Warnings recorded so far.
+ */
+
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    formatters.set(timeZone, formatter);
+  }
+
+  return formatter;
+}
+
+/**
+ * Returns a time zone's UTC offset in minutes at an instant.
+ * @param {Number} timestamp - Milliseconds since the epoch.
+ * @param {String} timeZone - IANA time zone.
+ * @returns {Number} Offset in minutes, e.g. -240 for EDT.
+ */
+function getZoneOffset(timestamp, timeZone) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone)
+      .formatToParts(new Date(timestamp))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+
+  return Math.round((wallClock - Math.floor(timestamp / 1000) * 1000) / 60000);
+}
+
+/**
+ * Returns the offset a time zone applies to a local wall-clock time. Skipped times (spring
+ * forward) take the offset from before the change; repeated times (fall back) the earlier one.
+ * @param {Number} wallClock - Local time as if it were UTC, in milliseconds.
+ * @param {String} timeZone - IANA time zone.
+ * @returns {Number} Offset in minutes.
+ */
+function getLocalOffset(wallClock, timeZone) {
+  const before = getZoneOffset(wallClock - 86400000, timeZone);
+  const after = getZoneOffset(wallClock + 86400000, timeZone);
+
+  if (before === after) return before;
+
+  // Around a transition, keep the candidate offset that maps back to the same wall-clock time
+  const candidates = [before, after].filter(
+    (offset) => getZoneOffset(wallClock - offset * 60000, timeZone) === offset
+  );
+
+  return candidates.length > 0 ? candidates[0] : before;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+function invalid(warning) {
+  return { value: '', precision: null, warning };
+}
+
+/**
+ * Parses an HL7 DTM/TS value into ISO 8601.
+ *
+ * Dates keep their precision (`2019`, `2019-07`, `2019-07-09`). Times are rendered to the
+ * minute at least, with seconds and fractions when sent, and always carry an offset: the
+ * `+/-ZZZZ` suffix when present, otherwise the offset of `timeZone` on that date.
+ * @param {any} value - HL7 value; a TS split into components uses its first component.
+ * @param {Object} [options]
+ * @param {String} [options.timeZone] - IANA time zone for values without an offset.
+ * @returns {ParsedHL7Date} Parsed date.
+ *
+ * @example
+ * parseHL7Date('20190709151359', { timeZone: 'America/Toronto' });
+ * // { value: '2019-07-09T15:13:59-04:00', precision: 'second', warning: null }
+ * parseHL7Date('20190709'); // { value: '2019-07-09', precision: 'day', warning: null }
+ * parseHL7Date('2019---'); // { value: '', precision: null, warning: 'Not an HL7 date' }
+ */
+function parseHL7Date(value, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  // TS-1 is the time; TS-2 (degree of precision) is deprecated and ignored
+  const raw = (typeof value === 'object' && value !== null ? Object.values(value)[0] : value) ?? '';
+  const trimmed = String(raw).trim();
+
+  if (!trimmed) {
+    return { value: '', precision: null, warning: null };
+  }
+
+  const match = HL7_DATE_PATTERN.exec(trimmed);
+
+  if (!match) {
+    return invalid('Not an HL7 date');
+  }
+
+  const [, year, month, day, hour, minute, second, fraction, zone] = match;
+  const components = [year, month, day, hour, minute, second, fraction];
+  const precision = /** @type {DatePrecision} */ (
+    PRECISIONS[components.filter((component) => component !== undefined).length - 1]
+  );
+
+  const numbers = components.map((component) => Number(component || 0));
+  const [y, mo, d, h, mi, s] = numbers;
+
+  if (month !== undefined && (mo < 1 || mo > 12)) return invalid('Month out of range');
+  if (day !== undefined && (d < 1 || d > new Date(Date.UTC(y, mo, 0)).getUTCDate())) {
+    return invalid('Day out of range');
+  }
+  if (hour !== undefined && h > 23) return invalid('Hour out of range');
+  if (minute !== undefined && mi > 59) return invalid('Minute out of range');
+  if (second !== undefined && s > 59) return invalid('Second out of range');
+
+  let offset = null;
+
+  if (zone) {
+    const zoneHours = Number(zone.substring(1, 3));
+    const zoneMinutes = Number(zone.substring(3, 5));
+
+    if (zoneHours > 14 || zoneMinutes > 59) return invalid('UTC offset out of range');
+
+    offset = (zone[0] === '-' ? -1 : 1) * (zoneHours * 60 + zoneMinutes);
+  }
+
+  const date = [year, month, day].filter(Boolean).join('-');
+
+  if (hour === undefined) {
+    return { value: date, precision, warning: null };
+  }
+
+  let time = `${hour}:${minute || '00'}`;
+  if (second !== undefined) time += `:${second}`;
+  if (fraction !== undefined) time += `.${fraction}`;
+
+  if (offset === null) {
+    try {
+      offset = getLocalOffset(Date.UTC(y, mo - 1, d, h, mi, s), timeZone);
+    } catch (error) {
+      return invalid(`Unknown time zone ${timeZone}`);
+    }
+  }
+
+  return { value: `${date}T${time}${formatOffset(offset)}`, precision, warning: null };
+}
+
+/**
+ * Creates a date formatter for one message that collects warnings for invalid values.
+ * @param {Object} [options]
+ * @param {String} [options.timeZone] - IANA time zone for values without an offset.
+ * @returns {DateFormatter} Formatter and its warnings.
+ *
+ * @example
+ * const dates = createDateFormatter({ timeZone: 'America/Vancouver' });
+ * dates.format(segment.data['OBR.7'], 'OBR-7'); // '2019-07-09T15:13:00-07:00'
+ * dates.warnings; // [{ field: 'OBR-14', value: '2019---', message: 'Not an HL7 date' }]
+ */
+function createDateFormatter({ timeZone } = {}) {
+  /** @type {Array<ParseWarning>} */
+  const warnings = [];
+
+  const format = (value, field) => {
+    const parsed = parseHL7Date(value, { timeZone });
+
+    if (parsed.warning) {
+      warnings.push({
+        field,
+        value: PATIENT_DATE_FIELDS.includes(field)
+          ? null
+          : String(typeof value === 'object' ? Object.values(value)[0] : value),
+        message: parsed.warning
+      });
+    }
+
+    return parsed.value;
+  };
+
+  return { format, warnings };
+}
+
+module.exports = { parseHL7Date, createDateFormatter, DEFAULT_TIME_ZONE };
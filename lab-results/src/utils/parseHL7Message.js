@@ -1,13 +1,30 @@
 // @ts-check
 const HL7 = require('hl7-standard/src/api');
+const {
+  decodeHL7Text,
+  decodeHL7TextLines,
+  FORMATTED_TEXT_TYPES
+} = require('./decodeHL7Text');
+const { createDateFormatter } = require('./parseHL7Date');
+const {
+  parseReferenceRange,
+  parseNumericResult,
+  interpretResult
+} = require('./interpretResult');
 
 /**
  * Parses a HL7 raw string into a structured JSON object based on GDML HL7 specification v1.01.005c.
  * @param {String} rawHL7String - Raw HL7 string to parse.
  * @param {Boolean} shouldRemoveEmptyFields - Flag to remove empty fields from the parsed object.
- * @returns {Object} Structured object with messageHeader and patients.
+ * @param {Object} [options]
+ * @param {String} [options.timeZone] - Time zone of dates sent without an offset, Ontario time by default.
+ * @returns {Object} Structured object with messageHeader, patients and parseWarnings for invalid dates.
  */
-function parseHL7Message(rawHL7String, shouldRemoveEmptyFields = true) {
+function parseHL7Message(
+  rawHL7String,
+  shouldRemoveEmptyFields = true,
+  { timeZone = 'America/Toronto' } = {}
+) {
   const hl7 = new HL7(rawHL7String);
   hl7.transform();
 
@@ -16,6 +33,9 @@ function parseHL7Message(rawHL7String, shouldRemoveEmptyFields = true) {
   segments.sort((a, b) => a.index - b.index);
 
   let messageHeader = null;
+  // Escape sequences are decoded with the message's own delimiters
+  let delimiters = {};
+  const dates = createDateFormatter({ timeZone });
   const patients = [];
   let currentPatient = null;
   let currentOrder = null;
@@ -25,10 +45,14 @@ function parseHL7Message(rawHL7String, shouldRemoveEmptyFields = true) {
   segments.forEach((segment) => {
     switch (segment.type) {
       case 'MSH':
-        messageHeader = parseMSH(segment);
+        messageHeader = parseMSH(segment, dates);
+        delimiters = {
+          fieldSeparator: messageHeader.fieldSeparator,
+          encodingCharacters: messageHeader.encodingCharacters
+        };
         break;
       case 'PID':
-        currentPatient = parsePID(segment);
+        currentPatient = parsePID(segment, dates);
         patients.push(currentPatient);
         currentOrder = null;
         currentLabResult = null;
@@ -70,12 +94,12 @@ function parseHL7Message(rawHL7String, shouldRemoveEmptyFields = true) {
         if (currentPatient) {
           currentPatient.privateInsuranceOrders =
             currentPatient.privateInsuranceOrders || [];
-          currentPatient.privateInsuranceOrders.push(parseZPI(segment));
+          currentPatient.privateInsuranceOrders.push(parseZPI(segment, dates));
         }
         break;
       case 'ORC':
         if (currentPatient) {
-          currentOrder = parseORC(segment);
+          currentOrder = parseORC(segment, dates);
           currentPatient.orders = currentPatient.orders || [];
           currentPatient.orders.push(currentOrder);
           currentLabResult = null;
@@ -89,14 +113,14 @@ function parseHL7Message(rawHL7String, shouldRemoveEmptyFields = true) {
             currentPatient.orders = currentPatient.orders || [];
             currentPatient.orders.push(currentOrder);
           }
-          currentLabResult = parseOBR(segment);
+          currentLabResult = parseOBR(segment, dates);
           currentOrder.labResults.push(currentLabResult);
           currentNTEContext = currentLabResult.notes;
         }
         break;
       case 'OBX':
         if (currentLabResult) {
-          const obx = parseOBX(segment);
+          const obx = parseOBX(segment, delimiters, dates);
           currentLabResult.observations = currentLabResult.observations || [];
           currentLabResult.observations.push(obx);
           currentNTEContext = obx.notes;
@@ -104,7 +128,7 @@ function parseHL7Message(rawHL7String, shouldRemoveEmptyFields = true) {
         break;
       case 'NTE':
         if (currentNTEContext) {
-          currentNTEContext.push(parseNTE(segment));
+          currentNTEContext.push(parseNTE(segment, delimiters));
         }
         break;
       default:
@@ -114,7 +138,8 @@ function parseHL7Message(rawHL7String, shouldRemoveEmptyFields = true) {
 
   const result = {
     messageHeader: messageHeader || {},
-    patients: patients.length > 0 ? patients : []
+    patients: patients.length > 0 ? patients : [],
+    parseWarnings: dates.warnings
   };
 
   if (shouldRemoveEmptyFields) {
@@ -148,33 +173,6 @@ function removeEmptyFields(arrayOrObject) {
     }
   }
 }
-/**
- * Formats a date string from HL7 format to ISO 8601.
- *
- * @param {String} date - Date string to format.
- * @returns {String} Formatted date string in ISO 8601 format.
- *
- * @example
- * formatDate('20190709151359'); // '2019-07-09T15:13:59'
- * formatDate('201907091513'); // '2019-07-09T15:13:00'
- * formatDate('20190709'); // '2019-07-09T00:00:00'
- * formatDate(''); // ''
- */
-function formatDate(date) {
-  if (!date) {
-    return '';
-  }
-
-  const year = date.substring(0, 4);
-  const month = date.substring(4, 6);
-  const day = date.substring(6, 8);
-  const hour = date.substring(8, 10) || '00';
-  const minute = date.substring(10, 12) || '00';
-  const second = date.substring(12, 14) || '00';
-
-  return `${year}-${month}-${day}T${hour}:${minute}:${second}`;
-}
-
 // ** Denotes fields that are defined as place holders only are NOT being populated or supported
 // §  Denotes fields are supported in Winnipeg LIS only
 // ¥  Denotes fields are supported in Ontario LIS only
@@ -182,9 +180,10 @@ function formatDate(date) {
 /**
  * Parses the MSH segment.
  * @param {Object} segment - MSH segment object.
+ * @param {import('./parseHL7Date').DateFormatter} dates - Formats dates and collects warnings.
  * @returns {Object} Parsed MSH data.
  */
-function parseMSH(segment) {
+function parseMSH(segment, dates) {
   return {
     fieldSeparator: segment.data['MSH.1'] || '|', // MSH-1
     encodingCharacters: segment.data['MSH.2'] || '^~\\&', // MSH-2
@@ -192,7 +191,7 @@ function parseMSH(segment) {
     sendingFacility: segment.data['MSH.4'] || '', // MSH-4 (§)
     receivingApplication: segment.data['MSH.5'] || '', // MSH-5 (§)
     receivingFacility: segment.data['MSH.6'] || '', // MSH-6 (§)
-    messageDateTime: formatDate(segment.data['MSH.7'] || ''), // MSH-7
+    messageDateTime: dates.format(segment.data['MSH.7'], 'MSH-7'), // MSH-7
     security: segment.data['MSH.8'] || null, // MSH-8 (**)
     // `messageType` in the spec is marked as 98 which may be a printing mistake (§9) (Requires clarification)
     messageType: {
@@ -216,9 +215,10 @@ function parseMSH(segment) {
 /**
  * Parses the PID segment.
  * @param {Object} segment - PID segment object.
+ * @param {import('./parseHL7Date').DateFormatter} dates - Formats dates and collects warnings.
  * @returns {Object} Parsed PID data.
  */
-function parsePID(segment) {
+function parsePID(segment, dates) {
   const patientIdInternal = segment.data['PID.2'] || {};
   return {
     setId: segment.data['PID.1'] || '', // PID-1
@@ -255,7 +255,7 @@ function parsePID(segment) {
         }))
       : [],
     mothersMaidenName: segment.data['PID.6'] || null, // PID-6 (§)
-    dateOfBirth: formatDate(segment.data['PID.7'] || ''), // PID-7
+    dateOfBirth: dates.format(segment.data['PID.7'], 'PID-7'), // PID-7
     sex: segment.data['PID.8'] || '', // PID-8
     patientAlias: segment.data['PID.9'] || null, // PID-9 (**)
     race: segment.data['PID.10'] || null, // PID-10 (**)
@@ -294,7 +294,7 @@ function parsePID(segment) {
     citizenship: segment.data['PID.26'] || null, // PID-26 (**)
     veteransMedicalStatus: segment.data['PID.27'] || null, // PID-27 (**)
     nationalityCode: segment.data['PID.28'] || null, // PID-28 (**)
-    patientDeathDateTime: formatDate(segment.data['PID.29'] || null), // PID-29 (**)
+    patientDeathDateTime: dates.format(segment.data['PID.29'], 'PID-29'), // PID-29 (**)
     patientDeathIndicator: segment.data['PID.30'] || null, // PID-30 (**)
     notes: []
   };
@@ -344,9 +344,10 @@ function parseZDR(segment) {
 /**
  * Parses the ORC segment.
  * @param {Object} segment - ORC segment object.
+ * @param {import('./parseHL7Date').DateFormatter} dates - Formats dates and collects warnings.
  * @returns {Object} Parsed ORC data.
  */
-function parseORC(segment) {
+function parseORC(segment, dates) {
   return {
     orderControl: segment.data['ORC.1'] || '', // ORC-1
     placerOrderNumber: segment.data['ORC.2'] || null, // ORC-2 (**)
@@ -361,7 +362,7 @@ function parseORC(segment) {
     responseFlag: segment.data['ORC.6'] || null, // ORC-6 (**)
     quantityTiming: segment.data['ORC.7'] || null, // ORC-7 (**)
     parentOrder: segment.data['ORC.8'] || null, // ORC-8 (**)
-    transactionDateTime: formatDate(segment.data['ORC.9'] || ''), // ORC-9
+    transactionDateTime: dates.format(segment.data['ORC.9'], 'ORC-9'), // ORC-9
     orderingPhysicianAddress: {
       // ORC-24 (§)
       streetAddress: segment.data['ORC.24']?.['ORC.24.1'] || null,
@@ -378,9 +379,10 @@ function parseORC(segment) {
 /**
  * Parses the OBR segment.
  * @param {Object} segment - OBR segment object.
+ * @param {import('./parseHL7Date').DateFormatter} dates - Formats dates and collects warnings.
  * @returns {Object} Parsed OBR data.
  */
-function parseOBR(segment) {
+function parseOBR(segment, dates) {
   return {
     setId: segment.data['OBR.1'] || '', // OBR-1
     placerOrderNumber: segment.data['OBR.2']?.['OBR.2.1'] || '', // OBR-2 (§)
@@ -397,15 +399,15 @@ function parseOBR(segment) {
       department: segment.data['OBR.4']?.['OBR.4.4'] || '' // ¥
     },
     priority: segment.data['OBR.5'] || '', // OBR-5
-    requestedDateTime: formatDate(segment.data['OBR.6'] || ''), // OBR-6
-    collectionDateTime: formatDate(segment.data['OBR.7'] || ''), // OBR-7
-    observationEndDateTime: formatDate(segment.data['OBR.8'] || null), // OBR-8 (**)
+    requestedDateTime: dates.format(segment.data['OBR.6'], 'OBR-6'), // OBR-6
+    collectionDateTime: dates.format(segment.data['OBR.7'], 'OBR-7'), // OBR-7
+    observationEndDateTime: dates.format(segment.data['OBR.8'], 'OBR-8'), // OBR-8 (**)
     collectionVolume: segment.data['OBR.9'] || null, // OBR-9 (¥)
     collectorIdentifier: segment.data['OBR.10'] || null, // OBR-10 (**)
     specimenActionFlag: segment.data['OBR.11'] || 'N', // OBR-11 (¥)
     dangerCode: segment.data['OBR.12'] || null, // OBR-12 (**)
     relevantClinicalInformation: segment.data['OBR.13'] || null, // OBR-13 (**)
-    specimenReceivedDateTime: formatDate(segment.data['OBR.14'] || null), // OBR-14
+    specimenReceivedDateTime: dates.format(segment.data['OBR.14'], 'OBR-14'), // OBR-14
     specimenSource: segment.data['OBR.15'] || null, // OBR-15 (**)
     orderingPhysician: {
       // OBR-16
@@ -420,7 +422,7 @@ function parseOBR(segment) {
     placerField2: segment.data['OBR.19'] || null, // OBR-19 (**)
     fillerField1: segment.data['OBR.20'] || null, // OBR-20 (**)
     fillerField2: segment.data['OBR.21'] || null, // OBR-21 (**)
-    reportedDateTime: formatDate(segment.data['OBR.22'] || ''), // OBR-22
+    reportedDateTime: dates.format(segment.data['OBR.22'], 'OBR-22'), // OBR-22
     chargeToPractice: segment.data['OBR.23'] || null, // OBR-23 (**)
     diagnosticServiceSectionId: segment.data['OBR.24'] || null, // OBR-24 (**)
     resultStatus: segment.data['OBR.25'] || '', // OBR-25 (§)
@@ -444,7 +446,7 @@ function parseOBR(segment) {
     assistantResultInterpreter: segment.data['OBR.33'] || null, // OBR-33 (**)
     technician: segment.data['OBR.34'] || null, // OBR-34 (**)
     transcriptionist: segment.data['OBR.35'] || null, // OBR-35 (**)
-    scheduledDateTime: formatDate(segment.data['OBR.36'] || null), // OBR-36 (**)
+    scheduledDateTime: dates.format(segment.data['OBR.36'], 'OBR-36'), // OBR-36 (**)
     numberOfSampleContainers: segment.data['OBR.37'] || null, // OBR-37 (**)
     transportLogistics: segment.data['OBR.38'] || null, // OBR-38 (**)
     collectorsComment: segment.data['OBR.39'] || null, // OBR-39 (**)
@@ -460,12 +462,50 @@ function parseOBR(segment) {
 /**
  * Parses the OBX segment.
  * @param {Object} segment - OBX segment object.
+ * @param {import('./decodeHL7Text').HL7Delimiters} [delimiters] - Delimiters from MSH-1 and MSH-2.
+ * @param {import('./parseHL7Date').DateFormatter} dates - Formats dates and collects warnings.
  * @returns {Object} Parsed OBX data.
  */
-function parseOBX(segment) {
+function parseOBX(segment, delimiters, dates) {
+  const valueType = segment.data['OBX.2'] || '';
+  const isFormattedText = FORMATTED_TEXT_TYPES.includes(valueType);
+  const rawResults = segment.data['OBX.5'] // OBX-5
+    ? Array.isArray(segment.data['OBX.5'])
+      ? segment.data['OBX.5']
+      : [segment.data['OBX.5']]
+    : [];
+  const numericResult = parseNumericResult(segment.data['OBX.5'], valueType);
+
+  const rangeLines = segment.data['OBX.7']
+    ? (Array.isArray(segment.data['OBX.7'])
+        ? segment.data['OBX.7']
+        : [segment.data['OBX.7']]
+      )
+        .map((copy) =>
+          // @ts-ignore
+          typeof copy === 'string' ? copy : Object.values(copy) || ''
+        )
+        // @ts-ignore
+        .flat()
+        .map((copy) => decodeHL7Text(String(copy), delimiters).text)
+        .filter(Boolean)
+    : [];
+  const rangeComponents = {
+    legacy: segment.data['OBX.7']?.['OBX.7.1'] || '',
+    formatted: segment.data['OBX.7']?.['OBX.7.2'] || '',
+    lowValue: segment.data['OBX.7']?.['OBX.7.3'] || '',
+    highValue: segment.data['OBX.7']?.['OBX.7.4'] || ''
+  };
+  const referenceRange = {
+    ...parseGDMLReferenceRange(rangeLines, rangeComponents),
+    // `lines` field is a raw value, which added because the Dynacare's example does not match the specification (requires clarification)
+    lines: rangeLines,
+    ...rangeComponents
+  };
+
   return {
     setId: segment.data['OBX.1'] || '', // OBX-1
-    valueType: segment.data['OBX.2'] || '', // OBX-2
+    valueType, // OBX-2
     observationIdentifier: {
       // OBX-3
       gdmlTestCode: segment.data['OBX.3']?.['OBX.3.1'] || '',
@@ -479,46 +519,31 @@ function parseOBX(segment) {
       altIdentCoding: segment.data['OBX.3']?.['OBX.3.6'] || '' // §
     },
     observationSubId: segment.data['OBX.4'] || '', // OBX-4
-    observationResults: segment.data['OBX.5'] // OBX-5
-      ? (Array.isArray(segment.data['OBX.5'])
-          ? segment.data['OBX.5']
-          : [segment.data['OBX.5']]
-        )
-          .map((copy) =>
-            String(copy?.['OBX.5.1'] || copy || '').replace('\\.br\\', '')
-          )
-          .filter(Boolean)
-      : [],
+    observationResults: rawResults // OBX-5
+      // Coded values keep their first component; text keeps all of it
+      .map((copy) =>
+        decodeHL7Text(isFormattedText ? copy : copy?.['OBX.5.1'] || copy, delimiters).text
+      )
+      .filter(Boolean),
+    // Formatted rendering of FT and TX results, one line per repetition
+    observationResultsHtml: isFormattedText
+      ? decodeHL7TextLines(rawResults, delimiters).html
+      : null,
     units: segment.data['OBX.6'] || '', // OBX-6
-    referenceRange: {
-      // `lines` field is a raw value, which added because the Dynacare's example does not match the specification (requires clarification)
-      // OBX-7
-      lines: segment.data['OBX.7']
-        ? (Array.isArray(segment.data['OBX.7'])
-            ? segment.data['OBX.7']
-            : [segment.data['OBX.7']]
-          )
-            .map((copy) =>
-              // @ts-ignore
-              typeof copy === 'string' ? copy : Object.values(copy) || ''
-            )
-            // @ts-ignore
-            .flat()
-            .map((copy) => String(copy).replace('\\.br\\', ''))
-            .filter(Boolean)
-        : [],
-      legacy: segment.data['OBX.7']?.['OBX.7.1'] || '',
-      formatted: segment.data['OBX.7']?.['OBX.7.2'] || '',
-      lowValue: segment.data['OBX.7']?.['OBX.7.3'] || '',
-      highValue: segment.data['OBX.7']?.['OBX.7.4'] || ''
-    },
+    referenceRange, // OBX-7
+    numericResult,
     abnormalFlag: segment.data['OBX.8'] || '', // OBX-8
+    interpretation: interpretResult({
+      numericResult,
+      referenceRange,
+      abnormalFlag: segment.data['OBX.8']
+    }),
     probability: segment.data['OBX.9'] || null, // OBX-9 (**)
     observationResultStatusLegacy: segment.data['OBX.10'] || '', // OBX-10 (¥)
     observationResultStatus: segment.data['OBX.11'] || '', // OBX-11
-    dateLastObservedNormalValues: formatDate(segment.data['OBX.12'] || null), // OBX-12 (**)
+    dateLastObservedNormalValues: dates.format(segment.data['OBX.12'], 'OBX-12'), // OBX-12 (**)
     userDefinedAccessChecks: segment.data['OBX.13'] || null, // OBX-13 (**)
-    dateTimeOfObservation: formatDate(segment.data['OBX.14'] || null), // OBX-14 (§)
+    dateTimeOfObservation: dates.format(segment.data['OBX.14'], 'OBX-14'), // OBX-14 (§)
     producersId: segment.data['OBX.15'] || null, // OBX-15 (**)
     responsibleObserver: segment.data['OBX.16'] || null, // OBX-16 (**)
     observationMethod: segment.data['OBX.17'] || null, // OBX-17 (**)
@@ -526,17 +551,44 @@ function parseOBX(segment) {
   };
 }
 
+/**
+ * Builds the structured reference range of a GDML OBX-7. The low and high components win;
+ * otherwise the range text is parsed, preferring the formatted component.
+ * @param {Array<String>} lines - Decoded OBX-7 text.
+ * @param {{legacy: String, formatted: String, lowValue: String, highValue: String}} components - OBX-7 components.
+ * @returns {import('./interpretResult').ReferenceRange} Structured reference range.
+ */
+function parseGDMLReferenceRange(lines, { legacy, formatted, lowValue, highValue }) {
+  const text = formatted || legacy || lines.join('\n');
+  const toLimit = (value) =>
+    typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))
+      ? Number(value)
+      : null;
+  const low = toLimit(lowValue);
+  const high = toLimit(highValue);
+
+  if (low !== null || high !== null) {
+    return { low, high, comparator: null, text };
+  }
+
+  return parseReferenceRange(text);
+}
+
 /**
  * Parses the NTE segment.
  * @param {Object} segment - NTE segment object.
+ * @param {import('./decodeHL7Text').HL7Delimiters} [delimiters] - Delimiters from MSH-1 and MSH-2.
  * @returns {Object} Parsed NTE data.
  */
-function parseNTE(segment) {
+function parseNTE(segment, delimiters) {
+  const comment = decodeHL7TextLines(segment.data['NTE.3'] || '', delimiters); // NTE-3 (§)
+
   return {
     setId: segment.data['NTE.1'] || '', // NTE-1
     commentOrSource: segment.data['NTE.2'] || '', // NTE-2 (source for §)
-    comment: segment.data['NTE.3'] || '', // NTE-3 (§)
-    comment2: segment.data['NTE.4'] || '' // NTE-4 (§)
+    comment: comment.text,
+    commentHtml: comment.html,
+    comment2: decodeHL7TextLines(segment.data['NTE.4'] || '', delimiters).text // NTE-4 (§)
   };
 }
 
@@ -617,16 +669,17 @@ function parseZCY(segment) {
 /**
  * Parses the ZPI segment. (not supported in Winnipeg)
  * @param {Object} segment - ZPI segment object.
+ * @param {import('./parseHL7Date').DateFormatter} dates - Formats dates and collects warnings.
  * @returns {Object} Parsed ZPI data.
  */
-function parseZPI(segment) {
+function parseZPI(segment, dates) {
   return {
     ticket: segment.data['ZPI.1'] || '', // ZPI-1
     policyNumber: segment.data['ZPI.2'] || null, // ZPI-2
     examinerCode: segment.data['ZPI.3'] || null, // ZPI-3
     insuranceType: segment.data['ZPI.4'] || null, // ZPI-4
     insuranceAmount: segment.data['ZPI.5'] || null, // ZPI-5
-    dateTimeLastFoodTaken: formatDate(segment.data['ZPI.6'] || null), // ZPI-6
+    dateTimeLastFoodTaken: dates.format(segment.data['ZPI.6'], 'ZPI-6'), // ZPI-6
     insuranceAgent: segment.data['ZPI.7'] || null, // ZPI-7 (**)
     agentProvinceCode: segment.data['ZPI.8'] || null, // ZPI-8 (**)
     examiningCompany: segment.data['ZPI.9'] || null, // ZPI-9
@@ -0,0 +1,253 @@
+// @ts-check
+const parseHL7Message = require('./parseHL7Message');
+const parseEMRHL7Message = require('./parseEMRHL7Message');
+const { checkConformance } = require('./checkConformance');
+const { mapTestCodes } = require('./mapTestCodes');
+const { detectCriticalResults } = require('./detectCriticalResults');
+const gdmlSchema = require('../schemas/gdml.schema.json');
+const lifelabsOntarioSchema = require('../schemas/lifelabs-ontario.schema.json');
+const lifelabsBCSchema = require('../schemas/lifelabs-bc.schema.json');
+
+// Z-segments defined by the GDML (Dynacare) specification
+const GDML_Z_SEGMENTS = ['ZDR', 'ZEX', 'ZTX', 'ZCT', 'ZCY', 'ZPI'];
+
+// Match scores: a profile identified by its sender or segments beats one that only fits the version
+const MATCH = {
+  NONE: 0,
+  VERSION: 1,
+  IDENTIFIED: 2
+};
+
+/**
+ * @typedef {Object} MessageInfo
+ * @property {String} sendingApplication - MSH-3.
+ * @property {String} sendingFacility - MSH-4, components joined by `^`.
+ * @property {String} versionId - MSH-12.
+ * @property {Array<String>} segmentTypes - Segment IDs in order of appearance.
+ * @property {Array<String>} zSegments - Distinct Z-segment IDs.
+ */
+
+/**
+ * @typedef {Object} LabProfile
+ * @property {String} name - Unique profile name.
+ * @property {String} [description] - Human readable description.
+ * @property {(info: MessageInfo) => {score: Number, reasons: Array<String>}} match - Scores how well a message fits the profile.
+ * @property {(rawHL7String: String, options?: Object) => Object} parse - Parser for the profile.
+ * @property {Object} [schema] - JSON Schema of the profile's required fields; parsed messages get a `conformance` report.
+ * @property {String} [timeZone] - IANA time zone of the lab's local times, used for dates sent without an offset.
+ * @property {String} [codeMappingTable] - Mapping table from the lab's test codes to LOINC; parsed messages get a `codeMapping` report.
+ */
+
+/** @type {Array<LabProfile>} */
+const profiles = [];
+
+/**
+ * Reads MSH-3, MSH-4, MSH-12 and the segment IDs from a raw HL7 string without fully parsing it.
+ * @param {String} rawHL7String - Raw HL7 message.
+ * @returns {MessageInfo} Message information used for profile detection.
+ */
+function inspectHL7Message(rawHL7String) {
+  const lines = String(rawHL7String || '')
+    .split(/\r\n|\r|\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  const mshLine = lines.find((line) => line.startsWith('MSH')) || '';
+  const fieldSeparator = mshLine.charAt(3) || '|';
+  // MSH-1 is the separator itself, so field N sits at index N - 1
+  const mshFields = mshLine.split(fieldSeparator);
+  const segmentTypes = lines.map((line) => line.substring(0, 3));
+
+  return {
+    sendingApplication: mshFields[2] || '',
+    sendingFacility: mshFields[3] || '',
+    versionId: mshFields[11] || '',
+    segmentTypes,
+    zSegments: [...new Set(segmentTypes.filter((type) => type.startsWith('Z')))]
+  };
+}
+
+/**
+ * Registers a lab profile. Profiles are tried in registration order when scores tie.
+ * @param {LabProfile} profile - Profile to register.
+ * @returns {LabProfile} The registered profile.
+ */
+function registerProfile(profile) {
+  if (!profile?.name || typeof profile.match !== 'function' || typeof profile.parse !== 'function') {
+    throw new Error('A lab profile requires a name, a match function and a parse function');
+  }
+
+  if (profiles.some((registered) => registered.name === profile.name)) {
+    throw new Error(`Lab profile "${profile.name}" is already registered`);
+  }
+
+  profiles.push(profile);
+
+  return profile;
+}
+
+/**
+ * Returns the names of all registered profiles.
+ * @returns {Array<String>} Profile names.
+ */
+function getProfileNames() {
+  return profiles.map((profile) => profile.name);
+}
+
+/**
+ * Detects which lab profile a raw HL7 message belongs to.
+ * @param {String} rawHL7String - Raw HL7 message.
+ * @param {Object} [options]
+ * @param {String} [options.fallbackProfile] - Profile preferred on ties, and used when nothing matches.
+ * @returns {{name: String, score: Number, reasons: Array<String>}} Detected profile.
+ */
+function detectProfile(rawHL7String, { fallbackProfile } = {}) {
+  const info = inspectHL7Message(rawHL7String);
+
+  const candidates = profiles
+    .map((profile) => ({ name: profile.name, ...profile.match(info) }))
+    .filter((candidate) => candidate.score > MATCH.NONE);
+
+  const bestScore = Math.max(MATCH.NONE, ...candidates.map((candidate) => candidate.score));
+  const bestCandidates = candidates.filter((candidate) => candidate.score === bestScore);
+
+  const detected =
+    bestCandidates.find((candidate) => candidate.name === fallbackProfile) ||
+    bestCandidates[0];
+
+  if (detected) {
+    return detected;
+  }
+
+  if (fallbackProfile && profiles.some((profile) => profile.name === fallbackProfile)) {
+    return { name: fallbackProfile, score: MATCH.NONE, reasons: ['fallback profile'] };
+  }
+
+  throw new Error(
+    `Unrecognized HL7 message profile (MSH-3: "${info.sendingApplication}", MSH-4: "${info.sendingFacility}", MSH-12: "${info.versionId}")`
+  );
+}
+
+/**
+ * Detects the lab profile of a raw HL7 message and parses it with that profile's parser.
+ * @param {String} rawHL7String - Raw HL7 message.
+ * @param {Object} [options]
+ * @param {String} [options.fallbackProfile] - Profile preferred on ties, and used when nothing matches.
+ * @param {Object} [options.parseOptions] - Passed through to the profile's parser; `timeZone` defaults to the profile's.
+ * @returns {{profile: {name: String, score: Number, reasons: Array<String>}, result: Object}} Detected profile and parsed message.
+ * The parsed message carries a `conformance` report when the profile has a schema, a
+ * `codeMapping` report when it has a mapping table, and its `criticalResults`.
+ *
+ * @example
+ * const { profile, result } = parseLabMessage(raw, { fallbackProfile: 'gdml' });
+ * // profile.name === 'gdml', profile.reasons === ['Z-segments: ZDR']
+ * // result.conformance === { profile: 'gdml', conformant: true, issues: [] }
+ */
+function parseLabMessage(rawHL7String, { fallbackProfile, parseOptions } = {}) {
+  const profile = detectProfile(rawHL7String, { fallbackProfile });
+  // @ts-ignore
+  const { parse, schema, timeZone, codeMappingTable } = profiles.find(
+    (registered) => registered.name === profile.name
+  );
+
+  const result = parse(rawHL7String, { timeZone, ...parseOptions });
+
+  if (codeMappingTable) {
+    result.codeMapping = mapTestCodes(result, codeMappingTable);
+  }
+
+  // Runs after code mapping so rules can match LOINC codes
+  result.criticalResults = detectCriticalResults(result, { profile: profile.name });
+
+  if (schema) {
+    result.conformance = checkConformance(result, { name: profile.name, schema });
+  }
+
+  return { profile, result };
+}
+
+/**
+ * Builds a match function from the sender pattern and HL7 versions a profile accepts.
+ * @param {Object} criteria
+ * @param {RegExp} [criteria.sender] - Pattern identifying the lab in MSH-3 or MSH-4.
+ * @param {Array<String>} criteria.versions - Accepted MSH-12 values.
+ * @param {Array<String>} [criteria.zSegments] - Z-segments only this lab sends.
+ * @returns {LabProfile['match']} Match function.
+ */
+function matchBy({ sender, versions, zSegments = [] }) {
+  return (info) => {
+    const reasons = [];
+    const versionMatches = versions.includes(info.versionId);
+    const matchedZSegments = info.zSegments.filter((type) => zSegments.includes(type));
+
+    if (matchedZSegments.length > 0) {
+      reasons.push(`Z-segments: ${matchedZSegments.join(', ')}`);
+    }
+
+    if (sender && sender.test(`${info.sendingApplication}|${info.sendingFacility}`)) {
+      reasons.push(`sender: ${info.sendingApplication}/${info.sendingFacility}`);
+    }
+
+    if (versionMatches) {
+      reasons.push(`version: ${info.versionId}`);
+    }
+
+    const identified = reasons.length > (versionMatches ? 1 : 0);
+
+    // A sender alone isn't enough when the lab uses different profiles per HL7 version
+    if (matchedZSegments.length > 0 || (identified && versionMatches)) {
+      return { score: MATCH.IDENTIFIED, reasons };
+    }
+
+    return { score: versionMatches ? MATCH.VERSION : MATCH.NONE, reasons };
+  };
+}
+
+registerProfile({
+  name: 'gdml',
+  description: 'Dynacare (GDML HL7 specification v1.01.005c)',
+  match: matchBy({
+    sender: /DYNACARE|GDML|GAMMA/i,
+    versions: ['2.3'],
+    zSegments: GDML_Z_SEGMENTS
+  }),
+  parse: (rawHL7String, options = {}) =>
+    parseHL7Message(rawHL7String, options.shouldRemoveEmptyFields, { timeZone: options.timeZone }),
+  schema: gdmlSchema,
+  timeZone: 'America/Toronto',
+  codeMappingTable: 'gdml'
+});
+
+registerProfile({
+  name: 'lifelabs-ontario',
+  description: 'LifeLabs Ontario (EMR Interface Guide, HL7 v2.3.1)',
+  match: matchBy({ sender: /LIFELABS/i, versions: ['2.3.1'] }),
+  parse: (rawHL7String, options = {}) =>
+    parseEMRHL7Message(rawHL7String, options.shouldRemoveEmptyFields, options.includeRTFContent, {
+      timeZone: options.timeZone
+    }),
+  schema: lifelabsOntarioSchema,
+  timeZone: 'America/Toronto',
+  codeMappingTable: 'lifelabs-ontario'
+});
+
+registerProfile({
+  name: 'lifelabs-bc',
+  description: 'LifeLabs British Columbia (EMR Interface Guide, HL7 v2.3)',
+  match: matchBy({ sender: /LIFELABS|EXCELLERIS/i, versions: ['2.3'] }),
+  parse: (rawHL7String, options = {}) =>
+    parseEMRHL7Message(rawHL7String, options.shouldRemoveEmptyFields, options.includeRTFContent, {
+      timeZone: options.timeZone
+    }),
+  schema: lifelabsBCSchema,
+  timeZone: 'America/Vancouver',
+  codeMappingTable: 'lifelabs-bc'
+});
+
+module.exports = {
+  parseLabMessage,
+  detectProfile,
+  registerProfile,
+  getProfileNames,
+  inspectHL7Message
+};
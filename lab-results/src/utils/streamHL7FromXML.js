@@ -0,0 +1,96 @@
+const sax = require('sax');
+const { StringDecoder } = require('string_decoder');
+const { IntegrationError } = require('../../../lib/errors');
+
+const MESSAGE_TAG = 'Message';
+
+// The same file will be malformed on every retry
+const malformedXMLError = (reason) =>
+  new IntegrationError(`Malformed XML: ${reason.split('\n')[0]}`, { retryable: false });
+
+/**
+ * Extract HL7 messages from an XML stream one at a time.
+ * Only the message being read is held in memory, so the file size doesn't matter.
+ * @param {AsyncIterable<Buffer|string>} xmlStream - XML document, e.g. an S3 object body
+ * @returns {AsyncGenerator<{id: string, content: string}>} HL7 messages with their IDs, in document order
+ * @throws {IntegrationError} Non-retryable error when the XML is malformed
+ */
+async function* streamHL7MessagesFromXML(xmlStream) {
+  const parser = sax.parser(true);
+  // Multi-byte characters can be split across chunks
+  const decoder = new StringDecoder('utf8');
+
+  const pendingMessages = [];
+  let currentMessage = null;
+  let hasRootElement = false;
+  let parseError = null;
+
+  parser.onerror = (error) => {
+    parseError = parseError || error;
+  };
+
+  parser.onopentag = (tag) => {
+    hasRootElement = true;
+
+    if (tag.name === MESSAGE_TAG) {
+      currentMessage = { id: tag.attributes.MsgID, content: '' };
+    }
+  };
+
+  const appendContent = (content) => {
+    if (currentMessage) {
+      currentMessage.content += content;
+    }
+  };
+
+  parser.ontext = appendContent;
+  parser.oncdata = appendContent;
+
+  parser.onclosetag = (tagName) => {
+    if (tagName !== MESSAGE_TAG || !currentMessage) return;
+
+    if (currentMessage.content) {
+      pendingMessages.push(currentMessage);
+    }
+
+    currentMessage = null;
+  };
+
+  const write = (chunk) => {
+    try {
+      parser.write(chunk);
+    } catch (error) {
+      parseError = parseError || error;
+    }
+
+    if (parseError) {
+      throw malformedXMLError(parseError.message);
+    }
+  };
+
+  for await (const chunk of xmlStream) {
+    write(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+
+    while (pendingMessages.length > 0) {
+      yield pendingMessages.shift();
+    }
+  }
+
+  write(decoder.end());
+
+  try {
+    parser.close();
+  } catch (error) {
+    parseError = parseError || error;
+  }
+
+  if (parseError || !hasRootElement) {
+    throw malformedXMLError(parseError ? parseError.message : 'no root element');
+  }
+
+  while (pendingMessages.length > 0) {
+    yield pendingMessages.shift();
+  }
+}
+
+module.exports = streamHL7MessagesFromXML;
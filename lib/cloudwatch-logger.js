@@ -1,82 +1,67 @@
-const { CloudWatchLogsClient, CreateLogGroupCommand, CreateLogStreamCommand, PutLogEventsCommand } = require("@aws-sdk/client-cloudwatch-logs");
+const { getConfig } = require("./config");
+const { createLogger } = require("./logger");
+const { createLogSpool } = require("./log-spool");
+const { createCloudWatchTransport } = require("./log-transports/cloudwatch");
+const { createConsoleTransport } = require("./log-transports/console");
+const { createFileTransport } = require("./log-transports/file");
+const { createRedactor } = require("./redact");
 
-const LOG_GROUP_NAME = "prod/logs/lifelabs";
-const ERROR_LOG_GROUP_NAME = "prod/errors/lifelabs";
+const { aws, logging } = getConfig();
 
-const cloudWatchLogs = new CloudWatchLogsClient({ region: process.env.AWS_REGION || "ca-central-1" });
+// Transport names are validated by the config, e.g. ["cloudwatch", "file"]
+const TRANSPORT_FACTORIES = {
+  cloudwatch: () =>
+    createCloudWatchTransport({
+      region: aws.region,
+      logGroupName: logging.logGroupName,
+      errorLogGroupName: logging.errorLogGroupName
+    }),
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport({ directory: logging.fileDirectory })
+};
 
-async function logToCloudWatch(message, level = "INFO", additionalData = {}, streamName = "drain") {
-  try {
-    const timestamp = Date.now();
-    
-    // Safe JSON serialization to handle circular references
-    const safeStringify = (obj) => {
-      const seen = new Set();
-      return JSON.stringify(obj, (key, value) => {
-        if (typeof value === 'object' && value !== null) {
-          if (seen.has(value)) {
-            return '[Circular Reference]';
-          }
-          seen.add(value);
-        }
-        return value;
-      });
-    };
-    
-    const logEvent = {
-      timestamp,
-      message: `${message} 
-      ---
-      ${safeStringify({
-        service: additionalData.service || "lifelabs",
-        ...additionalData,
-        level,
-      })}`
-    };
+// Mask credentials and PHI before anything is buffered, spooled or sent
+const redact = createRedactor({
+  fieldNames: logging.redactFields,
+  patterns: logging.redactPatterns.map((source) => new RegExp(source, "g"))
+});
 
-    // Use error log group for ERROR level logs, regular log group for others
-    const logGroupName = level === "ERROR" ? ERROR_LOG_GROUP_NAME : LOG_GROUP_NAME;
+const logger = createLogger({
+  transports: logging.transports.map((name) => TRANSPORT_FACTORIES[name]()),
+  maxBatchSize: logging.batchSize || undefined,
+  flushIntervalMs: logging.flushIntervalMs || undefined,
+  spool: createLogSpool({ directory: logging.spoolDirectory }),
+  redact
+});
 
-    const putLogEventsCommand = new PutLogEventsCommand({
-      logGroupName,
-      logStreamName: streamName,
-      logEvents: [logEvent]
-    });
+// Deliver whatever is still buffered before the process exits
+process.once("beforeExit", () => logger.flush());
 
-    await cloudWatchLogs.send(putLogEventsCommand);
+/**
+ * Buffers a log event for delivery to the configured transports.
+ * Resolves as soon as the event is buffered; delivery happens in batches.
+ * @param {String} message - Log message.
+ * @param {String} [level] - INFO, WARN or ERROR.
+ * @param {Object} [additionalData] - Structured data logged with the message.
+ * @param {String} [streamName] - Log stream name.
+ */
+async function logToCloudWatch(message, level = "INFO", additionalData = {}, streamName = "drain") {
+  try {
+    logger.log({
+      timestamp: Date.now(),
+      level,
+      message,
+      data: additionalData,
+      streamName
+    });
   } catch (error) {
-    console.error("Failed to log to CloudWatch:", error.message);
+    console.error("Failed to buffer log event:", error.message);
   }
 }
 
 async function initializeCloudWatchLogs(streamName, interval = "unknown", timestamp = "unknown") {
   try {
-    // Create both log groups if they don't exist
-    const logGroups = [LOG_GROUP_NAME, ERROR_LOG_GROUP_NAME];
-    
-    for (const logGroupName of logGroups) {
-      try {
-        await cloudWatchLogs.send(new CreateLogGroupCommand({
-          logGroupName
-        }));
-      } catch (error) {
-        if (error.name !== "ResourceAlreadyExistsException") {
-          throw error;
-        }
-      }
-
-      // Create log stream in each group if it doesn't exist
-      try {
-        await cloudWatchLogs.send(new CreateLogStreamCommand({
-          logGroupName,
-          logStreamName: streamName || "default"
-        }));
-      } catch (error) {
-        if (error.name !== "ResourceAlreadyExistsException") {
-          throw error;
-        }
-      }
-    }
+    await logger.initialize(streamName);
 
     console.log(`✅ CW initialized. Stream: ${streamName ? streamName : `Default: "default"`}, Interval: ${interval}, Timestamp: ${timestamp}`);
   } catch (error) {
@@ -84,7 +69,28 @@ async function initializeCloudWatchLogs(streamName, interval = "unknown", timest
   }
 }
 
+/**
+ * Calls a listener with every log event, e.g. to derive metrics from step events.
+ * @param {(event: import("./logger").LogEvent) => void} listener - Synchronous listener.
+ * @returns {() => void} Removes the listener.
+ */
+function onLogEvent(listener) {
+  return logger.subscribe(listener);
+}
+
+/**
+ * Sends all buffered log events now.
+ * @returns {Promise<void>}
+ */
+function flushLogs() {
+  return logger.flush();
+}
+
 module.exports = {
   logToCloudWatch,
-  initializeCloudWatchLogs
+  initializeCloudWatchLogs,
+  flushLogs,
+  onLogEvent,
+  // For the few places that still print straight to the console
+  redact
 };
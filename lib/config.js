@@ -0,0 +1,268 @@
+// Load env variables from .env file
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { ConfigError } = require("./errors");
+
+const CONFIG_DIRECTORY = path.join(__dirname, "..", "config");
+
+// Deployments that predate per-environment settings don't set APP_ENV
+const DEFAULT_ENVIRONMENT = "production";
+
+const LOG_TRANSPORTS = ["cloudwatch", "console", "file"];
+const OUTPUT_FORMATS = ["json", "fhir"];
+
+/**
+ * @typedef {Object} Setting
+ * @property {String} key - Dotted path of the setting in the config object and config files.
+ * @property {String} env - Environment variable that overrides the file value.
+ * @property {'string'|'url'|'integer'|'port'|'list'|'patterns'} type - How the value is parsed and validated.
+ * @property {Boolean} [required] - Startup fails when the setting has no value.
+ * @property {any} [default] - Value used when neither the environment nor the file sets one.
+ * @property {Array<String>} [values] - Accepted values; for lists, accepted items.
+ * @property {Number} [min] - Smallest accepted integer.
+ */
+
+/** @type {Array<Setting>} */
+const SETTINGS = [
+  { key: "aws.region", env: "AWS_REGION", type: "string", required: true },
+  // Without static keys the SDK's default chain applies (IAM role, SSO, shared profile)
+  { key: "aws.accessKeyId", env: "AWS_ACCESS_KEY_ID", type: "string" },
+  { key: "aws.secretAccessKey", env: "AWS_SECRET_ACCESS_KEY", type: "string" },
+  { key: "aws.bucket", env: "AWS_BUCKET", type: "string", required: true },
+
+  { key: "redis.host", env: "REDIS_HOST", type: "string", default: "127.0.0.1" },
+  { key: "redis.port", env: "REDIS_PORT", type: "port", default: 6379 },
+  { key: "redis.password", env: "REDIS_PASSWORD", type: "string" },
+
+  { key: "lifelabs.baseUrl", env: "LIFELABS_BASE_URL", type: "url", required: true },
+  { key: "lifelabs.pollIntervalMinutes", env: "LIFELABS_POLL_INTERVAL_MINUTES", type: "integer", default: 10, min: 1 },
+  { key: "lifelabs.receivedResultsUrl", env: "LIFELABS_RECEIVED_RESULTS_URL", type: "url", required: true },
+  { key: "lifelabs.outputFormats", env: "LIFELABS_OUTPUT_FORMATS", type: "list", default: ["json"], values: OUTPUT_FORMATS },
+
+  // The scheduler always notifies received results and alerts on critical ones; without these every
+  // delivery would fail only after its retries, while the lab is still acknowledged
+  { key: "webhooks.signingSecret", env: "WEBHOOK_SIGNING_SECRET", type: "string", required: true },
+  { key: "criticalResults.webhookUrl", env: "CRITICAL_RESULTS_WEBHOOK_URL", type: "url", required: true },
+
+  { key: "http.port", env: "PORT", type: "port", default: 3000 },
+  { key: "http.ingestionApiKey", env: "INGESTION_API_KEY", type: "string" },
+
+  { key: "logging.transports", env: "LOG_TRANSPORTS", type: "list", default: ["cloudwatch"], values: LOG_TRANSPORTS },
+  { key: "logging.logGroupName", env: "LOG_GROUP_NAME", type: "string", required: true },
+  { key: "logging.errorLogGroupName", env: "ERROR_LOG_GROUP_NAME", type: "string", required: true },
+  { key: "logging.batchSize", env: "LOG_BATCH_SIZE", type: "integer", min: 1 },
+  { key: "logging.flushIntervalMs", env: "LOG_FLUSH_INTERVAL_MS", type: "integer", min: 1 },
+  { key: "logging.fileDirectory", env: "LOG_FILE_DIR", type: "string", default: path.join(process.cwd(), "logs") },
+  { key: "logging.spoolDirectory", env: "LOG_SPOOL_DIR", type: "string", default: path.join(process.cwd(), "log-spool") },
+  // Masked in every log event, in addition to the built-in rules of lib/redact.js
+  { key: "logging.redactFields", env: "LOG_REDACT_FIELDS", type: "list", default: [] },
+  { key: "logging.redactPatterns", env: "LOG_REDACT_PATTERNS", type: "patterns", default: [] }
+];
+
+let config = null;
+
+function getPath(object, key) {
+  return key.split(".").reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split(".");
+  const parent = parts.slice(0, -1).reduce((target, part) => {
+    target[part] = target[part] || {};
+    return target[part];
+  }, object);
+
+  parent[parts[parts.length - 1]] = value;
+}
+
+function deepFreeze(object) {
+  Object.values(object).forEach((value) => {
+    if (value && typeof value === "object") deepFreeze(value);
+  });
+
+  return Object.freeze(object);
+}
+
+/**
+ * Parses a raw value from the environment (always a string) or a config file (any JSON type).
+ * Lists are comma-separated in the environment; patterns are a JSON array of regular expression sources.
+ * @param {any} raw - Raw value.
+ * @param {Setting} setting - Setting being parsed.
+ * @returns {{value?: any, issue?: String}} Parsed value, or why it's invalid.
+ */
+function parseValue(raw, setting) {
+  switch (setting.type) {
+    case "integer":
+    case "port": {
+      const value = typeof raw === "number" ? raw : Number(String(raw).trim());
+      const min = setting.type === "port" ? 1 : setting.min;
+      const max = setting.type === "port" ? 65535 : Infinity;
+
+      if (!Number.isInteger(value) || (min !== undefined && value < min) || value > max) {
+        const range = setting.type === "port" ? "a port number (1-65535)" : `an integer${min !== undefined ? ` of at least ${min}` : ""}`;
+        return { issue: `must be ${range}, got ${JSON.stringify(raw)}` };
+      }
+
+      return { value };
+    }
+
+    case "list": {
+      const items = (Array.isArray(raw) ? raw : String(raw).split(","))
+        .map((item) => String(item).trim().toLowerCase())
+        .filter(Boolean);
+      const unknown = items.filter((item) => setting.values && !setting.values.includes(item));
+
+      if (unknown.length > 0) {
+        return { issue: `has unknown values ${unknown.join(", ")}; expected any of ${setting.values.join(", ")}` };
+      }
+
+      return { value: items };
+    }
+
+    case "patterns": {
+      let sources = raw;
+
+      if (typeof raw === "string") {
+        try {
+          sources = JSON.parse(raw);
+        } catch (error) {
+          return { issue: `must be a JSON array of regular expressions, got ${JSON.stringify(raw)}` };
+        }
+      }
+
+      if (!Array.isArray(sources) || sources.some((source) => typeof source !== "string")) {
+        return { issue: `must be an array of regular expression strings, got ${JSON.stringify(raw)}` };
+      }
+
+      const invalid = sources.filter((source) => {
+        try {
+          new RegExp(source, "g");
+          return false;
+        } catch (error) {
+          return true;
+        }
+      });
+
+      if (invalid.length > 0) {
+        return { issue: `has invalid regular expressions ${invalid.map((source) => JSON.stringify(source)).join(", ")}` };
+      }
+
+      return { value: sources };
+    }
+
+    case "url": {
+      const value = String(raw).trim();
+
+      try {
+        const { protocol } = new URL(value);
+        if (!["http:", "https:"].includes(protocol)) throw new Error(protocol);
+      } catch (error) {
+        return { issue: `must be an http(s) URL, got ${JSON.stringify(raw)}` };
+      }
+
+      return { value };
+    }
+
+    default:
+      if (typeof raw === "object") {
+        return { issue: `must be a string, got ${JSON.stringify(raw)}` };
+      }
+
+      return { value: String(raw) };
+  }
+}
+
+/**
+ * Reads the config file of an environment. The file is optional unless named explicitly.
+ * @param {String} environment - Environment name, e.g. `staging`.
+ * @param {String} [configFile] - Explicit config file path.
+ * @returns {Object} File settings.
+ */
+function readConfigFile(environment, configFile) {
+  const filePath = configFile || path.join(CONFIG_DIRECTORY, `${environment}.json`);
+
+  if (!configFile && !fs.existsSync(filePath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new ConfigError(`Failed to read config file ${filePath}: ${error.message}`, [error.message]);
+  }
+}
+
+/**
+ * Loads and validates the service configuration.
+ *
+ * Settings come from `config/<APP_ENV>.json` (or `CONFIG_FILE`), overridden by environment
+ * variables, then defaults. `APP_ENV` defaults to `production`. Every problem is reported at once.
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment variables.
+ * @returns {Object} Frozen configuration, e.g. `config.redis.port`, plus `config.environment`.
+ * @throws {ConfigError} When required values are missing or values are invalid.
+ *
+ * @example
+ * const config = loadConfig({ env: { APP_ENV: "staging", AWS_REGION: "ca-central-1", ... } });
+ * config.lifelabs.pollIntervalMinutes; // 10
+ */
+function loadConfig({ env = process.env } = {}) {
+  const environment = env.APP_ENV || DEFAULT_ENVIRONMENT;
+  const fileSettings = readConfigFile(environment, env.CONFIG_FILE);
+
+  const loaded = { environment };
+  const issues = [];
+
+  for (const setting of SETTINGS) {
+    const fromEnv = env[setting.env];
+    const fromFile = getPath(fileSettings, setting.key);
+    const raw = fromEnv !== undefined && fromEnv !== "" ? fromEnv : fromFile;
+
+    if (raw === undefined || raw === null || raw === "") {
+      if (setting.required) {
+        issues.push(`${setting.env} (${setting.key}) is required`);
+      }
+
+      setPath(loaded, setting.key, setting.default !== undefined ? setting.default : null);
+      continue;
+    }
+
+    const { value, issue } = parseValue(raw, setting);
+
+    if (issue) {
+      issues.push(`${setting.env} (${setting.key}) ${issue}`);
+      continue;
+    }
+
+    setPath(loaded, setting.key, value);
+  }
+
+  if (Boolean(loaded.aws.accessKeyId) !== Boolean(loaded.aws.secretAccessKey)) {
+    issues.push("AWS_ACCESS_KEY_ID (aws.accessKeyId) and AWS_SECRET_ACCESS_KEY (aws.secretAccessKey) must be set together");
+  }
+
+  if (issues.length > 0) {
+    throw new ConfigError(
+      `Invalid configuration for environment "${environment}":\n${issues.map((issue) => `  - ${issue}`).join("\n")}`,
+      issues
+    );
+  }
+
+  return deepFreeze(loaded);
+}
+
+/**
+ * Returns the service configuration, loading it on first use.
+ * @returns {Object} Frozen configuration.
+ * @throws {ConfigError} When the configuration is invalid.
+ */
+function getConfig() {
+  if (!config) {
+    config = loadConfig();
+  }
+
+  return config;
+}
+
+module.exports = { loadConfig, getConfig, SETTINGS };
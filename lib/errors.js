@@ -0,0 +1,61 @@
+/**
+ * Error raised by an integration step, carrying whether retrying the step can succeed.
+ */
+class IntegrationError extends Error {
+  /**
+   * @param {String} message - Error message.
+   * @param {Object} [options]
+   * @param {Boolean} [options.retryable=true] - Whether a later attempt can succeed.
+   * @param {Error} [options.cause] - Underlying error.
+   * @param {Object} [options.details] - Extra context preserved for logs and dead letters.
+   */
+  constructor(message, { retryable = true, cause, details } = {}) {
+    super(message);
+    this.name = "IntegrationError";
+    this.retryable = retryable;
+    this.cause = cause;
+    this.details = details;
+  }
+}
+
+/**
+ * Error raised when the service configuration is missing required values or has invalid ones.
+ */
+class ConfigError extends Error {
+  /**
+   * @param {String} message - Error message.
+   * @param {Array<String>} [issues] - Every problem found, one per setting.
+   */
+  constructor(message, issues = []) {
+    super(message);
+    this.name = "ConfigError";
+    this.issues = issues;
+  }
+}
+
+/**
+ * Decides whether an error is worth retrying.
+ * Network failures, timeouts, 429 and 5xx responses are retryable; other HTTP errors are not.
+ * Errors that declare `retryable` themselves are taken at their word.
+ * @param {Error} error - Error to classify.
+ * @returns {Boolean} True if the failed step should be retried.
+ */
+function isRetryableError(error) {
+  if (typeof error?.retryable === "boolean") {
+    return error.retryable;
+  }
+
+  if (error?.isAxiosError) {
+    const status = error.response?.status;
+
+    if (!status) {
+      return true;
+    }
+
+    return status === 429 || status >= 500;
+  }
+
+  return true;
+}
+
+module.exports = { IntegrationError, ConfigError, isRetryableError };
@@ -0,0 +1,50 @@
+const { getRedisClient } = require("./redis");
+const { checkBucketAccess } = require("../lab-results/lib/checkBucketAccess");
+
+// Readiness probes run often; a dependency slower than this counts as down
+const CHECK_TIMEOUT_MS = 1000 * 3;
+
+async function checkRedis() {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No reply within ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+  });
+
+  try {
+    await Promise.race([getRedisClient().ping(), timeout]);
+    return { data: true, error: null };
+  } catch (error) {
+    return { data: null, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Checks that the scheduler can reach Redis, which holds its queues, and the S3 bucket results are stored in.
+ * @returns {Promise<{ready: Boolean, checks: Object<String, {status: 'up'|'down', durationMs: Number, error?: String}>}>}
+ * Readiness and the outcome of each check.
+ */
+async function checkReadiness() {
+  const checks = {
+    redis: checkRedis,
+    s3: () => checkBucketAccess({ timeoutMs: CHECK_TIMEOUT_MS })
+  };
+
+  const results = await Promise.all(
+    Object.entries(checks).map(async ([name, check]) => {
+      const startedAt = Date.now();
+      const { error } = await check();
+      const durationMs = Date.now() - startedAt;
+
+      return [name, error ? { status: "down", durationMs, error } : { status: "up", durationMs }];
+    })
+  );
+
+  return {
+    ready: results.every(([, result]) => result.status === "up"),
+    checks: Object.fromEntries(results)
+  };
+}
+
+module.exports = { checkReadiness };
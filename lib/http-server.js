@@ -0,0 +1,169 @@
+const crypto = require("crypto");
+const express = require("express");
+const multer = require("multer");
+const {
+  handleDynacare,
+  LOG_STREAM_NAME: DYNACARE_LOG_STREAM_NAME
+} = require("../lab-results/src/services/dynacare-parser");
+const { handleLifelabs } = require("../lab-results/src/services/lifelabs-parser");
+const { initializeCloudWatchLogs, redact } = require("./cloudwatch-logger");
+const { getConfig } = require("./config");
+const { checkReadiness } = require("./health");
+const { metrics } = require("./metrics");
+
+const MAX_UPLOAD_SIZE_BYTES = 1024 * 1024 * 20;
+const MAX_BODY_SIZE = "20mb";
+
+const JSON_CONTENT_TYPES = ["application/json"];
+const UPLOAD_CONTENT_TYPES = ["multipart/form-data"];
+const XML_CONTENT_TYPES = ["application/xml", "text/xml"];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE_BYTES, files: 1 }
+});
+
+/**
+ * Rejects requests without the ingestion API key in the `x-api-key` header.
+ * Fails closed when no key is configured.
+ * @param {String|null} ingestionApiKey - Expected API key.
+ */
+function requireApiKey(ingestionApiKey) {
+  return (req, res, next) => {
+    if (!ingestionApiKey) {
+      return res.status(503).json({ error: "Ingestion API key is not configured." });
+    }
+
+    const providedKey = Buffer.from(req.get("x-api-key") || "");
+    const expectedKey = Buffer.from(ingestionApiKey);
+
+    if (providedKey.length !== expectedKey.length || !crypto.timingSafeEqual(providedKey, expectedKey)) {
+      return res.status(401).json({ error: "Invalid or missing API key." });
+    }
+
+    return next();
+  };
+}
+
+/**
+ * Rejects requests whose body is not one of the given content types.
+ * @param {Array<String>} contentTypes - Accepted content types.
+ */
+function requireContentType(contentTypes) {
+  return (req, res, next) => {
+    if (!req.is(contentTypes)) {
+      return res.status(415).json({
+        error: `Unsupported content type. Expected one of: ${contentTypes.join(", ")}.`
+      });
+    }
+
+    return next();
+  };
+}
+
+function handleLiveness(req, res) {
+  return res.json({ status: "ok" });
+}
+
+async function handleReadiness(req, res, next) {
+  try {
+    const { ready, checks } = await checkReadiness();
+
+    return res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "unavailable", checks });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function handleMetrics(req, res, next) {
+  try {
+    const body = await metrics.render();
+
+    return res.type("text/plain; version=0.0.4; charset=utf-8").send(body);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+// Respond with the same `{ error }` shape the handlers use
+function handleError(error, req, res, next) {
+  if (error instanceof multer.MulterError) {
+    const status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+
+  if (error.type === "entity.too.large") {
+    return res.status(413).json({ error: "Request body is too large." });
+  }
+
+  if (error.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Request body could not be parsed." });
+  }
+
+  console.error(redact(error.stack || error.message));
+  return res.status(error.status || 500).json({ error: error.message });
+}
+
+/**
+ * Creates the ingestion API.
+ *
+ * - `POST /lab-results/dynacare` accepts a `.hl7`/`.xml` upload (`file`) or `{ rawHL7String }`.
+ * - `POST /lab-results/lifelabs` accepts a `.xml` upload (`file`), `{ rawXMLString }` or a raw XML body.
+ * - `GET /health/live` reports the process is up; `GET /health/ready` also checks Redis and S3 (503 when either is down).
+ * - `GET /metrics` serves scheduler and queue metrics in the Prometheus text format.
+ *
+ * Only the ingestion routes require the API key, so probes and scrapers need no credentials.
+ *
+ * @param {Object} [options]
+ * @param {String|null} [options.ingestionApiKey] - API key required by the ingestion routes. Defaults to the configured `http.ingestionApiKey`.
+ * @returns {Object} Express app.
+ */
+function createHttpServer({ ingestionApiKey = getConfig().http.ingestionApiKey } = {}) {
+  const app = express();
+  const ingestionRouter = express.Router();
+
+  ingestionRouter.use(requireApiKey(ingestionApiKey));
+  ingestionRouter.use(express.json({ limit: MAX_BODY_SIZE }));
+  ingestionRouter.use(express.text({ type: XML_CONTENT_TYPES, limit: MAX_BODY_SIZE }));
+
+  ingestionRouter.post(
+    "/dynacare",
+    requireContentType([...JSON_CONTENT_TYPES, ...UPLOAD_CONTENT_TYPES]),
+    upload.single("file"),
+    handleDynacare
+  );
+
+  ingestionRouter.post(
+    "/lifelabs",
+    requireContentType([...JSON_CONTENT_TYPES, ...UPLOAD_CONTENT_TYPES, ...XML_CONTENT_TYPES]),
+    upload.single("file"),
+    handleLifelabs
+  );
+
+  app.disable("x-powered-by");
+  app.get("/health/live", handleLiveness);
+  app.get("/health/ready", handleReadiness);
+  app.get("/metrics", handleMetrics);
+  app.use("/lab-results", ingestionRouter);
+  app.use((req, res) => res.status(404).json({ error: "Not found." }));
+  app.use(handleError);
+
+  return app;
+}
+
+/**
+ * Starts the ingestion API and creates the log stream of the Dynacare handler.
+ * @param {Number} [port] - Port to listen on. Defaults to the configured `http.port`.
+ * @returns {Object} Node HTTP server.
+ */
+function startHttpServer(port = getConfig().http.port) {
+  initializeCloudWatchLogs(DYNACARE_LOG_STREAM_NAME);
+
+  const server = createHttpServer().listen(port, () => {
+    console.log(`✅ HTTP server listening on port ${port}`);
+  });
+
+  return server;
+}
+
+module.exports = { createHttpServer, startHttpServer };
@@ -0,0 +1,121 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+const DEFAULT_MAX_SPOOL_BYTES = 1024 * 1024 * 50;
+const REPLAY_BATCH_SIZE = 500;
+
+/**
+ * Disk spool for log events a transport failed to deliver.
+ * Events are appended as JSON lines to `<directory>/<transport>.jsonl` and replayed once the
+ * transport accepts events again.
+ * @param {Object} [options]
+ * @param {String} [options.directory] - Spool directory.
+ * @param {Number} [options.maxSpoolBytes] - Per-transport spool size above which new events are dropped.
+ */
+function createLogSpool({
+  directory = path.join(process.cwd(), "log-spool"),
+  maxSpoolBytes = DEFAULT_MAX_SPOOL_BYTES
+} = {}) {
+  const replaying = new Set();
+  const getSpoolPath = (transportName) => path.join(directory, `${transportName}.jsonl`);
+
+  /**
+   * Appends undelivered events to the transport's spool file.
+   * @param {String} transportName - Transport the events were meant for.
+   * @param {Array<Object>} events - Undelivered events.
+   */
+  async function write(transportName, events) {
+    const spoolPath = getSpoolPath(transportName);
+
+    await fs.mkdir(directory, { recursive: true });
+
+    const size = await fs.stat(spoolPath).then((stats) => stats.size, () => 0);
+    if (size >= maxSpoolBytes) {
+      console.error(`Log spool for ${transportName} is full, dropping ${events.length} events`);
+      return;
+    }
+
+    await fs.appendFile(spoolPath, `${events.map((event) => JSON.stringify(event)).join("\n")}\n`);
+  }
+
+  /**
+   * Sends spooled events through the transport. Events that still fail go back to the spool with
+   * the ones not yet replayed; events the transport delivered or dropped are not sent again.
+   * @param {import("./logger").Transport} transport - Transport to replay through.
+   * @returns {Promise<Number>} Number of replayed events.
+   */
+  async function replay(transport) {
+    if (replaying.has(transport.name)) {
+      return 0;
+    }
+
+    const spoolPath = getSpoolPath(transport.name);
+    const replayPath = `${spoolPath}.replay`;
+
+    replaying.add(transport.name);
+
+    try {
+      // Recover a replay interrupted by a restart before moving the current spool aside
+      const leftover = await fs.readFile(replayPath, "utf8").catch(() => "");
+      if (leftover) {
+        await fs.appendFile(spoolPath, leftover);
+        await fs.rm(replayPath, { force: true });
+      }
+
+      // Move the spool aside so events spooled during the replay aren't lost or sent twice
+      try {
+        await fs.rename(spoolPath, replayPath);
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return 0;
+        }
+        throw error;
+      }
+
+      const events = (await fs.readFile(replayPath, "utf8"))
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean);
+
+      let replayed = 0;
+
+      for (let index = 0; index < events.length; index += REPLAY_BATCH_SIZE) {
+        try {
+          await transport.send(events.slice(index, index + REPLAY_BATCH_SIZE));
+          replayed += Math.min(REPLAY_BATCH_SIZE, events.length - index);
+        } catch (error) {
+          const undelivered = error.undeliveredEvents || events.slice(index, index + REPLAY_BATCH_SIZE);
+          replayed += Math.min(REPLAY_BATCH_SIZE, events.length - index) - undelivered.length;
+          await write(transport.name, [...undelivered, ...events.slice(index + REPLAY_BATCH_SIZE)]);
+          break;
+        }
+      }
+
+      await fs.rm(replayPath, { force: true });
+
+      return replayed;
+    } finally {
+      replaying.delete(transport.name);
+    }
+  }
+
+  /**
+   * Checks whether the transport has spooled events waiting.
+   * @param {String} transportName - Transport name.
+   * @returns {Promise<Boolean>} True if a spool file exists.
+   */
+  async function hasPending(transportName) {
+    return fs.access(getSpoolPath(transportName)).then(() => true, () => false);
+  }
+
+  return { write, replay, hasPending };
+}
+
+module.exports = { createLogSpool };
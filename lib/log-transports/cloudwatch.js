@@ -0,0 +1,158 @@
+const { CloudWatchLogsClient, CreateLogGroupCommand, CreateLogStreamCommand, PutLogEventsCommand } = require("@aws-sdk/client-cloudwatch-logs");
+
+// Errors that fail a batch the same way however often it is sent, e.g. a stream that was never created
+const NON_RETRYABLE_ERRORS = ["ResourceNotFoundException", "InvalidParameterException"];
+
+// PutLogEvents limits: 10,000 events and 1,048,576 bytes (message bytes + 26 per event)
+const MAX_EVENTS_PER_BATCH = 10000;
+const MAX_BATCH_BYTES = 1048576;
+const EVENT_OVERHEAD_BYTES = 26;
+
+function formatMessage({ message, level, data }) {
+  return `${message} 
+      ---
+      ${JSON.stringify({
+        service: data.service || "lifelabs",
+        ...data,
+        level,
+      })}`;
+}
+
+/**
+ * Splits events into PutLogEvents-sized batches per log group and stream.
+ * @param {Array<Object>} events - Buffered log events.
+ * @param {{logGroupName: String, errorLogGroupName: String}} logGroups - Log groups for regular and ERROR events.
+ * @returns {Array<{input: {logGroupName: String, logStreamName: String, logEvents: Array<Object>}, events: Array<Object>}>}
+ * PutLogEvents input per batch, with the buffered events it was built from.
+ */
+function toBatches(events, { logGroupName: regularLogGroupName, errorLogGroupName }) {
+  const groups = new Map();
+
+  for (const event of events) {
+    // Use error log group for ERROR level logs, regular log group for others
+    const logGroupName = event.level === "ERROR" ? errorLogGroupName : regularLogGroupName;
+    const key = `${logGroupName}\n${event.streamName}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, { logGroupName, logStreamName: event.streamName, logEvents: [] });
+    }
+
+    groups.get(key).logEvents.push({
+      event,
+      logEvent: { timestamp: event.timestamp, message: formatMessage(event) }
+    });
+  }
+
+  const batches = [];
+  const toBatch = (logGroupName, logStreamName, entries) => ({
+    input: { logGroupName, logStreamName, logEvents: entries.map((entry) => entry.logEvent) },
+    events: entries.map((entry) => entry.event)
+  });
+
+  for (const { logGroupName, logStreamName, logEvents } of groups.values()) {
+    // Events in a batch must be in chronological order
+    logEvents.sort((a, b) => a.logEvent.timestamp - b.logEvent.timestamp);
+
+    let batch = [];
+    let batchBytes = 0;
+
+    for (const entry of logEvents) {
+      const eventBytes = Buffer.byteLength(entry.logEvent.message) + EVENT_OVERHEAD_BYTES;
+
+      if (batch.length > 0 && (batch.length >= MAX_EVENTS_PER_BATCH || batchBytes + eventBytes > MAX_BATCH_BYTES)) {
+        batches.push(toBatch(logGroupName, logStreamName, batch));
+        batch = [];
+        batchBytes = 0;
+      }
+
+      batch.push(entry);
+      batchBytes += eventBytes;
+    }
+
+    if (batch.length > 0) {
+      batches.push(toBatch(logGroupName, logStreamName, batch));
+    }
+  }
+
+  return batches;
+}
+
+/**
+ * Transport that writes log events to CloudWatch Logs.
+ * ERROR events go to the error log group, everything else to the regular log group.
+ * Every batch is attempted. Batches CloudWatch rejects for good (a missing stream, an invalid
+ * parameter) are dropped with an error on the console, since sending them again can't succeed;
+ * the events of batches that failed otherwise are thrown back as `undeliveredEvents` for the spool.
+ * @param {Object} options
+ * @param {String} options.region - AWS region.
+ * @param {String} options.logGroupName - Log group for INFO and WARN events.
+ * @param {String} options.errorLogGroupName - Log group for ERROR events.
+ * @returns {import("../logger").Transport} CloudWatch transport.
+ */
+function createCloudWatchTransport({ region, logGroupName: regularLogGroupName, errorLogGroupName }) {
+  const cloudWatchLogs = new CloudWatchLogsClient({ region });
+
+  return {
+    name: "cloudwatch",
+
+    async initialize(streamName) {
+      // Create both log groups if they don't exist
+      const logGroups = [regularLogGroupName, errorLogGroupName];
+
+      for (const logGroupName of logGroups) {
+        try {
+          await cloudWatchLogs.send(new CreateLogGroupCommand({
+            logGroupName
+          }));
+        } catch (error) {
+          if (error.name !== "ResourceAlreadyExistsException") {
+            throw error;
+          }
+        }
+
+        // Create log stream in each group if it doesn't exist
+        try {
+          await cloudWatchLogs.send(new CreateLogStreamCommand({
+            logGroupName,
+            logStreamName: streamName || "default"
+          }));
+        } catch (error) {
+          if (error.name !== "ResourceAlreadyExistsException") {
+            throw error;
+          }
+        }
+      }
+    },
+
+    async send(events) {
+      const undeliveredEvents = [];
+      let lastError = null;
+
+      for (const batch of toBatches(events, { logGroupName: regularLogGroupName, errorLogGroupName })) {
+        try {
+          await cloudWatchLogs.send(new PutLogEventsCommand(batch.input));
+        } catch (error) {
+          if (NON_RETRYABLE_ERRORS.includes(error.name)) {
+            console.error(
+              `Dropping ${batch.events.length} log events for ${batch.input.logGroupName}/${batch.input.logStreamName}:`,
+              error.name
+            );
+            continue;
+          }
+
+          undeliveredEvents.push(...batch.events);
+          lastError = error;
+        }
+      }
+
+      if (undeliveredEvents.length > 0) {
+        throw Object.assign(
+          new Error(`${undeliveredEvents.length} of ${events.length} log events were not delivered: ${lastError.message}`),
+          { undeliveredEvents }
+        );
+      }
+    }
+  };
+}
+
+module.exports = { createCloudWatchTransport };
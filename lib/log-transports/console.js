@@ -0,0 +1,23 @@
+/**
+ * Transport that prints log events to stdout, and ERROR events to stderr.
+ * @returns {import("../logger").Transport} Console transport.
+ */
+function createConsoleTransport() {
+  return {
+    name: "console",
+
+    async send(events) {
+      for (const { timestamp, level, message, data, streamName } of events) {
+        const line = `${new Date(timestamp).toISOString()} [${level}] [${streamName}] ${message} ${JSON.stringify(data)}`;
+
+        if (level === "ERROR") {
+          console.error(line);
+        } else {
+          console.log(line);
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createConsoleTransport };
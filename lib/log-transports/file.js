@@ -0,0 +1,56 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+const DEFAULT_MAX_FILE_BYTES = 1024 * 1024 * 10;
+const DEFAULT_MAX_FILES = 5;
+
+/**
+ * Transport that appends log events as JSON lines to a local file, rotating it by size.
+ * `service.log` rotates to `service.log.1` ... `service.log.<maxFiles>`, dropping the oldest.
+ * @param {Object} [options]
+ * @param {String} [options.directory] - Directory for log files.
+ * @param {String} [options.fileName] - Active log file name.
+ * @param {Number} [options.maxFileBytes] - Size at which the active file rotates.
+ * @param {Number} [options.maxFiles] - Number of rotated files to keep.
+ * @returns {import("../logger").Transport} File transport.
+ */
+function createFileTransport({
+  directory = path.join(process.cwd(), "logs"),
+  fileName = "service.log",
+  maxFileBytes = DEFAULT_MAX_FILE_BYTES,
+  maxFiles = DEFAULT_MAX_FILES
+} = {}) {
+  const filePath = path.join(directory, fileName);
+
+  async function rotate() {
+    await fs.rm(`${filePath}.${maxFiles}`, { force: true });
+
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      await fs.rename(`${filePath}.${index}`, `${filePath}.${index + 1}`).catch(() => {});
+    }
+
+    await fs.rename(filePath, `${filePath}.1`).catch(() => {});
+  }
+
+  return {
+    name: "file",
+
+    async send(events) {
+      await fs.mkdir(directory, { recursive: true });
+
+      const size = await fs.stat(filePath).then((stats) => stats.size, () => 0);
+      if (size >= maxFileBytes) {
+        await rotate();
+      }
+
+      const lines = events
+        .map(({ timestamp, level, message, data, streamName }) =>
+          JSON.stringify({ timestamp: new Date(timestamp).toISOString(), level, streamName, message, data }))
+        .join("\n");
+
+      await fs.appendFile(filePath, `${lines}\n`);
+    }
+  };
+}
+
+module.exports = { createFileTransport };
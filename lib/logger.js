@@ -0,0 +1,162 @@
+const { createLogSpool } = require("./log-spool");
+
+const DEFAULT_MAX_BATCH_SIZE = 100;
+const DEFAULT_FLUSH_INTERVAL_MS = 1000 * 2;
+
+// Safe JSON serialization to handle circular references
+const safeStringify = (obj) => {
+  const seen = new Set();
+  return JSON.stringify(obj, (key, value) => {
+    if (typeof value === 'object' && value !== null) {
+      if (seen.has(value)) {
+        return '[Circular Reference]';
+      }
+      seen.add(value);
+    }
+    return value;
+  });
+};
+
+/**
+ * A log destination. `send` must throw when the events were not delivered. When only some were,
+ * the error carries them as `undeliveredEvents`, so the others aren't spooled and sent twice.
+ * @typedef {Object} Transport
+ * @property {String} name - Unique transport name, also used for its spool file.
+ * @property {(events: Array<LogEvent>) => Promise<void>} send - Delivers a batch of events.
+ * @property {(streamName: String) => Promise<void>} [initialize] - Prepares a log stream.
+ */
+
+/**
+ * @typedef {Object} LogEvent
+ * @property {Number} timestamp - Epoch milliseconds.
+ * @property {String} level - INFO, WARN or ERROR.
+ * @property {String} message - Log message.
+ * @property {Object} data - Structured data logged with the message.
+ * @property {String} streamName - Log stream the event belongs to.
+ */
+
+/**
+ * Creates a buffered logger that flushes batches to every transport when the buffer reaches
+ * `maxBatchSize` events or every `flushIntervalMs`. Batches a transport fails to deliver are
+ * spooled to disk and replayed after its next successful delivery.
+ * @param {Object} options
+ * @param {Array<Transport>} options.transports - Log destinations.
+ * @param {Number} [options.maxBatchSize] - Buffered events that trigger an immediate flush.
+ * @param {Number} [options.flushIntervalMs] - Maximum time an event waits in the buffer.
+ * @param {Object} [options.spool] - Disk spool from `createLogSpool`.
+ * @param {(value: any) => any} [options.redact] - Applied to every event's message and data before buffering.
+ */
+function createLogger({
+  transports,
+  maxBatchSize = DEFAULT_MAX_BATCH_SIZE,
+  flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS,
+  spool = createLogSpool(),
+  redact = (value) => value
+}) {
+  let buffer = [];
+  let flushTimer = null;
+  let pendingFlush = Promise.resolve();
+  const listeners = new Set();
+
+  async function deliver(transport, events) {
+    try {
+      await transport.send(events);
+    } catch (error) {
+      console.error(`Failed to deliver logs to ${transport.name}:`, error.message);
+      await spool.write(transport.name, error.undeliveredEvents || events).catch((spoolError) => {
+        console.error(`Failed to spool logs for ${transport.name}:`, spoolError.message);
+      });
+      return;
+    }
+
+    if (await spool.hasPending(transport.name)) {
+      await spool.replay(transport).catch((replayError) => {
+        console.error(`Failed to replay spooled logs for ${transport.name}:`, replayError.message);
+      });
+    }
+  }
+
+  /**
+   * Sends everything buffered so far. Concurrent calls are serialized.
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+
+    const events = buffer;
+    buffer = [];
+
+    pendingFlush = pendingFlush.then(async () => {
+      if (events.length === 0) {
+        return;
+      }
+
+      await Promise.all(transports.map((transport) => deliver(transport, events)));
+    });
+
+    return pendingFlush;
+  }
+
+  /**
+   * Buffers a log event.
+   * @param {LogEvent} event - Event to log.
+   */
+  function log(event) {
+    // Snapshot the data so later mutations don't leak into buffered events and spooling can't fail
+    const snapshot = {
+      ...event,
+      message: redact(String(event.message)),
+      data: redact(JSON.parse(safeStringify(event.data ?? {})))
+    };
+
+    buffer.push(snapshot);
+
+    for (const listener of listeners) {
+      try {
+        listener(snapshot);
+      } catch (error) {
+        console.error("Log event listener failed:", error.message);
+      }
+    }
+
+    if (buffer.length >= maxBatchSize) {
+      flush();
+      return;
+    }
+
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, flushIntervalMs);
+      // Don't keep the process alive just to flush logs
+      flushTimer.unref();
+    }
+  }
+
+  /**
+   * Prepares a log stream on every transport that needs it.
+   * @param {String} streamName - Log stream name.
+   */
+  async function initialize(streamName) {
+    for (const transport of transports) {
+      if (transport.initialize) {
+        await transport.initialize(streamName);
+      }
+    }
+  }
+
+  /**
+   * Calls a listener with every event as it is logged, already redacted.
+   * @param {(event: LogEvent) => void} listener - Synchronous listener.
+   * @returns {() => void} Removes the listener.
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  return { log, flush, initialize, subscribe, transports };
+}
+
+module.exports = { createLogger };
@@ -0,0 +1,264 @@
+const { onLogEvent } = require("./cloudwatch-logger");
+
+// Queue counts are read at scrape time; a slow Redis shouldn't hang the scrape
+const QUEUE_COUNTS_TIMEOUT_MS = 1000 * 2;
+
+// Cycles that never log an end (a killed worker, a stalled job) are forgotten after this long
+const OPEN_CYCLE_MAX_AGE_MS = 1000 * 60 * 60;
+// Upper bound on tracked open cycles, whatever their age
+const MAX_OPEN_CYCLES = 1000;
+
+const QUEUE_STATES = ["waiting", "active", "delayed", "failed", "completed", "paused"];
+
+const METRICS = {
+  cycles: {
+    name: "lab_results_cycles_total",
+    type: "counter",
+    help: "Polling cycles by outcome."
+  },
+  lastSuccessfulCycle: {
+    name: "lab_results_last_successful_cycle_timestamp_seconds",
+    type: "gauge",
+    help: "Unix time of the last polling cycle that completed."
+  },
+  cycleDuration: {
+    name: "lab_results_cycle_duration_seconds",
+    type: "summary",
+    help: "Duration of polling cycles, successful or not."
+  },
+  lastCycleDuration: {
+    name: "lab_results_last_cycle_duration_seconds",
+    type: "gauge",
+    help: "Duration of the last polling cycle."
+  },
+  acknowledgements: {
+    name: "lab_results_acknowledgements_total",
+    type: "counter",
+    help: "Acknowledgements sent to the lab, by outcome."
+  },
+  messages: {
+    name: "lab_results_messages_total",
+    type: "counter",
+    help: "HL7 messages processed, by status: parsed, updated, duplicate or quarantined."
+  },
+  notificationFailures: {
+    name: "lab_results_notification_failures_total",
+    type: "counter",
+    help: "Webhook notifications that failed to queue, failed a delivery attempt or ran out of retries, by stage."
+  },
+  queueJobs: {
+    name: "lab_results_queue_jobs",
+    type: "gauge",
+    help: "Bull jobs per queue and state."
+  },
+  queueUp: {
+    name: "lab_results_queue_up",
+    type: "gauge",
+    help: "Whether the queue's job counts could be read."
+  }
+};
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+
+  if (entries.length === 0) return "";
+
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Creates a metrics registry fed by log step events, rendered in the Prometheus text format.
+ *
+ * Scheduler steps (`cycle_start`, `cycle_complete`, `integration_error`, `fetch_failed`,
+ * `acknowledge_*`) give cycle counts, durations and ack outcomes; a failed fetch ends its cycle
+ * through `integration_error` and is counted once, as `fetch_failed`. Parser steps
+ * (`parsing_complete`, `no_messages_found`, `messages_quarantined`) give message counts; and
+ * `notification_failed` and `webhook_*` steps give notification failures.
+ * @returns {{record: (event: import("./logger").LogEvent) => void, registerQueue: (queue: Object) => void, render: () => Promise<String>}}
+ */
+function createMetrics() {
+  // Metric key -> Map of serialized labels -> value
+  const values = new Map(Object.keys(METRICS).map((key) => [key, new Map()]));
+  // `provider|jobId` -> {startedAt, outcome}, oldest first
+  const openCycles = new Map();
+  const queues = new Map();
+
+  const set = (key, labels, value) => {
+    values.get(key).set(formatLabels(labels), value);
+  };
+
+  const increment = (key, labels, amount = 1) => {
+    const series = values.get(key);
+    const serialized = formatLabels(labels);
+    series.set(serialized, (series.get(serialized) || 0) + amount);
+  };
+
+  const observe = (key, labels, value) => {
+    const series = values.get(key);
+    const serialized = formatLabels(labels);
+    const summary = series.get(serialized) || { sum: 0, count: 0 };
+    series.set(serialized, { sum: summary.sum + value, count: summary.count + 1 });
+  };
+
+  const startCycle = (event) => {
+    const { provider, jobId } = event.data;
+    const cycleKey = `${provider}|${jobId}`;
+
+    // Drop cycles that never ended, so a worker that keeps losing cycles can't grow the map
+    for (const [openKey, cycle] of openCycles) {
+      if (event.timestamp - cycle.startedAt <= OPEN_CYCLE_MAX_AGE_MS && openCycles.size < MAX_OPEN_CYCLES) break;
+      openCycles.delete(openKey);
+    }
+
+    // A retry of the same job restarts the cycle and moves it to the end
+    openCycles.delete(cycleKey);
+    openCycles.set(cycleKey, { startedAt: event.timestamp, outcome: null });
+  };
+
+  const failCycle = (event, outcome) => {
+    const cycle = openCycles.get(`${event.data.provider}|${event.data.jobId}`);
+    if (cycle) cycle.outcome = outcome;
+  };
+
+  const endCycle = (event, outcome) => {
+    const { provider, jobId } = event.data;
+    const cycleKey = `${provider}|${jobId}`;
+    const cycle = openCycles.get(cycleKey);
+
+    increment("cycles", { provider, outcome: cycle?.outcome || outcome });
+
+    if (cycle) {
+      const durationSeconds = (event.timestamp - cycle.startedAt) / 1000;
+      openCycles.delete(cycleKey);
+
+      observe("cycleDuration", { provider }, durationSeconds);
+      set("lastCycleDuration", { provider }, durationSeconds);
+    }
+  };
+
+  const countMessages = (service, messageCounts = {}, parsed = 0) => {
+    increment("messages", { service, status: "parsed" }, parsed);
+    increment("messages", { service, status: "updated" }, messageCounts.updated || 0);
+    increment("messages", { service, status: "duplicate" }, messageCounts.duplicate || 0);
+  };
+
+  /**
+   * Updates metrics from a log event.
+   * @param {import("./logger").LogEvent} event - Logged event.
+   */
+  const record = (event) => {
+    const data = event.data || {};
+    const service = data.service || "unknown";
+
+    switch (data.step) {
+      case "cycle_start":
+        startCycle(event);
+        break;
+      case "cycle_complete":
+        endCycle(event, "completed");
+        set("lastSuccessfulCycle", { provider: data.provider }, event.timestamp / 1000);
+        break;
+      case "fetch_failed":
+        failCycle(event, "fetch_failed");
+        break;
+      case "integration_error":
+        endCycle(event, "failed");
+        break;
+      case "acknowledge_success":
+      case "acknowledge_negative":
+      case "acknowledge_skipped":
+        increment("acknowledgements", { provider: data.provider, outcome: data.ackOutcome });
+        break;
+      case "parsing_complete":
+        // The scheduler logs the same step without message counts
+        if (data.messageCounts) countMessages(service, data.messageCounts, data.parsedMessageCount);
+        break;
+      case "no_messages_found":
+        countMessages(service, data.messageCounts);
+        break;
+      case "messages_quarantined":
+        increment("messages", { service, status: "quarantined" }, (data.failed || []).length);
+        break;
+      case "notification_failed":
+        increment("notificationFailures", { stage: "queue" });
+        break;
+      case "webhook_retry":
+        increment("notificationFailures", { stage: "delivery" });
+        break;
+      case "webhook_undelivered":
+        increment("notificationFailures", { stage: "undelivered" });
+        break;
+      default:
+        break;
+    }
+  };
+
+  /**
+   * Includes a Bull queue's job counts in the metrics.
+   * @param {Object} queue - Bull queue.
+   */
+  const registerQueue = (queue) => {
+    queues.set(queue.name, queue);
+  };
+
+  /**
+   * Renders every metric in the Prometheus text exposition format.
+   * @returns {Promise<String>} Metrics text.
+   */
+  const render = async () => {
+    values.get("queueJobs").clear();
+    values.get("queueUp").clear();
+
+    await Promise.all(
+      [...queues.values()].map(async (queue) => {
+        try {
+          const counts = await withTimeout(queue.getJobCounts(), QUEUE_COUNTS_TIMEOUT_MS);
+
+          QUEUE_STATES.forEach((state) => set("queueJobs", { queue: queue.name, state }, counts[state] || 0));
+          set("queueUp", { queue: queue.name }, 1);
+        } catch (error) {
+          set("queueUp", { queue: queue.name }, 0);
+        }
+      })
+    );
+
+    const lines = [];
+
+    for (const [key, metric] of Object.entries(METRICS)) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      for (const [labels, value] of values.get(key)) {
+        if (metric.type === "summary") {
+          lines.push(`${metric.name}_sum${labels} ${value.sum}`);
+          lines.push(`${metric.name}_count${labels} ${value.count}`);
+        } else {
+          lines.push(`${metric.name}${labels} ${value}`);
+        }
+      }
+    }
+
+    return `${lines.join("\n")}\n`;
+  };
+
+  return { record, registerQueue, render };
+}
+
+// Metrics of this process, fed by every logged step event
+const metrics = createMetrics();
+onLogEvent(metrics.record);
+
+module.exports = { createMetrics, metrics };
@@ -0,0 +1,98 @@
+const REDACTED = "[REDACTED]";
+
+// Field names whose values are always masked, compared case-insensitively without separators
+const DEFAULT_REDACTED_FIELDS = [
+  // Credentials and session tokens
+  "session_cookie",
+  "aspx_auth",
+  "lp30_session",
+  "cookie",
+  "authorization",
+  "password",
+  "secret",
+  "token",
+  "api_key",
+  "x-api-key",
+  "accessKeyId",
+  "AWS_ACCESS_KEY_ID",
+  "secretAccessKey",
+  "AWS_SECRET_ACCESS_KEY",
+  // Patient identifiers and demographics
+  "patientIdInternal",
+  "patientIdExternal",
+  "alternatePatientId",
+  "healthCardNumber",
+  "names",
+  "familyName",
+  "givenName",
+  "middleName",
+  "mothersMaidenName",
+  "dateOfBirth",
+  "addresses",
+  "phoneNumbers",
+  "rawHL7",
+  "rawHL7String"
+];
+
+// Patterns masked inside any string value
+const DEFAULT_REDACTED_PATTERNS = [
+  // Raw PID segments (names, DOB, health card) inside HL7 snippets and error messages
+  /PID\|[^\r\n]*/g,
+  // Canadian health card numbers (e.g. ON 1234-567-890-AB, BC 9123 456 789), only where labelled
+  // as one, since message IDs, accessions and S3 keys are often 10-digit numbers too
+  /(?<=\b(?:health[ _-]?card(?:[ _-]?(?:number|num|no))?|hcn|ohip|phn|jhn)\b["']?\s*[:=#]?\s*["']?)\d{4}[- ]?\d{3}[- ]?\d{3}(?:[- ]?[A-Z]{2})?\b/gi,
+  // Health card numbers in an HL7 CX component typed JHN (jurisdictional health number)
+  /\b\d{4}[- ]?\d{3}[- ]?\d{3}(?:[- ]?[A-Z]{2})?(?=(?:\^[^^|\r\n]*){1,4}\^JHN\b)/g,
+  // AWS access key IDs
+  /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  // Bearer tokens
+  /Bearer\s+[A-Za-z0-9\-._~+/]+=*/gi
+];
+
+const normalizeFieldName = (fieldName) => String(fieldName).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Creates a function that returns a redacted copy of a value.
+ * Values under redacted field names are replaced entirely; strings elsewhere have
+ * matching patterns masked.
+ * @param {Object} [options]
+ * @param {Array<String>} [options.fieldNames] - Field names to mask, in addition to the defaults.
+ * @param {Array<RegExp>} [options.patterns] - Global patterns to mask, in addition to the defaults.
+ * @returns {(value: any) => any} Redactor.
+ */
+function createRedactor({ fieldNames = [], patterns = [] } = {}) {
+  const redactedFields = new Set(
+    [...DEFAULT_REDACTED_FIELDS, ...fieldNames].map(normalizeFieldName)
+  );
+  const redactedPatterns = [...DEFAULT_REDACTED_PATTERNS, ...patterns];
+
+  const redactString = (value) =>
+    redactedPatterns.reduce((result, pattern) => result.replace(pattern, REDACTED), value);
+
+  const redact = (value) => {
+    if (typeof value === "string") {
+      return redactString(value);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(redact);
+    }
+
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          redactedFields.has(normalizeFieldName(key)) && item !== null && item !== undefined
+            ? REDACTED
+            : redact(item)
+        ])
+      );
+    }
+
+    return value;
+  };
+
+  return redact;
+}
+
+module.exports = { createRedactor, REDACTED };
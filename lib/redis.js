@@ -0,0 +1,23 @@
+const Redis = require("ioredis");
+const { getConfig } = require("./config");
+
+const { host, port, password } = getConfig().redis;
+
+const REDIS_CONFIG = password ? { host, port, password } : { host, port };
+
+let redisClient = null;
+
+/**
+ * Returns the shared Redis client, creating it on first use.
+ * Bull queues open their own connections from `REDIS_CONFIG`.
+ * @returns {Redis} Shared Redis client.
+ */
+function getRedisClient() {
+  if (!redisClient) {
+    redisClient = new Redis(REDIS_CONFIG);
+  }
+
+  return redisClient;
+}
+
+module.exports = { REDIS_CONFIG, getRedisClient };
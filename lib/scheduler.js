@@ -0,0 +1,365 @@
+const Queue = require("bull");
+const { logToCloudWatch, initializeCloudWatchLogs } = require("./cloudwatch-logger");
+const { REDIS_CONFIG } = require("./redis");
+const { IntegrationError, isRetryableError } = require("./errors");
+
+// generateTimestamp function like: MMM DD, HH:MM
+function generateTimestamp() {
+    const options = { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false };
+    return new Date().toLocaleString('en-US', options);
+}
+
+const DEFAULT_RETRY = { attempts: 3, backoffDelay: 1000 * 30 };
+
+const ACK_OUTCOMES = {
+  POSITIVE: "positive",
+  NEGATIVE: "negative",
+  SKIPPED: "skipped"
+};
+
+function toHumanReadableInterval(interval) {
+    return interval / (1000 * 60) + " minutes";
+}
+
+/**
+ * Decides whether a fetch the gateway reported as failed is worth retrying.
+ * 5xx, 429 and failures without an HTTP status (network errors, timeouts) are retryable;
+ * other 4xx responses will fail the same way again.
+ * @param {Object} [response] - Gateway response body returned by the provider's `fetchResults`.
+ * @returns {Boolean} True if the cycle should be retried.
+ */
+function isRetryableFetchFailure(response) {
+    const status = Number(response?.status);
+
+    if (!Number.isInteger(status) || status < 400) {
+        return true;
+    }
+
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Acknowledges a fetch whose results could not be parsed or delivered.
+ * Sends the provider's negative status, or skips the ack entirely so the lab re-sends.
+ * @param {import("../lab-results/src/providers").Provider} provider - Provider being polled.
+ * @param {Object} session - Session returned by the provider's `authenticate`.
+ * @param {Object} context - Job ID and S3 key for logging.
+ * @returns {Promise<String>} The recorded ack outcome.
+ */
+async function acknowledgeFailure(provider, session, { jobId, s3Key }) {
+    const LOG_STREAM_NAME = provider.logStreamName;
+
+    if (!provider.negativeAckStatus) {
+        await logToCloudWatch("🟠 Acknowledgement skipped, results will be re-sent", "WARN", { 
+          step: "acknowledge_skipped", 
+          provider: provider.name,
+          jobId,
+          s3Key,
+          ackOutcome: ACK_OUTCOMES.SKIPPED 
+        }, LOG_STREAM_NAME);
+
+        return ACK_OUTCOMES.SKIPPED;
+    }
+
+    const ack = await provider.acknowledge(session, provider.negativeAckStatus);
+
+    await logToCloudWatch("🟠 Results acknowledged negatively", "WARN", { 
+      step: "acknowledge_negative", 
+      provider: provider.name,
+      jobId,
+      s3Key,
+      ackOutcome: ACK_OUTCOMES.NEGATIVE,
+      ackStatus: ack?.status 
+    }, LOG_STREAM_NAME);
+
+    return ACK_OUTCOMES.NEGATIVE;
+}
+
+/**
+ * Closes a provider session. A failed logout is logged rather than thrown, so it can't mask
+ * the cycle's own outcome or fail a cycle whose results were already acknowledged.
+ * @param {import("../lab-results/src/providers").Provider} provider - Provider being polled.
+ * @param {Object} session - Session returned by the provider's `authenticate`.
+ * @param {String} jobId - Job running the cycle.
+ */
+async function logoutQuietly(provider, session, jobId) {
+    try {
+        await provider.logout(session);
+    } catch (error) {
+        await logToCloudWatch("🟠 Logout failed", "WARN", { 
+          step: "logout_failed", 
+          provider: provider.name,
+          jobId,
+          error: error.message 
+        }, provider.logStreamName);
+    }
+}
+
+/**
+ * Runs one polling cycle for a provider: authenticate, fetch, parse, acknowledge, logout.
+ * Results are acknowledged positively only when the provider's parser reports they were
+ * stored and their notification queued; otherwise the provider's failure ack applies and the
+ * cycle fails. The Positive ack does not wait for the notification webhook to be delivered:
+ * the stored results are what the lab hands over, and delivery from then on is owned by the
+ * webhook queue, whose exhausted notifications are dead-lettered and logged as errors.
+ * A fetch the gateway reports as failed fails the cycle too, so it is retried and dead-lettered
+ * like any other step.
+ * Failures are rethrown so Bull can retry them; permanent failures discard the job's remaining attempts.
+ * @param {import("../lab-results/src/providers").Provider} provider - Provider to poll.
+ * @param {Object} job - Bull job running the cycle.
+ */
+async function runPollingCycle(provider, job) {
+    const jobId = job.id || 'unknown';
+    const LOG_STREAM_NAME = provider.logStreamName;
+    let s3Key;
+    let session;
+    
+    await logToCloudWatch("⚪️ Starting polling cycle", "INFO", { 
+      step: "cycle_start", 
+      provider: provider.name,
+      jobId,
+      attempt: job.attemptsMade + 1,
+      int: toHumanReadableInterval(provider.interval) 
+    }, LOG_STREAM_NAME);
+    
+    try {
+        session = await provider.authenticate();
+
+        await logToCloudWatch("Fetching lab results", "INFO", { 
+          step: "fetch_start", 
+          provider: provider.name,
+          jobId 
+        }, LOG_STREAM_NAME);
+
+        const fetchResult = await provider.fetchResults(session);
+
+        if (!fetchResult.success) {
+            await logToCloudWatch("🟥 Fetch request failed", "ERROR", { 
+              step: "fetch_failed", 
+              provider: provider.name,
+              jobId,
+              status: fetchResult.response?.status,
+              response: fetchResult.response 
+            }, LOG_STREAM_NAME);
+
+            throw new IntegrationError(`Fetching ${provider.name} results failed`, {
+              retryable: isRetryableFetchFailure(fetchResult.response),
+              details: { status: fetchResult.response?.status ?? null }
+            });
+        }
+
+        s3Key = fetchResult.s3Key;
+
+        await logToCloudWatch("⚪️ Fetch successful.", "INFO", { 
+          step: "fetch_success", 
+          provider: provider.name,
+          jobId,
+          s3Key: fetchResult.s3Key 
+        }, LOG_STREAM_NAME);
+        
+        let parseResult;
+        try {
+            parseResult = await provider.parse(fetchResult.s3Key);
+        } catch (error) {
+            parseResult = { error: error.message, retryable: isRetryableError(error) };
+        }
+
+        let ackOutcome;
+
+        if (parseResult?.error) {
+            await logToCloudWatch("🟥 Parsing or delivery failed", "ERROR", { 
+              step: "parsing_failed", 
+              provider: provider.name,
+              jobId,
+              s3Key: fetchResult.s3Key,
+              error: parseResult.error 
+            }, LOG_STREAM_NAME);
+
+            ackOutcome = await acknowledgeFailure(provider, session, { jobId, s3Key: fetchResult.s3Key });
+
+            throw new IntegrationError(parseResult.error, {
+              retryable: parseResult.retryable !== false,
+              details: { ackOutcome }
+            });
+        } else {
+            await logToCloudWatch("⚪️ Parsing completed, acknowledging results", "INFO", { 
+              step: "parsing_complete", 
+              provider: provider.name,
+              jobId,
+              s3Key: fetchResult.s3Key,
+              outputFileKey: parseResult?.outputFileKey 
+            }, LOG_STREAM_NAME);
+
+            const ack = await provider.acknowledge(session, 'Positive');
+            ackOutcome = ACK_OUTCOMES.POSITIVE;
+
+            await logToCloudWatch("🟢 Results acknowledged", "INFO", { 
+              step: "acknowledge_success", 
+              provider: provider.name,
+              jobId,
+              ackOutcome,
+              ackStatus: ack?.status 
+            }, LOG_STREAM_NAME);
+        }
+
+        await logToCloudWatch("🏁🏁🏁 Polling cycle completed", "INFO", { 
+          step: "cycle_complete", 
+          provider: provider.name,
+          jobId,
+          s3Key: fetchResult.s3Key,
+          ackOutcome 
+        }, LOG_STREAM_NAME);
+
+        return { s3Key: fetchResult.s3Key, ackOutcome };
+    } catch (error) {
+        const retryable = isRetryableError(error);
+        // Keep the fetched file with the failure so a dead-lettered cycle can be replayed
+        error.s3Key = error.s3Key || s3Key;
+
+        await logToCloudWatch("🟥 Integration error occurred", "ERROR", { 
+          step: "integration_error", 
+          provider: provider.name,
+          jobId,
+          s3Key,
+          retryable,
+          attempt: job.attemptsMade + 1,
+          error: error.message,
+          stack: error.stack,
+          responseData: error.response?.data 
+        }, LOG_STREAM_NAME);
+
+        if (!retryable) {
+            await job.discard();
+        }
+
+        throw error;
+    } finally {
+        // Close the lab session whichever way the cycle ended
+        if (session) {
+            await logoutQuietly(provider, session, jobId);
+        }
+    }
+}
+
+/**
+ * Moves a cycle that will not be retried again to the provider's dead-letter queue.
+ * @param {import("../lab-results/src/providers").Provider} provider - Provider being polled.
+ * @param {Object} deadLetterQueue - The provider's dead-letter Bull queue.
+ * @param {Object} job - Failed Bull job.
+ * @param {Error} error - Error the job failed with.
+ */
+async function handleFailedCycle(provider, deadLetterQueue, job, error) {
+    const retryable = isRetryableError(error);
+    const maxAttempts = job.opts.attempts || 1;
+
+    if (retryable && job.attemptsMade < maxAttempts) {
+        return;
+    }
+
+    const deadLetter = await deadLetterQueue.add({
+      provider: provider.name,
+      originalJobId: job.id,
+      s3Key: error.s3Key || null,
+      error: error.message,
+      stack: error.stack,
+      retryable,
+      details: error.details || null,
+      attemptsMade: job.attemptsMade,
+      failedAt: new Date().toISOString()
+    }, { removeOnComplete: false, removeOnFail: false });
+
+    await logToCloudWatch("🟥 Polling cycle moved to dead-letter queue", "ERROR", { 
+      step: "dead_lettered", 
+      provider: provider.name,
+      jobId: job.id,
+      deadLetterJobId: deadLetter.id,
+      s3Key: error.s3Key,
+      retryable,
+      attemptsMade: job.attemptsMade,
+      error: error.message 
+    }, provider.logStreamName);
+}
+
+/**
+ * Creates the provider's queue, replaces its repeatable job and starts processing cycles.
+ * @param {import("../lab-results/src/providers").Provider} provider - Provider to schedule.
+ * @returns {Promise<Object>} The provider's Bull queue.
+ */
+async function setupProviderQueue(provider) {
+    const LOG_STREAM_NAME = provider.logStreamName;
+    const HUMAN_READABLE_INTERVAL = toHumanReadableInterval(provider.interval);
+
+    const retry = { ...DEFAULT_RETRY, ...provider.retry };
+
+    const queue = new Queue(provider.queueName, { redis: REDIS_CONFIG });
+    // Nothing processes this queue; it holds exhausted cycles for inspection and replay
+    const deadLetterQueue = new Queue(`${provider.queueName}-dead-letter`, { redis: REDIS_CONFIG });
+
+    await initializeCloudWatchLogs(LOG_STREAM_NAME, HUMAN_READABLE_INTERVAL, generateTimestamp());
+    
+    await logToCloudWatch("Setting up queue", "INFO", { 
+      step: "queue_setup_start", 
+      provider: provider.name,
+      int: HUMAN_READABLE_INTERVAL 
+    }, LOG_STREAM_NAME);
+
+    // Drop existing jobs before adding a new one
+    // TODO: Improve this
+    const repeatableJobs = await queue.getRepeatableJobs();
+    for (const job of repeatableJobs) {
+        await queue.removeRepeatableByKey(job.key);
+    }
+
+    await logToCloudWatch("⚪️ Removed existing repeatable jobs", "INFO", { 
+      step: "queue_cleanup", 
+      provider: provider.name,
+      removedJobsCount: repeatableJobs.length 
+    }, LOG_STREAM_NAME);
+
+    queue.add(
+        { provider: provider.name },
+        {
+          repeat: { every: provider.interval },
+          attempts: retry.attempts,
+          backoff: { type: "exponential", delay: retry.backoffDelay }
+        }
+    );
+
+    await logToCloudWatch(`🟢 Queue setup completed`, "INFO", { 
+      step: "queue_setup_complete", 
+      provider: provider.name,
+      int: HUMAN_READABLE_INTERVAL 
+    }, LOG_STREAM_NAME);
+
+    queue.on("failed", (job, error) => {
+        handleFailedCycle(provider, deadLetterQueue, job, error).catch((deadLetterError) => {
+            console.error("Failed to dead-letter polling cycle:", deadLetterError.message);
+        });
+    });
+
+    queue.process((job) => runPollingCycle(provider, job));
+
+    return queue;
+}
+
+/**
+ * Sets up a queue for every given provider.
+ * @param {Array<import("../lab-results/src/providers").Provider>} providers - Providers to schedule.
+ * @returns {Promise<Array<Object>>} The providers' Bull queues.
+ */
+async function setupQueues(providers) {
+    const queues = [];
+
+    for (const provider of providers) {
+        queues.push(await setupProviderQueue(provider));
+    }
+
+    return queues;
+}
+
+module.exports = {
+  setupQueues,
+  setupProviderQueue,
+  runPollingCycle,
+  ACK_OUTCOMES
+};
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildHL7Ack,
+  acknowledgeHL7Messages,
+  parseRawMSH,
+  isAckRequested,
+  ERROR_CODES
+} = require('../lab-results/src/utils/buildHL7Ack');
+
+const DATE_TIME = new Date('2026-10-01T12:00:00Z');
+
+const RAW_MESSAGE = 'MSH|^~\\&|GDML|DYNACARE^2.16.840|EMR|CLINIC|20261001080000||ORU^R01|MSG-1|P|2.3\rPID|1';
+
+const segments = (ack) => ack.split('\r');
+
+test('buildHL7Ack accepts a message, replying to its sender', () => {
+  const ack = buildHL7Ack(parseRawMSH(RAW_MESSAGE), { controlId: 'ACK-1', dateTime: DATE_TIME });
+
+  assert.deepEqual(segments(ack), [
+    'MSH|^~\\&|EMR|CLINIC|GDML|DYNACARE^2.16.840|20261001120000+0000||ACK^R01|ACK-1|P|2.3',
+    'MSA|AA|MSG-1'
+  ]);
+});
+
+test('buildHL7Ack formats parsed header fields', () => {
+  const ack = buildHL7Ack(
+    {
+      sendingApplication: { 'MSH.3.1': 'GDML' },
+      sendingFacility: { namespaceID: 'DYNACARE', universalID: '2.16.840' },
+      receivingApplication: 'EMR',
+      messageType: { messageCode: 'ORU', triggerEvent: 'R01' },
+      messageControlId: 'MSG-1'
+    },
+    { controlId: 'ACK-1', dateTime: DATE_TIME }
+  );
+
+  assert.equal(segments(ack)[0], 'MSH|^~\\&|EMR||GDML|DYNACARE^2.16.840|20261001120000+0000||ACK^R01|ACK-1|P|2.3');
+});
+
+test('buildHL7Ack reports errors in MSA-3 and ERR segments with delimiters escaped', () => {
+  const error = Object.assign(new Error('OBX-5 not numeric: 5|6^7'), {
+    segment: 'OBX',
+    sequence: 1,
+    field: 5,
+    code: ERROR_CODES.DATA_TYPE_ERROR
+  });
+
+  const ack = buildHL7Ack(parseRawMSH(RAW_MESSAGE), {
+    acknowledgementCode: 'AE',
+    errors: [error],
+    controlId: 'ACK-1',
+    dateTime: DATE_TIME
+  });
+
+  assert.deepEqual(segments(ack).slice(1), [
+    'MSA|AE|MSG-1|OBX-5 not numeric: 5\\F\\6\\S\\7',
+    'ERR|OBX^1^5^102&OBX-5 not numeric: 5\\F\\6\\S\\7&HL70357'
+  ]);
+});
+
+test('buildHL7Ack reports plain errors as application internal errors', () => {
+  const ack = buildHL7Ack({}, { acknowledgementCode: 'AR', errors: [new Error('Broken\r\nline')] });
+
+  assert.equal(segments(ack)[2], 'ERR|^^^207&Broken  line&HL70357');
+});
+
+test('buildHL7Ack rejects unknown acknowledgement codes', () => {
+  assert.throws(() => buildHL7Ack({}, { acknowledgementCode: 'CA' }), /Invalid acknowledgement code "CA"/);
+});
+
+test('parseRawMSH reads the header of a message that failed to parse', () => {
+  assert.deepEqual(parseRawMSH(`PID|1\n${RAW_MESSAGE.replace('|P|2.3', '|P|2.3|||AL|ER')}`), {
+    sendingApplication: 'GDML',
+    sendingFacility: { 'MSH.4.1': 'DYNACARE', 'MSH.4.2': '2.16.840' },
+    receivingApplication: 'EMR',
+    receivingFacility: 'CLINIC',
+    messageType: { messageCode: 'ORU', triggerEvent: 'R01' },
+    messageControlId: 'MSG-1',
+    processingId: 'P',
+    versionId: '2.3',
+    acceptAcknowledgementType: 'AL',
+    applicationAcknowledgementType: 'ER'
+  });
+});
+
+test('parseRawMSH uses the message delimiters', () => {
+  const header = parseRawMSH('MSH#$~\\&#GDML#DYNACARE$2.16.840#####ORU$R01#MSG-1');
+
+  assert.equal(header.sendingApplication, 'GDML');
+  assert.deepEqual(header.sendingFacility, { 'MSH.4.1': 'DYNACARE', 'MSH.4.2': '2.16.840' });
+  assert.deepEqual(header.messageType, { messageCode: 'ORU', triggerEvent: 'R01' });
+  assert.equal(header.messageControlId, 'MSG-1');
+});
+
+test('isAckRequested follows MSH-16', () => {
+  assert.equal(isAckRequested({ applicationAcknowledgementType: 'NE' }, 'AE'), false);
+  assert.equal(isAckRequested({ applicationAcknowledgementType: 'ER' }, 'AA'), false);
+  assert.equal(isAckRequested({ applicationAcknowledgementType: 'ER' }, 'AE'), true);
+  assert.equal(isAckRequested({ applicationAcknowledgementType: 'SU' }, 'AA'), true);
+  assert.equal(isAckRequested({ applicationAcknowledgementType: 'SU' }, 'AE'), false);
+  assert.equal(isAckRequested({ applicationAcknowledgementType: 'AL' }, 'AE'), true);
+  assert.equal(isAckRequested({}, 'AA'), true);
+});
+
+test('acknowledgeHL7Messages accepts parsed messages and rejects failed ones', () => {
+  const acks = acknowledgeHL7Messages([RAW_MESSAGE, RAW_MESSAGE.replace('MSG-1', 'MSG-2')], (raw, index) => {
+    if (index === 1) throw new Error('Missing OBR');
+    return { messageHeader: parseRawMSH(raw) };
+  });
+
+  assert.deepEqual(
+    acks.map(({ messageControlId, acknowledgementCode }) => ({ messageControlId, acknowledgementCode })),
+    [
+      { messageControlId: 'MSG-1', acknowledgementCode: 'AA' },
+      { messageControlId: 'MSG-2', acknowledgementCode: 'AE' }
+    ]
+  );
+  assert.match(acks[1].ack, /\rMSA\|AE\|MSG-2\|Missing OBR\rERR\|\^\^\^207&Missing OBR&HL70357$/);
+});
+
+test('acknowledgeHL7Messages leaves out ACKs MSH-16 doesn’t ask for', () => {
+  const errorsOnly = `${RAW_MESSAGE.split('\r')[0]}|||AL|ER`;
+  const successOnly = `${RAW_MESSAGE.split('\r')[0]}|||AL|SU`;
+  const fail = () => {
+    throw new Error('Missing OBR');
+  };
+
+  assert.equal(acknowledgeHL7Messages([errorsOnly], (raw) => ({ messageHeader: parseRawMSH(raw) }))[0].ack, null);
+  assert.notEqual(acknowledgeHL7Messages([errorsOnly], fail)[0].ack, null);
+  assert.notEqual(acknowledgeHL7Messages([successOnly], (raw) => ({ messageHeader: parseRawMSH(raw) }))[0].ack, null);
+  assert.equal(acknowledgeHL7Messages([successOnly], fail)[0].ack, null);
+});
+
+test('acknowledgeHL7Messages rejects input without an MSH segment', () => {
+  const [result] = acknowledgeHL7Messages(['not an HL7 message'], () => {
+    throw new Error('Expected raw data to be HL7');
+  });
+
+  assert.equal(result.messageControlId, '');
+  assert.equal(result.acknowledgementCode, 'AE');
+  assert.deepEqual(segments(result.ack).slice(1), [
+    'MSA|AE||Expected raw data to be HL7',
+    'ERR|^^^207&Expected raw data to be HL7&HL70357'
+  ]);
+  assert.match(segments(result.ack)[0], /^MSH\|\^~\\&\|\|\|\|\|\d{14}\+0000\|\|ACK\^R01\|[0-9A-F]{12}\|P\|2\.3$/);
+});
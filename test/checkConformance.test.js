@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const parseHL7Message = require('../lab-results/src/utils/parseHL7Message');
+const parseEMRHL7Message = require('../lab-results/src/utils/parseEMRHL7Message');
+const { checkConformance } = require('../lab-results/src/utils/checkConformance');
+const gdmlSchema = require('../lab-results/src/schemas/gdml.schema.json');
+const lifelabsOntarioSchema = require('../lab-results/src/schemas/lifelabs-ontario.schema.json');
+
+const GDML = { name: 'gdml', schema: gdmlSchema };
+
+const message = ({ sender = 'GDML', version = '2.3', msgId = 'MSG-1', pid = 'PID|1||1234567890^^^ON^JHN||DOE^JANE||19700101|F' } = {}) =>
+  [
+    `MSH|^~\\&|${sender}|FACILITY|EMR|CLINIC|20261001120000||ORU^R01|${msgId}|P|${version}`,
+    pid,
+    'ORC|RE',
+    'OBR|1||ACC-1|K^Potassium|||20261001080000|||||||||1234^SMITH^JOHN|||||||||F',
+    'OBX|1|NM|K^Potassium||4.2|mmol/L|3.5-5.0|N|||F'
+  ].join('\r');
+
+test('checkConformance reports a message with every required field as conformant', () => {
+  assert.deepEqual(checkConformance(parseHL7Message(message()), GDML), {
+    profile: 'gdml',
+    conformant: true,
+    issues: []
+  });
+});
+
+test('checkConformance names the HL7 field of a missing required field', () => {
+  const report = checkConformance(parseHL7Message(message({ msgId: '' })), GDML);
+
+  assert.equal(report.conformant, false);
+  assert.deepEqual(report.issues, [
+    { path: '/messageHeader/messageControlId', hl7Field: 'MSH-10', message: 'Required field is missing' }
+  ]);
+});
+
+test('checkConformance reports an empty required field', () => {
+  const report = checkConformance(
+    parseHL7Message(message({ pid: 'PID|1||1234567890^^^ON^JHN||||19700101|F' })),
+    GDML
+  );
+
+  assert.deepEqual(report.issues, [
+    { path: '/patients/0/names', hl7Field: 'PID-5', message: 'Required field is empty' }
+  ]);
+});
+
+test('checkConformance reports every issue of a message at once', () => {
+  const report = checkConformance(
+    parseHL7Message(message({ msgId: '', pid: 'PID|1||||DOE^JANE||19700101|F' })),
+    GDML
+  );
+
+  assert.deepEqual(
+    report.issues.map(({ hl7Field }) => hl7Field),
+    ['MSH-10', 'PID-3.1']
+  );
+});
+
+test('checkConformance checks EMR messages against their own profile', () => {
+  const report = checkConformance(
+    parseEMRHL7Message(message({ sender: 'LIFELABS', version: '2.3.1' })),
+    { name: 'lifelabs-ontario', schema: lifelabsOntarioSchema }
+  );
+
+  assert.equal(report.profile, 'lifelabs-ontario');
+  assert.deepEqual(report.issues, []);
+});
+
+test('checkConformance reports fields of the wrong type', () => {
+  const schema = {
+    type: 'object',
+    properties: { setId: { type: 'string', hl7Field: 'OBX-1' } }
+  };
+
+  assert.deepEqual(checkConformance({ setId: 1 }, { name: 'custom', schema }).issues, [
+    { path: '/setId', hl7Field: 'OBX-1', message: 'Field must be string' }
+  ]);
+});
+
+test('checkConformance leaves hl7Field empty for fields the schema does not annotate', () => {
+  const schema = { type: 'object', required: ['note'], properties: { note: { type: 'string' } } };
+
+  assert.deepEqual(checkConformance({}, { name: 'custom', schema }).issues, [
+    { path: '/note', hl7Field: null, message: 'Required field is missing' }
+  ]);
+});
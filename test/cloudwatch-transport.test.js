@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { CloudWatchLogsClient } = require("@aws-sdk/client-cloudwatch-logs");
+
+const { createCloudWatchTransport } = require("../lib/log-transports/cloudwatch");
+
+const LOG_GROUPS = { region: "ca-central-1", logGroupName: "lab-results", errorLogGroupName: "lab-results-errors" };
+
+const event = (message, { level = "INFO", streamName = "scheduled-tasks-lifelabs", timestamp = 1 } = {}) => ({
+  timestamp,
+  level,
+  message,
+  data: { step: message },
+  streamName
+});
+
+const awsError = (name) => Object.assign(new Error(name), { name });
+
+// Records PutLogEvents inputs; `fail` decides which batches fail and how
+function mockClient(t, fail = () => null) {
+  const inputs = [];
+
+  t.mock.method(CloudWatchLogsClient.prototype, "send", async (command) => {
+    inputs.push(command.input);
+    const error = fail(command.input);
+    if (error) throw error;
+    return {};
+  });
+
+  return inputs;
+}
+
+test("the CloudWatch transport batches events per log group and stream in time order", async (t) => {
+  const inputs = mockClient(t);
+  const transport = createCloudWatchTransport(LOG_GROUPS);
+
+  await transport.send([
+    event("second", { timestamp: 2 }),
+    event("first", { timestamp: 1 }),
+    event("failed", { level: "ERROR" }),
+    event("alert", { streamName: "critical-result-alerts" })
+  ]);
+
+  assert.deepEqual(
+    inputs.map(({ logGroupName, logStreamName, logEvents }) => [
+      logGroupName,
+      logStreamName,
+      logEvents.map(({ message }) => message.split(" ")[0])
+    ]),
+    [
+      ["lab-results", "scheduled-tasks-lifelabs", ["first", "second"]],
+      ["lab-results-errors", "scheduled-tasks-lifelabs", ["failed"]],
+      ["lab-results", "critical-result-alerts", ["alert"]]
+    ]
+  );
+});
+
+test("the CloudWatch transport drops batches that can never be delivered", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const inputs = mockClient(t, ({ logStreamName }) =>
+    logStreamName === "parser" ? awsError("ResourceNotFoundException") : null
+  );
+  const transport = createCloudWatchTransport(LOG_GROUPS);
+
+  await transport.send([event("lost", { streamName: "parser" }), event("kept")]);
+
+  assert.equal(inputs.length, 2);
+  assert.match(console.error.mock.calls[0].arguments[0], /Dropping 1 log events for lab-results\/parser/);
+});
+
+test("the CloudWatch transport reports only the events of batches that failed", async (t) => {
+  mockClient(t, ({ logStreamName }) => (logStreamName === "busy" ? awsError("ThrottlingException") : null));
+  const transport = createCloudWatchTransport(LOG_GROUPS);
+  const failed = event("throttled", { streamName: "busy" });
+
+  await assert.rejects(transport.send([event("sent"), failed]), (error) => {
+    assert.match(error.message, /^1 of 2 log events were not delivered: ThrottlingException$/);
+    assert.deepEqual(error.undeliveredEvents, [failed]);
+    return true;
+  });
+});
+
+test("the CloudWatch transport creates log groups and streams that don't exist yet", async (t) => {
+  const inputs = mockClient(t, (input) => (input.logStreamName ? null : awsError("ResourceAlreadyExistsException")));
+  const transport = createCloudWatchTransport(LOG_GROUPS);
+
+  await transport.initialize("dynacare-parser");
+
+  assert.deepEqual(inputs, [
+    { logGroupName: "lab-results" },
+    { logGroupName: "lab-results", logStreamName: "dynacare-parser" },
+    { logGroupName: "lab-results-errors" },
+    { logGroupName: "lab-results-errors", logStreamName: "dynacare-parser" }
+  ]);
+});
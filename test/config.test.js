@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadConfig } = require("../lib/config");
+const { ConfigError } = require("../lib/errors");
+
+const REQUIRED_ENV = {
+  APP_ENV: "test",
+  AWS_REGION: "ca-central-1",
+  AWS_BUCKET: "lab-results",
+  LIFELABS_BASE_URL: "https://lifelabs.example.com",
+  LIFELABS_RECEIVED_RESULTS_URL: "https://lifelabs.example.com/received",
+  WEBHOOK_SIGNING_SECRET: "secret",
+  CRITICAL_RESULTS_WEBHOOK_URL: "https://emr.example.com/critical",
+  LOG_GROUP_NAME: "lab-results",
+  ERROR_LOG_GROUP_NAME: "lab-results-errors"
+};
+
+const getIssues = (env) => {
+  try {
+    loadConfig({ env });
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.issues;
+  }
+
+  return [];
+};
+
+test("loadConfig applies defaults", () => {
+  const config = loadConfig({ env: REQUIRED_ENV });
+
+  assert.equal(config.environment, "test");
+  assert.equal(config.redis.port, 6379);
+  assert.equal(config.aws.accessKeyId, null);
+  assert.deepEqual(config.logging.redactPatterns, []);
+  assert.ok(Object.isFrozen(config.redis));
+});
+
+test("loadConfig reports every missing required setting at once", () => {
+  const issues = getIssues({ APP_ENV: "test" });
+
+  assert.ok(issues.includes("WEBHOOK_SIGNING_SECRET (webhooks.signingSecret) is required"));
+  assert.ok(issues.includes("CRITICAL_RESULTS_WEBHOOK_URL (criticalResults.webhookUrl) is required"));
+  assert.ok(issues.includes("AWS_REGION (aws.region) is required"));
+  assert.ok(!issues.some((issue) => issue.startsWith("AWS_ACCESS_KEY_ID")));
+});
+
+test("loadConfig requires AWS keys to be set together", () => {
+  assert.deepEqual(getIssues({ ...REQUIRED_ENV, AWS_ACCESS_KEY_ID: "AKIAEXAMPLE" }), [
+    "AWS_ACCESS_KEY_ID (aws.accessKeyId) and AWS_SECRET_ACCESS_KEY (aws.secretAccessKey) must be set together"
+  ]);
+  assert.equal(
+    loadConfig({ env: { ...REQUIRED_ENV, AWS_ACCESS_KEY_ID: "AKIAEXAMPLE", AWS_SECRET_ACCESS_KEY: "example" } })
+      .aws.secretAccessKey,
+    "example"
+  );
+});
+
+test("loadConfig validates ports, URLs and lists", () => {
+  const issues = getIssues({
+    ...REQUIRED_ENV,
+    REDIS_PORT: "70000",
+    CRITICAL_RESULTS_WEBHOOK_URL: "ftp://emr.example.com",
+    LOG_TRANSPORTS: "console,syslog"
+  });
+
+  assert.equal(issues.length, 3);
+  assert.match(issues[0], /^REDIS_PORT .* must be a port number/);
+  assert.match(issues[1], /^CRITICAL_RESULTS_WEBHOOK_URL .* must be an http\(s\) URL/);
+  assert.match(issues[2], /^LOG_TRANSPORTS .* has unknown values syslog/);
+});
+
+test("loadConfig parses redaction settings", () => {
+  const config = loadConfig({
+    env: { ...REQUIRED_ENV, LOG_REDACT_FIELDS: "mrn, Chart_Number", LOG_REDACT_PATTERNS: '["MRN\\\\d+"]' }
+  });
+
+  assert.deepEqual(config.logging.redactFields, ["mrn", "chart_number"]);
+  assert.deepEqual(config.logging.redactPatterns, ["MRN\\d+"]);
+});
+
+test("loadConfig rejects invalid redaction patterns", () => {
+  assert.match(getIssues({ ...REQUIRED_ENV, LOG_REDACT_PATTERNS: "MRN\\d+" })[0], /must be a JSON array/);
+  assert.match(getIssues({ ...REQUIRED_ENV, LOG_REDACT_PATTERNS: "[1]" })[0], /must be an array of regular expression strings/);
+  assert.match(getIssues({ ...REQUIRED_ENV, LOG_REDACT_PATTERNS: '["("]' })[0], /has invalid regular expressions "\("/);
+});
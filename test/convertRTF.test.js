@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const convertRTF = require('../lab-results/src/utils/convertRTF');
+
+test('convertRTF keeps paragraphs and formatting', () => {
+  assert.deepEqual(convertRTF('{\\rtf1\\ansi {\\b Result:} normal\\par Second line}'), {
+    text: 'Result: normal\nSecond line',
+    html: '<p><strong>Result:</strong> normal</p><p>Second line</p>'
+  });
+});
+
+test('convertRTF toggles formatting with control word parameters', () => {
+  const { html } = convertRTF('{\\rtf1 \\i italic\\i0  \\ul under\\ulnone  \\b bold\\plain  plain}');
+
+  assert.equal(html, '<p><em>italic</em> <u>under</u> <strong>bold</strong> plain</p>');
+});
+
+test('convertRTF drops font tables, colour tables and ignorable destinations', () => {
+  const rtf =
+    '{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\colortbl;\\red0\\green0\\blue0;}' +
+    '{\\*\\generator Writer;}{\\*\\unknowndest hidden}Visible\\par}';
+
+  assert.equal(convertRTF(rtf).text, 'Visible');
+});
+
+test('convertRTF renders line breaks within a paragraph', () => {
+  assert.deepEqual(convertRTF('{\\rtf1 First\\line Second}'), {
+    text: 'First\nSecond',
+    html: '<p>First<br>Second</p>'
+  });
+});
+
+test('convertRTF renders tables', () => {
+  const rtf =
+    '{\\rtf1 Before\\par' +
+    '\\trowd\\intbl Test\\cell Result\\cell\\row' +
+    '\\intbl Sodium\\cell 140\\cell\\row' +
+    '\\pard After\\par}';
+
+  assert.deepEqual(convertRTF(rtf), {
+    text: 'Before\nTest\tResult\nSodium\t140\nAfter',
+    html:
+      '<p>Before</p>' +
+      '<table><tr><td>Test</td><td>Result</td></tr><tr><td>Sodium</td><td>140</td></tr></table>' +
+      '<p>After</p>'
+  });
+});
+
+test('convertRTF decodes Windows-1252 bytes, Unicode characters and symbols', () => {
+  assert.equal(convertRTF("{\\rtf1 5 \\'b5g/L \\'96 caf\\'e9}").text, '5 µg/L – café');
+  assert.equal(convertRTF('{\\rtf1 \\u8805?5 \\uc2\\u8804??5}').text, '≥5 ≤5');
+  assert.equal(convertRTF('{\\rtf1 A\\tab B\\emdash C\\~D\\_E}').text, 'A\tB—C\u00A0D-E');
+});
+
+test('convertRTF keeps escaped braces and backslashes as text', () => {
+  assert.equal(convertRTF('{\\rtf1 \\{a\\\\b\\}}').text, '{a\\b}');
+});
+
+test('convertRTF escapes HTML in the HTML rendering only', () => {
+  assert.deepEqual(convertRTF('{\\rtf1 <5 & >1}'), {
+    text: '<5 & >1',
+    html: '<p>&lt;5 &amp; &gt;1</p>'
+  });
+});
+
+test('convertRTF returns empty renderings for empty input', () => {
+  assert.deepEqual(convertRTF(''), { text: '', html: '' });
+  assert.deepEqual(convertRTF(undefined), { text: '', html: '' });
+});
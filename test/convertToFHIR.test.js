@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const parseHL7Message = require('../lab-results/src/utils/parseHL7Message');
+const parseEMRHL7Message = require('../lab-results/src/utils/parseEMRHL7Message');
+const { convertToFHIR, convertMessageToEntries } = require('../lab-results/src/utils/convertToFHIR');
+
+const GDML_MESSAGE = [
+  'MSH|^~\\&|GDML|DYNACARE|EMR|CLINIC|20261001120000||ORU^R01|MSG-1|P|2.3',
+  'PID|1||1234567890^^^ON^JHN||DOE^JANE||19700101|F',
+  'ORC|RE',
+  'OBR|1||ACC-1|K^Potassium|||20261001080000|||||||||1234^SMITH^JOHN|||||||||F',
+  'OBX|1|NM|K^Potassium||7.1|mmol/L|3.5-5.0|HH|||F',
+  'OBX|2|ST|CRP^C-reactive protein||<0.1|mg/L|<5||||F',
+  'OBX|3|CE|BGRP^Blood group||A+^A positive||||||F'
+].join('\r');
+
+const EMR_MESSAGE = [
+  'MSH|^~\\&|LIFELABS|LIFELABS|EMR|CLINIC|20261001120000||ORU^R01|LL-1|P|2.3.1',
+  'PID|1||1234567890^^^ON^JHN||DOE^JANE||19700101|F',
+  'ORC|RE',
+  'OBR|1||ACC-2|TSH^Thyroid stimulating hormone|||20261001080000|||||||||1234^SMITH^J|||||||||F',
+  'OBX|1|ST|3016-3^TSH^LN||>=100|mIU/L|0.32-5.04|H|||F'
+].join('\r');
+
+const resourcesOf = (bundle, resourceType) =>
+  bundle.entry.map(({ resource }) => resource).filter((resource) => resource.resourceType === resourceType);
+
+// Smallest parsed message convertToFHIR accepts, with one observation
+const parsedObservation = (observation) => ({
+  messageHeader: {},
+  patients: [{ orders: [{ labResults: [{ resultStatus: 'F', observations: [observation] }] }] }]
+});
+
+test('convertToFHIR returns a collection Bundle whose entries are referenced by full URL', () => {
+  const bundle = convertToFHIR(parseHL7Message(GDML_MESSAGE));
+
+  assert.equal(bundle.resourceType, 'Bundle');
+  assert.equal(bundle.type, 'collection');
+  assert.deepEqual(
+    bundle.entry.map(({ resource }) => resource.resourceType),
+    ['Patient', 'Practitioner', 'ServiceRequest', 'Observation', 'Observation', 'Observation', 'DiagnosticReport']
+  );
+
+  for (const { fullUrl, resource } of bundle.entry) {
+    assert.equal(fullUrl, `urn:uuid:${resource.id}`);
+  }
+});
+
+test('convertToFHIR converts each message of an array into the same Bundle', () => {
+  const bundle = convertToFHIR([parseHL7Message(GDML_MESSAGE), parseEMRHL7Message(EMR_MESSAGE)]);
+
+  assert.equal(resourcesOf(bundle, 'Patient').length, 2);
+  assert.equal(resourcesOf(bundle, 'DiagnosticReport').length, 2);
+});
+
+test('convertToFHIR converts the patient', () => {
+  const [patient] = resourcesOf(convertToFHIR(parseHL7Message(GDML_MESSAGE)), 'Patient');
+
+  assert.deepEqual(patient.name, [{ use: 'official', family: 'DOE', given: ['JANE'] }]);
+  assert.equal(patient.gender, 'female');
+  assert.equal(patient.birthDate, '1970-01-01');
+  assert.equal(patient.identifier[0].value, '1234567890');
+});
+
+test('convertToFHIR converts the OBR into a DiagnosticReport referencing its observations', () => {
+  const bundle = convertToFHIR(parseEMRHL7Message(EMR_MESSAGE));
+  const [patient] = resourcesOf(bundle, 'Patient');
+  const [serviceRequest] = resourcesOf(bundle, 'ServiceRequest');
+  const [report] = resourcesOf(bundle, 'DiagnosticReport');
+  const observations = resourcesOf(bundle, 'Observation');
+
+  assert.equal(report.status, 'final');
+  assert.deepEqual(report.identifier, [{ value: 'ACC-2' }]);
+  assert.deepEqual(report.code.coding, [{ code: 'TSH', display: 'Thyroid stimulating hormone' }]);
+  assert.deepEqual(report.subject, { reference: `urn:uuid:${patient.id}` });
+  assert.deepEqual(report.basedOn, [{ reference: `urn:uuid:${serviceRequest.id}` }]);
+  assert.deepEqual(report.result, observations.map(({ id }) => ({ reference: `urn:uuid:${id}` })));
+  assert.equal(report.effectiveDateTime, '2026-10-01T08:00:00-04:00');
+});
+
+test('convertToFHIR converts a numeric result into a valueQuantity with its interpretation and range', () => {
+  const [observation] = resourcesOf(convertToFHIR(parseHL7Message(GDML_MESSAGE)), 'Observation');
+
+  assert.equal(observation.status, 'final');
+  assert.deepEqual(observation.valueQuantity, { value: 7.1, unit: 'mmol/L' });
+  assert.equal(observation.interpretation[0].coding[0].code, 'HH');
+  assert.deepEqual(observation.referenceRange, [
+    { low: { value: 3.5, unit: 'mmol/L' }, high: { value: 5, unit: 'mmol/L' }, text: '3.5-5.0' }
+  ]);
+});
+
+test('convertToFHIR keeps the comparator of a reported limit', () => {
+  const [, gdmlObservation] = resourcesOf(convertToFHIR(parseHL7Message(GDML_MESSAGE)), 'Observation');
+  const [emrObservation] = resourcesOf(convertToFHIR(parseEMRHL7Message(EMR_MESSAGE)), 'Observation');
+
+  assert.deepEqual(gdmlObservation.valueQuantity, { value: 0.1, comparator: '<', unit: 'mg/L' });
+  assert.deepEqual(emrObservation.valueQuantity, { value: 100, comparator: '>=', unit: 'mIU/L' });
+});
+
+test('convertToFHIR maps comparators into the FHIR value set', () => {
+  const convert = (comparator) =>
+    resourcesOf(
+      convertToFHIR(
+        parsedObservation({ observationResults: [`${comparator}5`], numericResult: { value: 5, comparator } })
+      ),
+      'Observation'
+    )[0];
+
+  assert.deepEqual(convert('≤').valueQuantity, { value: 5, comparator: '<=' });
+  assert.deepEqual(convert('≥').valueQuantity, { value: 5, comparator: '>=' });
+  assert.deepEqual(convert('=').valueQuantity, { value: 5 });
+});
+
+test('convertToFHIR keeps a result whose comparator FHIR has no code for as text', () => {
+  const [observation] = resourcesOf(
+    convertToFHIR(parsedObservation({ observationResults: ['<>5'], numericResult: { value: 5, comparator: '<>' } })),
+    'Observation'
+  );
+
+  assert.equal(observation.valueQuantity, undefined);
+  assert.equal(observation.valueString, '<>5');
+});
+
+test('convertToFHIR converts a coded result into a valueString with its code', () => {
+  const [, , observation] = resourcesOf(convertToFHIR(parseHL7Message(GDML_MESSAGE)), 'Observation');
+
+  assert.deepEqual(observation.code.coding, [{ code: 'BGRP', display: 'Blood group' }]);
+  assert.equal(observation.valueString, 'A+');
+  assert.equal(observation.valueQuantity, undefined);
+});
+
+test('convertToFHIR codes observations sent with LOINC codes in the LOINC system', () => {
+  const [observation] = resourcesOf(convertToFHIR(parseEMRHL7Message(EMR_MESSAGE)), 'Observation');
+
+  assert.deepEqual(observation.code.coding, [{ system: 'http://loinc.org', code: '3016-3', display: 'TSH' }]);
+});
+
+test('convertToFHIR adds the mapped LOINC code ahead of the lab code', () => {
+  const [observation] = resourcesOf(
+    convertToFHIR(
+      parsedObservation({
+        observationIdentifier: { gdmlTestCode: 'K', testName: 'Potassium' },
+        loinc: { code: '2823-3', display: 'Potassium [Moles/volume] in Serum or Plasma' }
+      })
+    ),
+    'Observation'
+  );
+
+  assert.deepEqual(
+    observation.code.coding.map(({ system, code }) => [system, code]),
+    [['http://loinc.org', '2823-3'], [undefined, 'K']]
+  );
+});
+
+test('convertMessageToEntries shares one Practitioner per ordering physician', () => {
+  const message = parseHL7Message(GDML_MESSAGE);
+  message.patients[0].orders[0].labResults.push(message.patients[0].orders[0].labResults[0]);
+
+  const entries = convertMessageToEntries(message);
+
+  assert.equal(entries.filter(({ resource }) => resource.resourceType === 'Practitioner').length, 1);
+  assert.equal(entries.filter(({ resource }) => resource.resourceType === 'DiagnosticReport').length, 2);
+});
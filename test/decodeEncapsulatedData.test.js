@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const {
+  decodeEncapsulatedData,
+  getFileExtension
+} = require('../lab-results/src/utils/decodeEncapsulatedData');
+
+const PDF = Buffer.from('%PDF-1.4\n%test document\n');
+
+const edValue = (components) =>
+  Object.fromEntries(components.map((component, index) => [`OBX.5.${index + 1}`, component]));
+
+test('decodeEncapsulatedData decodes a Base64 ED payload', () => {
+  const document = decodeEncapsulatedData(
+    edValue(['', 'AP', 'PDF', 'Base64', PDF.toString('base64')])
+  );
+
+  assert.deepEqual(document, {
+    mimeType: 'application/pdf',
+    typeOfData: 'AP',
+    dataSubtype: 'PDF',
+    encoding: 'Base64',
+    size: PDF.length,
+    checksum: crypto.createHash('sha256').update(PDF).digest('hex'),
+    data: PDF.toString('base64')
+  });
+});
+
+test('decodeEncapsulatedData ignores whitespace in Base64 and hex payloads', () => {
+  const base64 = PDF.toString('base64').replace(/(.{8})/g, '$1\r\n');
+  const hex = PDF.toString('hex').replace(/(.{8})/g, '$1 ');
+
+  assert.equal(decodeEncapsulatedData(edValue(['', 'AP', 'PDF', 'Base64', base64])).data, PDF.toString('base64'));
+  assert.equal(decodeEncapsulatedData(edValue(['', 'AP', 'PDF', 'Hex', hex])).data, PDF.toString('base64'));
+});
+
+test('decodeEncapsulatedData sniffs the MIME type when ED-3 is unknown', () => {
+  const pdf = decodeEncapsulatedData(edValue(['', 'AP', '', 'Base64', PDF.toString('base64')]));
+  const rtf = decodeEncapsulatedData(edValue(['', 'TEXT', '', 'A', '{\\E\\rtf1 Report}']));
+  const text = decodeEncapsulatedData(edValue(['', 'TEXT', '', 'A', 'Plain report']));
+  const binary = decodeEncapsulatedData(edValue(['', 'AP', '', 'Base64', 'AAEC']));
+
+  assert.equal(pdf.mimeType, 'application/pdf');
+  assert.equal(rtf.mimeType, 'application/rtf');
+  assert.equal(text.mimeType, 'text/plain');
+  assert.equal(binary.mimeType, 'application/octet-stream');
+});
+
+test('decodeEncapsulatedData decodes escape sequences in ASCII payloads', () => {
+  const document = decodeEncapsulatedData(edValue(['', 'TEXT', 'RTF', 'A', '{\\E\\rtf1 A\\F\\B}']));
+
+  assert.equal(Buffer.from(document.data, 'base64').toString('utf8'), '{\\rtf1 A|B}');
+  assert.equal(document.encoding, 'A');
+});
+
+test('decodeEncapsulatedData treats a value without components as escaped ASCII', () => {
+  const document = decodeEncapsulatedData('{\\E\\rtf1 Report\\E\\par}');
+
+  assert.equal(document.mimeType, 'application/rtf');
+  assert.equal(document.encoding, 'A');
+  assert.equal(Buffer.from(document.data, 'base64').toString('utf8'), '{\\rtf1 Report\\par}');
+});
+
+test('decodeEncapsulatedData uses the first repetition only', () => {
+  const document = decodeEncapsulatedData([
+    edValue(['', 'AP', 'PDF', 'Base64', PDF.toString('base64')]),
+    edValue(['', 'AP', 'PDF', 'Base64', 'AAEC'])
+  ]);
+
+  assert.equal(document.size, PDF.length);
+});
+
+test('decodeEncapsulatedData returns null when there is no payload', () => {
+  assert.equal(decodeEncapsulatedData(undefined), null);
+  assert.equal(decodeEncapsulatedData(''), null);
+  assert.equal(decodeEncapsulatedData(edValue(['', 'AP', 'PDF', 'Base64', ''])), null);
+});
+
+test('getFileExtension maps MIME types to extensions', () => {
+  assert.equal(getFileExtension('application/pdf'), 'pdf');
+  assert.equal(getFileExtension('image/jpeg'), 'jpg');
+  assert.equal(getFileExtension('text/plain'), 'txt');
+  assert.equal(getFileExtension('application/x-unknown'), 'bin');
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { decodeHL7Text, decodeHL7TextLines } = require('../lab-results/src/utils/decodeHL7Text');
+
+test('decodeHL7Text turns delimiter escapes into the delimiters they stand for', () => {
+  assert.equal(decodeHL7Text('A\\F\\B\\S\\C\\T\\D\\R\\E\\E\\F').text, 'A|B^C&D~E\\F');
+});
+
+test('decodeHL7Text uses the message delimiters from MSH-1 and MSH-2', () => {
+  const delimiters = { fieldSeparator: '#', encodingCharacters: '$%!*' };
+
+  assert.equal(decodeHL7Text('A!F!B!S!C', delimiters).text, 'A#B$C');
+});
+
+test('decodeHL7Text decodes hex data', () => {
+  assert.equal(decodeHL7Text('5 \\XB5\\g/L').text, '5 µg/L');
+});
+
+test('decodeHL7Text renders line breaks and highlighting', () => {
+  assert.deepEqual(decodeHL7Text('Result\\.br\\\\H\\HIGH\\N\\ 5\\S\\10'), {
+    text: 'Result\nHIGH 5^10',
+    html: 'Result<br><strong>HIGH</strong> 5^10'
+  });
+});
+
+test('decodeHL7Text closes highlighting left open at the end of the value', () => {
+  assert.equal(decodeHL7Text('\\H\\CRITICAL').html, '<strong>CRITICAL</strong>');
+});
+
+test('decodeHL7Text applies indentation and skipped lines', () => {
+  assert.equal(decodeHL7Text('Line 1\\.sp 1\\\\.in 2\\Line 2\\.br\\Line 3').text, 'Line 1\n\n  Line 2\n  Line 3');
+  assert.equal(decodeHL7Text('A\\.br\\\\.ti 4\\B\\.br\\C').text, 'A\n    B\nC');
+  assert.equal(decodeHL7Text('A\\.sk 3\\B').text, 'A   B');
+});
+
+test('decodeHL7Text escapes HTML in the HTML rendering only', () => {
+  assert.deepEqual(decodeHL7Text('<5 & >1'), { text: '<5 & >1', html: '&lt;5 &amp; &gt;1' });
+});
+
+test('decodeHL7Text drops unknown escape sequences', () => {
+  assert.equal(decodeHL7Text('A\\Zcustom\\B\\.ce\\C').text, 'ABC');
+});
+
+test('decodeHL7Text returns empty renderings for missing values', () => {
+  assert.deepEqual(decodeHL7Text(undefined), { text: '', html: '' });
+  assert.deepEqual(decodeHL7Text(''), { text: '', html: '' });
+});
+
+test('decodeHL7TextLines joins repetitions as separate lines', () => {
+  assert.deepEqual(decodeHL7TextLines(['First', '', '\\H\\Second\\N\\']), {
+    text: 'First\nSecond',
+    html: 'First<br><strong>Second</strong>'
+  });
+});
+
+test('decodeHL7Text rejoins text that arrived split into components', () => {
+  assert.equal(decodeHL7Text({ 'OBX.5.1': 'Ratio 1', 'OBX.5.2': '2', 'OBX.5.3': '' }).text, 'Ratio 1^2');
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  detectCriticalResults,
+  setCriticalResultRules
+} = require('../lab-results/src/utils/detectCriticalResults');
+const defaultRuleSet = require('../lab-results/src/rules/critical-results.json');
+
+const ruleSet = {
+  version: 'test',
+  defaultFlags: ['HH', 'LL'],
+  rules: [
+    { id: 'potassium', testCode: 'K', low: 2.5, high: 6.2 },
+    { id: 'potassium-bc', profile: 'lifelabs-bc', testCode: 'K', high: 6.0 },
+    { id: 'glucose', loinc: '2345-7', flags: ['H'], high: 25 },
+    { id: 'troponin', testCode: 'TROP', high: 0.1 }
+  ]
+};
+
+const observation = (testCode, value, { abnormalFlag = '', comparator = null, loinc } = {}) => ({
+  observationIdentifier: { identifier: testCode, text: testCode },
+  observationResults: [String(value)],
+  numericResult: typeof value === 'number' ? { value, comparator } : null,
+  abnormalFlag,
+  ...(loinc ? { loinc: { code: loinc } } : {})
+});
+
+const message = (...observations) => ({
+  patients: [
+    {
+      patientIdExternal: [{ id: '123' }],
+      dateOfBirth: '1970-01-01',
+      sex: 'F',
+      orders: [
+        {
+          labResults: [
+            {
+              fillerOrderNumber: 'ACC-1',
+              collectionDateTime: '2026-10-01T08:00:00-04:00',
+              observations
+            }
+          ]
+        }
+      ]
+    }
+  ]
+});
+
+const detect = (parsed, profile = 'lifelabs-on') => detectCriticalResults(parsed, { profile, ruleSet });
+
+test('detectCriticalResults flags results beyond a rule threshold', () => {
+  const parsed = message(observation('K', 6.5), observation('K', 2.1), observation('K', 4.2));
+  const critical = detect(parsed);
+
+  assert.deepEqual(
+    critical.map(({ reason, ruleId, value }) => ({ reason, ruleId, value })),
+    [
+      { reason: 'threshold', ruleId: 'potassium', value: '6.5' },
+      { reason: 'threshold', ruleId: 'potassium', value: '2.1' }
+    ]
+  );
+  assert.deepEqual(parsed.patients[0].orders[0].labResults[0].observations[0].critical, {
+    reason: 'threshold',
+    ruleId: 'potassium'
+  });
+  assert.equal(parsed.patients[0].orders[0].labResults[0].observations[2].critical, undefined);
+});
+
+test('detectCriticalResults does not flag results at a threshold', () => {
+  assert.deepEqual(detect(message(observation('K', 6.2), observation('K', 2.5))), []);
+});
+
+test('detectCriticalResults prefers a rule for the message profile', () => {
+  const [critical] = detect(message(observation('K', 6.1)), 'lifelabs-bc');
+
+  assert.equal(critical.ruleId, 'potassium-bc');
+  assert.deepEqual(detect(message(observation('K', 6.1)), 'lifelabs-on'), []);
+});
+
+test('detectCriticalResults only counts limits when every value they stand for is critical', () => {
+  assert.deepEqual(detect(message(observation('TROP', 0.1, { comparator: '<' }))), []);
+  assert.deepEqual(detect(message(observation('K', 7, { comparator: '<' }))), []);
+  assert.equal(detect(message(observation('TROP', 0.1, { comparator: '>' }))).length, 1);
+  assert.equal(detect(message(observation('K', 2.5, { comparator: '<' }))).length, 1);
+});
+
+test('detectCriticalResults flags default flags for tests without a rule', () => {
+  const [critical] = detect(message(observation('NA', 112, { abnormalFlag: 'LL' })));
+
+  assert.equal(critical.reason, 'flag');
+  assert.equal(critical.ruleId, null);
+  assert.equal(critical.ruleSetVersion, 'test');
+  assert.equal(critical.abnormalFlag, 'LL');
+  assert.equal(critical.fillerOrderNumber, 'ACC-1');
+  assert.deepEqual(critical.patient, {
+    ids: [{ id: '123' }],
+    names: [],
+    dateOfBirth: '1970-01-01',
+    sex: 'F'
+  });
+});
+
+test('detectCriticalResults replaces the default flags with a rule’s flags', () => {
+  const glucose = (value, abnormalFlag) => observation('GLU', value, { abnormalFlag, loinc: '2345-7' });
+
+  assert.deepEqual(detect(message(glucose(20, 'HH'))), []);
+  assert.equal(detect(message(glucose(20, 'H')))[0].reason, 'flag');
+  assert.equal(detect(message(glucose(30, 'H')))[0].ruleId, 'glucose');
+});
+
+test('detectCriticalResults ignores non-numeric results for thresholds', () => {
+  assert.deepEqual(detect(message(observation('K', 'Hemolyzed'))), []);
+});
+
+test('setCriticalResultRules rejects incomplete rule sets', () => {
+  assert.throws(() => setCriticalResultRules({ defaultFlags: [], rules: [] }), /requires a version/);
+  assert.throws(
+    () => setCriticalResultRules({ version: '1', defaultFlags: [], rules: [{ id: 'no-code', high: 5 }] }),
+    /"no-code"/
+  );
+  assert.throws(
+    () =>
+      setCriticalResultRules({ version: '1', defaultFlags: [], rules: [{ id: 'k', testCode: 'K', high: '6' }] }),
+    /numeric thresholds/
+  );
+});
+
+test('setCriticalResultRules replaces the rules used by default', (t) => {
+  t.after(() => setCriticalResultRules(defaultRuleSet));
+
+  setCriticalResultRules(ruleSet);
+
+  assert.equal(detectCriticalResults(message(observation('K', 6.5)), { profile: 'lifelabs-on' }).length, 1);
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeRedis } = require('./helpers/fake-redis');
+const { stubModule } = require('./helpers/stub-module');
+
+// Details of every logged event, in order
+const loggedEvents = [];
+// Arguments of every enqueueCriticalAlerts call; `alertResult` is what it resolves to
+const alertCalls = [];
+let alertResult;
+
+installFakeRedis();
+stubModule('../lib/cloudwatch-logger.js', {
+  logToCloudWatch: async (message, level, details, streamName) => {
+    loggedEvents.push({ ...details, streamName });
+  },
+  initializeCloudWatchLogs: async () => {},
+  redact: (value) => value
+});
+stubModule('../lab-results/lib/critical-alerts.js', {
+  enqueueCriticalAlerts: async (...args) => {
+    alertCalls.push(args);
+    return alertResult;
+  }
+});
+
+const { handleDynacare, LOG_STREAM_NAME } = require('../lab-results/src/services/dynacare-parser');
+const { hashMessageContent } = require('../lab-results/lib/message-ledger');
+
+const gdmlMessage = (msgId, { flag = 'N', value = '4.2' } = {}) =>
+  [
+    `MSH|^~\\&|GDML|DYNACARE|EMR|CLINIC|20261001120000||ORU^R01|${msgId}|P|2.3`,
+    'PID|1||1234567890^^^ON^JHN||DOE^JANE||19700101|F',
+    'ORC|RE',
+    'OBR|1||ACC-1|K^Potassium|||20261001080000|||||||||1234^SMITH^JOHN||||||||F',
+    `OBX|1|NM|K^Potassium||${value}|mmol/L|3.5-5.0|${flag}|||F`
+  ].join('\r');
+
+const xmlUpload = (messages) => ({
+  mimetype: 'application/xml',
+  originalname: 'results.xml',
+  buffer: Buffer.from(
+    `<?xml version="1.0"?><HL7Messages>${messages
+      .map((message, index) => `<Message MsgID="${index + 1}"><![CDATA[${message}]]></Message>`)
+      .join('')}</HL7Messages>`
+  )
+});
+
+async function post({ body = {}, file, query = {} }) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    }
+  };
+
+  await handleDynacare({ body, file, query }, res);
+
+  return res;
+}
+
+test.beforeEach(() => {
+  loggedEvents.length = 0;
+  alertCalls.length = 0;
+  alertResult = { data: [], error: null };
+});
+
+test('handleDynacare parses a single raw message', async () => {
+  const res = await post({ body: { rawHL7String: gdmlMessage('MSG-1') } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.result.profile, 'gdml');
+  assert.equal(res.body.result.messageHeader.messageControlId, 'MSG-1');
+  assert.deepEqual(res.body.failed, []);
+});
+
+test('handleDynacare reports a malformed message without failing the rest of the batch', async () => {
+  const res = await post({ file: xmlUpload([gdmlMessage('MSG-1'), 'not an HL7 message', gdmlMessage('MSG-3')]) });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(
+    res.body.result.map((message) => message.messageHeader.messageControlId),
+    ['MSG-1', 'MSG-3']
+  );
+  assert.deepEqual(res.body.failed, [
+    { msgId: hashMessageContent('not an HL7 message'), error: 'Expected raw data to be HL7' }
+  ]);
+  assert.equal(loggedEvents.at(-1).step, 'messages_rejected');
+});
+
+test('handleDynacare returns null for a single message that fails to parse', async () => {
+  const res = await post({ body: { rawHL7String: 'not an HL7 message' } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.result, null);
+  assert.equal(res.body.failed.length, 1);
+});
+
+test('handleDynacare acknowledges each message with ?ack=hl7', async () => {
+  const res = await post({
+    file: xmlUpload([gdmlMessage('MSG-1'), 'not an HL7 message']),
+    query: { ack: 'hl7' }
+  });
+
+  assert.deepEqual(
+    res.body.acks.map(({ messageControlId, acknowledgementCode }) => ({ messageControlId, acknowledgementCode })),
+    [
+      { messageControlId: 'MSG-1', acknowledgementCode: 'AA' },
+      { messageControlId: '', acknowledgementCode: 'AE' }
+    ]
+  );
+  assert.match(res.body.acks[1].ack, /\rMSA\|AE\|\|Expected raw data to be HL7\r/);
+});
+
+test('handleDynacare alerts on critical results keyed by MSH-10', async () => {
+  alertResult = { data: [{ alertId: 'alert-1', status: 'queued' }], error: null };
+
+  const res = await post({ body: { rawHL7String: gdmlMessage('MSG-1', { flag: 'HH', value: '7.1' }) } });
+
+  assert.equal(alertCalls.length, 1);
+  assert.equal(alertCalls[0][0], 'dynacare');
+  assert.equal(alertCalls[0][1], 'MSG-1');
+  assert.deepEqual(res.body.result.criticalAlerts, {
+    data: [{ alertId: 'alert-1', status: 'queued' }],
+    error: null
+  });
+});
+
+test('handleDynacare reports alerting failures in the same shape', async () => {
+  alertResult = { data: null, error: 'Connection is closed.' };
+
+  const res = await post({ body: { rawHL7String: gdmlMessage('MSG-1', { flag: 'HH', value: '7.1' }) } });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.result.criticalAlerts, { data: null, error: 'Connection is closed.' });
+  assert.equal(loggedEvents.at(-1).step, 'critical_alert_failed');
+  assert.equal(loggedEvents.at(-1).streamName, LOG_STREAM_NAME);
+});
+
+test('handleDynacare logs XML parser warnings instead of printing them', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const file = xmlUpload([gdmlMessage('MSG-1')]);
+  file.buffer = Buffer.from(file.buffer.toString('utf8').replace('MsgID="1"', 'MsgID=1'));
+
+  const res = await post({ file });
+
+  assert.equal(res.body.result.length, 1);
+  assert.equal(console.warn.mock.callCount(), 0);
+  assert.deepEqual(
+    loggedEvents.map(({ step, streamName }) => [step, streamName]),
+    [['xml_parse_warning', LOG_STREAM_NAME]]
+  );
+  assert.match(loggedEvents[0].warning, /missed quot/);
+});
+
+test('handleDynacare requires a file or rawHL7String', async () => {
+  const res = await post({});
+
+  assert.equal(res.statusCode, 400);
+});
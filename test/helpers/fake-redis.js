@@ -0,0 +1,80 @@
+/**
+ * In-memory stand-in for the shared Redis client, covering the commands the lab-results
+ * modules use. `installFakeRedis` must run before those modules are required.
+ */
+const { stubModule } = require('./stub-module');
+
+function createFakeRedis() {
+  const store = new Map();
+  const ttls = new Map();
+
+  const commands = {
+    get: (key) => store.get(key) ?? null,
+    mget: (keys) => keys.map((key) => (typeof store.get(key) === 'string' ? store.get(key) : null)),
+    set: (key, value, mode, seconds) => {
+      store.set(key, String(value));
+      if (mode === 'EX') ttls.set(key, seconds);
+      return 'OK';
+    },
+    del: (key) => {
+      ttls.delete(key);
+      return store.delete(key) ? 1 : 0;
+    },
+    hset: (key, field, value) => {
+      const hash = store.get(key) || {};
+      const added = field in hash ? 0 : 1;
+      store.set(key, { ...hash, [field]: String(value) });
+      return added;
+    },
+    hgetall: (key) => ({ ...(store.get(key) || {}) }),
+    rpush: (key, value) => {
+      const list = [...(store.get(key) || []), String(value)];
+      store.set(key, list);
+      return list.length;
+    },
+    lrange: (key, start, stop) => (store.get(key) || []).slice(start, stop === -1 ? undefined : stop + 1),
+    expire: (key, seconds) => {
+      if (!store.has(key)) return 0;
+      ttls.set(key, seconds);
+      return 1;
+    },
+    ping: () => 'PONG'
+  };
+
+  const client = Object.fromEntries(
+    Object.entries(commands).map(([name, command]) => [name, async (...args) => command(...args)])
+  );
+
+  client.pipeline = () => {
+    const queued = [];
+    const pipeline = Object.fromEntries(
+      Object.entries(commands).map(([name, command]) => [
+        name,
+        (...args) => {
+          queued.push(() => command(...args));
+          return pipeline;
+        }
+      ])
+    );
+
+    pipeline.exec = async () => queued.map((run) => [null, run()]);
+
+    return pipeline;
+  };
+
+  return { client, store, ttls };
+}
+
+/**
+ * Replaces `lib/redis` with a fake client for modules required afterwards.
+ * @returns {{client: Object, store: Map<String, any>, ttls: Map<String, Number>}} The fake client and its data.
+ */
+function installFakeRedis() {
+  const fake = createFakeRedis();
+
+  stubModule('../lib/redis.js', { REDIS_CONFIG: {}, getRedisClient: () => fake.client });
+
+  return fake;
+}
+
+module.exports = { installFakeRedis };
@@ -0,0 +1,17 @@
+const path = require('node:path');
+
+/**
+ * Replaces a repo module for modules required afterwards, e.g. to keep tests off the real
+ * configuration and log transports.
+ * @param {String} relativePath - Module path relative to `test/`, e.g. `../lib/config.js`.
+ * @param {Object} exports - Exports the module should have.
+ * @returns {Object} The stubbed exports.
+ */
+function stubModule(relativePath, exports) {
+  const filename = path.resolve(__dirname, '..', relativePath);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+
+  return exports;
+}
+
+module.exports = { stubModule };
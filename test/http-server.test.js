@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { installFakeRedis } = require("./helpers/fake-redis");
+const { stubModule } = require("./helpers/stub-module");
+
+const redis = installFakeRedis();
+// Outcome of the S3 readiness check
+let bucketAccess;
+
+stubModule("../lib/cloudwatch-logger.js", {
+  logToCloudWatch: async () => {},
+  initializeCloudWatchLogs: async () => {},
+  onLogEvent: () => () => {},
+  redact: (value) => value
+});
+stubModule("../lab-results/lib/checkBucketAccess.js", { checkBucketAccess: async () => bucketAccess });
+stubModule("../lab-results/src/services/dynacare-parser.js", {
+  handleDynacare: (req, res) => res.json({ result: null }),
+  LOG_STREAM_NAME: "dynacare-parser"
+});
+stubModule("../lab-results/src/services/lifelabs-parser.js", {
+  handleLifelabs: (req, res) => res.json({ result: [] })
+});
+
+const { createHttpServer } = require("../lib/http-server");
+const { metrics } = require("../lib/metrics");
+
+async function startServer(t) {
+  const server = createHttpServer({ ingestionApiKey: "test-key" }).listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test.beforeEach(() => {
+  bucketAccess = { data: { bucket: "lab-results" }, error: null };
+});
+
+test("GET /health/live reports the process is up", async (t) => {
+  const baseUrl = await startServer(t);
+
+  const response = await fetch(`${baseUrl}/health/live`);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { status: "ok" });
+});
+
+test("GET /health/ready reports ready when Redis and S3 are up", async (t) => {
+  const baseUrl = await startServer(t);
+
+  const response = await fetch(`${baseUrl}/health/ready`);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.status, "ready");
+  assert.deepEqual(
+    Object.entries(body.checks).map(([name, { status }]) => [name, status]),
+    [["redis", "up"], ["s3", "up"]]
+  );
+});
+
+test("GET /health/ready returns 503 with the failing check when a dependency is down", async (t) => {
+  const baseUrl = await startServer(t);
+  const ping = redis.client.ping;
+  redis.client.ping = async () => {
+    throw new Error("Connection is closed.");
+  };
+  t.after(() => {
+    redis.client.ping = ping;
+  });
+  bucketAccess = { data: null, error: "Access Denied" };
+
+  const response = await fetch(`${baseUrl}/health/ready`);
+  const body = await response.json();
+
+  assert.equal(response.status, 503);
+  assert.equal(body.status, "unavailable");
+  assert.deepEqual(
+    Object.entries(body.checks).map(([name, { status, error }]) => [name, status, error]),
+    [["redis", "down", "Connection is closed."], ["s3", "down", "Access Denied"]]
+  );
+});
+
+test("GET /metrics serves the process metrics in the Prometheus text format without an API key", async (t) => {
+  const baseUrl = await startServer(t);
+  metrics.record({ timestamp: 0, data: { step: "cycle_complete", provider: "lifelabs", jobId: "1" } });
+
+  const response = await fetch(`${baseUrl}/metrics`);
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+  assert.match(await response.text(), /lab_results_cycles_total\{provider="lifelabs",outcome="completed"\} 1/);
+});
+
+test("the ingestion routes require the API key", async (t) => {
+  const baseUrl = await startServer(t);
+  const post = (headers) =>
+    fetch(`${baseUrl}/lab-results/dynacare`, {
+      method: "POST",
+      headers: { "content-type": "application/json", ...headers },
+      body: JSON.stringify({ rawHL7String: "MSH|^~\\&" })
+    });
+
+  assert.equal((await post({})).status, 401);
+  assert.equal((await post({ "x-api-key": "test-key" })).status, 200);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseReferenceRange,
+  parseNumericResult,
+  interpretResult
+} = require('../lab-results/src/utils/interpretResult');
+
+// Interprets a result text against a range text without an abnormal flag
+const interpret = (result, range, valueType = 'ST') =>
+  interpretResult({
+    numericResult: parseNumericResult(result, valueType),
+    referenceRange: parseReferenceRange(range),
+    abnormalFlag: ''
+  })?.value ?? null;
+
+test('parseReferenceRange parses two-sided ranges', () => {
+  assert.deepEqual(parseReferenceRange('3.5-5.0'), { low: 3.5, high: 5, comparator: null, text: '3.5-5.0' });
+  assert.deepEqual(parseReferenceRange('(0.32 to 5.04)'), {
+    low: 0.32,
+    high: 5.04,
+    comparator: null,
+    text: '(0.32 to 5.04)'
+  });
+  assert.deepEqual(parseReferenceRange('-2 - 2'), { low: -2, high: 2, comparator: null, text: '-2 - 2' });
+});
+
+test('parseReferenceRange parses one-sided ranges, including Unicode comparators', () => {
+  assert.deepEqual(parseReferenceRange('<5'), { low: null, high: 5, comparator: '<', text: '<5' });
+  assert.deepEqual(parseReferenceRange('≥ 60'), { low: 60, high: null, comparator: '>=', text: '≥ 60' });
+});
+
+test('parseReferenceRange keeps conditional and reversed ranges as text only', () => {
+  for (const text of ['F: 12-16', 'Adult 3.5-5.0', '5.0-3.5', 'Negative', '']) {
+    assert.deepEqual(parseReferenceRange(text), { low: null, high: null, comparator: null, text });
+  }
+});
+
+test('parseNumericResult parses plain numbers and limits', () => {
+  assert.deepEqual(parseNumericResult('4.2', 'NM'), { value: 4.2, comparator: null });
+  assert.deepEqual(parseNumericResult('<0.1', 'ST'), { value: 0.1, comparator: '<' });
+  assert.deepEqual(parseNumericResult('≤ .5', 'ST'), { value: 0.5, comparator: '<=' });
+});
+
+test('parseNumericResult parses structured numeric values but not ratios or ranges', () => {
+  assert.deepEqual(parseNumericResult({ 'OBX.5.1': '>', 'OBX.5.2': '100' }, 'SN'), { value: 100, comparator: '>' });
+  assert.equal(parseNumericResult({ 'OBX.5.2': '1', 'OBX.5.3': ':', 'OBX.5.4': '40' }, 'SN'), null);
+});
+
+test('parseNumericResult ignores text, coded values and repetitions', () => {
+  assert.equal(parseNumericResult('Positive', 'ST'), null);
+  assert.equal(parseNumericResult('4.2', 'CE'), null);
+  assert.equal(parseNumericResult('4.2', 'TX'), null);
+  assert.equal(parseNumericResult(['4.2', '4.3'], 'NM'), null);
+  assert.equal(parseNumericResult('', 'NM'), null);
+});
+
+test('interpretResult computes where a result falls against a two-sided range', () => {
+  assert.equal(interpret('3.4', '3.5-5.0'), 'low');
+  assert.equal(interpret('3.5', '3.5-5.0'), 'normal');
+  assert.equal(interpret('5.0', '3.5-5.0'), 'normal');
+  assert.equal(interpret('5.1', '3.5-5.0'), 'high');
+});
+
+test('interpretResult treats the limit of a strict one-sided range as outside it', () => {
+  assert.equal(interpret('4.9', '<5'), 'normal');
+  assert.equal(interpret('5', '<5'), 'high');
+  assert.equal(interpret('5', '<=5'), 'normal');
+  assert.equal(interpret('60', '>60'), 'low');
+  assert.equal(interpret('60', '>=60'), 'normal');
+});
+
+test('interpretResult interprets a reported limit only when every value it stands for agrees', () => {
+  assert.equal(interpret('<0.1', '<5'), 'normal');
+  assert.equal(interpret('<5', '<5'), 'normal');
+  assert.equal(interpret('<=5', '<5'), null);
+  assert.equal(interpret('<3', '3.5-5.0'), 'low');
+  assert.equal(interpret('<4', '3.5-5.0'), null);
+  assert.equal(interpret('>100', '0.32-5.04'), 'high');
+  assert.equal(interpret('>=5', '3.5-5.0'), null);
+});
+
+test('interpretResult does not compute an interpretation without a usable range or number', () => {
+  assert.equal(interpret('4.2', 'F: 12-16'), null);
+  assert.equal(interpret('Positive', '3.5-5.0'), null);
+  assert.equal(interpretResult({ numericResult: { value: 4.2, comparator: null }, referenceRange: null, abnormalFlag: '' }), null);
+});
+
+test('interpretResult prefers the abnormal flag from the lab', () => {
+  const numericResult = parseNumericResult('4.2', 'NM');
+  const referenceRange = parseReferenceRange('3.5-5.0');
+
+  assert.deepEqual(interpretResult({ numericResult, referenceRange, abnormalFlag: 'hh' }), {
+    value: 'high',
+    source: 'OBX-8'
+  });
+  assert.deepEqual(interpretResult({ numericResult: null, referenceRange: null, abnormalFlag: '<' }), {
+    value: 'low',
+    source: 'OBX-8'
+  });
+  assert.deepEqual(interpretResult({ numericResult, referenceRange, abnormalFlag: '' }), {
+    value: 'normal',
+    source: 'computed'
+  });
+});
+
+test('interpretResult leaves results with an unknown abnormal flag uninterpreted', () => {
+  const numericResult = parseNumericResult('6.1', 'NM');
+
+  assert.equal(interpretResult({ numericResult, referenceRange: parseReferenceRange('3.5-5.0'), abnormalFlag: 'B' }), null);
+});
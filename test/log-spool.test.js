@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+
+const { createLogSpool } = require("../lib/log-spool");
+
+const events = (count, offset = 0) =>
+  Array.from({ length: count }, (_, index) => ({ timestamp: index + offset, message: `event ${index + offset}` }));
+
+const messages = (batches) => batches.flat().map(({ message }) => message);
+
+async function createTempSpool(t, options = {}) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "log-spool-"));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+
+  return { directory, spool: createLogSpool({ directory, ...options }) };
+}
+
+function createTransport(send = async () => {}) {
+  const transport = {
+    name: "memory",
+    batches: [],
+    async send(batch) {
+      transport.batches.push(batch);
+      return send(batch, transport.batches.length);
+    }
+  };
+
+  return transport;
+}
+
+test("the spool replays written events in order and clears itself", async (t) => {
+  const { spool } = await createTempSpool(t);
+  const transport = createTransport();
+
+  await spool.write("memory", events(2));
+  await spool.write("memory", events(1, 2));
+
+  assert.equal(await spool.hasPending("memory"), true);
+  assert.equal(await spool.replay(transport), 3);
+  assert.deepEqual(messages(transport.batches), ["event 0", "event 1", "event 2"]);
+  assert.equal(await spool.hasPending("memory"), false);
+});
+
+test("the spool replays in batches and keeps the events of a failed batch and those after it", async (t) => {
+  const { spool } = await createTempSpool(t);
+  const transport = createTransport(async (batch, call) => {
+    if (call === 2) throw new Error("Throttled");
+  });
+
+  await spool.write("memory", events(1200));
+
+  assert.equal(await spool.replay(transport), 500);
+  assert.deepEqual(transport.batches.map((batch) => batch.length), [500, 500]);
+
+  const retry = createTransport();
+  assert.equal(await spool.replay(retry), 700);
+  assert.deepEqual(messages(retry.batches), messages([events(700, 500)]));
+});
+
+test("the spool doesn't send events again that the transport delivered or dropped", async (t) => {
+  const { spool } = await createTempSpool(t);
+  const transport = createTransport(async (batch) => {
+    throw Object.assign(new Error("1 of 3 log events were not delivered"), { undeliveredEvents: [batch[1]] });
+  });
+
+  await spool.write("memory", events(3));
+
+  assert.equal(await spool.replay(transport), 2);
+
+  const retry = createTransport();
+  await spool.replay(retry);
+
+  assert.deepEqual(messages(retry.batches), ["event 1"]);
+});
+
+test("the spool drops new events once it is full", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const { spool } = await createTempSpool(t, { maxSpoolBytes: 10 });
+  const transport = createTransport();
+
+  await spool.write("memory", events(1));
+  await spool.write("memory", events(1, 1));
+  await spool.replay(transport);
+
+  assert.deepEqual(messages(transport.batches), ["event 0"]);
+});
+
+test("the spool recovers a replay interrupted by a restart", async (t) => {
+  const { directory, spool } = await createTempSpool(t);
+  const transport = createTransport();
+
+  await fs.writeFile(path.join(directory, "memory.jsonl.replay"), `${JSON.stringify(events(1)[0])}\n`);
+  await spool.write("memory", events(1, 1));
+  await spool.replay(transport);
+
+  assert.deepEqual(messages(transport.batches).sort(), ["event 0", "event 1"]);
+  assert.equal(await spool.hasPending("memory"), false);
+});
+
+test("the spool runs one replay per transport at a time", async (t) => {
+  const { spool } = await createTempSpool(t);
+  let release;
+  const transport = createTransport(() => new Promise((resolve) => (release = resolve)));
+
+  await spool.write("memory", events(1));
+
+  const first = spool.replay(transport);
+  while (!release) await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(await spool.replay(transport), 0);
+
+  release();
+  assert.equal(await first, 1);
+});
@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createLogger } = require("../lib/logger");
+
+// Spool that records what it is asked to do instead of writing to disk
+function createMemorySpool({ pending = false } = {}) {
+  return {
+    writes: [],
+    replays: 0,
+    async write(transportName, events) {
+      this.writes.push({ transportName, events });
+    },
+    async hasPending() {
+      return pending;
+    },
+    async replay() {
+      this.replays += 1;
+      return 0;
+    }
+  };
+}
+
+function createTransport(send = async () => {}) {
+  const transport = {
+    name: "memory",
+    batches: [],
+    async send(events) {
+      transport.batches.push(events);
+      return send(events);
+    }
+  };
+
+  return transport;
+}
+
+const event = (message, data = {}) => ({
+  timestamp: Date.now(),
+  level: "INFO",
+  message,
+  data,
+  streamName: "test"
+});
+
+test("the logger flushes when the buffer reaches the batch size", async () => {
+  const transport = createTransport();
+  const logger = createLogger({ transports: [transport], maxBatchSize: 2, spool: createMemorySpool() });
+
+  logger.log(event("first"));
+  assert.equal(transport.batches.length, 0);
+
+  logger.log(event("second"));
+  await logger.flush();
+
+  assert.deepEqual(transport.batches.map((batch) => batch.map(({ message }) => message)), [["first", "second"]]);
+});
+
+test("the logger flushes buffered events after the flush interval", async () => {
+  const transport = createTransport();
+  const logger = createLogger({ transports: [transport], flushIntervalMs: 5, spool: createMemorySpool() });
+
+  logger.log(event("waiting"));
+  await new Promise((resolve) => setTimeout(resolve, 20));
+
+  assert.equal(transport.batches.length, 1);
+});
+
+test("the logger redacts and snapshots events before buffering them", async () => {
+  const transport = createTransport();
+  const logger = createLogger({
+    transports: [transport],
+    spool: createMemorySpool(),
+    redact: (value) => (typeof value === "string" ? value.replace("secret", "[REDACTED]") : value)
+  });
+  const data = { step: "fetch" };
+
+  logger.log(event("token secret", data));
+  data.step = "changed";
+  await logger.flush();
+
+  assert.equal(transport.batches[0][0].message, "token [REDACTED]");
+  assert.deepEqual(transport.batches[0][0].data, { step: "fetch" });
+});
+
+test("the logger calls listeners with every event and survives failing ones", (t) => {
+  t.mock.method(console, "error", () => {});
+  const logger = createLogger({ transports: [], spool: createMemorySpool() });
+  const received = [];
+
+  logger.subscribe(() => {
+    throw new Error("listener failed");
+  });
+  const unsubscribe = logger.subscribe((logged) => received.push(logged.message));
+
+  logger.log(event("first"));
+  unsubscribe();
+  logger.log(event("second"));
+
+  assert.deepEqual(received, ["first"]);
+});
+
+test("the logger spools events a transport failed to deliver", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const spool = createMemorySpool({ pending: true });
+  const transport = createTransport(async () => {
+    throw new Error("Throttled");
+  });
+  const logger = createLogger({ transports: [transport], spool });
+
+  logger.log(event("first"));
+  logger.log(event("second"));
+  await logger.flush();
+
+  assert.deepEqual(spool.writes.map(({ transportName, events }) => [transportName, events.length]), [["memory", 2]]);
+  assert.equal(spool.replays, 0);
+});
+
+test("the logger spools only the events a transport reports as undelivered", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const spool = createMemorySpool();
+  const transport = createTransport(async (events) => {
+    throw Object.assign(new Error("1 of 2 log events were not delivered"), { undeliveredEvents: events.slice(1) });
+  });
+  const logger = createLogger({ transports: [transport], spool });
+
+  logger.log(event("delivered"));
+  logger.log(event("undelivered"));
+  await logger.flush();
+
+  assert.deepEqual(spool.writes[0].events.map(({ message }) => message), ["undelivered"]);
+});
+
+test("the logger replays spooled events after a successful delivery", async () => {
+  const spool = createMemorySpool({ pending: true });
+  const logger = createLogger({ transports: [createTransport()], spool });
+
+  logger.log(event("first"));
+  await logger.flush();
+
+  assert.equal(spool.replays, 1);
+  assert.deepEqual(spool.writes, []);
+});
+
+test("the logger initializes streams on transports that need it", async () => {
+  const initialized = [];
+  const transport = { ...createTransport(), initialize: async (streamName) => initialized.push(streamName) };
+  const logger = createLogger({ transports: [transport, createTransport()], spool: createMemorySpool() });
+
+  await logger.initialize("dynacare-parser");
+
+  assert.deepEqual(initialized, ["dynacare-parser"]);
+});
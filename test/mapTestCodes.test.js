@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const parseHL7Message = require('../lab-results/src/utils/parseHL7Message');
+const parseEMRHL7Message = require('../lab-results/src/utils/parseEMRHL7Message');
+const {
+  mapTestCodes,
+  registerMappingTable,
+  getMappingTable
+} = require('../lab-results/src/utils/mapTestCodes');
+
+const TABLE = registerMappingTable({
+  name: 'test-lab',
+  version: '2026-10-01',
+  mappings: {
+    K: { code: '2823-3', display: 'Potassium [Moles/volume] in Serum or Plasma', units: 'mmol/L' },
+    NA: { code: '2951-2' }
+  }
+});
+
+const message = (version, ...observations) =>
+  [
+    `MSH|^~\\&|LAB|FACILITY|EMR|CLINIC|20261001120000||ORU^R01|MSG-1|P|${version}`,
+    'PID|1||1234567890^^^ON^JHN||DOE^JANE||19700101|F',
+    'ORC|RE',
+    'OBR|1||ACC-1|PANEL^Panel|||20261001080000|||||||||1234^SMITH^JOHN|||||||||F',
+    ...observations.map((identifier, index) => `OBX|${index + 1}|NM|${identifier}||4.2|mmol/L|||||F`)
+  ].join('\r');
+
+const observationsOf = (parsed) => parsed.patients[0].orders[0].labResults[0].observations;
+
+test('mapTestCodes annotates GDML observations with the LOINC code of their lab code', () => {
+  const parsed = parseHL7Message(message('2.3', 'K^Potassium', 'NA^Sodium'));
+
+  const report = mapTestCodes(parsed, 'test-lab');
+
+  assert.deepEqual(report, { table: 'test-lab', version: '2026-10-01', mapped: 2, unmapped: [] });
+  assert.deepEqual(
+    observationsOf(parsed).map(({ loinc }) => loinc),
+    [
+      {
+        code: '2823-3',
+        display: 'Potassium [Moles/volume] in Serum or Plasma',
+        units: 'mmol/L',
+        source: 'test-lab@2026-10-01'
+      },
+      { code: '2951-2', source: 'test-lab@2026-10-01' }
+    ]
+  );
+});
+
+test('mapTestCodes annotates EMR observations the same way', () => {
+  const parsed = parseEMRHL7Message(message('2.3.1', 'K^Potassium^L'));
+
+  assert.equal(mapTestCodes(parsed, 'test-lab').mapped, 1);
+  assert.equal(observationsOf(parsed)[0].loinc.code, '2823-3');
+});
+
+test('mapTestCodes reports each unmapped lab code once', () => {
+  const parsed = parseHL7Message(message('2.3', 'K^Potassium', 'GLU^Glucose', 'GLU^Glucose'));
+
+  const report = mapTestCodes(parsed, 'test-lab');
+
+  assert.equal(report.mapped, 1);
+  assert.deepEqual(report.unmapped, [{ code: 'GLU', text: 'Glucose', codingSystem: '' }]);
+  assert.equal(observationsOf(parsed)[1].loinc, undefined);
+});
+
+test('mapTestCodes keeps LOINC codes the lab sent itself', () => {
+  const emr = parseEMRHL7Message(message('2.3.1', '14749-6^Glucose^LN'));
+  const gdml = parseHL7Message(message('2.3', 'GLU^Glucose^^2345-7^Glucose SerPl-mCnc^LN'));
+
+  assert.equal(mapTestCodes(emr, 'test-lab').mapped, 1);
+  assert.deepEqual(observationsOf(emr)[0].loinc, { code: '14749-6', display: 'Glucose', source: 'OBX-3' });
+
+  assert.deepEqual(mapTestCodes(gdml, 'test-lab').unmapped, []);
+  assert.deepEqual(observationsOf(gdml)[0].loinc, { code: '2345-7', display: 'Glucose SerPl-mCnc', source: 'OBX-3' });
+});
+
+test('mapTestCodes does not map codes that only match inherited object keys', () => {
+  const parsed = parseHL7Message(message('2.3', 'constructor^Constructor'));
+
+  assert.deepEqual(mapTestCodes(parsed, 'test-lab').unmapped.map(({ code }) => code), ['constructor']);
+});
+
+test('mapTestCodes rejects tables that are not registered', () => {
+  assert.throws(() => mapTestCodes(parseHL7Message(message('2.3')), 'unknown'), {
+    message: 'Mapping table "unknown" is not registered'
+  });
+});
+
+test('registerMappingTable validates tables and replaces tables with the same name', (t) => {
+  assert.throws(() => registerMappingTable({ name: 'broken', mappings: {} }), /requires a name, a version/);
+  assert.throws(
+    () => registerMappingTable({ name: 'broken', version: '1', mappings: { K: { display: 'Potassium' } } }),
+    { message: 'Mapping table "broken" has no LOINC code for "K"' }
+  );
+
+  t.after(() => registerMappingTable(TABLE));
+  const updated = registerMappingTable({ ...TABLE, version: '2026-11-01' });
+
+  assert.equal(getMappingTable('test-lab'), updated);
+  assert.equal(mapTestCodes(parseHL7Message(message('2.3', 'K^Potassium')), 'test-lab').version, '2026-11-01');
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeRedis } = require('./helpers/fake-redis');
+
+const { client, store, ttls } = installFakeRedis();
+
+const {
+  classifyMessages,
+  recordDeliveredMessages,
+  recordQuarantinedMessages,
+  hashMessageContent,
+  MESSAGE_STATUS
+} = require('../lab-results/lib/message-ledger');
+
+const MESSAGE = 'MSH|^~\\&|LAB|||||20261001||ORU^R01|MSG-1|P|2.3\rOBR|1||ACC-1\rOBX|1|NM|K||4.2';
+
+test.beforeEach(() => {
+  store.clear();
+  ttls.clear();
+});
+
+test('hashMessageContent ignores line-ending differences', () => {
+  assert.equal(hashMessageContent(MESSAGE), hashMessageContent(MESSAGE.replace(/\r/g, '\r\n')));
+  assert.equal(hashMessageContent(MESSAGE), hashMessageContent(`${MESSAGE.replace(/\r/g, '\n')}\n`));
+  assert.notEqual(hashMessageContent(MESSAGE), hashMessageContent(MESSAGE.replace('4.2', '4.3')));
+});
+
+test('classifyMessages marks unseen messages as new', async () => {
+  const { data, error } = await classifyMessages('lifelabs', [{ id: 'MSG-1', content: MESSAGE }]);
+
+  assert.equal(error, null);
+  assert.deepEqual(data, [
+    {
+      id: 'MSG-1',
+      content: MESSAGE,
+      hash: hashMessageContent(MESSAGE),
+      status: MESSAGE_STATUS.NEW,
+      quarantined: null
+    }
+  ]);
+});
+
+test('classifyMessages recognizes duplicate and updated re-sends of delivered messages', async () => {
+  const { data: classified } = await classifyMessages('lifelabs', [{ id: 'MSG-1', content: MESSAGE }]);
+  await recordDeliveredMessages('lifelabs', classified);
+
+  const { data } = await classifyMessages('lifelabs', [
+    { id: 'MSG-1', content: MESSAGE.replace(/\r/g, '\n') },
+    { id: 'MSG-1', content: MESSAGE.replace('4.2', '4.3') }
+  ]);
+
+  assert.deepEqual(
+    data.map((message) => message.status),
+    [MESSAGE_STATUS.DUPLICATE, MESSAGE_STATUS.UPDATED]
+  );
+});
+
+test('classifyMessages keeps sources apart', async () => {
+  const { data: classified } = await classifyMessages('lifelabs', [{ id: 'MSG-1', content: MESSAGE }]);
+  await recordDeliveredMessages('lifelabs', classified);
+
+  const { data } = await classifyMessages('dynacare', [{ id: 'MSG-1', content: MESSAGE }]);
+
+  assert.equal(data[0].status, MESSAGE_STATUS.NEW);
+});
+
+test('classifyMessages keys messages without a MsgID by their content hash', async () => {
+  const { data } = await classifyMessages('dynacare', [{ id: '', content: MESSAGE }]);
+
+  assert.equal(data[0].id, hashMessageContent(MESSAGE));
+
+  await recordDeliveredMessages('dynacare', data);
+  const { data: resent } = await classifyMessages('dynacare', [{ id: '', content: MESSAGE }]);
+
+  assert.equal(resent[0].status, MESSAGE_STATUS.DUPLICATE);
+});
+
+test('recordDeliveredMessages stores hashes with an expiry', async () => {
+  const { data: classified } = await classifyMessages('lifelabs', [{ id: 'MSG-1', content: MESSAGE }]);
+  const { data, error } = await recordDeliveredMessages('lifelabs', classified);
+
+  assert.equal(error, null);
+  assert.equal(data, 1);
+  assert.equal(store.get('lab-results:ledger:lifelabs:MSG-1'), hashMessageContent(MESSAGE));
+  assert.ok(ttls.get('lab-results:ledger:lifelabs:MSG-1') > 0);
+});
+
+test('quarantined messages are processed again when re-sent', async () => {
+  const { data: classified } = await classifyMessages('lifelabs', [{ id: 'MSG-1', content: MESSAGE }]);
+  await recordQuarantinedMessages('lifelabs', [
+    { ...classified[0], quarantineKey: 'quarantine/lifelabs/MSG-1.hl7' }
+  ]);
+
+  const { data } = await classifyMessages('lifelabs', [{ id: 'MSG-1', content: MESSAGE }]);
+
+  assert.equal(data[0].status, MESSAGE_STATUS.NEW);
+  assert.equal(data[0].quarantined.hash, hashMessageContent(MESSAGE));
+  assert.equal(data[0].quarantined.quarantineKey, 'quarantine/lifelabs/MSG-1.hl7');
+  assert.match(data[0].quarantined.quarantinedAt, /^\d{4}-\d{2}-\d{2}T/);
+});
+
+test('delivering a quarantined message clears its quarantine', async () => {
+  const { data: classified } = await classifyMessages('lifelabs', [{ id: 'MSG-1', content: MESSAGE }]);
+  await recordQuarantinedMessages('lifelabs', [{ ...classified[0], quarantineKey: 'quarantine/MSG-1.hl7' }]);
+  await recordDeliveredMessages('lifelabs', classified);
+
+  const { data } = await classifyMessages('lifelabs', [{ id: 'MSG-1', content: MESSAGE }]);
+
+  assert.equal(data[0].status, MESSAGE_STATUS.DUPLICATE);
+  assert.equal(data[0].quarantined, null);
+});
+
+test('classifyMessages returns the Redis error instead of throwing', async (t) => {
+  t.mock.method(client, 'mget', async () => {
+    throw new Error('Connection is closed.');
+  });
+
+  assert.deepEqual(await classifyMessages('lifelabs', [{ id: 'MSG-1', content: MESSAGE }]), {
+    data: null,
+    error: 'Connection is closed.'
+  });
+});
+
+test('the ledger skips Redis for empty batches', async () => {
+  assert.deepEqual(await classifyMessages('lifelabs', []), { data: [], error: null });
+  assert.deepEqual(await recordDeliveredMessages('lifelabs', []), { data: 0, error: null });
+  assert.deepEqual(await recordQuarantinedMessages('lifelabs', []), { data: 0, error: null });
+});
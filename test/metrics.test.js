@@ -0,0 +1,162 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { stubModule } = require("./helpers/stub-module");
+
+stubModule("../lib/cloudwatch-logger.js", { onLogEvent: () => () => {} });
+
+const { createMetrics } = require("../lib/metrics");
+
+const HOUR_MS = 1000 * 60 * 60;
+
+const step = (step, data = {}, timestamp = 0) => ({
+  timestamp,
+  level: "INFO",
+  message: step,
+  data: { step, provider: "lifelabs", jobId: "1", ...data },
+  streamName: "scheduled-tasks-lifelabs"
+});
+
+// Sample lines of the rendered metrics, without HELP and TYPE comments
+async function samples(metrics) {
+  return (await metrics.render()).split("\n").filter((line) => line && !line.startsWith("#"));
+}
+
+test("metrics count cycles by outcome and time them from their start", async () => {
+  const metrics = createMetrics();
+
+  metrics.record(step("cycle_start", {}, 1000));
+  metrics.record(step("cycle_complete", {}, 4000));
+  metrics.record(step("cycle_start", { jobId: "2" }, 10000));
+  metrics.record(step("integration_error", { jobId: "2" }, 11000));
+
+  assert.deepEqual(await samples(metrics), [
+    'lab_results_cycles_total{provider="lifelabs",outcome="completed"} 1',
+    'lab_results_cycles_total{provider="lifelabs",outcome="failed"} 1',
+    'lab_results_last_successful_cycle_timestamp_seconds{provider="lifelabs"} 4',
+    'lab_results_cycle_duration_seconds_sum{provider="lifelabs"} 4',
+    'lab_results_cycle_duration_seconds_count{provider="lifelabs"} 2',
+    'lab_results_last_cycle_duration_seconds{provider="lifelabs"} 1'
+  ]);
+});
+
+test("metrics count a failed fetch once, as the outcome of its cycle", async () => {
+  const metrics = createMetrics();
+
+  metrics.record(step("cycle_start", {}, 0));
+  metrics.record(step("fetch_failed", {}, 1000));
+  metrics.record(step("integration_error", {}, 2000));
+
+  const lines = await samples(metrics);
+
+  assert.deepEqual(lines.filter((line) => line.startsWith("lab_results_cycles_total")), [
+    'lab_results_cycles_total{provider="lifelabs",outcome="fetch_failed"} 1'
+  ]);
+  assert.ok(lines.includes('lab_results_last_cycle_duration_seconds{provider="lifelabs"} 2'));
+});
+
+test("metrics restart the timing of a retried cycle", async () => {
+  const metrics = createMetrics();
+
+  metrics.record(step("cycle_start", {}, 0));
+  metrics.record(step("cycle_start", {}, 5000));
+  metrics.record(step("cycle_complete", {}, 6000));
+
+  assert.ok((await samples(metrics)).includes('lab_results_last_cycle_duration_seconds{provider="lifelabs"} 1'));
+});
+
+test("metrics forget cycles that never ended", async () => {
+  const metrics = createMetrics();
+
+  metrics.record(step("cycle_start", { jobId: "lost" }, 0));
+  metrics.record(step("cycle_start", { jobId: "next" }, 2 * HOUR_MS));
+  // A late end of the forgotten cycle is counted but not timed
+  metrics.record(step("integration_error", { jobId: "lost" }, 2 * HOUR_MS));
+
+  const lines = await samples(metrics);
+
+  assert.ok(lines.includes('lab_results_cycles_total{provider="lifelabs",outcome="failed"} 1'));
+  assert.equal(lines.some((line) => line.startsWith("lab_results_cycle_duration_seconds")), false);
+});
+
+test("metrics track a bounded number of open cycles", async () => {
+  const metrics = createMetrics();
+
+  for (let jobId = 0; jobId <= 1000; jobId += 1) {
+    metrics.record(step("cycle_start", { jobId: String(jobId) }, jobId));
+  }
+  metrics.record(step("cycle_complete", { jobId: "0" }, 2000));
+  metrics.record(step("cycle_complete", { jobId: "1000" }, 2000));
+
+  assert.ok((await samples(metrics)).includes('lab_results_cycle_duration_seconds_count{provider="lifelabs"} 1'));
+});
+
+test("metrics count acknowledgements, messages and notification failures", async () => {
+  const metrics = createMetrics();
+
+  metrics.record(step("acknowledge_success", { ackOutcome: "positive" }));
+  metrics.record(step("acknowledge_negative", { ackOutcome: "negative" }));
+  metrics.record(
+    step("parsing_complete", {
+      service: "lifelabs-parser",
+      parsedMessageCount: 3,
+      messageCounts: { updated: 1, duplicate: 2 }
+    })
+  );
+  // The scheduler's parsing_complete carries no counts
+  metrics.record(step("parsing_complete"));
+  metrics.record(step("messages_quarantined", { service: "lifelabs-parser", failed: [{}, {}] }));
+  metrics.record(step("notification_failed"));
+  metrics.record(step("webhook_retry"));
+  metrics.record(step("webhook_undelivered"));
+
+  assert.deepEqual(await samples(metrics), [
+    'lab_results_acknowledgements_total{provider="lifelabs",outcome="positive"} 1',
+    'lab_results_acknowledgements_total{provider="lifelabs",outcome="negative"} 1',
+    'lab_results_messages_total{service="lifelabs-parser",status="parsed"} 3',
+    'lab_results_messages_total{service="lifelabs-parser",status="updated"} 1',
+    'lab_results_messages_total{service="lifelabs-parser",status="duplicate"} 2',
+    'lab_results_messages_total{service="lifelabs-parser",status="quarantined"} 2',
+    'lab_results_notification_failures_total{stage="queue"} 1',
+    'lab_results_notification_failures_total{stage="delivery"} 1',
+    'lab_results_notification_failures_total{stage="undelivered"} 1'
+  ]);
+});
+
+test("metrics render job counts of registered queues and mark unreadable queues down", async () => {
+  const metrics = createMetrics();
+
+  metrics.registerQueue({
+    name: "lifelabs",
+    getJobCounts: async () => ({ waiting: 1, active: 2, delayed: 0, failed: 3, completed: 4, paused: 0 })
+  });
+  metrics.registerQueue({
+    name: "webhooks",
+    getJobCounts: async () => {
+      throw new Error("Connection is closed.");
+    }
+  });
+
+  assert.deepEqual(await samples(metrics), [
+    'lab_results_queue_jobs{queue="lifelabs",state="waiting"} 1',
+    'lab_results_queue_jobs{queue="lifelabs",state="active"} 2',
+    'lab_results_queue_jobs{queue="lifelabs",state="delayed"} 0',
+    'lab_results_queue_jobs{queue="lifelabs",state="failed"} 3',
+    'lab_results_queue_jobs{queue="lifelabs",state="completed"} 4',
+    'lab_results_queue_jobs{queue="lifelabs",state="paused"} 0',
+    'lab_results_queue_up{queue="lifelabs"} 1',
+    'lab_results_queue_up{queue="webhooks"} 0'
+  ]);
+});
+
+test("metrics render HELP and TYPE lines and escape label values", async () => {
+  const metrics = createMetrics();
+
+  metrics.record(step("cycle_start", { provider: 'lab "north"' }));
+  metrics.record(step("cycle_complete", { provider: 'lab "north"' }));
+
+  const text = await metrics.render();
+
+  assert.match(text, /^# HELP lab_results_cycles_total Polling cycles by outcome\.\n# TYPE lab_results_cycles_total counter\n/);
+  assert.match(text, /lab_results_cycles_total\{provider="lab \\"north\\"",outcome="completed"\} 1/);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const parseEMRHL7Message = require('../lab-results/src/utils/parseEMRHL7Message');
+
+const MSH = 'MSH|^~\\&|LIFELABS|LIFELABS|EMR|CLINIC|20261001120000||ORU^R01|LL-1|P|2.3.1';
+
+const message = (...segments) => [MSH, ...segments].join('\r');
+
+const order = (accession, testCode, value) => [
+  `OBR|1||${accession}|${testCode}^${testCode}|||20261001080000|||||||||1234^SMITH^J|||||||||F`,
+  `OBX|1|ST|${testCode}^${testCode}^L||${value}||||||F`
+];
+
+// Accession numbers and results per patient, in order
+const summarize = ({ patients }) =>
+  patients.map((patient) => ({
+    name: patient.names[0].familyName,
+    results: patient.orders.flatMap((patientOrder) =>
+      patientOrder.labResults.map((labResult) => [
+        labResult.fillerOrderNumber,
+        labResult.observations.flatMap((observation) => observation.observationResults)
+      ])
+    )
+  }));
+
+test('parseEMRHL7Message keeps the results of each patient of a message apart', () => {
+  const parsed = parseEMRHL7Message(
+    message(
+      'PID|1||1111111111^^^ON^JHN||DOE^JANE||19700101|F',
+      'ORC|RE',
+      ...order('ACC-1', 'TSH', '2.1'),
+      ...order('ACC-2', 'K', '4.2'),
+      'PID|2||2222222222^^^ON^JHN||ROE^RICHARD||19800101|M',
+      ...order('ACC-3', 'NA', '140')
+    )
+  );
+
+  assert.deepEqual(summarize(parsed), [
+    { name: 'DOE', results: [['ACC-1', ['2.1']], ['ACC-2', ['4.2']]] },
+    { name: 'ROE', results: [['ACC-3', ['140']]] }
+  ]);
+});
+
+test('parseEMRHL7Message starts a new order for an OBR without an ORC after a new patient', () => {
+  const parsed = parseEMRHL7Message(
+    message(
+      'PID|1||1111111111^^^ON^JHN||DOE^JANE||19700101|F',
+      'ORC|RE',
+      ...order('ACC-1', 'TSH', '2.1'),
+      'PID|2||2222222222^^^ON^JHN||ROE^RICHARD||19800101|M',
+      ...order('ACC-2', 'K', '4.2')
+    )
+  );
+
+  assert.equal(parsed.patients[0].orders.length, 1);
+  assert.deepEqual(
+    parsed.patients[1].orders.map(({ labResults }) => labResults.map(({ fillerOrderNumber }) => fillerOrderNumber)),
+    [['ACC-2']]
+  );
+});
+
+test('parseEMRHL7Message returns no patients for a message without a PID', () => {
+  assert.deepEqual(parseEMRHL7Message(message('NTE|1|L|Unattached note')).patients, []);
+});
+
+test('parseEMRHL7Message rejects order segments before any PID', () => {
+  assert.throws(
+    () => parseEMRHL7Message(message('ORC|RE', 'PID|1||1111111111^^^ON^JHN||DOE^JANE')),
+    { message: 'Unexpected ORC at segment 2: no PID for the same patient precedes it' }
+  );
+  assert.throws(
+    () => parseEMRHL7Message(message(...order('ACC-1', 'TSH', '2.1'))),
+    /Unexpected OBR at segment 2/
+  );
+});
+
+test('parseEMRHL7Message does not attach results to the previous patient\'s order', () => {
+  assert.throws(
+    () =>
+      parseEMRHL7Message(
+        message(
+          'PID|1||1111111111^^^ON^JHN||DOE^JANE||19700101|F',
+          ...order('ACC-1', 'TSH', '2.1'),
+          'PID|2||2222222222^^^ON^JHN||ROE^RICHARD||19800101|M',
+          'OBX|1|ST|K^K^L||4.2||||||F'
+        )
+      ),
+    { message: 'Unexpected OBX at segment 6: no OBR for the same patient precedes it' }
+  );
+});
+
+test('parseEMRHL7Message attaches notes to the segment they follow and decodes their escapes', () => {
+  const parsed = parseEMRHL7Message(
+    message(
+      'PID|1||1111111111^^^ON^JHN||DOE^JANE||19700101|F',
+      'NTE|1|L|Patient note',
+      ...order('ACC-1', 'TSH', '2.1'),
+      'NTE|1|L|Fasting\\F\\non\\T\\fasting'
+    )
+  );
+  const [patient] = parsed.patients;
+
+  assert.deepEqual(patient.notes.map(({ comment }) => comment), ['Patient note']);
+  assert.deepEqual(patient.orders[0].labResults[0].observations[0].notes, [
+    { setId: '1', sourceOfComment: 'L', comment: 'Fasting|non&fasting', commentHtml: 'Fasting|non&amp;fasting' }
+  ]);
+});
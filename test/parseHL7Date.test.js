@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseHL7Date, createDateFormatter } = require('../lab-results/src/utils/parseHL7Date');
+
+test('parseHL7Date keeps the precision of dates sent without a time', () => {
+  assert.deepEqual(parseHL7Date('2019'), { value: '2019', precision: 'year', warning: null });
+  assert.deepEqual(parseHL7Date('201907'), { value: '2019-07', precision: 'month', warning: null });
+  assert.deepEqual(parseHL7Date('20190709'), { value: '2019-07-09', precision: 'day', warning: null });
+});
+
+test('parseHL7Date applies the time zone offset in effect on the date', () => {
+  assert.equal(parseHL7Date('20190709151359', { timeZone: 'America/Toronto' }).value, '2019-07-09T15:13:59-04:00');
+  assert.equal(parseHL7Date('20190109151359', { timeZone: 'America/Toronto' }).value, '2019-01-09T15:13:59-05:00');
+  assert.equal(parseHL7Date('201907091513', { timeZone: 'America/Vancouver' }).value, '2019-07-09T15:13-07:00');
+});
+
+test('parseHL7Date prefers an explicit offset over the time zone', () => {
+  const parsed = parseHL7Date('20190709151359.25+0530', { timeZone: 'America/Toronto' });
+
+  assert.equal(parsed.value, '2019-07-09T15:13:59.25+05:30');
+  assert.equal(parsed.precision, 'fraction');
+});
+
+test('parseHL7Date resolves local times around daylight saving transitions', () => {
+  // 02:30 doesn't exist on 2019-03-10 in Toronto; 01:30 on 2019-11-03 happens twice
+  assert.equal(parseHL7Date('201903100230', { timeZone: 'America/Toronto' }).value, '2019-03-10T02:30-05:00');
+  assert.equal(parseHL7Date('201911030130', { timeZone: 'America/Toronto' }).value, '2019-11-03T01:30-04:00');
+});
+
+test('parseHL7Date reads the first component of a split TS value', () => {
+  assert.equal(parseHL7Date({ time: '20190709', precision: 'D' }).value, '2019-07-09');
+});
+
+test('parseHL7Date returns an empty value without a warning for missing dates', () => {
+  assert.deepEqual(parseHL7Date(''), { value: '', precision: null, warning: null });
+  assert.deepEqual(parseHL7Date(undefined), { value: '', precision: null, warning: null });
+});
+
+test('parseHL7Date rejects malformed and out-of-range values', () => {
+  assert.equal(parseHL7Date('2019---').warning, 'Not an HL7 date');
+  assert.equal(parseHL7Date('20191301').warning, 'Month out of range');
+  assert.equal(parseHL7Date('20190230').warning, 'Day out of range');
+  assert.equal(parseHL7Date('20190229').warning, 'Day out of range');
+  assert.equal(parseHL7Date('20200229').warning, null);
+  assert.equal(parseHL7Date('201907092400').warning, 'Hour out of range');
+  assert.equal(parseHL7Date('20190709120000+1500').warning, 'UTC offset out of range');
+  assert.equal(parseHL7Date('201907091200', { timeZone: 'Mars/Olympus' }).warning, 'Unknown time zone Mars/Olympus');
+});
+
+test('createDateFormatter collects a warning per invalid field', () => {
+  const dates = createDateFormatter({ timeZone: 'America/Vancouver' });
+
+  assert.equal(dates.format('201907091513', 'OBR-7'), '2019-07-09T15:13-07:00');
+  assert.equal(dates.format('2019---', 'OBR-14'), '');
+  assert.deepEqual(dates.warnings, [{ field: 'OBR-14', value: '2019---', message: 'Not an HL7 date' }]);
+});
+
+test('createDateFormatter leaves patient dates out of its warnings', () => {
+  const dates = createDateFormatter();
+
+  dates.format('19801350', 'PID-7');
+
+  assert.deepEqual(dates.warnings, [{ field: 'PID-7', value: null, message: 'Month out of range' }]);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseLabMessage,
+  detectProfile,
+  registerProfile,
+  getProfileNames,
+  inspectHL7Message
+} = require('../lab-results/src/utils/parseLabMessage');
+
+const message = ({ sender = 'LAB', facility = 'FACILITY', version = '2.3', segments = [] } = {}) =>
+  [
+    `MSH|^~\\&|${sender}|${facility}|EMR|CLINIC|20261001120000||ORU^R01|MSG-1|P|${version}`,
+    'PID|1||1234567890^^^ON^JHN||DOE^JANE||19700101|F',
+    ...segments
+  ].join('\r');
+
+test('inspectHL7Message reads the sender, version and Z-segments with the message delimiters', () => {
+  const info = inspectHL7Message(
+    'MSH#^~\\&#GDML#DYNACARE^2.16.840#EMR#CLINIC#20261001120000##ORU^R01#MSG-1#P#2.3\nPID#1\nZDR#1\nZDR#2\nZTX#1'
+  );
+
+  assert.deepEqual(info, {
+    sendingApplication: 'GDML',
+    sendingFacility: 'DYNACARE^2.16.840',
+    versionId: '2.3',
+    segmentTypes: ['MSH', 'PID', 'ZDR', 'ZDR', 'ZTX'],
+    zSegments: ['ZDR', 'ZTX']
+  });
+});
+
+test('detectProfile identifies GDML by its Z-segments whatever the sender', () => {
+  const profile = detectProfile(message({ sender: 'ACME', segments: ['ZDR|1'] }));
+
+  assert.equal(profile.name, 'gdml');
+  assert.equal(profile.score, 2);
+  assert.deepEqual(profile.reasons, ['Z-segments: ZDR', 'version: 2.3']);
+});
+
+test('detectProfile identifies GDML by its sender', () => {
+  const profile = detectProfile(message({ sender: 'GDML', facility: 'DYNACARE' }));
+
+  assert.equal(profile.name, 'gdml');
+  assert.deepEqual(profile.reasons, ['sender: GDML/DYNACARE', 'version: 2.3']);
+});
+
+test('detectProfile tells LifeLabs Ontario and BC apart by the HL7 version alone', () => {
+  assert.equal(detectProfile(message({ sender: 'LIFELABS', version: '2.3.1' })).name, 'lifelabs-ontario');
+  assert.equal(detectProfile(message({ sender: 'LIFELABS', version: '2.3' })).name, 'lifelabs-bc');
+  assert.equal(detectProfile(message({ sender: 'EXCELLERIS', version: '2.3' })).name, 'lifelabs-bc');
+});
+
+test('detectProfile does not identify a lab by its sender when the version does not match', () => {
+  assert.throws(() => detectProfile(message({ sender: 'LIFELABS', version: '2.5' })), /Unrecognized HL7 message profile/);
+});
+
+test('detectProfile prefers the fallback profile when profiles tie', () => {
+  // An unknown 2.3 sender fits GDML and LifeLabs BC on the version alone
+  const raw = message({ sender: 'ACME' });
+
+  assert.deepEqual(detectProfile(raw), { name: 'gdml', score: 1, reasons: ['version: 2.3'] });
+  assert.deepEqual(detectProfile(raw, { fallbackProfile: 'lifelabs-bc' }), {
+    name: 'lifelabs-bc',
+    score: 1,
+    reasons: ['version: 2.3']
+  });
+});
+
+test('detectProfile does not let the fallback profile beat an identified one', () => {
+  const profile = detectProfile(message({ sender: 'LIFELABS', version: '2.3' }), { fallbackProfile: 'gdml' });
+
+  assert.equal(profile.name, 'lifelabs-bc');
+});
+
+test('detectProfile uses the fallback profile when nothing matches', () => {
+  assert.deepEqual(detectProfile(message({ version: '2.5' }), { fallbackProfile: 'gdml' }), {
+    name: 'gdml',
+    score: 0,
+    reasons: ['fallback profile']
+  });
+});
+
+test('detectProfile rejects messages no profile matches', () => {
+  const raw = message({ sender: 'ACME', facility: 'NORTH', version: '2.5' });
+
+  assert.throws(
+    () => detectProfile(raw),
+    { message: 'Unrecognized HL7 message profile (MSH-3: "ACME", MSH-4: "NORTH", MSH-12: "2.5")' }
+  );
+  assert.throws(() => detectProfile(raw, { fallbackProfile: 'unknown' }), /Unrecognized HL7 message profile/);
+});
+
+test('registerProfile rejects incomplete and duplicate profiles', () => {
+  assert.throws(() => registerProfile({ name: 'incomplete', match: () => ({ score: 0, reasons: [] }) }), /requires a name/);
+  assert.throws(
+    () => registerProfile({ name: 'gdml', match: () => ({ score: 0, reasons: [] }), parse: () => ({}) }),
+    /"gdml" is already registered/
+  );
+  assert.deepEqual(getProfileNames(), ['gdml', 'lifelabs-ontario', 'lifelabs-bc']);
+});
+
+test('parseLabMessage parses with the detected profile and attaches its reports', () => {
+  const { profile, result } = parseLabMessage(
+    message({
+      sender: 'GDML',
+      facility: 'DYNACARE',
+      segments: [
+        'ORC|RE',
+        'OBR|1||ACC-1|K^Potassium|||20261001080000|||||||||1234^SMITH^JOHN|||||||||F',
+        'OBX|1|NM|K^Potassium||7.1|mmol/L|3.5-5.0|HH|||F'
+      ]
+    })
+  );
+
+  assert.equal(profile.name, 'gdml');
+  assert.equal(result.messageHeader.messageControlId, 'MSG-1');
+  assert.equal(result.conformance.profile, 'gdml');
+  assert.ok(result.codeMapping);
+  assert.equal(result.criticalResults.length, 1);
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeRedis } = require('./helpers/fake-redis');
+
+const { client, store } = installFakeRedis();
+
+const { createResultVersionTracker } = require('../lab-results/lib/result-versions');
+
+const observation = (code, value, { status = 'F', units = 'mmol/L', abnormalFlag = '', subId } = {}) => ({
+  observationIdentifier: { identifier: code },
+  observationSubId: subId,
+  observationResults: [value],
+  units,
+  abnormalFlag,
+  referenceRange: '3.5-5.0',
+  observationResultStatus: status
+});
+
+const message = (observations, fillerOrderNumber = 'ACC-1') => ({
+  patients: [{ orders: [{ labResults: [{ fillerOrderNumber, resultStatus: 'F', observations }] }] }]
+});
+
+// Compares and delivers a message with a new tracker, as a later scheduler cycle would
+async function deliver(msgId, parsedMessage) {
+  const tracker = createResultVersionTracker('lifelabs');
+  const compared = await tracker.compare(msgId, parsedMessage);
+  tracker.markDelivered(msgId);
+  await tracker.record();
+
+  return compared;
+}
+
+test.beforeEach(() => store.clear());
+
+test('the first result for an accession is not a revision', async () => {
+  const parsed = message([observation('K', '4.2')]);
+  const { data, error } = await deliver('MSG-1', parsed);
+
+  assert.equal(error, null);
+  assert.deepEqual(data, []);
+  assert.equal(parsed.patients[0].orders[0].labResults[0].observations[0].revision, undefined);
+});
+
+test('compare reports the fields that changed since the delivered revision', async () => {
+  await deliver('MSG-1', message([observation('K', '4.2'), observation('NA', '140')]));
+
+  const parsed = message([observation('K', '6.1', { abnormalFlag: 'H', status: 'C' }), observation('NA', '140')]);
+  const { data } = await deliver('MSG-2', parsed);
+
+  const [{ snapshot, ...revision }] = data;
+
+  assert.equal(data.length, 1);
+  assert.deepEqual(
+    revision,
+    {
+      msgId: 'MSG-2',
+      fillerOrderNumber: 'ACC-1',
+      observationKey: 'K',
+      revision: 2,
+      corrected: true,
+      changes: [
+        { field: 'value', previous: '4.2', current: '6.1' },
+        { field: 'abnormalFlag', previous: '', current: 'H' },
+        { field: 'status', previous: 'F', current: 'C' }
+      ]
+    }
+  );
+  assert.equal(snapshot.value, '6.1');
+  assert.deepEqual(parsed.patients[0].orders[0].labResults[0].observations[0].revision, {
+    number: 2,
+    corrected: true,
+    changes: data[0].changes
+  });
+});
+
+test('a re-sent result is not a new revision', async () => {
+  await deliver('MSG-1', message([observation('K', '4.2')]));
+
+  const { data } = await deliver('MSG-1', message([observation('K', '4.2')]));
+
+  assert.deepEqual(data, []);
+});
+
+test('a change to a preliminary result is a revision but not a correction', async () => {
+  await deliver('MSG-1', message([observation('K', '4.2', { status: 'P' })]));
+
+  const { data } = await deliver('MSG-2', message([observation('K', '4.4', { status: 'P' })]));
+
+  assert.equal(data[0].revision, 2);
+  assert.equal(data[0].corrected, false);
+});
+
+test('repeated identifiers are numbered so each line is compared with its own revision', async () => {
+  await deliver('MSG-1', message([observation('COMMENT', 'Line 1'), observation('COMMENT', 'Line 2')]));
+
+  const { data } = await deliver(
+    'MSG-2',
+    message([observation('COMMENT', 'Line 1'), observation('COMMENT', 'Line 2 amended')])
+  );
+
+  assert.deepEqual(
+    data.map(({ observationKey, changes }) => ({ observationKey, changes })),
+    [{ observationKey: 'COMMENT#2', changes: [{ field: 'value', previous: 'Line 2', current: 'Line 2 amended' }] }]
+  );
+});
+
+test('revisions of undelivered messages are dropped', async () => {
+  await deliver('MSG-1', message([observation('K', '4.2')]));
+
+  const tracker = createResultVersionTracker('lifelabs');
+  await tracker.compare('MSG-2', message([observation('K', '9.9')]));
+  const { data: compared } = await tracker.compare('MSG-3', message([observation('K', '4.5')]));
+  tracker.markDelivered('MSG-3');
+  const { data: recorded } = await tracker.record();
+
+  assert.equal(compared[0].changes[0].previous, '4.2');
+  assert.equal(recorded, 1);
+
+  const { data } = await deliver('MSG-4', message([observation('K', '4.6')]));
+
+  assert.equal(data[0].revision, 3);
+  assert.deepEqual(data[0].changes, [{ field: 'value', previous: '4.5', current: '4.6' }]);
+});
+
+test('delivered revisions are compared within the same cycle before they are recorded', async () => {
+  const tracker = createResultVersionTracker('lifelabs');
+  await tracker.compare('MSG-1', message([observation('K', '4.2')]));
+  tracker.markDelivered('MSG-1');
+
+  const { data } = await tracker.compare('MSG-2', message([observation('K', '4.8')]));
+
+  assert.equal(data[0].revision, 2);
+});
+
+test('record keeps a history of revisions per accession', async () => {
+  await deliver('MSG-1', message([observation('K', '4.2')]));
+  await deliver('MSG-2', message([observation('K', '4.8')]));
+
+  const history = (await client.lrange('lab-results:results:lifelabs:ACC-1:revisions', 0, -1)).map(JSON.parse);
+
+  assert.deepEqual(
+    history.map(({ msgId, revision, observationKey }) => ({ msgId, revision, observationKey })),
+    [
+      { msgId: 'MSG-1', revision: 1, observationKey: 'K' },
+      { msgId: 'MSG-2', revision: 2, observationKey: 'K' }
+    ]
+  );
+});
+
+test('documents are compared by checksum', async () => {
+  const report = (checksum) => ({
+    ...observation('REPORT', ''),
+    document: { checksum, key: `documents/${checksum}.pdf` }
+  });
+
+  await deliver('MSG-1', message([report('abc')]));
+
+  assert.deepEqual((await deliver('MSG-2', message([report('abc')]))).data, []);
+  assert.deepEqual((await deliver('MSG-3', message([report('def')]))).data[0].changes, [
+    { field: 'value', previous: 'document:abc', current: 'document:def' }
+  ]);
+});
+
+test('compare returns the Redis error instead of throwing', async (t) => {
+  t.mock.method(client, 'pipeline', () => ({
+    hgetall() {},
+    exec: async () => [[new Error('Connection is closed.'), null]]
+  }));
+
+  const tracker = createResultVersionTracker('lifelabs');
+
+  assert.deepEqual(await tracker.compare('MSG-1', message([observation('K', '4.2')])), {
+    data: null,
+    error: 'Connection is closed.'
+  });
+});
@@ -0,0 +1,187 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { installFakeRedis } = require("./helpers/fake-redis");
+const { stubModule } = require("./helpers/stub-module");
+
+// Details of every logged event, in order
+const loggedEvents = [];
+
+installFakeRedis();
+stubModule("../lib/cloudwatch-logger.js", {
+  logToCloudWatch: async (message, level, details) => {
+    loggedEvents.push(details);
+  },
+  initializeCloudWatchLogs: async () => {}
+});
+
+const { runPollingCycle, ACK_OUTCOMES } = require("../lib/scheduler");
+const { IntegrationError } = require("../lib/errors");
+
+const SESSION = { session_cookie: "cookie" };
+
+// Provider whose steps are recorded in `calls`; `overrides` replace individual steps
+function createProvider(overrides = {}) {
+  const calls = [];
+  const record = (name, result) => async (...args) => {
+    calls.push([name, ...args]);
+    return typeof result === "function" ? result(...args) : result;
+  };
+
+  const provider = {
+    name: "test-lab",
+    queueName: "test-lab",
+    interval: 1000 * 60,
+    logStreamName: "scheduled-tasks-test-lab",
+    negativeAckStatus: "Negative",
+    authenticate: record("authenticate", SESSION),
+    fetchResults: record("fetchResults", { success: true, s3Key: "lifelabs/results.xml" }),
+    parse: record("parse", { parsedMessageCount: 2, outputFileKey: "lifelabs/results.json" }),
+    acknowledge: record("acknowledge", { status: "ok" }),
+    logout: record("logout", undefined)
+  };
+
+  Object.entries(overrides).forEach(([name, step]) => {
+    provider[name] = typeof step === "function" ? record(name, step) : step;
+  });
+
+  return { provider, calls };
+}
+
+function createJob() {
+  const job = { id: "1", attemptsMade: 0, discarded: false };
+  job.discard = async () => {
+    job.discarded = true;
+  };
+
+  return job;
+}
+
+const stepNames = (calls) => calls.map(([name]) => name);
+const acks = (calls) => calls.filter(([name]) => name === "acknowledge").map(([, , status]) => status);
+
+test("runPollingCycle acknowledges positively once the results are parsed and delivered", async () => {
+  const { provider, calls } = createProvider();
+
+  const result = await runPollingCycle(provider, createJob());
+
+  assert.deepEqual(result, { s3Key: "lifelabs/results.xml", ackOutcome: ACK_OUTCOMES.POSITIVE });
+  assert.deepEqual(stepNames(calls), ["authenticate", "fetchResults", "parse", "acknowledge", "logout"]);
+  assert.deepEqual(calls[3], ["acknowledge", SESSION, "Positive"]);
+  assert.deepEqual(calls[4], ["logout", SESSION]);
+});
+
+test("runPollingCycle acknowledges negatively when parsing or delivery fails", async () => {
+  const { provider, calls } = createProvider({ parse: () => ({ error: "Webhook could not be queued" }) });
+  const job = createJob();
+
+  await assert.rejects(runPollingCycle(provider, job), (error) => {
+    assert.ok(error instanceof IntegrationError);
+    assert.equal(error.message, "Webhook could not be queued");
+    assert.equal(error.retryable, true);
+    assert.equal(error.s3Key, "lifelabs/results.xml");
+    assert.deepEqual(error.details, { ackOutcome: ACK_OUTCOMES.NEGATIVE });
+    return true;
+  });
+
+  assert.deepEqual(acks(calls), ["Negative"]);
+  assert.equal(stepNames(calls).at(-1), "logout");
+  assert.equal(job.discarded, false);
+});
+
+test("runPollingCycle acknowledges negatively when storing the results throws", async () => {
+  const { provider, calls } = createProvider({
+    parse: () => {
+      throw new Error("S3 upload failed");
+    }
+  });
+
+  await assert.rejects(runPollingCycle(provider, createJob()), /S3 upload failed/);
+
+  assert.deepEqual(acks(calls), ["Negative"]);
+  assert.equal(stepNames(calls).at(-1), "logout");
+});
+
+test("runPollingCycle skips the ack when the provider has no negative status", async () => {
+  const { provider, calls } = createProvider({
+    negativeAckStatus: null,
+    parse: () => ({ error: "No messages could be parsed", retryable: false })
+  });
+  const job = createJob();
+
+  await assert.rejects(runPollingCycle(provider, job), (error) => {
+    assert.deepEqual(error.details, { ackOutcome: ACK_OUTCOMES.SKIPPED });
+    return true;
+  });
+
+  assert.deepEqual(acks(calls), []);
+  assert.deepEqual(calls.at(-1), ["logout", SESSION]);
+  assert.equal(job.discarded, true);
+});
+
+test("runPollingCycle logs out when a step throws", async () => {
+  const { provider, calls } = createProvider({
+    acknowledge: () => {
+      throw new Error("Gateway timed out");
+    }
+  });
+
+  await assert.rejects(runPollingCycle(provider, createJob()), /Gateway timed out/);
+
+  assert.deepEqual(calls.at(-1), ["logout", SESSION]);
+});
+
+test("runPollingCycle doesn't log out without a session", async () => {
+  const { provider, calls } = createProvider({
+    authenticate: () => {
+      throw new IntegrationError("Authentication failed", { retryable: false });
+    }
+  });
+
+  await assert.rejects(runPollingCycle(provider, createJob()), /Authentication failed/);
+
+  assert.deepEqual(stepNames(calls), ["authenticate"]);
+});
+
+test("runPollingCycle keeps its outcome when logout fails", async () => {
+  const { provider } = createProvider({
+    logout: () => {
+      throw new Error("Session already closed");
+    }
+  });
+
+  const result = await runPollingCycle(provider, createJob());
+
+  assert.equal(result.ackOutcome, ACK_OUTCOMES.POSITIVE);
+  assert.equal(loggedEvents.at(-1).step, "logout_failed");
+});
+
+test("runPollingCycle fails the cycle without an ack when the fetch fails", async () => {
+  const { provider, calls } = createProvider({ fetchResults: () => ({ success: false, response: { status: 503 } }) });
+  const job = createJob();
+
+  await assert.rejects(runPollingCycle(provider, job), (error) => {
+    assert.ok(error instanceof IntegrationError);
+    assert.equal(error.retryable, true);
+    assert.deepEqual(error.details, { status: 503 });
+    return true;
+  });
+
+  assert.deepEqual(stepNames(calls), ["authenticate", "fetchResults", "logout"]);
+  assert.equal(job.discarded, false);
+});
+
+test("runPollingCycle discards the job when the fetch is rejected", async () => {
+  const { provider } = createProvider({ fetchResults: () => ({ success: false, response: { status: 400 } }) });
+  const job = createJob();
+
+  await assert.rejects(runPollingCycle(provider, job), (error) => error.retryable === false);
+
+  assert.equal(job.discarded, true);
+});
+
+test("runPollingCycle retries fetch failures without an HTTP status", async () => {
+  const { provider } = createProvider({ fetchResults: () => ({ success: false, response: { status: "failed" } }) });
+
+  await assert.rejects(runPollingCycle(provider, createJob()), (error) => error.retryable === true);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+
+const { installFakeRedis } = require('./helpers/fake-redis');
+const { stubModule } = require('./helpers/stub-module');
+
+const SECRET = 'test-signing-secret';
+
+installFakeRedis();
+stubModule('../lib/config.js', { getConfig: () => ({ webhooks: { signingSecret: SECRET } }) });
+stubModule('../lib/cloudwatch-logger.js', {
+  logToCloudWatch: () => {},
+  initializeCloudWatchLogs: async () => {}
+});
+
+const axios = require('axios');
+const {
+  createWebhookEvent,
+  signWebhookPayload,
+  postWebhook,
+  WEBHOOK_EVENT_VERSION
+} = require('../lab-results/lib/webhooks');
+
+test('signWebhookPayload signs the timestamp and body with HMAC-SHA256', () => {
+  const body = '{"id":"evt-1"}';
+  const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${body}`).digest('hex');
+
+  assert.equal(signWebhookPayload(body, '1700000000', SECRET), `sha256=${expected}`);
+});
+
+test('signWebhookPayload changes with the body, timestamp and secret', () => {
+  const signature = signWebhookPayload('{"a":1}', '1700000000', SECRET);
+
+  assert.notEqual(signWebhookPayload('{"a":2}', '1700000000', SECRET), signature);
+  assert.notEqual(signWebhookPayload('{"a":1}', '1700000001', SECRET), signature);
+  assert.notEqual(signWebhookPayload('{"a":1}', '1700000000', 'other-secret'), signature);
+});
+
+test('createWebhookEvent creates a versioned event', () => {
+  const event = createWebhookEvent('lab-results.received', { msgId: 'MSG-1' });
+
+  assert.match(event.id, /^[0-9a-f-]{36}$/);
+  assert.equal(event.type, 'lab-results.received');
+  assert.equal(event.version, WEBHOOK_EVENT_VERSION);
+  assert.ok(!Number.isNaN(Date.parse(event.createdAt)));
+  assert.deepEqual(event.data, { msgId: 'MSG-1' });
+  assert.notEqual(createWebhookEvent('lab-results.received', {}).id, event.id);
+});
+
+test('createWebhookEvent uses the idempotency key as the event ID', () => {
+  const event = createWebhookEvent('critical-results.detected', {}, { idempotencyKey: 'lifelabs:MSG-1:hash' });
+
+  assert.equal(event.id, 'lifelabs:MSG-1:hash');
+});
+
+test('postWebhook sends the event with a signature the receiver can verify', async (t) => {
+  const post = t.mock.method(axios, 'post', async () => ({ status: 200 }));
+  const event = createWebhookEvent('lab-results.received', { msgId: 'MSG-1' }, { idempotencyKey: 'evt-1' });
+
+  await postWebhook('https://emr.example.com/webhooks', event);
+
+  const [url, body, { headers }] = post.mock.calls[0].arguments;
+  const expected = crypto
+    .createHmac('sha256', SECRET)
+    .update(`${headers['X-Webhook-Timestamp']}.${body}`)
+    .digest('hex');
+
+  assert.equal(url, 'https://emr.example.com/webhooks');
+  assert.deepEqual(JSON.parse(body), event);
+  assert.equal(headers['Idempotency-Key'], 'evt-1');
+  assert.match(headers['X-Webhook-Timestamp'], /^\d{10}$/);
+  assert.equal(headers['X-Webhook-Signature'], `sha256=${expected}`);
+});
+
+test('postWebhook refuses to send unsigned events', async (t) => {
+  const post = t.mock.method(axios, 'post', async () => ({ status: 200 }));
+
+  await assert.rejects(
+    postWebhook('https://emr.example.com/webhooks', createWebhookEvent('lab-results.received', {}), { secret: '' }),
+    /WEBHOOK_SIGNING_SECRET is not configured/
+  );
+  assert.equal(post.mock.callCount(), 0);
+});